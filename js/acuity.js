@@ -0,0 +1,65 @@
+// js/acuity.js
+// Visual acuity as written at the bedside, normalized to logMAR (0.0 = 20/20, 1.0 = 20/200).
+// Accepts Snellen in feet or meters ("20/40", "6/12", "20/40-2"), decimal ("0.5"),
+// ETDRS letters ("85 L", "ETDRS 85") and CF / HM / LP / NLP.
+
+// Off-chart vision. CF and HM: Schulze-Bonsel K, et al. Visual acuities "hand motion" and
+// "counting fingers" can be quantified with the Freiburg Visual Acuity Test. IOVS 2006;47:1236-40.
+// LP and NLP have no measured equivalent; these are the conventional values.
+const OFF_CHART = [
+  { label: "NLP", logMAR: 3.0, pattern: /^(nlp|no light perception)\b/ },
+  { label: "LP", logMAR: 2.7, pattern: /^(lp|light perception)\b/ },
+  { label: "HM", logMAR: 2.3, pattern: /^(hm|hand (motions?|movements?))\b/ },
+  { label: "CF", logMAR: 1.9, pattern: /^(cf|count(ing)? fingers)\b/ }
+];
+
+// Each letter read past (or missed on) a Snellen line is worth 0.02 logMAR
+const LOGMAR_PER_LETTER = 0.02;
+
+const SNELLEN = /^(\d+(?:\.\d+)?)\s*\/\s*(\d+(?:\.\d+)?)\s*([+-]\s*\d)?$/;
+const ETDRS = /^(?:etdrs\s*(\d{1,3})|(\d{1,3})\s*(?:l|letters?))$/;
+const DECIMAL = /^(?:\d*\.\d+|[12])$/;
+
+function round2(x) {
+  return Math.round(x * 100) / 100;
+}
+
+// { ok: true, logMAR } (logMAR null when blank) or { ok: false, error }
+export function readAcuity(value) {
+  const s = String(value ?? "").trim().toLowerCase().replace(/\s+/g, " ");
+  if (!s) return { ok: true, logMAR: null };
+
+  const offChart = OFF_CHART.find(o => o.pattern.test(s));
+  if (offChart) return { ok: true, logMAR: offChart.logMAR };
+
+  let m = SNELLEN.exec(s);
+  if (m) {
+    const distance = Number(m[1]), size = Number(m[2]);
+    if (!distance || !size) return { ok: false, error: `"${value}" has a zero in it` };
+    const letters = m[3] ? Number(m[3].replace(/\s/g, "")) : 0;
+    return { ok: true, logMAR: round2(Math.log10(size / distance) - letters * LOGMAR_PER_LETTER) };
+  }
+
+  m = ETDRS.exec(s);
+  if (m) {
+    const letters = Number(m[1] ?? m[2]);
+    if (letters > 100) return { ok: false, error: `${letters} ETDRS letters is more than the chart has (100)` };
+    return { ok: true, logMAR: round2(1.7 - letters * LOGMAR_PER_LETTER) };
+  }
+
+  if (DECIMAL.test(s)) {
+    const decimal = Number(s);
+    if (decimal <= 0 || decimal > 2) return { ok: false, error: `decimal acuity ${s} is outside 0-2.0` };
+    return { ok: true, logMAR: round2(-Math.log10(decimal)) };
+  }
+
+  if (/^\d+$/.test(s)) return { ok: false, error: `"${value}" is ambiguous; write ETDRS letters as "${s} L"` };
+  return { ok: false, error: `"${value}" is not Snellen, decimal, ETDRS letters, CF, HM, LP or NLP` };
+}
+
+// Nearest Snellen (feet) equivalent: "20/40", or "CF", "HM", "LP", "NLP" off the chart
+export function snellenFor(logMAR) {
+  if (logMAR === null || logMAR === undefined) return "—";
+  const offChart = OFF_CHART.find(o => logMAR >= o.logMAR);
+  return offChart ? offChart.label : `20/${Math.round(20 * 10 ** logMAR)}`;
+}
@@ -2,9 +2,23 @@
 import { sessionStore } from "./common.js";
 import { initSidebar } from "./sidebar.js";
 import { compute } from "./engine.js";
+import { bindTriState, setTriState } from "./tri-state.js";
+import { snellenFor } from "./acuity.js";
 
 const $ = (id) => document.getElementById(id);
 
+// Acuity inputs, named after their opticNerve fields
+const VA_INPUTS = ["vaUncorrectedOD", "vaCorrectedOD", "vaPinholeOD", "vaUncorrectedOS", "vaCorrectedOS", "vaPinholeOS"];
+// Color vision inputs, likewise
+const COLOR_NUMBER_INPUTS = ["ishiharaCorrectOD", "ishiharaTotalOD", "redDesaturationOD",
+  "ishiharaCorrectOS", "ishiharaTotalOS", "redDesaturationOS"];
+const COLOR_SELECTS = ["hrrGradeOD", "hrrAxisOD", "hrrGradeOS", "hrrAxisOS"];
+// Number inputs and the session paths they save to
+const NUMBER_INPUTS = {
+  odLight: "pupils.odLight", osLight: "pupils.osLight", odDark: "pupils.odDark", osDark: "pupils.osDark",
+  ...Object.fromEntries(COLOR_NUMBER_INPUTS.map(id => [id, `opticNerve.${id}`]))
+};
+
 function getDecimalSeparator() {
   const parts = new Intl.NumberFormat().formatToParts(1.1);
   const decimal = parts.find(p => p.type === "decimal");
@@ -65,11 +79,13 @@ function pupilLocalizationHint(f) {
   return "Enter both light and dark pupil measurements to determine pattern (which pupil is abnormal).";
 }
 
-function pupilQualityHint(session) {
+function pupilQualityHint(session, warnings) {
   const p = session.pupils || {};
   const hasLight = p.odLight !== null && p.osLight !== null;
   const hasDark = p.odDark !== null && p.osDark !== null;
 
+  // Contradictory pupil findings come first
+  if (warnings.length) return warnings.map(w => w.message).join(" ");
   if (!hasLight && !hasDark) {
     return "Measure pupils in both light and dark conditions for accurate pattern determination.";
   }
@@ -194,12 +210,12 @@ function syncFromSession(session) {
   $("odLightRxn").value = session.pupils.odLightRxn || "";
   $("osLightRxn").value = session.pupils.osLightRxn || "";
 
-  $("dilationLag").checked = !!session.pupils.dilationLag;
-  $("anhidrosis").checked = !!session.pupils.anhidrosis;
-  $("lightNearDissociation").checked = !!session.pupils.lightNearDissociation;
-  $("vermiform").checked = !!session.pupils.vermiform;
-  $("anticholinergicExposure").checked = !!session.pupils.anticholinergicExposure;
-  $("sympathomimeticExposure").checked = !!session.pupils.sympathomimeticExposure;
+  setTriState($("dilationLag"), session.pupils.dilationLag);
+  setTriState($("anhidrosis"), session.pupils.anhidrosis);
+  setTriState($("lightNearDissociation"), session.pupils.lightNearDissociation);
+  setTriState($("vermiform"), session.pupils.vermiform);
+  setTriState($("anticholinergicExposure"), session.pupils.anticholinergicExposure);
+  setTriState($("sympathomimeticExposure"), session.pupils.sympathomimeticExposure);
 
   // RAPD
   $("rapdOD").value = session.pupils.rapdOD || "";
@@ -207,17 +223,21 @@ function syncFromSession(session) {
 
   // Optic nerve findings
   const on = session.opticNerve || {};
-  $("discPallorOD").checked = !!on.discPallorOD;
-  $("discPallorOS").checked = !!on.discPallorOS;
-  $("discEdemaOD").checked = !!on.discEdemaOD;
-  $("discEdemaOS").checked = !!on.discEdemaOS;
-  $("colorDeficitOD").checked = !!on.colorDeficitOD;
-  $("colorDeficitOS").checked = !!on.colorDeficitOS;
-  $("vaReducedOD").checked = !!on.vaReducedOD;
-  $("vaReducedOS").checked = !!on.vaReducedOS;
-  $("optociliaryShunts").checked = !!on.optociliaryShunts;
-  $("cupping").checked = !!on.cupping;
-  $("discHemorrhages").checked = !!on.hemorrhages;
+  setTriState($("discPallorOD"), on.discPallorOD);
+  setTriState($("discPallorOS"), on.discPallorOS);
+  setTriState($("discEdemaOD"), on.discEdemaOD);
+  setTriState($("discEdemaOS"), on.discEdemaOS);
+  // Don't rewrite an acuity or a plate count while it is being typed
+  VA_INPUTS.forEach(id => {
+    if (document.activeElement !== $(id)) $(id).value = on[id] || "";
+  });
+  COLOR_NUMBER_INPUTS.forEach(id => {
+    if (document.activeElement !== $(id)) $(id).value = on[id] ?? "";
+  });
+  COLOR_SELECTS.forEach(id => { $(id).value = on[id] || ""; });
+  setTriState($("optociliaryShunts"), on.optociliaryShunts);
+  setTriState($("cupping"), on.cupping);
+  setTriState($("discHemorrhages"), on.hemorrhages);
   $("opticNerveNotes").value = on.notes || "";
 
   // local metrics display
@@ -241,12 +261,17 @@ function syncFromSession(session) {
   const nextEl = $("pupilNext");
 
   if (locEl) locEl.textContent = pupilLocalizationHint(f);
-  if (qualEl) qualEl.textContent = pupilQualityHint(session);
+  if (qualEl) qualEl.textContent = pupilQualityHint(session, out.consistency.filter(w => w.fields.some(k => k.startsWith("pupils."))));
   if (nextEl) nextEl.textContent = pupilNextDiscriminatorHint(f);
 
   // Update visual diagram
   updatePupilDiagram(session);
 
+  $("vaSummaryOD").textContent = acuitySummary(f, out.consistency, "OD");
+  $("vaSummaryOS").textContent = acuitySummary(f, out.consistency, "OS");
+  $("colorSummaryOD").textContent = colorSummary(f, out.consistency, "OD");
+  $("colorSummaryOS").textContent = colorSummary(f, out.consistency, "OS");
+
   // Update optic nerve status
   const opticStatus = $("opticNerveStatus");
   if (opticStatus) {
@@ -257,12 +282,15 @@ function syncFromSession(session) {
     if (on.discEdemaOD || on.discEdemaOS) {
       findings.push(`Disc edema ${on.discEdemaOD && on.discEdemaOS ? "OU" : on.discEdemaOD ? "OD" : "OS"}`);
     }
-    if (on.colorDeficitOD || on.colorDeficitOS) {
-      findings.push(`Color deficit ${on.colorDeficitOD && on.colorDeficitOS ? "OU" : on.colorDeficitOD ? "OD" : "OS"}`);
+    if (f.colorDeficit) {
+      findings.push(`Color deficit ${f.colorDeficitEye} (${f.colorGrade})`);
     }
-    if (on.vaReducedOD || on.vaReducedOS) {
-      findings.push(`VA reduced ${on.vaReducedOD && on.vaReducedOS ? "OU" : on.vaReducedOD ? "OD" : "OS"}`);
+    if (f.colorAsymmetric) findings.push(`Color asymmetry ${Math.round(f.colorAsymmetry * 100)}%`);
+    if (f.colorWorseThanAcuity) findings.push("Color worse than acuity");
+    if (f.vaReduced) {
+      findings.push(`VA reduced ${f.vaReducedOD && f.vaReducedOS ? "OU" : f.vaReducedOD ? "OD" : "OS"} (${f.vaSeverity})`);
     }
+    if (f.vaAsymmetric) findings.push(`VA asymmetry ${f.vaAsymmetry.toFixed(1)} logMAR`);
     if (on.optociliaryShunts) findings.push("Optociliary shunts");
     if (on.cupping) findings.push("Cupping");
     if (on.hemorrhages) findings.push("Disc hemorrhages");
@@ -275,120 +303,164 @@ function syncFromSession(session) {
   }
 }
 
+// Best-corrected acuity of one eye, or what is wrong with its entries
+function acuitySummary(f, warnings, eye) {
+  const mine = warnings.filter(w => w.fields.some(k => k.startsWith("opticNerve.va") && k.endsWith(eye)));
+  if (mine.length) return mine.map(w => w.message).join(" ");
+  const logMAR = f[`vaLogMAR${eye}`];
+  if (logMAR === null) return "—";
+  return `Best corrected ${snellenFor(logMAR)} (logMAR ${logMAR.toFixed(2)})`;
+}
+
+// Graded color loss of one eye, or what is wrong with its entries
+function colorSummary(f, warnings, eye) {
+  const mine = warnings.filter(w => w.fields.some(k => /^opticNerve\.(ishihara|hrr|redDesaturation)/.test(k) && k.endsWith(eye)));
+  if (mine.length) return mine.map(w => w.message).join(" ");
+  const loss = f[`colorLoss${eye}`];
+  if (loss === null) return "—";
+  const parts = [`${f[`colorGrade${eye}`]} (${Math.round(loss * 100)}% loss)`];
+  if (f[`hrrAxis${eye}`]) parts.push(`${f[`hrrAxis${eye}`]} axis`);
+  if (f[`colorWorseThanAcuity${eye}`]) parts.push("worse than acuity");
+  return parts.join(", ");
+}
+
 // Quick preset functions
 function applyPreset(presetType) {
   switch (presetType) {
     case "physiologic":
       // Physiologic anisocoria: stable ~0.4mm difference, both conditions similar
-      sessionStore.set("pupils.odLight", 3.5);
-      sessionStore.set("pupils.osLight", 3.1);
-      sessionStore.set("pupils.odDark", 5.5);
-      sessionStore.set("pupils.osDark", 5.1);
-      sessionStore.set("pupils.odLightRxn", "brisk");
-      sessionStore.set("pupils.osLightRxn", "brisk");
+      sessionStore.setMany({
+        "pupils.odLight": 3.5,
+        "pupils.osLight": 3.1,
+        "pupils.odDark": 5.5,
+        "pupils.osDark": 5.1,
+        "pupils.odLightRxn": "brisk",
+        "pupils.osLightRxn": "brisk"
+      });
       break;
 
     case "horner":
       // Small pupil pattern: OS smaller, greater anisocoria in dark
       // Typical Horner: ~2mm miosis with dilation lag
-      sessionStore.set("pupils.odLight", 3.5);
-      sessionStore.set("pupils.osLight", 2.5);
-      sessionStore.set("pupils.odDark", 6.0);
-      sessionStore.set("pupils.osDark", 4.0);
-      sessionStore.set("pupils.odLightRxn", "brisk");
-      sessionStore.set("pupils.osLightRxn", "brisk");
-      sessionStore.set("pupils.dilationLag", true);
-      sessionStore.set("eom.ptosis", true);
+      sessionStore.setMany({
+        "pupils.odLight": 3.5,
+        "pupils.osLight": 2.5,
+        "pupils.odDark": 6.0,
+        "pupils.osDark": 4.0,
+        "pupils.odLightRxn": "brisk",
+        "pupils.osLightRxn": "brisk",
+        "pupils.dilationLag": true,
+        "eom.ptosis": true,
+        "eom.ptosisEye": "OS"
+      });
       break;
 
     case "cn3":
       // Large pupil pattern: OD larger, greater anisocoria in light
       // Fixed dilated pupil with ptosis
-      sessionStore.set("pupils.odLight", 6.0);
-      sessionStore.set("pupils.osLight", 3.0);
-      sessionStore.set("pupils.odDark", 7.0);
-      sessionStore.set("pupils.osDark", 5.5);
-      sessionStore.set("pupils.odLightRxn", "none");
-      sessionStore.set("pupils.osLightRxn", "brisk");
-      sessionStore.set("eom.ptosis", true);
-      sessionStore.set("eom.diplopia", true);
-      sessionStore.set("eom.adductionDeficit", true);
-      sessionStore.set("eom.verticalLimitation", true);
+      sessionStore.setMany({
+        "pupils.odLight": 6.0,
+        "pupils.osLight": 3.0,
+        "pupils.odDark": 7.0,
+        "pupils.osDark": 5.5,
+        "pupils.odLightRxn": "none",
+        "pupils.osLightRxn": "brisk",
+        "eom.ptosis": true,
+        "eom.ptosisEye": "OD",
+        "eom.diplopia": true,
+        "eom.adductionDeficit": true,
+        "eom.verticalLimitation": true
+      });
       break;
 
     case "adie":
       // Large pupil pattern: OD larger, light-near dissociation
       // Sluggish reaction, no ptosis
-      sessionStore.set("pupils.odLight", 5.5);
-      sessionStore.set("pupils.osLight", 3.5);
-      sessionStore.set("pupils.odDark", 6.5);
-      sessionStore.set("pupils.osDark", 5.5);
-      sessionStore.set("pupils.odLightRxn", "sluggish");
-      sessionStore.set("pupils.osLightRxn", "brisk");
-      sessionStore.set("pupils.lightNearDissociation", true);
-      sessionStore.set("pupils.vermiform", true);
+      sessionStore.setMany({
+        "pupils.odLight": 5.5,
+        "pupils.osLight": 3.5,
+        "pupils.odDark": 6.5,
+        "pupils.osDark": 5.5,
+        "pupils.odLightRxn": "sluggish",
+        "pupils.osLightRxn": "brisk",
+        "pupils.lightNearDissociation": true,
+        "pupils.vermiform": true
+      });
       break;
 
     case "pharmacologic":
       // Large fixed pupil: unilateral mydriasis
       // No ptosis, no diplopia
-      sessionStore.set("pupils.odLight", 7.0);
-      sessionStore.set("pupils.osLight", 3.0);
-      sessionStore.set("pupils.odDark", 7.5);
-      sessionStore.set("pupils.osDark", 5.5);
-      sessionStore.set("pupils.odLightRxn", "none");
-      sessionStore.set("pupils.osLightRxn", "brisk");
-      sessionStore.set("pupils.anticholinergicExposure", true);
+      sessionStore.setMany({
+        "pupils.odLight": 7.0,
+        "pupils.osLight": 3.0,
+        "pupils.odDark": 7.5,
+        "pupils.osDark": 5.5,
+        "pupils.odLightRxn": "none",
+        "pupils.osLightRxn": "brisk",
+        "pupils.anticholinergicExposure": true
+      });
       break;
 
     case "aion":
       // AION pattern: RAPD, disc edema, altitudinal defect
-      sessionStore.set("pupils.odLight", 3.5);
-      sessionStore.set("pupils.osLight", 3.5);
-      sessionStore.set("pupils.odDark", 5.5);
-      sessionStore.set("pupils.osDark", 5.5);
-      sessionStore.set("pupils.odLightRxn", "brisk");
-      sessionStore.set("pupils.osLightRxn", "brisk");
-      sessionStore.set("pupils.rapdOD", "3+");
-      sessionStore.set("opticNerve.discEdemaOD", true);
-      sessionStore.set("opticNerve.vaReducedOD", true);
-      sessionStore.set("opticNerve.colorDeficitOD", true);
-      sessionStore.set("triage.acuteOnset", true);
-      sessionStore.set("visualFields.altitudinal", true);
-      sessionStore.set("visualFields.respectsHorizontalMeridian", true);
-      sessionStore.set("visualFields.laterality", "mono");
+      sessionStore.setMany({
+        "pupils.odLight": 3.5,
+        "pupils.osLight": 3.5,
+        "pupils.odDark": 5.5,
+        "pupils.osDark": 5.5,
+        "pupils.odLightRxn": "brisk",
+        "pupils.osLightRxn": "brisk",
+        "pupils.rapdOD": "3+",
+        "opticNerve.discEdemaOD": true,
+        "opticNerve.vaCorrectedOD": "CF",
+        "opticNerve.redDesaturationOD": 70,
+        "triage.acuteOnset": true,
+        "visualFields.altitudinal": true,
+        "visualFields.respectsHorizontalMeridian": true,
+        "visualFields.laterality": "mono"
+      });
       break;
 
     case "opticNeuritis":
       // Optic neuritis: RAPD, pain on movement, central scotoma
-      sessionStore.set("pupils.odLight", 3.5);
-      sessionStore.set("pupils.osLight", 3.5);
-      sessionStore.set("pupils.odDark", 5.5);
-      sessionStore.set("pupils.osDark", 5.5);
-      sessionStore.set("pupils.odLightRxn", "brisk");
-      sessionStore.set("pupils.osLightRxn", "brisk");
-      sessionStore.set("pupils.rapdOD", "2+");
-      sessionStore.set("opticNerve.colorDeficitOD", true);
-      sessionStore.set("opticNerve.vaReducedOD", true);
-      sessionStore.set("eom.painOnMovement", true);
-      sessionStore.set("triage.acuteOnset", true);
-      sessionStore.set("triage.painful", true);
-      sessionStore.set("visualFields.centralScotoma", true);
-      sessionStore.set("visualFields.laterality", "mono");
+      sessionStore.setMany({
+        "pupils.odLight": 3.5,
+        "pupils.osLight": 3.5,
+        "pupils.odDark": 5.5,
+        "pupils.osDark": 5.5,
+        "pupils.odLightRxn": "brisk",
+        "pupils.osLightRxn": "brisk",
+        "pupils.rapdOD": "2+",
+        "opticNerve.ishiharaCorrectOD": 3,
+        "opticNerve.ishiharaTotalOD": 14,
+        "opticNerve.ishiharaCorrectOS": 14,
+        "opticNerve.ishiharaTotalOS": 14,
+        "opticNerve.redDesaturationOD": 60,
+        "opticNerve.vaCorrectedOD": "20/40",
+        "opticNerve.vaCorrectedOS": "20/20",
+        "eom.painOnMovement": true,
+        "triage.acuteOnset": true,
+        "triage.painful": true,
+        "visualFields.centralScotoma": true,
+        "visualFields.laterality": "mono"
+      });
       break;
 
     case "papilledema":
       // Papilledema: bilateral disc edema, no RAPD initially
-      sessionStore.set("pupils.odLight", 3.5);
-      sessionStore.set("pupils.osLight", 3.5);
-      sessionStore.set("pupils.odDark", 5.5);
-      sessionStore.set("pupils.osDark", 5.5);
-      sessionStore.set("pupils.odLightRxn", "brisk");
-      sessionStore.set("pupils.osLightRxn", "brisk");
-      sessionStore.set("opticNerve.discEdemaOD", true);
-      sessionStore.set("opticNerve.discEdemaOS", true);
-      sessionStore.set("opticNerve.hemorrhages", true);
-      sessionStore.set("triage.neuroSx", true);
+      sessionStore.setMany({
+        "pupils.odLight": 3.5,
+        "pupils.osLight": 3.5,
+        "pupils.odDark": 5.5,
+        "pupils.osDark": 5.5,
+        "pupils.odLightRxn": "brisk",
+        "pupils.osLightRxn": "brisk",
+        "opticNerve.discEdemaOD": true,
+        "opticNerve.discEdemaOS": true,
+        "opticNerve.hemorrhages": true,
+        "triage.neuroSx": true
+      });
       break;
   }
 }
@@ -424,11 +496,17 @@ function bind() {
   $("neuroSx").addEventListener("change", e => sessionStore.set("triage.neuroSx", e.target.checked));
   $("trauma").addEventListener("change", e => sessionStore.set("triage.trauma", e.target.checked));
 
-  // pupil numbers
-  $("odLight").addEventListener("input", e => sessionStore.set("pupils.odLight", toNumOrNull(e.target.value)));
-  $("osLight").addEventListener("input", e => sessionStore.set("pupils.osLight", toNumOrNull(e.target.value)));
-  $("odDark").addEventListener("input",  e => sessionStore.set("pupils.odDark",  toNumOrNull(e.target.value)));
-  $("osDark").addEventListener("input",  e => sessionStore.set("pupils.osDark",  toNumOrNull(e.target.value)));
+  // Pupil sizes and plate counts are saved once entered rather than per keystroke, so a
+  // half-typed "1." or "-" isn't rejected; a value that is rejected is put back to the saved one
+  Object.entries(NUMBER_INPUTS).forEach(([id, path]) => {
+    $(id).addEventListener("change", e => sessionStore.set(path, toNumOrNull(e.target.value)));
+  });
+  window.addEventListener("session:invalid", e => {
+    const id = Object.keys(NUMBER_INPUTS).find(k => NUMBER_INPUTS[k] === e.detail.path);
+    if (!id) return;
+    const saved = e.detail.path.split(".").reduce((obj, k) => obj?.[k], sessionStore.getSession());
+    $(id).value = saved ?? "";
+  });
 
   bindDecimalInput($("odLight"));
   bindDecimalInput($("osLight"));
@@ -440,29 +518,31 @@ function bind() {
   $("osLightRxn").addEventListener("change", e => sessionStore.set("pupils.osLightRxn", e.target.value));
 
   // signs/exposure
-  $("dilationLag").addEventListener("change", e => sessionStore.set("pupils.dilationLag", e.target.checked));
-  $("anhidrosis").addEventListener("change", e => sessionStore.set("pupils.anhidrosis", e.target.checked));
-  $("lightNearDissociation").addEventListener("change", e => sessionStore.set("pupils.lightNearDissociation", e.target.checked));
-  $("vermiform").addEventListener("change", e => sessionStore.set("pupils.vermiform", e.target.checked));
-  $("anticholinergicExposure").addEventListener("change", e => sessionStore.set("pupils.anticholinergicExposure", e.target.checked));
-  $("sympathomimeticExposure").addEventListener("change", e => sessionStore.set("pupils.sympathomimeticExposure", e.target.checked));
+  bindTriState($("dilationLag"), v => sessionStore.set("pupils.dilationLag", v));
+  bindTriState($("anhidrosis"), v => sessionStore.set("pupils.anhidrosis", v));
+  bindTriState($("lightNearDissociation"), v => sessionStore.set("pupils.lightNearDissociation", v));
+  bindTriState($("vermiform"), v => sessionStore.set("pupils.vermiform", v));
+  bindTriState($("anticholinergicExposure"), v => sessionStore.set("pupils.anticholinergicExposure", v));
+  bindTriState($("sympathomimeticExposure"), v => sessionStore.set("pupils.sympathomimeticExposure", v));
 
   // RAPD
   $("rapdOD").addEventListener("change", e => sessionStore.set("pupils.rapdOD", e.target.value));
   $("rapdOS").addEventListener("change", e => sessionStore.set("pupils.rapdOS", e.target.value));
 
   // Optic nerve findings
-  $("discPallorOD").addEventListener("change", e => sessionStore.set("opticNerve.discPallorOD", e.target.checked));
-  $("discPallorOS").addEventListener("change", e => sessionStore.set("opticNerve.discPallorOS", e.target.checked));
-  $("discEdemaOD").addEventListener("change", e => sessionStore.set("opticNerve.discEdemaOD", e.target.checked));
-  $("discEdemaOS").addEventListener("change", e => sessionStore.set("opticNerve.discEdemaOS", e.target.checked));
-  $("colorDeficitOD").addEventListener("change", e => sessionStore.set("opticNerve.colorDeficitOD", e.target.checked));
-  $("colorDeficitOS").addEventListener("change", e => sessionStore.set("opticNerve.colorDeficitOS", e.target.checked));
-  $("vaReducedOD").addEventListener("change", e => sessionStore.set("opticNerve.vaReducedOD", e.target.checked));
-  $("vaReducedOS").addEventListener("change", e => sessionStore.set("opticNerve.vaReducedOS", e.target.checked));
-  $("optociliaryShunts").addEventListener("change", e => sessionStore.set("opticNerve.optociliaryShunts", e.target.checked));
-  $("cupping").addEventListener("change", e => sessionStore.set("opticNerve.cupping", e.target.checked));
-  $("discHemorrhages").addEventListener("change", e => sessionStore.set("opticNerve.hemorrhages", e.target.checked));
+  bindTriState($("discPallorOD"), v => sessionStore.set("opticNerve.discPallorOD", v));
+  bindTriState($("discPallorOS"), v => sessionStore.set("opticNerve.discPallorOS", v));
+  bindTriState($("discEdemaOD"), v => sessionStore.set("opticNerve.discEdemaOD", v));
+  bindTriState($("discEdemaOS"), v => sessionStore.set("opticNerve.discEdemaOS", v));
+  VA_INPUTS.forEach(id => {
+    $(id).addEventListener("input", e => sessionStore.set(`opticNerve.${id}`, e.target.value));
+  });
+  COLOR_SELECTS.forEach(id => {
+    $(id).addEventListener("change", e => sessionStore.set(`opticNerve.${id}`, e.target.value));
+  });
+  bindTriState($("optociliaryShunts"), v => sessionStore.set("opticNerve.optociliaryShunts", v));
+  bindTriState($("cupping"), v => sessionStore.set("opticNerve.cupping", v));
+  bindTriState($("discHemorrhages"), v => sessionStore.set("opticNerve.hemorrhages", v));
   $("opticNerveNotes").addEventListener("input", e => sessionStore.set("opticNerve.notes", e.target.value));
 
   // Quick presets
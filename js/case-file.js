@@ -0,0 +1,74 @@
+// js/case-file.js
+// Case files: a single JSON document carrying one session plus the engine output,
+// so a workup can be handed to a colleague or archived outside the browser.
+import { SCHEMA_VERSION, migrateSession } from "./common.js";
+import { compute } from "./engine.js";
+
+export const CASE_FORMAT = "neuro-ophtho-case";
+export const CASE_FORMAT_VERSION = 1;
+
+export function buildCaseFile(session) {
+  const { features, differential, urgency, alerts, testingRecommendations } = compute(session);
+  return {
+    format: CASE_FORMAT,
+    formatVersion: CASE_FORMAT_VERSION,
+    exportedAt: new Date().toISOString(),
+    schemaVersion: SCHEMA_VERSION,
+    session,
+    // Snapshot of what the engine showed at export time; recomputed on import
+    engine: { features, differential, urgency, alerts, testingRecommendations }
+  };
+}
+
+function caseFileName(session) {
+  const label = (session.meta.activePatientLabel || "case")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "") || "case";
+  return `${label}-${new Date().toISOString().slice(0, 10)}.json`;
+}
+
+export function downloadCaseFile(session) {
+  const blob = new Blob([JSON.stringify(buildCaseFile(session), null, 2)], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = caseFileName(session);
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
+
+// Returns { ok: true, session, label, exportedAt, warnings } or { ok: false, errors }
+export function parseCaseFile(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    return { ok: false, errors: ["File is not valid JSON."] };
+  }
+
+  const errors = [];
+  if (!data || typeof data !== "object") errors.push("File does not contain a case object.");
+  else {
+    if (data.format !== CASE_FORMAT) errors.push(`Not a case file (expected format "${CASE_FORMAT}").`);
+    if (data.formatVersion > CASE_FORMAT_VERSION) errors.push(`Case file version ${data.formatVersion} is newer than this app supports.`);
+    if (!data.session || typeof data.session !== "object" || Array.isArray(data.session)) errors.push("Case file has no session.");
+  }
+  if (errors.length) return { ok: false, errors };
+
+  const { session, fromVersion, unknown, invalid } = migrateSession(data.session);
+  const warnings = [];
+  if (fromVersion > SCHEMA_VERSION) warnings.push(`Exported with a newer session schema (${fromVersion}); some findings may not carry over.`);
+  if (unknown.length) warnings.push(`Ignored unrecognized fields: ${unknown.join(", ")}`);
+  if (invalid.length) warnings.push(`Cleared invalid values: ${invalid.join(", ")}`);
+
+  return {
+    ok: true,
+    session,
+    label: session.meta.activePatientLabel,
+    exportedAt: data.exportedAt || null,
+    warnings
+  };
+}
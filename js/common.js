@@ -1,14 +1,67 @@
 // js/common.js
+import { openStorage, CRYPTO_KEY } from "./storage.js";
+
 export const SESSION_KEY = "neuro_ophtho_session_v1";
+// Patient list: { activeId, patients: [{ id, label, createdAt, updatedAt }] }
+// Each patient's session is stored under `${SESSION_KEY}:${id}`, its undo/redo
+// history under `${SESSION_KEY}:${id}:history` and its dated visits under `${SESSION_KEY}:${id}:visits`
+export const PATIENTS_KEY = "neuro_ophtho_patients_v1";
+// Working copy of evidence.json from the evidence page (not per patient)
+export const EVIDENCE_DRAFT_KEY = "neuro_ophtho_evidence_draft_v1";
+
+// Bump when the session shape changes and append a step to MIGRATIONS below
+export const SCHEMA_VERSION = 8;
+
+// Undo steps kept per patient; typing into one field within the window is a single step
+const HISTORY_LIMIT = 50;
+const HISTORY_COALESCE_MS = 1000;
 
 function deepClone(x) { return JSON.parse(JSON.stringify(x)); }
 function nowISO() { return new Date().toISOString(); }
+function newId(prefix) {
+  return `${prefix}_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+}
+function newPatientId() { return newId("pt"); }
+function sessionKeyFor(id) { return `${SESSION_KEY}:${id}`; }
+function historyKeyFor(id) { return `${SESSION_KEY}:${id}:history`; }
+function visitsKeyFor(id) { return `${SESSION_KEY}:${id}:visits`; }
+function cloneValue(x) { return x === undefined ? undefined : deepClone(x); }
+function sameValue(a, b) { return JSON.stringify(a) === JSON.stringify(b); }
+// Like sameValue, but two tabs can build the same object with its keys in a different order
+function sameContent(a, b) {
+  if (a === b) return true;
+  if (!a || !b || typeof a !== "object" || typeof b !== "object" || Array.isArray(a) !== Array.isArray(b)) return false;
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every(k => Object.hasOwn(b, k) && sameContent(a[k], b[k]));
+}
+export function escapeHtml(s) {
+  return String(s).replace(/[&<>"']/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+}
+function cleanLabel(label) {
+  const s = String(label ?? "").trim();
+  return s || "Untitled";
+}
 
-const defaultSession = () => ({
+const defaultSession = (label = "Untitled", patientId = null) => ({
   meta: {
     createdAt: nowISO(),
     updatedAt: nowISO(),
-    activePatientLabel: "Untitled"
+    patientId,
+    activePatientLabel: label,
+    schemaVersion: SCHEMA_VERSION
+  },
+  demographics: {
+    age: null,                  // years
+    sex: "",                    // "female", "male", "other"
+    bmi: null                   // kg/m²
+  },
+  history: {
+    // Present / absent / not asked
+    diabetes: null,
+    hypertension: null,
+    multipleSclerosis: null,
+    malignancy: null,
+    pregnancy: null
   },
   triage: {
     acuteOnset: false,
@@ -20,42 +73,57 @@ const defaultSession = () => ({
     odLight: null, osLight: null,
     odDark: null, osDark: null,
     odLightRxn: "", osLightRxn: "",
-    dilationLag: false,
-    anhidrosis: false,
-    lightNearDissociation: false,
-    vermiform: false,
-    anticholinergicExposure: false,
-    sympathomimeticExposure: false,
+    dilationLag: null,
+    anhidrosis: null,
+    lightNearDissociation: null,
+    vermiform: null,
+    anticholinergicExposure: null,
+    sympathomimeticExposure: null,
     rapdOD: "",   // "", "none", "1+", "2+", "3+", "4+"
     rapdOS: ""    // "", "none", "1+", "2+", "3+", "4+"
   },
   opticNerve: {
     // Disc appearance
-    discPallorOD: false,
-    discPallorOS: false,
-    discEdemaOD: false,
-    discEdemaOS: false,
-    // Color vision
-    colorDeficitOD: false,    // Red desaturation or Ishihara deficit
-    colorDeficitOS: false,
-    // Visual acuity concerns
-    vaReducedOD: false,
-    vaReducedOS: false,
+    discPallorOD: null,
+    discPallorOS: null,
+    discEdemaOD: null,
+    discEdemaOS: null,
+    // Color vision, per test done (engine.js grades the loss)
+    ishiharaCorrectOD: null,  // Plates read correctly...
+    ishiharaTotalOD: null,    // ...out of those shown
+    hrrGradeOD: "",           // "", "normal", "mild", "medium", "strong"
+    hrrAxisOD: "",            // "", "protan", "deutan", "tritan", "unclassified"
+    redDesaturationOD: null,  // % desaturation of a red target against the other eye
+    ishiharaCorrectOS: null,
+    ishiharaTotalOS: null,
+    hrrGradeOS: "",
+    hrrAxisOS: "",
+    redDesaturationOS: null,
+    // Visual acuity as written: Snellen, decimal, ETDRS letters, CF/HM/LP/NLP (see acuity.js)
+    vaUncorrectedOD: "",
+    vaCorrectedOD: "",
+    vaPinholeOD: "",
+    vaUncorrectedOS: "",
+    vaCorrectedOS: "",
+    vaPinholeOS: "",
     // Additional findings
-    optociliaryShunts: false,  // Suggests chronic compression
-    cupping: false,            // Glaucomatous changes
-    hemorrhages: false,        // Disc hemorrhages
+    optociliaryShunts: null,   // Suggests chronic compression
+    cupping: null,             // Glaucomatous changes
+    hemorrhages: null,         // Disc hemorrhages
     notes: ""
   },
   eom: {
-    diplopia: false,
-    ptosis: false,
+    diplopia: null,
+    ptosis: null,
+    ptosisEye: "",              // "OD" | "OS" | "OU" | ""
     comitant: null,             // true/false/null
     abductionDeficit: null,     // true/false/null
     adductionDeficit: null,     // true/false/null
     verticalLimitation: null,   // true/false/null
-    fatigable: false,           // MG screening
-    painOnMovement: false,      // orbital/inflammatory
+    fatigable: null,            // MG screening
+    painOnMovement: null,       // orbital/inflammatory
+    gazeDeficitsOD: [],         // gaze positions from the 9-position grid
+    gazeDeficitsOS: [],
     notes: ""
   },
   visualFields: {
@@ -74,7 +142,7 @@ const defaultSession = () => ({
     notes: ""
   },
   nystagmus: {
-    present: false,
+    present: null,
 
     // Type classification
     type: "",              // "jerk", "pendular", "mixed"
@@ -88,73 +156,595 @@ const defaultSession = () => ({
     frequency: "",         // "low", "moderate", "high"
 
     // Gaze dependency
-    primaryPosition: false,      // Present in primary gaze
-    gazeEvoked: false,           // Increases with eccentric gaze
+    primaryPosition: null,       // Present in primary gaze
+    gazeEvoked: null,            // Increases with eccentric gaze
     gazeEvokedDirection: "",     // "right", "left", "up", "down", "all"
-    downbeatPrimary: false,      // Downbeat in primary position
-    upbeatPrimary: false,        // Upbeat in primary position
+    downbeatPrimary: null,       // Downbeat in primary position
+    upbeatPrimary: null,         // Upbeat in primary position
 
     // Special patterns
-    convergenceRetraction: false,  // Parinaud syndrome
-    seesaw: false,                 // Parasellar lesions
-    periodicAlternating: false,    // PAN - cerebellar
-    dissociated: false,            // INO pattern - asymmetric between eyes
-    latent: false,                 // Only with monocular viewing
+    convergenceRetraction: null,   // Parinaud syndrome
+    seesaw: null,                  // Parasellar lesions
+    periodicAlternating: null,     // PAN - cerebellar
+    dissociated: null,             // INO pattern - asymmetric between eyes
+    latent: null,                  // Only with monocular viewing
 
     // Associated symptoms
-    oscillopsia: false,           // Perception of visual motion
-    vertigo: false,
-    headShaking: false,           // Compensatory head movement
-    headTilt: false,              // Null point compensation
+    oscillopsia: null,            // Perception of visual motion
+    vertigo: null,
+    headShaking: null,            // Compensatory head movement
+    headTilt: null,               // Null point compensation
 
     // Vestibular signs
-    positional: false,            // Position-dependent (BPPV pattern)
-    spontaneous: false,           // Present without provocation
-    directionChanging: false,     // Changes direction with gaze position
+    positional: null,             // Position-dependent (BPPV pattern)
+    spontaneous: null,            // Present without provocation
+    directionChanging: null,      // Changes direction with gaze position
 
     notes: ""
+  },
+  alerts: {
+    // Red flag ids (red-flags.js) the clinician has seen; dismissed ones are hidden
+    acknowledged: [],
+    dismissed: []
   }
 
 });
 
+// =====================================
+// SESSION SCHEMA
+// =====================================
+
+// Field specs: boolean (optionally nullable for true/false/unknown),
+// number (nullable, min/max), enum ("" means not recorded), string, array of items
+const bool = { type: "boolean" };
+const triState = { type: "boolean", nullable: true };
+const text = { type: "string" };
+const pupilMm = { type: "number", nullable: true, min: 1, max: 10, unit: "mm" };
+const oneOf = (...values) => ({ type: "enum", values: ["", ...values] });
+const RAPD_GRADES = oneOf("none", "1+", "2+", "3+", "4+");
+const LIGHT_REACTION = oneOf("brisk", "sluggish", "none");
+const GAZE_POSITIONS = ["upleft", "up", "upright", "left", "right", "downleft", "down", "downright"];
+const gazeList = { type: "array", items: { type: "enum", values: GAZE_POSITIONS } };
+const alertIds = { type: "array", items: text };
+const ishiharaPlates = { type: "number", nullable: true, min: 0, max: 38, unit: "plates" };
+const percent = { type: "number", nullable: true, min: 0, max: 100, unit: "%" };
+const HRR_GRADES = oneOf("normal", "mild", "medium", "strong");
+const HRR_AXES = oneOf("protan", "deutan", "tritan", "unclassified");
+
+export const SESSION_SCHEMA = {
+  meta: {
+    createdAt: text,
+    updatedAt: text,
+    patientId: { type: "string", nullable: true },
+    activePatientLabel: text,
+    schemaVersion: { type: "number", min: 1 }
+  },
+  demographics: {
+    age: { type: "number", nullable: true, min: 0, max: 120, unit: "years" },
+    sex: oneOf("female", "male", "other"),
+    bmi: { type: "number", nullable: true, min: 10, max: 80, unit: "kg/m²" }
+  },
+  history: {
+    diabetes: triState,
+    hypertension: triState,
+    multipleSclerosis: triState,
+    malignancy: triState,
+    pregnancy: triState
+  },
+  triage: {
+    acuteOnset: bool,
+    painful: bool,
+    neuroSx: bool,
+    trauma: bool
+  },
+  pupils: {
+    odLight: pupilMm, osLight: pupilMm,
+    odDark: pupilMm, osDark: pupilMm,
+    odLightRxn: LIGHT_REACTION, osLightRxn: LIGHT_REACTION,
+    dilationLag: triState,
+    anhidrosis: triState,
+    lightNearDissociation: triState,
+    vermiform: triState,
+    anticholinergicExposure: triState,
+    sympathomimeticExposure: triState,
+    rapdOD: RAPD_GRADES,
+    rapdOS: RAPD_GRADES
+  },
+  opticNerve: {
+    discPallorOD: triState,
+    discPallorOS: triState,
+    discEdemaOD: triState,
+    discEdemaOS: triState,
+    ishiharaCorrectOD: ishiharaPlates,
+    ishiharaTotalOD: ishiharaPlates,
+    hrrGradeOD: HRR_GRADES,
+    hrrAxisOD: HRR_AXES,
+    redDesaturationOD: percent,
+    ishiharaCorrectOS: ishiharaPlates,
+    ishiharaTotalOS: ishiharaPlates,
+    hrrGradeOS: HRR_GRADES,
+    hrrAxisOS: HRR_AXES,
+    redDesaturationOS: percent,
+    vaUncorrectedOD: text,
+    vaCorrectedOD: text,
+    vaPinholeOD: text,
+    vaUncorrectedOS: text,
+    vaCorrectedOS: text,
+    vaPinholeOS: text,
+    optociliaryShunts: triState,
+    cupping: triState,
+    hemorrhages: triState,
+    notes: text
+  },
+  eom: {
+    diplopia: triState,
+    ptosis: triState,
+    ptosisEye: oneOf("OD", "OS", "OU"),
+    comitant: triState,
+    abductionDeficit: triState,
+    adductionDeficit: triState,
+    verticalLimitation: triState,
+    fatigable: triState,
+    painOnMovement: triState,
+    gazeDeficitsOD: gazeList,
+    gazeDeficitsOS: gazeList,
+    notes: text
+  },
+  visualFields: {
+    complaint: bool,
+    testType: oneOf("HVF_24-2", "HVF_30-2", "HVF_10-2", "Goldmann", "Other"),
+    reliability: oneOf("good", "borderline", "poor"),
+    newDefect: bool,
+    laterality: oneOf("mono", "binocular", "unknown"),
+    respectsVerticalMeridian: triState,
+    respectsHorizontalMeridian: triState,
+    homonymous: bool,
+    bitemporal: bool,
+    altitudinal: bool,
+    centralScotoma: bool,
+    congruity: oneOf("low", "moderate", "high"),
+    notes: text
+  },
+  nystagmus: {
+    present: triState,
+    type: oneOf("jerk", "pendular", "mixed"),
+    waveform: oneOf("horizontal", "vertical", "torsional", "mixed"),
+    fastPhase: oneOf("right", "left", "up", "down", "clockwise", "counterclockwise"),
+    amplitude: oneOf("fine", "medium", "coarse"),
+    frequency: oneOf("low", "moderate", "high"),
+    primaryPosition: triState,
+    gazeEvoked: triState,
+    gazeEvokedDirection: oneOf("right", "left", "up", "down", "all"),
+    downbeatPrimary: triState,
+    upbeatPrimary: triState,
+    convergenceRetraction: triState,
+    seesaw: triState,
+    periodicAlternating: triState,
+    dissociated: triState,
+    latent: triState,
+    oscillopsia: triState,
+    vertigo: triState,
+    headShaking: triState,
+    headTilt: triState,
+    positional: triState,
+    spontaneous: triState,
+    directionChanging: triState,
+    notes: text
+  },
+  alerts: {
+    acknowledged: alertIds,
+    dismissed: alertIds
+  }
+};
+
+function describe(value) {
+  return typeof value === "string" ? `"${value}"` : JSON.stringify(value);
+}
+
+// Returns { ok: true, value } with the coerced value, or { ok: false, error }
+function coerce(spec, value) {
+  const empty = value === null || value === undefined || value === "";
+
+  switch (spec.type) {
+    case "boolean":
+      if (empty && spec.nullable) return { ok: true, value: null };
+      if (value === true || value === "true") return { ok: true, value: true };
+      if (value === false || value === "false") return { ok: true, value: false };
+      return { ok: false, error: `expected ${spec.nullable ? "true, false or blank" : "true or false"}, got ${describe(value)}` };
+
+    case "number": {
+      if (empty && spec.nullable) return { ok: true, value: null };
+      const n = typeof value === "string" ? Number(value.trim().replace(",", ".")) : value;
+      if (typeof n !== "number" || !Number.isFinite(n)) return { ok: false, error: `expected a number, got ${describe(value)}` };
+      const unit = spec.unit ? ` ${spec.unit}` : "";
+      if (spec.min !== undefined && n < spec.min) return { ok: false, error: `${n}${unit} is below the minimum of ${spec.min}${unit}` };
+      if (spec.max !== undefined && n > spec.max) return { ok: false, error: `${n}${unit} is above the maximum of ${spec.max}${unit}` };
+      return { ok: true, value: n };
+    }
+
+    case "enum":
+      if (empty && spec.values.includes("")) return { ok: true, value: "" };
+      if (spec.values.includes(value)) return { ok: true, value };
+      return { ok: false, error: `${describe(value)} is not one of ${spec.values.filter(v => v !== "").join(", ")}` };
+
+    case "string":
+      if (empty) return { ok: true, value: spec.nullable && value !== "" ? null : "" };
+      if (typeof value === "string" || typeof value === "number") return { ok: true, value: String(value) };
+      return { ok: false, error: `expected text, got ${describe(value)}` };
+
+    case "array": {
+      if (!Array.isArray(value)) return { ok: false, error: `expected a list, got ${describe(value)}` };
+      const out = [];
+      for (const item of value) {
+        const r = coerce(spec.items, item);
+        if (!r.ok) return r;
+        if (!out.includes(r.value)) out.push(r.value);
+      }
+      return { ok: true, value: out };
+    }
+
+    default:
+      return { ok: true, value };
+  }
+}
+
+// Check a dot-path write against SESSION_SCHEMA
+export function validateField(path, value) {
+  const [section, field, ...rest] = String(path).split(".");
+  const spec = SESSION_SCHEMA[section] && Object.hasOwn(SESSION_SCHEMA[section], field) ? SESSION_SCHEMA[section][field] : null;
+  if (!spec || rest.length) return { ok: false, error: `${path} is not a session field` };
+
+  const result = coerce(spec, value);
+  return result.ok ? result : { ok: false, error: `${path}: ${result.error}` };
+}
+
+// =====================================
+// SCHEMA MIGRATIONS
+// =====================================
+
+// Ordered steps; each upgrades a stored session from `to - 1` to `to`.
+// Sessions saved before versioning existed count as version 1.
+// A version that only adds fields or sections has an empty step: migrateSession() fills
+// anything missing from defaultSession(). It still gets its own version so that an older
+// build leaves a session carrying the new fields untouched on disk instead of dropping them.
+const MIGRATIONS = [
+  {
+    to: 2,
+    // Declare the gaze grids that eom.page.js used to add on the fly
+    up(s) {
+      s.eom = s.eom || {};
+      if (!Array.isArray(s.eom.gazeDeficitsOD)) s.eom.gazeDeficitsOD = [];
+      if (!Array.isArray(s.eom.gazeDeficitsOS)) s.eom.gazeDeficitsOS = [];
+      return s;
+    }
+  },
+  {
+    to: 3,
+    // Signs became present / absent / not examined. An unticked box never said whether the
+    // sign was looked for, so it becomes "not examined" rather than a documented absence.
+    up(s) {
+      const signs = {
+        pupils: ["dilationLag", "anhidrosis", "lightNearDissociation", "vermiform",
+          "anticholinergicExposure", "sympathomimeticExposure"],
+        opticNerve: ["discPallorOD", "discPallorOS", "discEdemaOD", "discEdemaOS", "colorDeficitOD",
+          "colorDeficitOS", "vaReducedOD", "vaReducedOS", "optociliaryShunts", "cupping", "hemorrhages"],
+        eom: ["diplopia", "ptosis", "fatigable", "painOnMovement"],
+        nystagmus: ["present", "primaryPosition", "gazeEvoked", "downbeatPrimary", "upbeatPrimary",
+          "convergenceRetraction", "seesaw", "periodicAlternating", "dissociated", "latent", "oscillopsia",
+          "vertigo", "headShaking", "headTilt", "positional", "spontaneous", "directionChanging"]
+      };
+      Object.entries(signs).forEach(([section, fields]) => {
+        if (!isPlainObject(s[section])) return;
+        fields.forEach(k => { if (s[section][k] === false) s[section][k] = null; });
+      });
+      return s;
+    }
+  },
+  {
+    to: 4,
+    // Added the demographics and history sections; older sessions start with them blank
+    up(s) {
+      return s;
+    }
+  },
+  {
+    to: 5,
+    // Added eom.ptosisEye; ptosis recorded before it has no side
+    up(s) {
+      return s;
+    }
+  },
+  {
+    to: 6,
+    // Added the alerts section; nothing has been acknowledged or dismissed yet
+    up(s) {
+      return s;
+    }
+  },
+  {
+    to: 7,
+    // Visual acuity is entered as measured instead of a "VA reduced" sign per eye. A checkbox
+    // can't become a measurement, so a recorded reduction is kept in the notes to re-measure.
+    up(s) {
+      const on = s.opticNerve;
+      if (!isPlainObject(on)) return s;
+      const reduced = ["OD", "OS"].filter(eye => on[`vaReduced${eye}`] === true);
+      if (reduced.length) {
+        on.notes = [on.notes, `VA reduced ${reduced.join(" and ")} (recorded before acuity entry; re-measure)`]
+          .filter(Boolean).join("\n");
+      }
+      delete on.vaReducedOD;
+      delete on.vaReducedOS;
+      return s;
+    }
+  },
+  {
+    to: 8,
+    // Color vision is entered per test instead of a "color deficit" sign per eye; as with
+    // acuity, a recorded sign is kept in the notes to re-test.
+    up(s) {
+      const on = s.opticNerve;
+      if (!isPlainObject(on)) return s;
+      const notes = [[true, "Color deficit"], [false, "Color vision normal"]].map(([value, label]) => {
+        const eyes = ["OD", "OS"].filter(eye => on[`colorDeficit${eye}`] === value);
+        return eyes.length ? `${label} ${eyes.join(" and ")} (recorded before color testing entry; re-test)` : "";
+      });
+      on.notes = [on.notes, ...notes].filter(Boolean).join("\n");
+      delete on.colorDeficitOD;
+      delete on.colorDeficitOS;
+      return s;
+    }
+  }
+];
+
+function isPlainObject(x) {
+  return x !== null && typeof x === "object" && !Array.isArray(x);
+}
+
+// Blank/empty values are what an unexamined field looks like. So is false for a plain
+// checkbox, but for a present/absent/not-examined sign it documents an absence.
+function isUnrecorded(value, spec) {
+  if (value === false) return !(spec && spec.nullable);
+  return value === null || value === "" || (Array.isArray(value) && !value.length);
+}
+
+// Copy only the fields the current schema declares; everything else is reported
+function conformToDefaults(stored, defaults, prefix, unknown) {
+  const out = {};
+  Object.keys(defaults).forEach(k => {
+    const d = defaults[k];
+    if (!(k in stored)) out[k] = d;
+    else if (isPlainObject(d)) out[k] = isPlainObject(stored[k]) ? conformToDefaults(stored[k], d, `${prefix}${k}.`, unknown) : d;
+    else if (Array.isArray(d)) out[k] = Array.isArray(stored[k]) ? stored[k] : d;
+    else out[k] = stored[k];
+  });
+  Object.keys(stored).forEach(k => {
+    if (!(k in defaults)) unknown.push(`${prefix}${k}`);
+  });
+  return out;
+}
+
+// Upgrade a stored session blob to SCHEMA_VERSION.
+// Returns { session, fromVersion, unknown, invalid }: `unknown` lists dropped paths,
+// `invalid` lists fields that failed validation and were reset to their defaults.
+export function migrateSession(stored) {
+  let s = isPlainObject(stored) ? deepClone(stored) : {};
+  const fromVersion = Number((s.meta && s.meta.schemaVersion) || 1);
+
+  MIGRATIONS
+    .filter(m => m.to > fromVersion && m.to <= SCHEMA_VERSION)
+    .sort((a, b) => a.to - b.to)
+    .forEach(m => { s = m.up(s); });
+
+  const unknown = [];
+  const defaults = defaultSession();
+  const session = conformToDefaults(s, defaults, "", unknown);
+  session.meta.schemaVersion = SCHEMA_VERSION;
+
+  const invalid = [];
+  Object.keys(SESSION_SCHEMA).forEach(section => {
+    Object.keys(SESSION_SCHEMA[section]).forEach(field => {
+      const r = validateField(`${section}.${field}`, session[section][field]);
+      if (r.ok) {
+        session[section][field] = r.value;
+      } else {
+        invalid.push(`${section}.${field}`);
+        session[section][field] = defaults[section][field];
+      }
+    });
+  });
+  return { session, fromVersion, unknown, invalid };
+}
+
 class SessionStore {
-  constructor() {
-    this._session = this._load();
+  // `storage` is the cached adapter from storage.js (getItem/setItem/removeItem)
+  constructor(storage) {
+    this._storage = storage;
+    this._loadReports = new Map();
+    this._loadFromStorage();
     this._listeners = new Set();
+    this._batchDepth = 0;
+    this._batchDirty = false;
+    this._pendingChanges = [];
+    this._pendingRejections = [];
+
+    // Cross-tab sync state
+    this._tabId = newId("tab");
+    this._clock = new Map();
+    this._outbox = [];
+    this._channel = null;
+    this._listenToOtherTabs();
+  }
+
+  // While encrypted storage is locked nothing is readable, so the store holds an
+  // empty session that is never saved until unlock() loads the real one
+  _loadFromStorage() {
+    this._locked = this._storage.isLocked();
+    if (this._locked) {
+      this._index = { activeId: null, patients: [] };
+      this._session = defaultSession();
+      this._history = { undo: [], redo: [] };
+      return;
+    }
+    this._index = this._loadIndex();
+    this._session = this._load(this._index.activeId);
+    this._history = this._loadHistory(this._index.activeId);
   }
 
-  _load() {
-    const raw = localStorage.getItem(SESSION_KEY);
-    if (!raw) return defaultSession();
+  // Load the patient list, adopting a pre-existing single session as the first patient
+  _loadIndex() {
+    let index = null;
     try {
-      const parsed = JSON.parse(raw);
-      const d = defaultSession();
-      return {
-        ...d,
-        ...parsed,
-        meta: { ...d.meta, ...(parsed.meta || {}) },
-        triage: { ...d.triage, ...(parsed.triage || {}) },
-        pupils: { ...d.pupils, ...(parsed.pupils || {}) },
-        opticNerve: { ...d.opticNerve, ...(parsed.opticNerve || {}) },
-        eom: { ...d.eom, ...(parsed.eom || {}) },
-        visualFields: { ...d.visualFields, ...(parsed.visualFields || {}) },
-        nystagmus: { ...d.nystagmus, ...(parsed.nystagmus || {}) }
-      };
+      index = JSON.parse(this._storage.getItem(PATIENTS_KEY) || "null");
     } catch {
-      return defaultSession();
+      index = null;
+    }
+
+    if (index && Array.isArray(index.patients) && index.patients.length) {
+      if (!index.patients.some(pt => pt.id === index.activeId)) {
+        index.activeId = index.patients[0].id;
+      }
+      return index;
+    }
+
+    const id = newPatientId();
+    const legacy = this._storage.getItem(SESSION_KEY);
+    let label = "Untitled";
+    let createdAt = nowISO();
+    if (legacy) {
+      try {
+        const meta = JSON.parse(legacy).meta || {};
+        label = cleanLabel(meta.activePatientLabel);
+        createdAt = meta.createdAt || createdAt;
+      } catch {
+        // Unreadable legacy session: start the patient fresh
+      }
+      this._storage.setItem(sessionKeyFor(id), legacy);
+      this._storage.removeItem(SESSION_KEY);
     }
+
+    index = {
+      activeId: id,
+      patients: [{ id, label, createdAt, updatedAt: nowISO() }]
+    };
+    this._storage.setItem(PATIENTS_KEY, JSON.stringify(index));
+    return index;
+  }
+
+  _saveIndex() {
+    this._storage.setItem(PATIENTS_KEY, JSON.stringify(this._index));
+  }
+
+  _entry(id) {
+    return this._index.patients.find(pt => pt.id === id) || null;
+  }
+
+  _load(id) {
+    const entry = this._entry(id);
+    const label = entry ? entry.label : "Untitled";
+    const raw = this._storage.getItem(sessionKeyFor(id));
+    this._loadReports.delete(id);
+    if (!raw) return defaultSession(label, id);
+
+    let parsed;
+    try {
+      parsed = JSON.parse(raw);
+    } catch {
+      return defaultSession(label, id);
+    }
+
+    const { session, fromVersion, unknown, invalid } = migrateSession(parsed);
+    session.meta.patientId = id;
+    session.meta.activePatientLabel = label;
+
+    if (fromVersion === SCHEMA_VERSION && !unknown.length && !invalid.length) return session;
+
+    this._loadReports.set(id, { fromVersion, toVersion: SCHEMA_VERSION, unknown, invalid });
+    // A session from a newer build is left untouched on disk until it is edited here
+    if (fromVersion <= SCHEMA_VERSION) this._storage.setItem(sessionKeyFor(id), JSON.stringify(session));
+    return session;
+  }
+
+  // What loading the active patient upgraded or dropped, or null if it was already current
+  getLoadReport() {
+    const report = this._loadReports.get(this._index.activeId);
+    return report ? deepClone(report) : null;
+  }
+
+  _loadHistory(id) {
+    try {
+      const h = JSON.parse(this._storage.getItem(historyKeyFor(id)) || "null");
+      if (h && Array.isArray(h.undo) && Array.isArray(h.redo)) return h;
+    } catch {
+      // Corrupt history is dropped rather than blocking the session
+    }
+    return { undo: [], redo: [] };
   }
 
   _save() {
-    this._session.meta.updatedAt = nowISO();
-    localStorage.setItem(SESSION_KEY, JSON.stringify(this._session));
+    this._saveSession();
+    this._storage.setItem(historyKeyFor(this._session.meta.patientId), JSON.stringify(this._history));
+    this._broadcast();
+  }
+
+  _saveSession() {
+    const meta = this._session.meta;
+    meta.updatedAt = nowISO();
+    meta.activePatientLabel = cleanLabel(meta.activePatientLabel);
+    this._storage.setItem(sessionKeyFor(meta.patientId), JSON.stringify(this._session));
+
+    // Keep the patient list in step with the active session
+    const entry = this._entry(meta.patientId);
+    if (entry) {
+      entry.label = meta.activePatientLabel;
+      entry.updatedAt = meta.updatedAt;
+      this._saveIndex();
+    }
+  }
+
+  // { ok, adapter, quota, message } for the storage backend's last write
+  getStorageStatus() {
+    return this._storage.status();
   }
 
   getSession() {
     return deepClone(this._session);
   }
 
+  // Returns false (and reports it) when the value fails SESSION_SCHEMA
   set(path, value) {
+    if (this._locked) {
+      this._reportInvalid(path, value, "the session is locked");
+      return false;
+    }
+    const result = validateField(path, value);
+    if (!result.ok) {
+      this._reportInvalid(path, value, result.error);
+      return false;
+    }
+
+    const before = cloneValue(this._get(path));
+    this._assign(path, result.value);
+    this._record([{ path, before, after: cloneValue(result.value) }]);
+    this._stamp([path]);
+    this._commit();
+    return true;
+  }
+
+  // Inside a batch, rejections wait for its closing session:changed so they are reported last
+  _reportInvalid(path, value, error) {
+    if (this._batchDepth > 0) {
+      this._pendingRejections.push({ path, value, error });
+      return;
+    }
+    window.dispatchEvent(new CustomEvent("session:invalid", { detail: { path, value, error } }));
+  }
+
+  _get(path) {
+    return path.split(".").reduce((obj, k) => (obj == null ? undefined : obj[k]), this._session);
+  }
+
+  _assign(path, value) {
     const parts = path.split(".");
     let obj = this._session;
     for (let i = 0; i < parts.length - 1; i++) {
@@ -162,15 +752,505 @@ class SessionStore {
       if (!(k in obj)) obj[k] = {};
       obj = obj[k];
     }
-    obj[parts[parts.length - 1]] = value;
+    const last = parts[parts.length - 1];
+    if (value === undefined) delete obj[last];
+    else obj[last] = value;
+  }
+
+  // Applies { "section.field": value, ... } with a single save and emit
+  // Invalid entries are reported and skipped; the rest still apply together
+  setMany(updates) {
+    let allValid = true;
+    this.batch(() => {
+      Object.entries(updates).forEach(([path, value]) => {
+        if (!this.set(path, value)) allValid = false;
+      });
+    });
+    return allValid;
+  }
+
+  // Runs fn with saves/emits deferred until it returns. Nested batches join the
+  // outermost one; if fn throws, the session is rolled back and nothing is emitted.
+  batch(fn) {
+    const outermost = this._batchDepth === 0;
+    const before = outermost ? deepClone(this._session) : null;
+    const clockBefore = outermost ? new Map(this._clock) : null;
+    const outboxBefore = this._outbox.length;
+
+    this._batchDepth++;
+    try {
+      fn(this);
+    } catch (err) {
+      if (outermost) {
+        this._session = before;
+        this._batchDirty = false;
+        this._pendingChanges = [];
+        this._pendingRejections = [];
+        this._clock = clockBefore;
+        this._outbox.length = outboxBefore;
+      }
+      throw err;
+    } finally {
+      this._batchDepth--;
+    }
+
+    if (outermost && this._batchDirty) {
+      this._batchDirty = false;
+      const changes = this._pendingChanges;
+      this._pendingChanges = [];
+      this._pushHistory(changes);
+      this._save();
+      this._emit();
+      this._emitWritten();
+    }
+    if (outermost) {
+      const rejections = this._pendingRejections;
+      this._pendingRejections = [];
+      rejections.forEach(r => this._reportInvalid(r.path, r.value, r.error));
+    }
+  }
+
+  _commit() {
+    if (this._batchDepth > 0) {
+      this._batchDirty = true;
+      return;
+    }
     this._save();
     this._emit();
+    this._emitWritten();
+  }
+
+  // session:written follows session:changed only for writes accepted in this tab, so
+  // it never fires for another tab's changes, an undo or a patient switch
+  _emitWritten() {
+    window.dispatchEvent(new CustomEvent("session:written"));
   }
 
+  // Clears the active patient's findings; the patient itself stays in the list
   reset() {
-    this._session = defaultSession();
+    if (this._locked) return;
+    const { patientId, activePatientLabel } = this._session.meta;
+    const previous = this._session;
+    this._session = defaultSession(activePatientLabel, patientId);
+
+    // Recorded per section so undo restores everything the reset cleared
+    const sections = new Set([...Object.keys(previous), ...Object.keys(this._session)]);
+    sections.delete("meta");
+    this._record([...sections].map(path => ({
+      path,
+      before: cloneValue(previous[path]),
+      after: cloneValue(this._session[path])
+    })));
+    this._stamp([...sections]);
+    this._commit();
+  }
+
+  // Loads findings from another session (e.g. an imported case file) into the
+  // active patient as one undoable step. "replace" overwrites every field;
+  // "merge" only takes fields the other session actually recorded.
+  importSession(other, mode = "replace") {
+    const { session } = migrateSession(other);
+    const updates = {};
+    Object.keys(SESSION_SCHEMA).filter(section => section !== "meta").forEach(section => {
+      Object.entries(session[section]).forEach(([field, value]) => {
+        if (mode === "merge" && isUnrecorded(value, SESSION_SCHEMA[section][field])) return;
+        updates[`${section}.${field}`] = value;
+      });
+    });
+    return this.setMany(updates);
+  }
+
+  // =====================================
+  // UNDO / REDO
+  // =====================================
+
+  _record(changes) {
+    const real = changes.filter(c => !sameValue(c.before, c.after));
+    if (!real.length) return;
+    if (this._batchDepth > 0) {
+      this._pendingChanges.push(...real);
+      return;
+    }
+    this._pushHistory(real);
+  }
+
+  _pushHistory(changes) {
+    if (!changes.length) return;
+    const now = Date.now();
+    const last = this._history.undo[this._history.undo.length - 1];
+
+    // Keystrokes in a text field collapse into one step
+    const coalesce = last && changes.length === 1 && last.changes.length === 1 &&
+      last.changes[0].path === changes[0].path &&
+      typeof changes[0].after === "string" &&
+      now - last.at < HISTORY_COALESCE_MS;
+
+    if (coalesce) {
+      last.changes[0].after = changes[0].after;
+      last.at = now;
+    } else {
+      this._history.undo.push({ at: now, changes });
+      if (this._history.undo.length > HISTORY_LIMIT) this._history.undo.shift();
+    }
+    this._history.redo = [];
+  }
+
+  canUndo() {
+    return this._history.undo.length > 0;
+  }
+
+  canRedo() {
+    return this._history.redo.length > 0;
+  }
+
+  undo() {
+    const entry = this._history.undo.pop();
+    if (!entry) return false;
+    [...entry.changes].reverse().forEach(c => this._assign(c.path, cloneValue(c.before)));
+    this._stamp(entry.changes.map(c => c.path));
+    this._history.redo.push(entry);
+    this._save();
+    this._emit();
+    return true;
+  }
+
+  redo() {
+    const entry = this._history.redo.pop();
+    if (!entry) return false;
+    entry.changes.forEach(c => this._assign(c.path, cloneValue(c.after)));
+    this._stamp(entry.changes.map(c => c.path));
+    this._history.undo.push(entry);
     this._save();
     this._emit();
+    return true;
+  }
+
+  // =====================================
+  // VISITS
+  // =====================================
+  // A visit is a dated, read-only snapshot of the active patient's session
+  // plus whatever the caller captured with it (e.g. the engine output).
+
+  // Visit sessions saved under an older schema are upgraded as they're read, so they compare
+  // field for field with current findings; the engine snapshot stays as it was recorded
+  _loadVisits(id) {
+    try {
+      const visits = JSON.parse(this._storage.getItem(visitsKeyFor(id)) || "[]");
+      return Array.isArray(visits)
+        ? visits.map(v => (isPlainObject(v.session) ? { ...v, session: migrateSession(v.session).session } : v))
+        : [];
+    } catch {
+      return [];
+    }
+  }
+
+  // Oldest first
+  listVisits() {
+    return this._loadVisits(this._index.activeId)
+      .sort((a, b) => (a.date || "").localeCompare(b.date || "") || (a.savedAt || "").localeCompare(b.savedAt || ""));
+  }
+
+  getVisit(visitId) {
+    return this.listVisits().find(v => v.id === visitId) || null;
+  }
+
+  addVisit(visit) {
+    if (this._locked) return null;
+    const id = this._index.activeId;
+    const visits = this._loadVisits(id);
+    const entry = { ...deepClone(visit), id: newId("visit"), savedAt: nowISO() };
+    visits.push(entry);
+    this._storage.setItem(visitsKeyFor(id), JSON.stringify(visits));
+    this._emit();
+    return entry.id;
+  }
+
+  deleteVisit(visitId) {
+    const id = this._index.activeId;
+    const visits = this._loadVisits(id);
+    const remaining = visits.filter(v => v.id !== visitId);
+    if (remaining.length === visits.length) return false;
+    this._storage.setItem(visitsKeyFor(id), JSON.stringify(remaining));
+    this._emit();
+    return true;
+  }
+
+  // =====================================
+  // EVIDENCE DRAFT
+  // =====================================
+  // Citations being curated on the evidence page, kept until they're exported to
+  // evidence.json. The engine keeps citing the shipped file meanwhile.
+
+  getEvidenceDraft() {
+    try {
+      return JSON.parse(this._storage.getItem(EVIDENCE_DRAFT_KEY) || "null");
+    } catch {
+      return null;
+    }
+  }
+
+  setEvidenceDraft(evidence) {
+    if (this._locked) return;
+    this._storage.setItem(EVIDENCE_DRAFT_KEY, JSON.stringify(evidence));
+  }
+
+  clearEvidenceDraft() {
+    if (this._locked) return;
+    this._storage.removeItem(EVIDENCE_DRAFT_KEY);
+  }
+
+  // =====================================
+  // CROSS-TAB SYNC
+  // =====================================
+  // Every write is broadcast as { path, value, at, tab } ops on a BroadcastChannel.
+  // Conflicts resolve last-writer-wins per path (timestamp, then tab id), so two tabs
+  // converge on the same session: a remote op is ignored when this tab wrote the same
+  // path or an enclosing section later, and a remote section write (reset) keeps any
+  // newer local edits to fields inside it. The patient list, history and visits follow
+  // the storage layer's change notifications, which also stand in for the channel
+  // where BroadcastChannel is unavailable.
+
+  _listenToOtherTabs() {
+    if (typeof BroadcastChannel === "function") {
+      this._channel = new BroadcastChannel(SESSION_KEY);
+      this._channel.addEventListener("message", e => this._onRemoteOps(e.data));
+    }
+    this._storage.onRemoteChange(key => {
+      const id = this._index.activeId;
+      if (key === CRYPTO_KEY) this._onLockChange();
+      else if (key === PATIENTS_KEY) this._onRemoteIndex();
+      else if (key === visitsKeyFor(id)) this._emit();
+      else if (key === historyKeyFor(id)) {
+        this._history = this._loadHistory(id);
+        this._emit();
+      }
+      else if (key === sessionKeyFor(id)) {
+        if (this._channel) this._keepMergedSession(key);
+        else this._reloadActive();
+      }
+    });
+  }
+
+  // The other tab's raw session reaches the storage layer separately from its ops and
+  // replaces whatever this tab saved after merging them, so the merged session is saved
+  // again unless the two already agree. Each tab stamps its own save time, which is left
+  // out of the comparison so the tabs don't keep re-saving over each other. A removed
+  // session is left alone: the patient list change that follows reloads this tab.
+  _keepMergedSession(key) {
+    if (this._locked) return;
+    let stored;
+    try {
+      stored = JSON.parse(this._storage.getItem(key));
+    } catch {
+      stored = null;
+    }
+    const ours = this._session;
+    if (!stored || !stored.meta || sameContent({ ...stored, meta: { ...stored.meta, updatedAt: ours.meta.updatedAt } }, ours)) return;
+    this._storage.setItem(key, JSON.stringify(ours));
+  }
+
+  _stamp(paths) {
+    const at = Date.now();
+    new Set(paths).forEach(path => {
+      this._clock.set(path, { at, tab: this._tabId });
+      this._outbox.push({ path, value: cloneValue(this._get(path)), at, tab: this._tabId });
+    });
+  }
+
+  _broadcast() {
+    const ops = this._outbox;
+    this._outbox = [];
+    if (!this._channel || !ops.length) return;
+    this._channel.postMessage({ patientId: this._session.meta.patientId, ops });
+  }
+
+  _isNewer(local, op) {
+    return !!local && (local.at > op.at || (local.at === op.at && local.tab > op.tab));
+  }
+
+  _applyRemote(op) {
+    const parts = op.path.split(".");
+    for (let i = 1; i <= parts.length; i++) {
+      if (this._isNewer(this._clock.get(parts.slice(0, i).join(".")), op)) return false;
+    }
+
+    const keep = [...this._clock]
+      .filter(([path, c]) => path.startsWith(`${op.path}.`) && this._isNewer(c, op))
+      .map(([path]) => [path, cloneValue(this._get(path))]);
+    this._assign(op.path, cloneValue(op.value));
+    keep.forEach(([path, value]) => this._assign(path, value));
+    this._clock.set(op.path, { at: op.at, tab: op.tab });
+    return true;
+  }
+
+  _onRemoteOps(msg) {
+    if (this._locked || !msg || msg.patientId !== this._session.meta.patientId) return;
+    const applied = msg.ops.filter(op => this._applyRemote(op)).length;
+    if (!applied) return;
+
+    // History belongs to the sending tab's write and arrives through storage
+    this._saveSession();
+    this._emit();
+  }
+
+  _onRemoteIndex() {
+    this._index = this._loadIndex();
+    const id = this._session.meta.patientId;
+    if (this._index.activeId !== id) {
+      // Another tab switched, created or deleted patients
+      this._reloadActive();
+      return;
+    }
+    this._session.meta.activePatientLabel = this._entry(id).label;
+    this._emit();
+  }
+
+  _reloadActive() {
+    this._session = this._load(this._index.activeId);
+    this._history = this._loadHistory(this._index.activeId);
+    this._clock.clear();
+    this._emit();
+  }
+
+  // =====================================
+  // ENCRYPTION AT REST
+  // =====================================
+  // Locking is per tab; turning encryption on or off in one tab locks or
+  // reloads the others through the storage layer.
+
+  isEncrypted() {
+    return this._storage.isEncrypted();
+  }
+
+  isLocked() {
+    return this._locked;
+  }
+
+  // Resolves to false when the passphrase is wrong
+  async unlock(passphrase) {
+    const ok = await this._storage.unlock(passphrase);
+    if (ok) this._onLockChange();
+    return ok;
+  }
+
+  async lock() {
+    if (!this.isEncrypted() || this._locked) return;
+    await this._storage.lock();
+    this._onLockChange();
+  }
+
+  async enableEncryption(passphrase) {
+    await this._storage.enableEncryption(passphrase);
+    this._onLockChange();
+  }
+
+  // Resolves to false when the passphrase is wrong
+  async disableEncryption(passphrase) {
+    const ok = await this._storage.disableEncryption(passphrase);
+    if (ok) this._onLockChange();
+    return ok;
+  }
+
+  _onLockChange() {
+    this._loadFromStorage();
+    this._clock.clear();
+    this._outbox = [];
+    this._emit();
+    window.dispatchEvent(new CustomEvent("session:lock", {
+      detail: { locked: this._locked, encrypted: this.isEncrypted() }
+    }));
+  }
+
+  // =====================================
+  // PATIENT MANAGEMENT
+  // =====================================
+
+  listPatients() {
+    return deepClone(this._index.patients);
+  }
+
+  getActivePatientId() {
+    return this._index.activeId;
+  }
+
+  createPatient(label = "Untitled") {
+    if (this._locked) return null;
+    const id = newPatientId();
+    const session = defaultSession(cleanLabel(label), id);
+    this._index.patients.push({
+      id,
+      label: session.meta.activePatientLabel,
+      createdAt: session.meta.createdAt,
+      updatedAt: session.meta.updatedAt
+    });
+    this._storage.setItem(sessionKeyFor(id), JSON.stringify(session));
+    this.switchPatient(id);
+    return id;
+  }
+
+  switchPatient(id) {
+    if (!this._entry(id)) return false;
+    this._index.activeId = id;
+    this._saveIndex();
+    this._session = this._load(id);
+    this._history = this._loadHistory(id);
+    this._clock.clear();
+    this._emit();
+    return true;
+  }
+
+  renamePatient(id, label) {
+    const entry = this._entry(id);
+    if (!entry) return false;
+    entry.label = cleanLabel(label);
+
+    if (id === this._index.activeId) {
+      this._session.meta.activePatientLabel = entry.label;
+      this._save();
+    } else {
+      const stored = this._load(id);
+      this._storage.setItem(sessionKeyFor(id), JSON.stringify(stored));
+      this._saveIndex();
+    }
+    this._emit();
+    return true;
+  }
+
+  // Copies a patient's findings into a new patient and makes the copy active
+  duplicatePatient(id) {
+    const entry = this._entry(id);
+    if (!entry) return null;
+
+    const source = id === this._index.activeId ? this.getSession() : this._load(id);
+    const copyId = newPatientId();
+    const label = `${entry.label} (copy)`;
+    source.meta = { ...source.meta, patientId: copyId, activePatientLabel: label, createdAt: nowISO(), updatedAt: nowISO() };
+
+    this._index.patients.push({ id: copyId, label, createdAt: source.meta.createdAt, updatedAt: source.meta.updatedAt });
+    this._storage.setItem(sessionKeyFor(copyId), JSON.stringify(source));
+    this.switchPatient(copyId);
+    return copyId;
+  }
+
+  // Removes a patient; the list is never left empty
+  deletePatient(id) {
+    if (!this._entry(id)) return false;
+    this._storage.removeItem(sessionKeyFor(id));
+    this._storage.removeItem(historyKeyFor(id));
+    this._storage.removeItem(visitsKeyFor(id));
+    this._index.patients = this._index.patients.filter(pt => pt.id !== id);
+
+    if (!this._index.patients.length) {
+      this.createPatient();
+      return true;
+    }
+    if (id === this._index.activeId) {
+      this.switchPatient(this._index.patients[0].id);
+      return true;
+    }
+    this._saveIndex();
+    this._emit();
+    return true;
   }
 
   subscribe(fn) {
@@ -185,4 +1265,4 @@ class SessionStore {
   }
 }
 
-export const sessionStore = new SessionStore();
+export const sessionStore = new SessionStore(await openStorage());
@@ -0,0 +1,93 @@
+// js/dx-registry.js
+// Canonical diagnoses. Each rule in dx-rules.js supports one of these ids, and rules that
+// share an id are merged into a single differential entry. Ids are stable: they are
+// stored with visits and referenced from evidence.json. Names can be reworded as long as
+// the old wording is kept in `aliases`, so records made under it still resolve.
+// `eponym` keeps the leading capital when the engine puts a side in front of the name
+// ("Right Horner syndrome" rather than "Right horner syndrome").
+
+export const DIAGNOSES = {
+  physiologic_anisocoria: { name: "Physiologic anisocoria", category: "pupil" },
+  horner_syndrome: { name: "Horner syndrome", category: "pupil", eponym: true, aliases: ["Horner syndrome (small pupil abnormal)"] },
+  cn3_palsy_compressive: { name: "CN III palsy - Compressive (aneurysm concern)", category: "pupil", aliases: ["Compressive 3rd nerve palsy concern (large pupil abnormal + EOM/ptosis)"] },
+  cn3_palsy_ischemic: { name: "CN III palsy - Ischemic/Microvascular", category: "pupil" },
+  adie_tonic_pupil: { name: "Adie (Tonic) pupil", category: "pupil", eponym: true, aliases: ["Adie / tonic pupil (large pupil abnormal + LND/vermiform)"] },
+  pharmacologic_mydriasis: { name: "Pharmacologic mydriasis", category: "pupil", aliases: ["Pharmacologic mydriasis (exposure history)"] },
+  traumatic_mydriasis: { name: "Traumatic mydriasis / Iris damage", category: "pupil", aliases: ["Traumatic mydriasis"] },
+  argyll_robertson_pupils: { name: "Argyll Robertson pupils", category: "pupil" },
+  traumatic_optic_neuropathy: { name: "Traumatic Optic Neuropathy", category: "optic" },
+  compressive_optic_neuropathy: { name: "Compressive Optic Neuropathy", category: "optic" },
+  optic_atrophy: { name: "Optic Atrophy", category: "optic" },
+  cn6_palsy: { name: "CN VI (Abducens) palsy", category: "eom" },
+  cn4_palsy: { name: "CN IV (Trochlear) palsy", category: "eom" },
+  ocular_myasthenia: { name: "Myasthenia Gravis - Ocular", category: "eom" },
+  internuclear_ophthalmoplegia: { name: "Internuclear ophthalmoplegia (INO)", category: "eom" },
+  thyroid_eye_disease: { name: "Thyroid Eye Disease (Graves')", category: "eom", aliases: ["Thyroid Eye Disease", "Graves' ophthalmopathy"] },
+  orbital_inflammation: { name: "Orbital inflammatory disease (pseudotumor)", category: "eom", aliases: ["Orbital inflammatory disease", "Idiopathic orbital inflammation"] },
+  cavernous_sinus_syndrome: { name: "Cavernous sinus syndrome", category: "neuro" },
+  chiasmal_compression: { name: "Chiasmal compression", category: "vf" },
+  optic_tract_lesion: { name: "Optic tract lesion", category: "vf" },
+  lgn_lesion: { name: "Lateral geniculate nucleus (LGN) lesion", category: "vf" },
+  optic_radiation_lesion: { name: "Optic radiation lesion", category: "vf" },
+  occipital_cortex_lesion: { name: "Occipital cortex lesion", category: "vf" },
+  arteritic_aion: { name: "Anterior Ischemic Optic Neuropathy (AION)", category: "vf" },
+  naion: { name: "Non-arteritic AION (NAION)", category: "vf" },
+  optic_neuritis: { name: "Optic neuritis", category: "vf" },
+  macular_disease: { name: "Macular disease", category: "vf" },
+  glaucomatous_optic_neuropathy: { name: "Glaucomatous optic neuropathy", category: "vf" },
+  functional_vision_loss: { name: "Functional visual field loss (consider)", category: "vf" },
+  miller_fisher_syndrome: { name: "Miller Fisher syndrome", category: "neuro" },
+  wernicke_encephalopathy: { name: "Wernicke encephalopathy", category: "neuro" },
+  orbital_apex_syndrome: { name: "Orbital apex syndrome", category: "neuro" },
+  benign_episodic_mydriasis: { name: "Benign episodic unilateral mydriasis", category: "pupil" },
+  tadpole_pupil: { name: "Tadpole pupil (consider)", category: "pupil" },
+  duane_type_1: { name: "Duane retraction syndrome Type I", category: "eom", eponym: true },
+  duane_type_2: { name: "Duane retraction syndrome Type II", category: "eom", eponym: true },
+  brown_syndrome: { name: "Brown syndrome (consider)", category: "eom", eponym: true },
+  ocular_neuromyotonia: { name: "Ocular neuromyotonia (consider)", category: "eom" },
+  papilledema: { name: "Papilledema (elevated ICP)", category: "optic" },
+  lhon: { name: "Leber hereditary optic neuropathy (LHON)", category: "optic" },
+  dominant_optic_atrophy: { name: "Dominant optic atrophy (DOA)", category: "optic" },
+  toxic_nutritional_optic_neuropathy: { name: "Toxic/Nutritional optic neuropathy", category: "optic" },
+  optic_disc_drusen: { name: "Optic disc drusen", category: "optic" },
+  retinal_artery_occlusion: { name: "Retinal artery occlusion (CRAO/BRAO)", category: "vf" },
+  retinal_vein_occlusion: { name: "Retinal vein occlusion (CRVO/BRVO)", category: "vf" },
+  azoor: { name: "AZOOR (Acute zonal occult outer retinopathy)", category: "vf" },
+  parinaud_syndrome: { name: "Parinaud syndrome (dorsal midbrain)", category: "neuro" },
+  progressive_supranuclear_palsy: { name: "Progressive supranuclear palsy (PSP)", category: "neuro" },
+  skew_deviation: { name: "Skew deviation", category: "neuro" },
+  cpeo: { name: "Chronic progressive external ophthalmoplegia (CPEO)", category: "eom" },
+  downbeat_nystagmus: { name: "Downbeat nystagmus", category: "nystagmus" },
+  upbeat_nystagmus: { name: "Upbeat nystagmus", category: "nystagmus" },
+  periodic_alternating_nystagmus: { name: "Periodic alternating nystagmus (PAN)", category: "nystagmus" },
+  vestibular_nystagmus_peripheral: { name: "Vestibular nystagmus - Peripheral", category: "nystagmus" },
+  vestibular_nystagmus_central: { name: "Vestibular nystagmus - Central", category: "neuro" },
+  seesaw_nystagmus: { name: "Seesaw nystagmus", category: "nystagmus" },
+  convergence_retraction_nystagmus: { name: "Convergence-retraction nystagmus (Parinaud syndrome)", category: "nystagmus" },
+  dissociated_nystagmus: { name: "Dissociated nystagmus (INO pattern)", category: "nystagmus" },
+  gaze_evoked_nystagmus: { name: "Gaze-evoked nystagmus", category: "nystagmus" },
+  infantile_nystagmus_syndrome: { name: "Congenital/Infantile nystagmus syndrome", category: "nystagmus" },
+  opsoclonus_myoclonus: { name: "Opsoclonus-myoclonus syndrome", category: "neuro" },
+  toxic_nystagmus: { name: "Drug-induced/Toxic nystagmus", category: "nystagmus" }
+};
+
+function normalizeName(name) {
+  return String(name).trim().toLowerCase().replace(/\s+/g, " ");
+}
+
+const idByName = new Map();
+Object.entries(DIAGNOSES).forEach(([id, dx]) => {
+  [id, dx.name, ...(dx.aliases || [])].forEach(n => idByName.set(normalizeName(n), id));
+});
+
+// The id for an id, a current name or an alias; null when nothing matches
+export function diagnosisId(nameOrId) {
+  if (!nameOrId) return null;
+  return idByName.get(normalizeName(nameOrId)) || null;
+}
+
+// { id, name, category, aliases } or null
+export function getDiagnosis(id) {
+  const dx = DIAGNOSES[id];
+  return dx ? { id, ...dx, aliases: [...(dx.aliases || [])] } : null;
+}
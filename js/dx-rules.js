@@ -0,0 +1,1769 @@
+// js/dx-rules.js
+// The differential as data. Every diagnosis below is scored by the generic evaluator in
+// engine.js (scoreDifferential), so reviewing or tuning one means reading or editing its
+// entry here rather than engine code.
+//
+// Rule fields:
+//   id              the DIAGNOSES entry (dx-registry.js) this rule supports; its name and
+//                   badge come from there. Rules sharing an id merge into one entry with the
+//                   best score and every matching rule's reasons.
+//   minScore        listed once the total reaches this (default 1)
+//   requires        optional condition; the diagnosis isn't scored at all unless it holds
+//   criteria        { when, points, why } entries, checked in order; each one whose condition
+//                   holds adds its points and reason. { firstOf: [...] } scores only the first
+//                   entry that matches, and an entry without `when` always matches.
+//                   Reasons and next steps can quote a feature or CONFIG value: "{anisChange:1}" (1 decimal)
+//   nextSteps       strings, or { when, steps } for steps that only apply to some presentations
+//   side            features naming the affected eye ("OD", "OS", "OU"), e.g. ["smallPupilEye",
+//                   "ptosisEye"]. The entry is named for that side ("Right Horner syndrome");
+//                   findings on opposite eyes leave the side undetermined and flag a conflict
+//
+// Conditions:
+//   "ptosis", "!ptosis"        finding present / not present (absent or not examined)
+//   "ptosis = false"           documented absent. Signs are true, false or null (not examined).
+//                              A criterion that scores an absence, for or against a diagnosis,
+//                              uses this form so a sign that was never examined scores nothing;
+//                              "!x" is only for keeping a criterion from repeating another
+//   "comitant = false"         comparison (=, !=, <, <=, >, >=) with true, false, null, a number,
+//                              a word ("vf_laterality = mono") or a CONFIG name
+//                              ("anisL < ANISO_THRESHOLD_MM"); <, >, etc. fail when unmeasured
+//   [a, b]                     all of
+//   { any: [a, b] }            any of
+//   { not: a }                 negation
+//   { atLeast: 2, of: [...] }  at least n of
+// Names are deriveFeatures() fields or the terms in DX_TERMS.
+
+// Named conditions shared by several rules
+export const DX_TERMS = {
+  // Anisocoria larger in light → large pupil abnormal
+  largePattern: "dominance = light",
+  // Anisocoria larger in dark → small pupil abnormal
+  smallPattern: "dominance = dark",
+  anisBothMeasured: ["anisL != null", "anisD != null"],
+  anisBelowThreshold: ["anisL < ANISO_THRESHOLD_MM", "anisD < ANISO_THRESHOLD_MM"],
+  anisSteady: "anisChange < 0.3",
+  // Pupils measured in light and dark, with no anisocoria pattern
+  pupilSparing: ["anisBothMeasured", "!largePattern", "!smallPattern"],
+  // A light reaction (brisk or sluggish) recorded in each eye
+  pupilsReact: [{ any: ["odReactive", "odSluggish"] }, { any: ["osReactive", "osSluggish"] }],
+  // RAPD graded (or recorded as none), below 2+
+  noSignificantRAPD: ["hasRAPD != null", "!significantRAPD"],
+  // Any color loss except the same red-green defect in both eyes, which is congenital
+  acquiredColorDeficit: ["colorDeficit", "!congenitalColorPattern"]
+};
+
+// Poor perimetry reliability lowers confidence in field-based diagnoses
+const POOR_VF_RELIABILITY = { when: "vf_reliability = poor", points: -2, why: "Poor reliability reduces confidence" };
+
+export const DX_RULES = [
+  // =====================================
+  // PUPIL-BASED DIAGNOSES
+  // =====================================
+
+  // 1. Physiologic anisocoria
+  // Reference: Loewenfeld IE. The Pupil: Anatomy, Physiology, and Clinical Applications.
+  // ~20% of population has >0.4mm anisocoria; typically stable in light/dark
+  // CRITICAL: Only diagnose when we have COMPLETE pupil data (both light AND dark)
+  // and the anisocoria is minimal and stable across lighting conditions
+  {
+    id: "physiologic_anisocoria",
+    // Stable, minimal anisocoria: below threshold or equal in both conditions,
+    // or below threshold with <0.3mm change between them
+    requires: ["anisBothMeasured", { any: ["dominance = equal", ["dominance = null", "anisBelowThreshold"], ["anisBelowThreshold", "anisSteady"]] }],
+    criteria: [
+      { firstOf: [
+        { when: "anisBelowThreshold", points: 3, why: "Anisocoria <{ANISO_THRESHOLD_MM}mm in both light and dark" },
+        { points: 3, why: "Anisocoria stable/equal in light vs dark" }
+      ] },
+      { when: ["anisSteady", "anisL > 0", "anisD > 0"], points: 2, why: "Anisocoria change of only {anisChange:1}mm between conditions (stable)" },
+      { when: ["!acute", "!painful", "!neuroSx", "diplopia = false", "ptosis = false"], points: 2, why: "No red flags (acute/pain/neuro/ptosis/diplopia)" },
+      { when: ["odReactive", "osReactive"], points: 1, why: "Both pupils reactive" },
+      { when: "hasRAPD = false", points: 1, why: "No RAPD (rules out significant afferent defect)" },
+      // Additional: no sympathetic or parasympathetic signs
+      { when: ["dilationLag = false", "anhidrosis = false", "lnd = false", "vermiform = false"], points: 1, why: "No pathologic pupil signs (dilation lag, LND, vermiform)" }
+    ],
+    nextSteps: [
+      "Confirm measurements in consistent lighting conditions",
+      "Review old photographs if available to confirm chronicity",
+      "Anisocoria should remain relatively constant in light vs dark",
+      "No further workup needed if stable and asymptomatic"
+    ]
+  },
+
+  // 2. Horner syndrome (oculosympathetic paresis)
+  // Reference: Walton KA, Buono LM. Horner syndrome. Curr Opin Ophthalmol 2003;14:357-363
+  // Classic triad: miosis, ptosis (1-2mm), anhidrosis
+  // Dilation lag is pathognomonic (4-5 second delay in dark)
+  {
+    id: "horner_syndrome",
+    side: ["smallPupilEye", "ptosisEye"],
+    criteria: [
+      { when: "smallPattern", points: 5, why: "Anisocoria greater in dark (small pupil abnormal)" },
+      { when: "dilationLag", points: 3, why: "Dilation lag (highly specific for Horner)" },
+      { when: "ptosis", points: 2, why: "Ptosis (typically 1-2mm in Horner)" },
+      { when: "anhidrosis", points: 2, why: "Anhidrosis (suggests preganglionic lesion)" },
+      // Horner pupil should be reactive, no RAPD
+      { when: ["smallPattern", "pupilsReact"], points: 1, why: "Pupils reactive (expected in Horner)" },
+      { when: ["smallPattern", "hasRAPD = false"], points: 1, why: "No RAPD (efferent not afferent pathway)" },
+      // Documented absences
+      { when: ["smallPattern", "dilationLag = false"], points: -2, why: "Dilation lag looked for and absent" },
+      { when: ["smallPattern", "ptosis = false"], points: -1, why: "No ptosis (usually at least mild in Horner)" }
+    ],
+    nextSteps: [
+      "Pharmacologic confirmation: Apraclonidine 0.5% (reversal of anisocoria) or cocaine 4-10% (failure to dilate)",
+      { when: { any: ["acute", "painful"] }, steps: ["URGENT: Acute painful Horner requires emergent CTA/MRA neck to rule out carotid dissection"] },
+      "If confirmed: Hydroxyamphetamine 1% to localize (preganglionic vs postganglionic)",
+      "MRI/MRA from hypothalamus to T2 for preganglionic; carotid/skull base imaging for postganglionic"
+    ]
+  },
+
+  // 3. Third nerve (CN III) palsy - Compressive
+  // Reference: Jacobson DM. Pupil involvement in patients with diabetes-associated oculomotor nerve palsy.
+  // Arch Ophthalmol 1998;116:723-727
+  // Pupil involvement suggests compressive etiology (PComm aneurysm until proven otherwise)
+  {
+    id: "cn3_palsy_compressive",
+    side: ["largePupilEye", "ptosisEye", "adductionDeficitEye"],
+    criteria: [
+      { when: "largePattern", points: 5, why: "Anisocoria greater in light (large pupil abnormal)" },
+      // Fixed or poorly reactive dilated pupil
+      { when: ["anyFixedPupil", "largePattern"], points: 2, why: "Fixed/poorly reactive dilated pupil" },
+      { when: "ptosis", points: 2, why: "Ptosis (complete CN III causes severe ptosis)" },
+      { when: "diplopia", points: 2, why: "Diplopia (EOM involvement)" },
+      { when: "adductionDeficit = true", points: 2, why: "Adduction deficit (medial rectus involvement)" },
+      { when: "verticalLimitation = true", points: 1, why: "Vertical limitation (SR/IR/IO involvement)" },
+      { when: "acute", points: 2, why: "Acute onset" },
+      { when: "painful", points: 2, why: "Pain/headache (concerning for aneurysm)" },
+      { when: "neuroSx", points: 2, why: "Other neurological symptoms" },
+      // Documented absences: isolated mydriasis with a brisk pupil is rarely CN III
+      { when: ["largePattern", "ptosis = false", "diplopia = false"], points: -3, why: "No ptosis or diplopia (isolated mydriasis is rarely CN III)" },
+      { when: ["largePattern", "largerPupilRxn = brisk"], points: -2, why: "Larger pupil reacts briskly to light" }
+    ],
+    nextSteps: [
+      { when: { any: ["acute", "painful", "neuroSx"] }, steps: [
+        "EMERGENT: CTA or MRA head to exclude posterior communicating artery aneurysm",
+        "Consider conventional angiography if CTA/MRA negative but suspicion high"
+      ] },
+      "Complete cranial nerve exam including all EOM gazes",
+      "Check for aberrant regeneration (lid-gaze dyskinesis) if chronic",
+      "MRI brain with contrast if non-aneurysmal compressive lesion suspected"
+    ]
+  },
+
+  // 4. Third nerve palsy - Ischemic/Microvascular
+  // Reference: Jacobson DM. Pupil involvement in patients with diabetes-associated oculomotor nerve palsy.
+  // Typically pupil-sparing (85-90%), resolves in 3-6 months
+  {
+    id: "cn3_palsy_ischemic",
+    side: ["ptosisEye", "adductionDeficitEye"],
+    criteria: [
+      // Pupil-sparing pattern with EOM involvement
+      { when: ["ptosis", "diplopia", "pupilSparing"], points: 4, why: "Ptosis + diplopia with pupil sparing" },
+      { when: ["adductionDeficit = true", "pupilSparing"], points: 2, why: "Adduction deficit without pupil involvement" },
+      { when: "comitant = false", points: 1, why: "Incomitant deviation" },
+      // Pain can occur in ischemic CN III
+      { when: ["painful", "!neuroSx", "pupilSparing"], points: 1, why: "Pain (can occur in ischemic CN III)" },
+      // Demographics: microvascular palsies occur in older patients with vascular risk factors
+      { when: ["vascularRisk", { any: ["ptosis", "adductionDeficit = true"] }], points: 2, why: "Vascular risk factors (diabetes/hypertension)" },
+      { when: "olderAge = false", points: -2, why: "Age {age}: microvascular CN III is uncommon under {OLDER_AGE_YEARS}" }
+    ],
+    nextSteps: [
+      "Document vascular risk factors (diabetes, hypertension, hyperlipidemia)",
+      "If pupil completely spared and no other neuro signs: may observe with close follow-up",
+      "Check HbA1c, fasting glucose, lipid panel, ESR/CRP if age >50",
+      "If any pupil involvement or progression: imaging indicated to exclude compressive lesion",
+      "Expected recovery in 3-6 months; if no improvement by 3 months, reconsider diagnosis"
+    ]
+  },
+
+  // 5. Adie (Tonic) pupil
+  // Reference: Thompson HS. Adie's syndrome: some new observations. Trans Am Ophthalmol Soc 1977;75:587-626
+  // Denervation supersensitivity to dilute pilocarpine (0.0625-0.125%)
+  // Light-near dissociation, sectoral vermiform movements, accommodation paresis
+  {
+    id: "adie_tonic_pupil",
+    side: ["largePupilEye"],
+    criteria: [
+      { when: "largePattern", points: 2, why: "Large pupil pattern" },
+      { when: "lnd", points: 4, why: "Light-near dissociation (pupil constricts better to near than light)" },
+      { when: "vermiform", points: 3, why: "Segmental/vermiform iris movements (pathognomonic)" },
+      { when: ["anySluggishPupil", "!anyFixedPupil"], points: 1, why: "Sluggish but present light reaction" },
+      // Typically unilateral, no pain, no ptosis
+      { when: ["!painful", "ptosis = false", "largePattern"], points: 1, why: "Painless without ptosis (typical for Adie)" },
+      // Documented absences
+      { when: ["largePattern", "lnd = false"], points: -3, why: "Near response tested: no light-near dissociation" },
+      { when: ["largePattern", "vermiform = false"], points: -1, why: "No segmental (vermiform) iris movements at the slit lamp" },
+      { when: ["largePattern", "largerPupilRxn = brisk"], points: -2, why: "Larger pupil reacts briskly (tonic pupils react poorly to light)" }
+    ],
+    nextSteps: [
+      "Slit lamp exam for segmental vermiform iris movements",
+      "Test accommodation: slow but tonically sustained constriction",
+      "Pharmacologic confirmation: Dilute pilocarpine 0.0625-0.125% (constriction = denervation supersensitivity)",
+      "Check deep tendon reflexes (Holmes-Adie syndrome if absent)",
+      "Reassurance: benign condition, may progress to bilateral over years"
+    ]
+  },
+
+  // 6. Pharmacologic mydriasis
+  // Reference: Lam BL, Thompson HS. A unilateral cataract produces a relative afferent pupillary defect
+  // Common agents: tropicamide, cyclopentolate, atropine, scopolamine patches
+  {
+    id: "pharmacologic_mydriasis",
+    side: ["largePupilEye"],
+    criteria: [
+      { when: "largePattern", points: 2, why: "Large pupil pattern" },
+      { when: "anticholinergic", points: 5, why: "Anticholinergic/mydriatic exposure suspected" },
+      { when: "sympathomimetic", points: 3, why: "Sympathomimetic exposure suspected" },
+      // Fixed, dilated pupil typical
+      { when: ["anyFixedPupil", "largePattern"], points: 2, why: "Fixed dilated pupil" },
+      // No ptosis or EOM involvement
+      { when: ["ptosis = false", "diplopia = false", "largePattern"], points: 1, why: "No ptosis or diplopia (isolated pupil finding)" },
+      // Documented absences
+      { when: ["anticholinergic = false", "sympathomimetic = false"], points: -3, why: "Exposure history taken: no mydriatic or sympathomimetic contact" },
+      { when: ["largePattern", "largerPupilRxn = brisk"], points: -2, why: "Larger pupil reacts briskly (pharmacologic blockade leaves it fixed)" }
+    ],
+    nextSteps: [
+      "Detailed medication and exposure history",
+      "Ask about: eye drops, scopolamine patches, jimsonweed, nebulizers, handling medications",
+      "Pilocarpine 1% test: pharmacologically blocked pupil will NOT constrict",
+      "If positive history and fails pilocarpine: no further workup needed",
+      "Effect typically resolves in 24-72 hours depending on agent"
+    ]
+  },
+
+  // 7. Traumatic mydriasis / Iris sphincter damage
+  // Reference: Traumatic iritis and iris sphincter tears after blunt ocular trauma
+  {
+    id: "traumatic_mydriasis",
+    side: ["largePupilEye"],
+    criteria: [
+      { when: "trauma", points: 4, why: "History of trauma/surgery" },
+      { when: ["largePattern", "trauma"], points: 2, why: "Large pupil in setting of trauma" },
+      { when: ["anyFixedPupil", "trauma"], points: 2, why: "Fixed pupil post-trauma" }
+    ],
+    nextSteps: [
+      "Slit lamp examination for iris sphincter tears, iridodialysis",
+      "Check for hyphema, lens subluxation, angle recession",
+      "Gonioscopy to assess angle structures",
+      "Document baseline and follow IOP (angle recession glaucoma risk)",
+      "May be permanent if significant sphincter damage"
+    ]
+  },
+
+  // 8. Argyll Robertson pupils
+  // Reference: Fletcher WA, Sharpe JA. Saccadic eye movement dysfunction in Alzheimer's disease.
+  // Classic: bilateral small irregular pupils, light-near dissociation, poor dilation
+  // Associated with neurosyphilis, diabetes, Parinaud syndrome
+  {
+    id: "argyll_robertson_pupils",
+    minScore: 4,
+    criteria: [
+      { when: "lnd", points: 3, why: "Light-near dissociation" },
+      // Typically bilateral small pupils
+      { when: ["anisL < ANISO_THRESHOLD_MM", "odL < 3", "osL < 3"], points: 2, why: "Bilateral small pupils" },
+      // Poor dilation in dark
+      { when: ["odD < 4", "osD < 4"], points: 1, why: "Poor dilation in dark" }
+    ],
+    nextSteps: [
+      "Characteristic: bilateral, small, irregular, light-near dissociation",
+      "Order syphilis serology (RPR/VDRL, FTA-ABS or TP-PA)",
+      "If positive: lumbar puncture for CSF VDRL",
+      "Check HbA1c (diabetic autonomic neuropathy can cause similar findings)",
+      "Consider MRI brain if dorsal midbrain lesion suspected"
+    ]
+  },
+
+  // =====================================
+  // OPTIC NERVE / AFFERENT PATHWAY DIAGNOSES
+  // =====================================
+
+  // 9. Traumatic Optic Neuropathy (TON)
+  // Reference: Steinsapir KD, Goldberg RA. Traumatic optic neuropathy. Surv Ophthalmol 1994;38:487-518
+  // RAPD + disc pallor/VA loss + trauma history
+  {
+    id: "traumatic_optic_neuropathy",
+    side: ["rapdEye", "vaReducedEye"],
+    criteria: [
+      { when: "trauma", points: 3, why: "History of trauma" },
+      { when: ["hasRAPD", "trauma"], points: 4, why: "RAPD in setting of trauma (indicates optic nerve damage)" },
+      { when: ["discPallor", "trauma"], points: 3, why: "Disc pallor (may be delayed 4-6 weeks post-injury)" },
+      { when: ["acquiredColorDeficit", "trauma"], points: 2, why: "Color vision deficit ({colorGrade})" },
+      { firstOf: [
+        { when: ["vaSevere", "trauma"], points: 3, why: "Severe acuity loss (logMAR {vaWorseLogMAR:2})" },
+        { when: ["vaReduced", "trauma"], points: 2, why: "Reduced visual acuity (logMAR {vaWorseLogMAR:2})" }
+      ] },
+      { when: ["unilateralPallorWithRAPD", "trauma"], points: 2, why: "Unilateral pallor with ipsilateral RAPD (classic TON)" }
+    ],
+    nextSteps: [
+      "Immediate: Document VA, color vision (red cap/Ishihara), RAPD grade",
+      "CT orbits/optic canals: assess for fracture, hemorrhage, bone fragment",
+      "Serial exams: monitor for improvement or worsening",
+      "Controversial: High-dose IV methylprednisolone (CRASH trial showed harm in TBI)",
+      "Optic canal decompression rarely indicated; consult neurosurgery if severe",
+      "OCT RNFL at 4-6 weeks to document damage extent"
+    ]
+  },
+
+  // 10. Compressive Optic Neuropathy
+  // Reference: Miller NR. The clinical spectrum of optic nerve sheath meningiomas
+  // Progressive vision loss, RAPD, disc pallor/edema, optociliary shunts
+  {
+    id: "compressive_optic_neuropathy",
+    side: ["rapdEye", "discPallorEye", "colorDeficitEye", "vaReducedEye"],
+    minScore: 5,
+    criteria: [
+      { when: ["hasRAPD", "!trauma"], points: 3, why: "RAPD present (afferent pathway dysfunction)" },
+      { when: ["discPallor", "discEdema = false"], points: 2, why: "Disc pallor without edema (suggests chronic compression)" },
+      { when: "optociliaryShunts", points: 4, why: "Optociliary shunt vessels (highly specific for chronic compression)" },
+      { when: "acquiredColorDeficit", points: 2, why: "Color vision deficit ({colorGrade})" },
+      { when: "colorWorseThanAcuity", points: 1, why: "Color loss out of proportion to acuity (optic nerve rather than macula)" },
+      { when: "vaReduced", points: 2, why: "Reduced visual acuity (logMAR {vaWorseLogMAR:2})" },
+      { when: ["vaAsymmetric", "hasRAPD"], points: 1, why: "Acuity {vaAsymmetry:1} logMAR worse in one eye, with RAPD" },
+      // Progression without pain suggests compression over inflammation
+      { when: ["!painful", "suspectedOpticNeuropathy"], points: 1, why: "Painless progression (favors compressive over inflammatory)" },
+      { when: ["malignancy", "suspectedOpticNeuropathy"], points: 2, why: "History of malignancy (metastatic compression)" }
+    ],
+    nextSteps: [
+      "MRI orbits with contrast (fat suppression): optic nerve sheath meningioma, glioma",
+      "MRI brain: intracranial extension, other lesions",
+      "Visual field testing: look for junctional scotoma if near chiasm",
+      "OCT RNFL to quantify damage",
+      "Neuro-ophthalmology referral for management planning"
+    ]
+  },
+
+  // 11. Optic Atrophy (various etiologies)
+  // Reference: Sadun AA. Acquired mitochondrial impairment as a cause of optic nerve disease.
+  {
+    id: "optic_atrophy",
+    side: ["rapdEye", "discPallorEye"],
+    minScore: 6,
+    criteria: [
+      { when: "discPallor", points: 4, why: "Disc pallor (optic atrophy)" },
+      { when: "hasRAPD", points: 3, why: "RAPD present" },
+      { when: "acquiredColorDeficit", points: 2, why: "Color vision deficit (dyschromatopsia)" },
+      { when: "discEdema = false", points: 1, why: "No disc edema (established atrophy, not acute)" },
+      { when: ["!acute", "!painful"], points: 1, why: "Chronic, painless course" },
+      { when: "discPallor = false", points: -3, why: "Discs examined: no pallor" }
+    ],
+    nextSteps: [
+      "Determine pattern: diffuse vs temporal (bow-tie) vs sectoral",
+      "Temporal pallor: MS, compressive, toxic/nutritional",
+      "Bow-tie (band) atrophy: chiasmal lesion",
+      "OCT RNFL to quantify and pattern nerve fiber loss",
+      "Workup: MRI brain/orbits, consider B12, folate, copper if nutritional suspected",
+      "Family history: consider hereditary optic neuropathies (LHON, DOA)"
+    ]
+  },
+
+  // =====================================
+  // EOM-BASED DIAGNOSES
+  // =====================================
+
+  // 12. CN VI (Abducens) palsy
+  // Reference: Moster ML, Savino PJ, Sergott RC. Isolated sixth-nerve palsies in younger adults.
+  // Most common isolated CN palsy; abduction deficit, esotropia worse at distance
+  {
+    id: "cn6_palsy",
+    side: ["abductionDeficitEye"],
+    criteria: [
+      { when: ["diplopia", "abductionDeficit = true"], points: 4, why: "Diplopia + abduction deficit" },
+      { when: ["abductionDeficit = true", "adductionDeficit = false", "verticalLimitation = false"], points: 2, why: "Isolated abduction deficit" },
+      { when: "comitant = false", points: 1, why: "Incomitant deviation" },
+      // Typically pupil sparing
+      { when: ["pupilSparing", "abductionDeficit = true"], points: 1, why: "Pupil sparing (expected in CN VI)" },
+      // Documented absence
+      { when: ["abductionDeficit = true", "diplopia = false"], points: -2, why: "No diplopia (an acquired abducens palsy causes horizontal diplopia)" },
+      { when: ["vascularRisk", "abductionDeficit = true"], points: 1, why: "Vascular risk factors (microvascular CN VI)" }
+    ],
+    nextSteps: [
+      "Quantify deviation with prism cover testing in primary and lateral gazes",
+      { when: "acute", steps: [
+        "If acute: MRI brain with attention to cavernous sinus, petrous apex, skull base",
+        "LP if papilledema or signs of elevated ICP"
+      ] },
+      "Check vascular risk factors; isolated CN VI in adults >50 with diabetes/HTN may be observed",
+      "If bilateral: evaluate for increased ICP, skull base pathology",
+      "Expected recovery 3-6 months if microvascular"
+    ]
+  },
+
+  // 13. CN IV (Trochlear) palsy
+  // Reference: Brazis PW. Isolated palsies of cranial nerves III, IV, and VI.
+  // Vertical diplopia worse with downgaze, contralateral head tilt
+  {
+    id: "cn4_palsy",
+    criteria: [
+      { when: ["diplopia", "verticalLimitation = true"], points: 3, why: "Diplopia + vertical limitation" },
+      { when: ["verticalLimitation = true", "abductionDeficit = false", "adductionDeficit = false"], points: 2, why: "Isolated vertical deficit (consider CN IV)" },
+      { when: "comitant = false", points: 1, why: "Incomitant deviation" },
+      // Typically pupil sparing
+      { when: ["pupilSparing", "verticalLimitation = true"], points: 1, why: "Pupil sparing" }
+    ],
+    nextSteps: [
+      "Three-step test: hypertropia worse with contralateral gaze and ipsilateral head tilt",
+      "Check for head tilt in old photographs (longstanding vs acquired)",
+      "Double Maddox rod test to assess torsion",
+      { when: "trauma", steps: ["Trauma history: CN IV most susceptible to closed head injury"] },
+      "MRI brain if no trauma history and no vascular risk factors"
+    ]
+  },
+
+  // 14. Myasthenia Gravis - Ocular
+  // Reference: Kupersmith MJ. Ocular myasthenia gravis: treatment and prognosis.
+  // Fatigable ptosis/diplopia, pupil always spared, Cogan lid twitch
+  {
+    id: "ocular_myasthenia",
+    side: ["ptosisEye"],
+    criteria: [
+      { when: "fatigable", points: 5, why: "Fatigable weakness (hallmark of MG)" },
+      { firstOf: [
+        { when: ["ptosis", "diplopia"], points: 3, why: "Ptosis + diplopia combination" },
+        { when: "ptosis", points: 2, why: "Ptosis present" },
+        { when: "diplopia", points: 2, why: "Diplopia present" }
+      ] },
+      // Pupil-sparing is mandatory for MG
+      { when: [{ any: ["ptosis", "diplopia"] }, "pupilSparing"], points: 2, why: "Pupil-sparing pattern (required for MG diagnosis)" },
+      // No RAPD in MG
+      { when: ["hasRAPD = false", { any: ["ptosis", "diplopia"] }], points: 1, why: "No RAPD (MG doesn't affect afferent pathway)" },
+      // Variable/fluctuating pattern
+      { when: ["comitant = true", "diplopia"], points: 1, why: "Comitant strabismus (can mimic any pattern in MG)" },
+      // Documented absence
+      { when: "fatigable = false", points: -2, why: "Fatigability tested and absent" }
+    ],
+    nextSteps: [
+      "Sustained upgaze test: observe for ptosis worsening over 1-2 minutes",
+      "Ice pack test: improvement of ptosis after 2 minutes of ice",
+      "Cogan lid twitch: brief overshoot on return from downgaze",
+      "Serology: Anti-AChR antibodies (positive in ~50% ocular MG)",
+      "If seronegative: Anti-MuSK antibodies, repetitive nerve stimulation, single-fiber EMG",
+      "CT chest to evaluate for thymoma",
+      "Systemic MG develops in ~50% within 2 years; consider pyridostigmine trial"
+    ]
+  },
+
+  // 15. Internuclear ophthalmoplegia (INO)
+  // Reference: Frohman EM, et al. The medial longitudinal fasciculus in ocular motor physiology.
+  // Adduction deficit with contralateral nystagmus; MS in young, stroke in elderly
+  {
+    id: "internuclear_ophthalmoplegia",
+    side: ["adductionDeficitEye"],
+    minScore: 4,
+    criteria: [
+      { when: "adductionDeficit = true", points: 4, why: "Adduction deficit (key feature of INO)" },
+      { when: ["diplopia", "adductionDeficit = true"], points: 2, why: "Diplopia with adduction weakness" },
+      // INO typically has preserved convergence (unlike CN III)
+      { when: ["adductionDeficit = true", "ptosis = false", "pupilSparing"], points: 2, why: "No ptosis, pupil sparing (unlike CN III)" },
+      // Nystagmus findings from nystagmus module
+      { when: ["nystagmus_dissociated", "adductionDeficit = true"], points: 3, why: "Dissociated nystagmus (greater in abducting eye - pathognomonic)" },
+      { when: "neuroSx", points: 1, why: "Other neurological symptoms" },
+      { when: ["adductionDeficit = true", "nystagmus_dissociated = false"], points: -1, why: "No abducting nystagmus on lateral gaze" },
+      { when: ["knownMS", "adductionDeficit = true"], points: 3, why: "Known multiple sclerosis (commonest cause of INO in younger adults)" }
+    ],
+    nextSteps: [
+      "Test convergence: typically preserved in INO (distinguishes from CN III)",
+      "Observe for abducting nystagmus in contralateral eye",
+      "MRI brain with attention to MLF in dorsal pons/midbrain",
+      "If young patient: evaluate for multiple sclerosis (LP, additional MRI)",
+      "If elderly: consider brainstem stroke",
+      "If bilateral (WEBINO): consider MS, stroke, Wernicke encephalopathy"
+    ]
+  },
+
+  // 16. Thyroid Eye Disease (Graves' ophthalmopathy)
+  // Reference: Bartley GB, Gorman CA. Diagnostic criteria for Graves' ophthalmopathy.
+  // Restrictive myopathy, inferior > medial > superior > lateral rectus involvement
+  {
+    id: "thyroid_eye_disease",
+    minScore: 3,
+    criteria: [
+      // Vertical limitation common (IR restriction → limited upgaze)
+      { when: "verticalLimitation = true", points: 2, why: "Vertical limitation (common in TED: IR restriction)" },
+      { when: "diplopia", points: 2, why: "Diplopia (restrictive strabismus)" },
+      { when: "painOnMovement", points: 1, why: "Pain on movement (active inflammation)" }
+      // Typically comitant in gaze opposite to restriction
+      // Lid retraction common but not captured in current model
+    ],
+    nextSteps: [
+      "Examine for lid retraction, lid lag, proptosis, chemosis",
+      "Check thyroid function tests (TSH, free T4, T3)",
+      "TSH receptor antibodies (TRAb) if clinical suspicion high",
+      "CT orbits (no contrast): enlarged EOMs with tendon sparing",
+      "Clinical Activity Score to assess inflammatory phase",
+      "Refer to oculoplastics/neuro-ophthalmology for management"
+    ]
+  },
+
+  // 17. Orbital inflammatory disease / Idiopathic orbital inflammation
+  // Reference: Rootman J, Nugent R. The classification and management of acute orbital pseudotumors.
+  {
+    id: "orbital_inflammation",
+    criteria: [
+      { when: "painOnMovement", points: 4, why: "Pain on eye movement" },
+      { when: ["diplopia", "painOnMovement"], points: 2, why: "Diplopia + pain combination" },
+      { when: "painful", points: 2, why: "Orbital/periocular pain" },
+      { when: "acute", points: 1, why: "Acute onset" }
+    ],
+    nextSteps: [
+      "Examine for proptosis, chemosis, lid edema, conjunctival injection",
+      "CT orbits with contrast: diffuse or localized inflammation",
+      "MRI orbits with fat suppression for soft tissue detail",
+      "Labs: CBC, ESR, CRP, ANA, ANCA, ACE level",
+      "Consider biopsy if atypical features or poor response to steroids",
+      "Trial of systemic corticosteroids often diagnostic and therapeutic"
+    ]
+  },
+
+  // 18. Cavernous sinus syndrome
+  // Reference: Kline LB, Hoyt WF. The Tolosa-Hunt syndrome.
+  // Multiple CN involvement (III, IV, V1, V2, VI), pupil may be involved
+  {
+    id: "cavernous_sinus_syndrome",
+    side: ["ptosisEye", "abductionDeficitEye", "adductionDeficitEye"],
+    minScore: 4,
+    criteria: [
+      // Multiple cranial nerve involvement
+      { when: { atLeast: 2, of: ["abductionDeficit = true", { any: ["adductionDeficit = true", "verticalLimitation = true"] }, "ptosis"] }, points: 4, why: "Multiple cranial nerve involvement" },
+      { when: "painful", points: 2, why: "Painful ophthalmoplegia" },
+      { when: { any: ["largePattern", "smallPattern"] }, points: 1, why: "Pupil involvement (sympathetic or parasympathetic)" },
+      { when: "neuroSx", points: 1, why: "Other neurological symptoms" },
+      { when: ["malignancy", { any: ["abductionDeficit = true", "ptosis"] }], points: 1, why: "History of malignancy (perineural or metastatic spread)" }
+    ],
+    nextSteps: [
+      "MRI brain with contrast, thin cuts through cavernous sinus",
+      "MRA/CTA to evaluate carotid and cavernous sinus",
+      "Consider: tumor, infection, thrombosis, CCF, Tolosa-Hunt syndrome",
+      "If Tolosa-Hunt suspected: dramatic response to steroids expected",
+      "Check V1/V2 sensation (forehead, cheek numbness)"
+    ]
+  },
+
+  // =====================================
+  // VISUAL FIELD-BASED DIAGNOSES
+  // =====================================
+
+  // 19. Chiasmal compression (pituitary adenoma, craniopharyngioma, meningioma)
+  // Reference: Foroozan R. Chiasmal syndromes. Curr Opin Ophthalmol 2003;14:325-331
+  // Classic bitemporal hemianopia respecting vertical meridian
+  {
+    id: "chiasmal_compression",
+    criteria: [
+      { when: "vf_bitemporal", points: 7, why: "Bitemporal field pattern (classic chiasmal sign)" },
+      { when: "vf_respects_vertical", points: 2, why: "Respects vertical meridian" },
+      { when: "vf_laterality = binocular", points: 1, why: "Binocular involvement" },
+      { when: "vf_new_defect", points: 1, why: "New defect vs baseline" },
+      POOR_VF_RELIABILITY
+    ],
+    nextSteps: [
+      "MRI pituitary/sella with and without contrast (dedicated protocol)",
+      "Pituitary hormone panel: prolactin, TSH, free T4, ACTH, cortisol, IGF-1, LH, FSH",
+      "Formal visual field testing with reliable indices",
+      "OCT RNFL to assess optic nerve damage",
+      "Refer to neuro-ophthalmology and neurosurgery/endocrinology as appropriate"
+    ]
+  },
+
+  // 20. Retrochiasmal lesion - Optic tract
+  // Reference: Newman SA, Miller NR. Optic tract syndrome.
+  // Incongruent homonymous hemianopia, contralateral RAPD, bow-tie atrophy
+  {
+    id: "optic_tract_lesion",
+    criteria: [
+      { when: "vf_homonymous", points: 5, why: "Homonymous pattern" },
+      { when: "vf_congruity = low", points: 3, why: "Low congruity (suggests optic tract)" },
+      { when: "vf_respects_vertical", points: 2, why: "Respects vertical meridian" },
+      // RAPD in optic tract lesion is contralateral to the side of the lesion
+      { when: ["hasRAPD", "vf_homonymous"], points: 3, why: "RAPD present (optic tract lesions produce contralateral RAPD - key distinguishing feature)" },
+      POOR_VF_RELIABILITY
+    ],
+    nextSteps: [
+      "MRI brain with attention to optic tract",
+      "Look for bow-tie (band) atrophy on OCT/fundoscopy",
+      { when: "acute", steps: ["If acute: consider stroke protocol"] },
+      "Common etiologies: tumor, stroke, demyelination, trauma"
+    ]
+  },
+
+  // 21. Retrochiasmal lesion - Lateral geniculate nucleus (LGN)
+  // Reference: Luco C, et al. Visual field defects from lesions of the lateral geniculate body.
+  // Specific patterns: horizontal sectoranopia, wedge-shaped defects
+  {
+    id: "lgn_lesion",
+    minScore: 5,
+    criteria: [
+      { when: "vf_homonymous", points: 4, why: "Homonymous pattern" },
+      // LGN lesions can produce horizontal sectoranopia (wedge patterns)
+      { when: ["vf_respects_horizontal", "vf_homonymous"], points: 3, why: "Respects horizontal (suggests LGN sectoranopia)" },
+      { when: "vf_congruity = moderate", points: 1, why: "Moderate congruity" },
+      POOR_VF_RELIABILITY
+    ],
+    nextSteps: [
+      "MRI brain with attention to thalamus/LGN",
+      "Dual blood supply (anterior/posterior choroidal): can produce sector defects",
+      "Consider stroke, tumor, demyelination",
+      "Pattern: homonymous horizontal sectoranopia (wedge-shaped) is characteristic"
+    ]
+  },
+
+  // 22. Retrochiasmal lesion - Optic radiations (temporal and parietal)
+  // Reference: Zhang X, et al. Visual field defects of optic radiation lesions.
+  // Temporal radiations: superior quadrantanopia ("pie in the sky")
+  // Parietal radiations: inferior quadrantanopia
+  {
+    id: "optic_radiation_lesion",
+    criteria: [
+      { when: "vf_homonymous", points: 5, why: "Homonymous pattern" },
+      { when: "vf_respects_vertical", points: 2, why: "Respects vertical meridian" },
+      { firstOf: [
+        { when: "vf_congruity = low", points: 2, why: "Lower congruity (anterior radiations)" },
+        { when: "vf_congruity = moderate", points: 2, why: "Moderate congruity (anterior radiations)" }
+      ] },
+      // No RAPD in retrochiasmal lesions (beyond optic tract)
+      { when: ["hasRAPD = false", "vf_homonymous"], points: 1, why: "No RAPD (lesion is retrochiasmal)" },
+      POOR_VF_RELIABILITY
+    ],
+    nextSteps: [
+      "MRI brain with attention to temporal/parietal lobes",
+      { when: "acute", steps: ["If acute: stroke protocol, check last known well time"] },
+      "Superior quadrantanopia: temporal lobe (Meyer's loop)",
+      "Inferior quadrantanopia: parietal lobe",
+      "Common etiologies: stroke (MCA territory), tumor, demyelination"
+    ]
+  },
+
+  // 23. Occipital cortex lesion
+  // Reference: Gray LG, et al. Visual field defects after cerebral hemispherectomy.
+  // High congruity, macular sparing possible (dual blood supply)
+  {
+    id: "occipital_cortex_lesion",
+    criteria: [
+      { when: "vf_homonymous", points: 5, why: "Homonymous pattern" },
+      { when: "vf_congruity = high", points: 3, why: "High congruity (characteristic of occipital cortex)" },
+      { when: "vf_respects_vertical", points: 2, why: "Respects vertical meridian" },
+      // No RAPD in occipital lesions
+      { when: ["hasRAPD = false", "vf_homonymous"], points: 1, why: "No RAPD (retrochiasmal lesion)" },
+      POOR_VF_RELIABILITY,
+      { when: ["vascularRisk", "vf_homonymous"], points: 1, why: "Vascular risk factors (stroke is the commonest cause)" }
+    ],
+    nextSteps: [
+      { when: "acute", steps: [
+        "URGENT: Stroke protocol - posterior circulation (PCA territory)",
+        "Check last known well time for thrombolysis/thrombectomy window"
+      ] },
+      "MRI brain (DWI sequence if acute) with attention to occipital lobes",
+      "Macular sparing may occur (dual blood supply from MCA/PCA)",
+      "Complete homonymous hemianopia with macular sparing: occipital pole"
+    ]
+  },
+
+  // 24. Anterior Ischemic Optic Neuropathy (AION) - Arteritic (GCA)
+  // Reference: Hayreh SS. Ischemic optic neuropathies. Prog Retin Eye Res 2009;28:34-62
+  // Altitudinal defect, pallid disc edema, elevated ESR/CRP, jaw claudication
+  {
+    id: "arteritic_aion",
+    side: ["rapdEye", "discEdemaEye", "vaReducedEye"],
+    criteria: [
+      { firstOf: [
+        { when: ["vf_altitudinal", "vf_respects_horizontal"], points: 6, why: "Altitudinal defect respecting horizontal meridian (classic AION)" },
+        { when: "vf_altitudinal", points: 4, why: "Altitudinal pattern" }
+      ] },
+      { when: "vf_laterality = mono", points: 2, why: "Monocular (unilateral optic nerve)" },
+      { when: "hasRAPD", points: 3, why: "RAPD present (key finding in optic neuropathy)" },
+      { when: "discEdema", points: 2, why: "Disc edema present" },
+      // Arteritic AION usually leaves count fingers or worse; NAION mostly better than 20/200
+      { when: ["vaSevere", { any: ["vf_altitudinal", "discEdema", "hasRAPD"] }], points: 2, why: "Severe acuity loss (logMAR {vaWorseLogMAR:2}; typical of arteritic AION)" },
+      { when: "painful", points: 1, why: "Headache/pain (consider GCA)" },
+      { when: "acute", points: 1, why: "Acute onset" },
+      POOR_VF_RELIABILITY,
+      // Demographics: GCA is essentially confined to patients 50 and older
+      { when: ["olderAge", { any: ["vf_altitudinal", "discEdema", "hasRAPD"] }], points: 2, why: "Age {age} (GCA risk rises steeply after {OLDER_AGE_YEARS})" },
+      { when: "olderAge = false", points: -3, why: "Age {age}: GCA is very rare under {OLDER_AGE_YEARS}" }
+    ],
+    nextSteps: [
+      { when: "olderAge", steps: ["URGENT: ESR and CRP immediately (GCA screening at age {age})"] },
+      { when: "age = null", steps: ["URGENT if age >50: ESR and CRP immediately (GCA screening)"] },
+      "Examine optic disc: pallid edema (arteritic) vs hyperemic edema (non-arteritic)",
+      "Ask about jaw claudication, scalp tenderness, polymyalgia symptoms",
+      "If GCA suspected: start high-dose IV methylprednisolone pending temporal artery biopsy",
+      "Temporal artery biopsy within 2 weeks (steroids don't mask pathology)",
+      "Assess fellow eye risk: very high in untreated GCA"
+    ]
+  },
+
+  // 25. Non-arteritic AION (NAION)
+  // Reference: Hayreh SS. Non-arteritic anterior ischemic optic neuropathy.
+  // Similar VF pattern but younger patients, disc at risk, no GCA symptoms
+  {
+    id: "naion",
+    side: ["rapdEye", "discEdemaEye", "vaReducedEye"],
+    minScore: 5,
+    criteria: [
+      { when: "vf_altitudinal", points: 4, why: "Altitudinal pattern" },
+      { when: "vf_laterality = mono", points: 1, why: "Monocular" },
+      { when: "hasRAPD", points: 3, why: "RAPD present" },
+      // If no pain and not elderly, more likely NAION
+      { when: ["!painful", "vf_altitudinal"], points: 1, why: "Painless (typical for NAION)" },
+      { when: ["vaReduced", "vaSevere = false", "vf_altitudinal"], points: 1, why: "Acuity reduced but better than 20/200 (logMAR {vaWorseLogMAR:2}; usual in NAION)" },
+      POOR_VF_RELIABILITY,
+      { when: ["vascularRisk", "vf_altitudinal"], points: 1, why: "Vascular risk factors (diabetes/hypertension)" },
+      { when: ["olderAge", "vf_altitudinal"], points: 1, why: "Age {age} (typical NAION age)" }
+    ],
+    nextSteps: [
+      "Examine disc: hyperemic edema, small cup ('disc at risk')",
+      "ESR/CRP to exclude GCA (mandatory if age >50)",
+      "Assess vascular risk factors: HTN, DM, hyperlipidemia, sleep apnea",
+      "No proven treatment; optimize vascular risk factors",
+      "Fellow eye risk ~15% over 5 years",
+      "Avoid nocturnal hypotension, consider sleep study"
+    ]
+  },
+
+  // 26. Optic neuritis
+  // Reference: Optic Neuritis Treatment Trial (ONTT). Arch Ophthalmol 1991.
+  // Central/cecocentral scotoma, pain on eye movement, RAPD, young adults
+  {
+    id: "optic_neuritis",
+    side: ["rapdEye", "discEdemaEye", "colorDeficitEye", "vaReducedEye"],
+    criteria: [
+      { when: "vf_central_scotoma", points: 5, why: "Central scotoma" },
+      { when: "painOnMovement", points: 4, why: "Pain on eye movement (90% of optic neuritis)" },
+      // ONTT: pain in 92%, so its documented absence argues against optic neuritis
+      { when: "painOnMovement = false", points: -3, why: "No pain on eye movement (present in ~90% of optic neuritis)" },
+      { when: "hasRAPD", points: 3, why: "RAPD present (hallmark of unilateral optic neuropathy)" },
+      { when: "acquiredColorDeficit", points: 2, why: "Color vision deficit ({colorGrade})" },
+      { when: "colorWorseThanAcuity", points: 2, why: "Color loss out of proportion to acuity (typical of optic neuritis)" },
+      { when: "colorAsymmetric", points: 1, why: "Color loss asymmetric between the eyes (difference {colorAsymmetry:2})" },
+      { when: ["vaReduced", "vaAsymmetric"], points: 1, why: "Acuity {vaAsymmetry:1} logMAR worse in one eye (unilateral optic neuropathy)" },
+      { when: "vf_laterality = mono", points: 1, why: "Monocular (typically unilateral)" },
+      { when: "vf_new_defect", points: 1, why: "New defect" },
+      { when: "acute", points: 1, why: "Acute/subacute onset" },
+      POOR_VF_RELIABILITY,
+      { when: "colorDeficit = false", points: -2, why: "Color vision tested normal (usually reduced in optic neuritis)" },
+      { when: ["hasRAPD = false", "vf_laterality = mono"], points: -2, why: "No RAPD despite a monocular defect" },
+      { when: ["knownMS", { any: ["vf_central_scotoma", "hasRAPD", "painOnMovement"] }], points: 2, why: "Known multiple sclerosis" },
+      { when: ["olderAge", "vf_central_scotoma"], points: -1, why: "Age {age}: optic neuritis is uncommon over {OLDER_AGE_YEARS}; consider ischemia" }
+    ],
+    nextSteps: [
+      "Check visual acuity, color vision (red cap desaturation, Ishihara), RAPD grade",
+      "MRI brain and orbits with contrast (fat suppression for orbits)",
+      "Disc may be normal (retrobulbar) or swollen (papillitis)",
+      "If MRI shows demyelinating lesions: discuss MS risk and treatment",
+      "ONTT: IV steroids speed recovery but don't change final outcome",
+      "Consider NMO-IgG (aquaporin-4), MOG antibodies if atypical features"
+    ]
+  },
+
+  // 27. Macular disease (AMD, macular hole, CSR)
+  // Reference: Distinguishing macular from optic nerve disease
+  // Central scotoma without RAPD (unless severe), metamorphopsia
+  {
+    id: "macular_disease",
+    side: ["vaReducedEye"],
+    minScore: 5,
+    criteria: [
+      { when: "vf_central_scotoma", points: 4, why: "Central scotoma" },
+      { when: "vf_laterality = mono", points: 1, why: "Monocular" },
+      // No RAPD or minimal RAPD suggests macular rather than optic nerve
+      { when: ["vf_central_scotoma", "noSignificantRAPD"], points: 3, why: "No significant RAPD (strongly favors macular over optic nerve)" },
+      // No pain
+      { when: ["painOnMovement = false", "vf_central_scotoma"], points: 1, why: "Painless" },
+      { when: ["colorDeficit = false", "vf_central_scotoma"], points: 1, why: "No color deficit (favors macular)" },
+      // Macular disease costs acuity before color; the reverse points to the optic nerve
+      { when: "colorWorseThanAcuity", points: -2, why: "Color loss out of proportion to acuity (favors optic nerve)" },
+      { when: ["vaReduced", "noSignificantRAPD", "discPallor = false"], points: 2, why: "Acuity reduced (logMAR {vaWorseLogMAR:2}) without significant RAPD or pallor" },
+      // A central scotoma should cost central acuity
+      { when: ["vaReduced = false", "vf_central_scotoma"], points: -1, why: "Acuity normal in both eyes despite a central scotoma" },
+      // Gain with pinhole means at least part of the loss is refractive
+      { when: ["pinholeImproves", "vaReduced"], points: -1, why: "Acuity improves with pinhole (refractive component)" },
+      POOR_VF_RELIABILITY
+    ],
+    nextSteps: [
+      "Dilated fundus exam with attention to macula",
+      "OCT macula: assess for AMD, macular hole, epiretinal membrane, CME",
+      "Amsler grid: metamorphopsia suggests macular pathology",
+      "Check for distortion, not just scotoma",
+      "If RAPD present: consider combined or optic nerve pathology"
+    ]
+  },
+
+  // 28. Glaucomatous optic neuropathy
+  // Reference: Foster PJ, et al. The definition and classification of glaucoma.
+  // Arcuate, nasal step, paracentral scotomas respecting horizontal
+  {
+    id: "glaucomatous_optic_neuropathy",
+    minScore: 4,
+    criteria: [
+      // Arcuate defects and nasal steps respect horizontal meridian
+      { when: ["vf_respects_horizontal", "vf_laterality = mono"], points: 3, why: "Respects horizontal meridian (nerve fiber layer pattern)" },
+      { when: ["vf_altitudinal", "vf_laterality = mono"], points: 2, why: "Altitudinal/arcuate pattern" },
+      { when: "cupping", points: 3, why: "Optic disc cupping noted" },
+      // Usually no RAPD unless very asymmetric
+      { when: ["!acute", "!painful"], points: 1, why: "Chronic, painless" },
+      POOR_VF_RELIABILITY
+    ],
+    nextSteps: [
+      "Check IOP, gonioscopy, optic nerve head evaluation",
+      "OCT RNFL for structural correlation with VF defect",
+      "Typical patterns: arcuate scotoma, nasal step, paracentral scotomas",
+      "Progressive: compare to prior fields",
+      "If diagnosis confirmed: IOP-lowering treatment"
+    ]
+  },
+
+  // 29. Functional (non-organic) visual field loss
+  // Reference: Bruce BB, Newman NJ. Functional visual loss.
+  // Tubular fields, spiral pattern, inconsistent responses
+  {
+    id: "functional_vision_loss",
+    minScore: 4,
+    criteria: [
+      { when: "vf_reliability = poor", points: 2, why: "Poor reliability" },
+      // No anatomic pattern
+      { when: ["!vf_homonymous", "!vf_bitemporal", "!vf_altitudinal", "!vf_respects_vertical", "!vf_respects_horizontal", "vf_symptoms"], points: 2, why: "No clear anatomic pattern" },
+      { when: ["vf_symptoms", "hasRAPD = false", "painOnMovement = false"], points: 1, why: "Visual complaints without objective findings" },
+      // Organic loss this asymmetric nearly always produces an RAPD
+      { when: ["vaAsymmetry >= 0.5", "hasRAPD = false", "discPallor = false", "discEdema = false"], points: 3, why: "Acuity {vaAsymmetry:1} logMAR worse in one eye, yet no RAPD or disc change" },
+      { when: ["vaSevere", "odReactive", "osReactive", "hasRAPD = false"], points: 1, why: "Severe acuity loss (logMAR {vaWorseLogMAR:2}) with brisk pupils" },
+      // A measured asymmetry with an RAPD on the worse side is organic
+      { when: ["vaAsymmetric", "hasRAPD"], points: -2, why: "RAPD accompanies the acuity asymmetry" }
+    ],
+    nextSteps: [
+      "Look for tubular fields (don't expand with distance)",
+      "Spiral or star pattern on kinetic perimetry",
+      "Inconsistency between VF and mobility/behavior",
+      "Normal pupils, normal fundus",
+      "This is a diagnosis of exclusion - rule out organic causes first",
+      "Approach with empathy; may coexist with real pathology"
+    ]
+  },
+
+  // =====================================
+  // COMBINED/OVERLAPPING PATTERNS
+  // =====================================
+
+  // 30. Miller Fisher syndrome
+  // Reference: Fisher M. An unusual variant of acute idiopathic polyneuritis.
+  // Triad: ophthalmoplegia, ataxia, areflexia; anti-GQ1b antibodies
+  {
+    id: "miller_fisher_syndrome",
+    minScore: 5,
+    criteria: [
+      { when: "diplopia", points: 2, why: "Diplopia/ophthalmoplegia" },
+      // Multiple EOM involvement
+      { when: { atLeast: 2, of: ["abductionDeficit = true", "adductionDeficit = true", "verticalLimitation = true"] }, points: 2, why: "Multiple EOM involvement" },
+      { when: "ptosis", points: 1, why: "Ptosis" },
+      // Pupil involvement can occur
+      { when: { any: ["largePattern", "smallPattern"] }, points: 1, why: "Pupil abnormality (can occur in MFS)" },
+      { when: "neuroSx", points: 2, why: "Other neurological symptoms (ataxia?)" }
+    ],
+    nextSteps: [
+      "Clinical triad: ophthalmoplegia, ataxia, areflexia",
+      "Check deep tendon reflexes (typically absent)",
+      "Anti-GQ1b antibodies (positive in >90%)",
+      "Often preceded by respiratory/GI infection",
+      "LP: albuminocytologic dissociation",
+      "Usually self-limited; IVIG may speed recovery"
+    ]
+  },
+
+  // 31. Wernicke encephalopathy
+  // Reference: Sechi G, Serra A. Wernicke's encephalopathy: new clinical settings and recent advances.
+  // Triad: ophthalmoplegia (CN VI, gaze palsy), confusion, ataxia
+  {
+    id: "wernicke_encephalopathy",
+    minScore: 5,
+    criteria: [
+      { when: "abductionDeficit = true", points: 2, why: "Abduction deficit (CN VI involvement common)" },
+      { when: "diplopia", points: 1, why: "Diplopia" },
+      // Nystagmus and gaze palsies common
+      { when: "neuroSx", points: 3, why: "Neurological symptoms (confusion, ataxia)" },
+      // Often pupil-sparing
+      { when: ["pupilSparing", "abductionDeficit = true"], points: 1, why: "Pupil-sparing" }
+    ],
+    nextSteps: [
+      "Classic triad: ophthalmoplegia, confusion, ataxia (complete triad in <20%)",
+      "Risk factors: alcoholism, malnutrition, bariatric surgery, hyperemesis",
+      "URGENT: Thiamine 500mg IV TID before glucose administration",
+      "MRI: T2/FLAIR hyperintensity in mammillary bodies, periaqueductal gray",
+      "Prevent Korsakoff syndrome with prompt treatment"
+    ]
+  },
+
+  // =====================================
+  // ORBITAL AND THYROID CONDITIONS
+  // =====================================
+
+  // 32. Thyroid Eye Disease (Graves' ophthalmopathy)
+  // Reference: Bartalena L, et al. Consensus statement of the European Group on Graves' orbitopathy (EUGOGO).
+  // Restrictive myopathy, proptosis, lid retraction, exposure keratopathy
+  {
+    id: "thyroid_eye_disease",
+    minScore: 4,
+    criteria: [
+      { when: "diplopia", points: 2, why: "Diplopia present" },
+      // Restrictive pattern - typically affects IR first (limitation of upgaze)
+      { when: "verticalLimitation = true", points: 3, why: "Vertical limitation (IR restriction causes upgaze limitation)" },
+      // Comitant or near-comitant (restrictive, not neurogenic)
+      { when: "comitant = true", points: 2, why: "Comitant deviation (suggests restrictive rather than neurogenic)" },
+      { when: "painOnMovement", points: 2, why: "Pain on eye movement (active inflammatory phase)" },
+      // Pupil-sparing
+      { when: ["pupilSparing", "diplopia"], points: 1, why: "Pupil-sparing" },
+      // Ptosis is unusual (lid retraction more common, but can have pseudo-ptosis)
+      { when: "ptosis", points: -1, why: "Note: Ptosis unusual in TED (lid retraction typical)" }
+    ],
+    nextSteps: [
+      "Exam: proptosis (Hertel), lid retraction, lagophthalmos, conjunctival injection",
+      "Check thyroid function: TSH, free T4, T3, TSH receptor antibodies",
+      "CT orbits: enlarged extraocular muscles with tendon sparing",
+      "Pattern: IR > MR > SR > LR (mnemonic: I'M SLow)",
+      "Active vs inactive: CAS (Clinical Activity Score)",
+      "Mild: lubricants, selenium; Moderate-severe: IV steroids, orbital radiation, surgery"
+    ]
+  },
+
+  // 33. Orbital inflammatory disease (Idiopathic orbital inflammation / Orbital pseudotumor)
+  // Reference: Yuen SJ, Rubin PA. Idiopathic orbital inflammation.
+  // Painful ophthalmoplegia, proptosis, chemosis
+  {
+    id: "orbital_inflammation",
+    minScore: 5,
+    criteria: [
+      { when: "painOnMovement", points: 4, why: "Pain on eye movement (hallmark of orbital inflammation)" },
+      { when: "painful", points: 2, why: "Pain/headache present" },
+      { when: "diplopia", points: 2, why: "Diplopia (myositis component)" },
+      { when: "acute", points: 1, why: "Acute onset" },
+      // Can affect any EOM
+      { when: { any: ["abductionDeficit = true", "adductionDeficit = true", "verticalLimitation = true"] }, points: 1, why: "EOM limitation present" }
+    ],
+    nextSteps: [
+      "Exam: proptosis, chemosis, injection, restricted motility, pain",
+      "CT/MRI orbits with contrast: enhancing mass, may involve any orbital structure",
+      "Subtypes: myositis, dacryoadenitis, diffuse, apical",
+      "Dramatic response to corticosteroids (diagnostic and therapeutic)",
+      "If poor steroid response: biopsy to exclude lymphoma, IgG4-related disease",
+      "Rule out: thyroid eye disease, lymphoma, sarcoidosis, granulomatosis"
+    ]
+  },
+
+  // 34. Cavernous sinus syndrome
+  // Reference: Keane JR. Cavernous sinus syndrome.
+  // Multiple cranial neuropathies (III, IV, VI, V1, V2), may have Horner
+  {
+    id: "cavernous_sinus_syndrome",
+    side: ["ptosisEye", "abductionDeficitEye", "adductionDeficitEye"],
+    minScore: 5,
+    criteria: [
+      // Multiple CN involvement
+      { when: { atLeast: 2, of: ["largePattern", "ptosis", "abductionDeficit = true", "adductionDeficit = true", "verticalLimitation = true"] }, points: 4, why: "Multiple cranial nerve involvement" },
+      { when: ["diplopia", "ptosis"], points: 2, why: "Diplopia + ptosis" },
+      { when: "painful", points: 2, why: "Pain (V1/V2 involvement or mass effect)" },
+      // Horner can occur (sympathetic fibers travel through cavernous sinus)
+      { when: "smallPattern", points: 2, why: "Small pupil pattern (sympathetic involvement in cavernous sinus)" },
+      { when: "acute", points: 1, why: "Acute onset" }
+    ],
+    nextSteps: [
+      "Structures in cavernous sinus: CN III, IV, VI, V1, V2, sympathetics, ICA",
+      "MRI brain with attention to cavernous sinus, fat-saturated T1 with contrast",
+      "Etiologies: tumor (meningioma, pituitary), infection, CCF, thrombosis, Tolosa-Hunt",
+      "Check for proptosis, conjunctival injection (CCF), facial sensory loss (V1/V2)",
+      "If infectious: emergent - can spread from sinusitis",
+      "Tolosa-Hunt: painful ophthalmoplegia, responds to steroids"
+    ]
+  },
+
+  // 35. Orbital apex syndrome
+  // Reference: Yeh S, Foroozan R. Orbital apex syndrome.
+  // Cavernous sinus findings PLUS optic neuropathy
+  {
+    id: "orbital_apex_syndrome",
+    side: ["rapdEye", "vaReducedEye", "ptosisEye", "abductionDeficitEye", "adductionDeficitEye"],
+    minScore: 6,
+    criteria: [
+      // Optic nerve involvement differentiates from pure cavernous sinus
+      { when: "hasRAPD", points: 4, why: "RAPD (optic nerve involvement - key feature)" },
+      { when: { any: ["discPallor", "discEdema"] }, points: 2, why: "Disc changes (pallor or edema)" },
+      { when: { any: ["acquiredColorDeficit", "vaReduced"] }, points: 2, why: "Visual function affected (color/VA)" },
+      // Plus cavernous sinus features
+      { when: "diplopia", points: 2, why: "Diplopia (EOM involvement)" },
+      { when: "painful", points: 2, why: "Pain" },
+      { when: "ptosis", points: 1, why: "Ptosis" },
+      { when: ["malignancy", "hasRAPD"], points: 1, why: "History of malignancy" }
+    ],
+    nextSteps: [
+      "Orbital apex = cavernous sinus syndrome + optic neuropathy",
+      "CN II, III, IV, VI, V1 all affected",
+      "MRI orbits and brain with contrast, fat suppression",
+      "Etiologies: tumor, infection (mucormycosis in diabetics), inflammation",
+      "If diabetic with sinusitis: consider mucormycosis (EMERGENT)",
+      "Visual prognosis depends on prompt treatment"
+    ]
+  },
+
+  // =====================================
+  // ADDITIONAL PUPIL CONDITIONS
+  // =====================================
+
+  // 36. Episodic unilateral mydriasis (benign)
+  // Reference: Jacobson DM. Benign episodic unilateral mydriasis.
+  // Intermittent dilated pupil, often with headache, no other deficits
+  {
+    id: "benign_episodic_mydriasis",
+    side: ["largePupilEye"],
+    minScore: 6,
+    criteria: [
+      { when: "largePattern", points: 2, why: "Large pupil pattern" },
+      // Typically reactive (unlike CN III or pharmacologic)
+      { when: ["pupilsReact", "largePattern"], points: 2, why: "Pupil still reactive (distinguishes from fixed pathology)" },
+      // No EOM involvement
+      { when: ["diplopia = false", "ptosis = false", "largePattern"], points: 3, why: "No diplopia or ptosis (isolated pupil finding)" },
+      // May have headache
+      { when: ["painful", "largePattern", "ptosis = false", "diplopia = false"], points: 1, why: "Headache present (common association)" },
+      // No neuro symptoms
+      { when: ["!neuroSx", "largePattern"], points: 1, why: "No neurological symptoms" }
+    ],
+    nextSteps: [
+      "Intermittent episodes of unilateral pupil dilation",
+      "Pupil typically reactive during episodes",
+      "Associated with migraine in many cases",
+      "No ptosis, no diplopia, no other neurological signs",
+      "Diagnosis of exclusion - rule out CN III pathology first",
+      "Reassurance appropriate if workup negative"
+    ]
+  },
+
+  // 37. Tadpole pupil
+  // Reference: Thompson HS, Zackon DH, Czarnecki JS. Tadpole-shaped pupils.
+  // Segmental iris dilator spasm, association with Horner
+  {
+    id: "tadpole_pupil",
+    minScore: 3,
+    criteria: [
+      { when: { any: ["smallPattern", "dilationLag"] }, points: 3, why: "Small pupil pattern or dilation lag (associated Horner)" },
+      // Typically intermittent
+      { when: ["!acute", { any: ["smallPattern", "dilationLag"] }], points: 1, why: "Chronic/intermittent pattern" }
+    ],
+    nextSteps: [
+      "Segmental iris dilator muscle spasm causing peaked pupil",
+      "Often associated with underlying Horner syndrome",
+      "Transient distortion of pupil shape",
+      "Check for signs of Horner: ptosis, anhidrosis, dilation lag",
+      "If Horner confirmed: standard Horner workup indicated"
+    ]
+  },
+
+  // =====================================
+  // ADDITIONAL EOM/MOTILITY CONDITIONS
+  // =====================================
+
+  // 38. Internuclear ophthalmoplegia (INO)
+  // Reference: Keane JR. Internuclear ophthalmoplegia.
+  // Adduction deficit with contralateral abducting nystagmus
+  {
+    id: "internuclear_ophthalmoplegia",
+    side: ["adductionDeficitEye"],
+    minScore: 6,
+    criteria: [
+      { when: "adductionDeficit = true", points: 5, why: "Adduction deficit (hallmark of INO)" },
+      { when: ["diplopia", "adductionDeficit = true"], points: 2, why: "Diplopia with adduction deficit" },
+      // Ptosis absent
+      { when: ["ptosis = false", "adductionDeficit = true"], points: 2, why: "No ptosis (distinguishes from CN III)" },
+      // Pupil-sparing
+      { when: ["pupilSparing", "adductionDeficit = true"], points: 2, why: "Pupil-sparing (distinguishes from CN III)" },
+      // Incomitant
+      { when: ["comitant = false", "adductionDeficit = true"], points: 1, why: "Incomitant deviation" }
+    ],
+    nextSteps: [
+      "Lesion in MLF (medial longitudinal fasciculus)",
+      "Test convergence: typically preserved in INO (distinguishes from CN III)",
+      "Look for contralateral abducting nystagmus",
+      "Young patient: multiple sclerosis (bilateral INO common)",
+      "Older patient: stroke (usually unilateral)",
+      "MRI brain with attention to brainstem/MLF"
+    ]
+  },
+
+  // 39. Duane retraction syndrome (Type I)
+  // Reference: DeRespinis PA, et al. Duane's retraction syndrome.
+  // Congenital, limited abduction, globe retraction on adduction
+  {
+    id: "duane_type_1",
+    side: ["abductionDeficitEye"],
+    minScore: 6,
+    criteria: [
+      { when: "abductionDeficit = true", points: 4, why: "Abduction deficit" },
+      // Usually not acute
+      { when: ["!acute", "abductionDeficit = true"], points: 2, why: "Non-acute presentation (congenital)" },
+      // No pain
+      { when: ["!painful", "abductionDeficit = true"], points: 1, why: "Painless" },
+      // Pupil-sparing
+      { when: ["pupilSparing", "abductionDeficit = true"], points: 1, why: "Pupil-sparing" },
+      // No diplopia in primary (often)
+      { when: ["diplopia = false", "abductionDeficit = true"], points: 1, why: "No diplopia in primary gaze" },
+      // Incomitant deviation typical
+      { when: ["comitant = false", "abductionDeficit = true"], points: 1, why: "Incomitant deviation" }
+    ],
+    nextSteps: [
+      "Congenital CN VI aplasia with aberrant CN III innervation to LR",
+      "Type I: limited abduction (most common)",
+      "Globe retraction and palpebral fissure narrowing on adduction",
+      "Usually unilateral (left > right), female predominance",
+      "Face turn toward affected side to maintain binocularity",
+      "No treatment needed if aligned in primary; surgery for large deviation"
+    ]
+  },
+
+  // 40. Duane retraction syndrome (Type II)
+  // Reference: DeRespinis PA, et al. Duane's retraction syndrome.
+  // Congenital, limited adduction, globe retraction on adduction
+  {
+    id: "duane_type_2",
+    side: ["adductionDeficitEye"],
+    minScore: 6,
+    criteria: [
+      { when: "adductionDeficit = true", points: 4, why: "Adduction deficit" },
+      // Usually not acute
+      { when: ["!acute", "adductionDeficit = true"], points: 2, why: "Non-acute presentation (congenital)" },
+      // No pain
+      { when: ["!painful", "adductionDeficit = true"], points: 1, why: "Painless" },
+      // Pupil-sparing
+      { when: ["pupilSparing", "adductionDeficit = true"], points: 1, why: "Pupil-sparing" },
+      // No diplopia in primary (often)
+      { when: ["diplopia = false", "adductionDeficit = true"], points: 1, why: "No diplopia in primary gaze" },
+      // Incomitant deviation typical
+      { when: ["comitant = false", "adductionDeficit = true"], points: 1, why: "Incomitant deviation" }
+    ],
+    nextSteps: [
+      "Congenital misinnervation of LR by CN III",
+      "Type II: limited adduction (less common)",
+      "Globe retraction and palpebral fissure narrowing on adduction",
+      "Often esotropia in primary with paradoxical upshoot/downshoot",
+      "Usually unilateral; face turn to maintain binocularity",
+      "Surgery for significant primary position deviation"
+    ]
+  },
+
+  // 41. Brown syndrome
+  // Reference: Wright KW. Brown's syndrome: diagnosis and management.
+  // Limited elevation in adduction
+  {
+    id: "brown_syndrome",
+    side: ["elevationInAdductionEye"],
+    minScore: 4,
+    criteria: [
+      { when: "verticalLimitation = true", points: 3, why: "Vertical limitation" },
+      // Usually painless (unless inflammatory)
+      { when: ["!painful", "verticalLimitation = true"], points: 1, why: "Painless (congenital type)" },
+      { when: ["painOnMovement", "verticalLimitation = true"], points: 2, why: "Pain on movement (acquired/inflammatory type)" },
+      // No ptosis, pupil-sparing
+      { when: ["ptosis = false", "verticalLimitation = true"], points: 1, why: "No ptosis" }
+    ],
+    nextSteps: [
+      "Restricted SO tendon: limited elevation in adduction",
+      "Positive forced duction test",
+      "Congenital: usually stable, observe if small",
+      "Acquired: RA, trauma, sinus surgery, inflammation around trochlea",
+      "Inflammatory: may respond to steroids or NSAIDs",
+      "Surgery if significant hypotropia in primary gaze"
+    ]
+  },
+
+  // 42. Ocular neuromyotonia
+  // Reference: Yee RD, et al. Ocular neuromyotonia.
+  // Episodic sustained EOM contraction, often after radiation
+  {
+    id: "ocular_neuromyotonia",
+    minScore: 4,
+    criteria: [
+      { when: "diplopia", points: 2, why: "Diplopia present" },
+      // Episodic/intermittent pattern suggested by non-constant symptoms
+      { when: { any: ["abductionDeficit = true", "adductionDeficit = true", "verticalLimitation = true"] }, points: 2, why: "EOM deficit present" },
+      // No pain typically
+      { when: ["!painful", "diplopia"], points: 1, why: "Painless" }
+    ],
+    nextSteps: [
+      "Episodic sustained contraction of EOM (spasm)",
+      "Often history of parasellar radiation or skull base surgery",
+      "Triggered by sustained gaze in direction of action of affected muscle",
+      "Lasts seconds to minutes",
+      "Treatment: carbamazepine or other membrane stabilizers",
+      "MRI to evaluate prior treatment site"
+    ]
+  },
+
+  // =====================================
+  // ADDITIONAL OPTIC NERVE CONDITIONS
+  // =====================================
+
+  // 43. Papilledema (increased ICP)
+  // Reference: Friedman DI, et al. Revised diagnostic criteria for pseudotumor cerebri syndrome.
+  // Bilateral disc edema from elevated ICP
+  {
+    id: "papilledema",
+    minScore: 5,
+    criteria: [
+      { when: "discEdema", points: 4, why: "Disc edema present" },
+      // Usually bilateral
+      { when: ["discEdemaOD", "discEdemaOS"], points: 2, why: "Bilateral disc edema" },
+      // No RAPD initially (both eyes affected equally)
+      { when: ["hasRAPD = false", "discEdema"], points: 2, why: "No RAPD (symmetric involvement)" },
+      // Headache common
+      { when: ["painful", "discEdema"], points: 2, why: "Headache present" },
+      // Transient visual obscurations (VF symptoms)
+      { when: ["vf_symptoms", "discEdema"], points: 1, why: "Visual symptoms" },
+      // IIH demographics
+      { when: ["obese", "discEdema"], points: 2, why: "BMI {bmi:0} (obesity is the main IIH risk factor)" },
+      { when: ["female", "olderAge = false", "discEdema"], points: 1, why: "Woman under {OLDER_AGE_YEARS} (typical IIH demographic)" },
+      { when: ["pregnant", "discEdema"], points: 1, why: "Pregnancy (IIH and venous sinus thrombosis risk)" }
+    ],
+    nextSteps: [
+      "Bilateral disc edema from increased intracranial pressure",
+      "MRI brain + MRV to rule out mass, venous sinus thrombosis",
+      "LP with opening pressure (after imaging rules out mass)",
+      "IIH criteria: elevated OP >25cm H2O, normal CSF, no other cause",
+      "IIH risk factors: obesity, young woman, vitamin A, tetracyclines",
+      "Monitor visual fields - can cause progressive optic neuropathy",
+      "Treatment: weight loss, acetazolamide, topiramate; shunt/ONSF if severe"
+    ]
+  },
+
+  // 43. Anterior ischemic optic neuropathy - Non-arteritic (NAION) - already exists but enhance
+  // 44. Leber hereditary optic neuropathy (LHON)
+  // Reference: Yu-Wai-Man P, et al. Leber hereditary optic neuropathy.
+  // Maternal inheritance, sequential bilateral painless vision loss, young males
+  {
+    id: "lhon",
+    minScore: 5,
+    criteria: [
+      { when: "hasRAPD", points: 2, why: "RAPD present" },
+      { when: "vf_central_scotoma", points: 3, why: "Central scotoma" },
+      { when: ["discEdema", "!painful"], points: 2, why: "Disc edema/hyperemia without pain" },
+      { when: "acquiredColorDeficit", points: 2, why: "Color vision deficit" },
+      // Painless
+      { when: ["!painful", { any: ["hasRAPD", "vf_central_scotoma", "acquiredColorDeficit"] }], points: 1, why: "Painless (typical for LHON)" }
+    ],
+    nextSteps: [
+      "Mitochondrial DNA mutations (most common: 11778, 3460, 14484)",
+      "Typical: young male with painless sequential vision loss",
+      "Exam: circumpapillary telangiectatic vessels, pseudoedema",
+      "No disc leakage on FA (distinguishes from true papillitis)",
+      "Maternal inheritance pattern - ask family history",
+      "Genetic testing for mtDNA mutations",
+      "Idebenone may help if started early; avoid smoking, alcohol"
+    ]
+  },
+
+  // 45. Dominant optic atrophy (DOA / Kjer type)
+  // Reference: Votruba M, et al. Clinical features of autosomal dominant optic atrophy.
+  {
+    id: "dominant_optic_atrophy",
+    minScore: 5,
+    criteria: [
+      { when: "discPallor", points: 3, why: "Disc pallor (optic atrophy)" },
+      { firstOf: [
+        { when: "tritanAxis", points: 3, why: "Blue-yellow (tritan) defect on HRR" },
+        { when: "acquiredColorDeficit", points: 2, why: "Color vision deficit (blue-yellow axis typically)" }
+      ] },
+      { when: "vf_central_scotoma", points: 2, why: "Central/cecocentral scotoma" },
+      // Bilateral, symmetric
+      { when: ["discPallorOD", "discPallorOS"], points: 2, why: "Bilateral optic atrophy" },
+      // Chronic, painless
+      { when: ["!acute", "!painful", "discPallor"], points: 1, why: "Chronic, painless course" }
+    ],
+    nextSteps: [
+      "OPA1 gene mutation (autosomal dominant)",
+      "Onset typically in first decade, slowly progressive",
+      "Temporal disc pallor, reduced VA (often 20/40-20/200)",
+      "Blue-yellow color defects more than red-green",
+      "Central or cecocentral scotomas",
+      "Family history of vision loss (autosomal dominant)",
+      "Genetic testing for OPA1 mutations",
+      "No proven treatment; low vision rehabilitation"
+    ]
+  },
+
+  // 46. Toxic/Nutritional optic neuropathy
+  // Reference: Sharma P, Sharma R. Toxic optic neuropathy.
+  {
+    id: "toxic_nutritional_optic_neuropathy",
+    minScore: 5,
+    criteria: [
+      { when: "vf_central_scotoma", points: 3, why: "Central/cecocentral scotoma" },
+      { when: "acquiredColorDeficit", points: 2, why: "Color vision deficit" },
+      { when: "discPallor", points: 2, why: "Disc pallor" },
+      // Bilateral, symmetric; a congenital red-green defect is bilateral too, so it doesn't count
+      { when: { any: [["colorDeficitOD", "colorDeficitOS", "!congenitalColorPattern"], ["discPallorOD", "discPallorOS"]] }, points: 2, why: "Bilateral, symmetric involvement" },
+      // Painless, subacute
+      { when: "!painful", points: 1, why: "Painless" }
+    ],
+    nextSteps: [
+      "Common toxins: ethambutol, methanol, ethylene glycol, linezolid",
+      "Nutritional: B12, folate, thiamine, copper deficiency",
+      "Tobacco-alcohol amblyopia (B12/folate related)",
+      "Labs: B12, folate, MMA, homocysteine, CBC, copper, zinc",
+      "Cecocentral scotoma typical (involves fixation and blind spot)",
+      "Stop offending agent; replete deficiencies",
+      "Recovery depends on duration and severity"
+    ]
+  },
+
+  // 47. Optic disc drusen
+  // Reference: Auw-Haedrich C, et al. Optic disk drusen.
+  {
+    id: "optic_disc_drusen",
+    minScore: 4,
+    criteria: [
+      // VF defects without other concerning features
+      { when: [{ any: ["vf_altitudinal", "vf_respects_horizontal"] }, "hasRAPD = false"], points: 3, why: "Arcuate/altitudinal VF defect without RAPD" },
+      // No RAPD despite VF loss (or minimal)
+      { when: ["noSignificantRAPD", { any: ["vf_altitudinal", "vf_symptoms"] }], points: 2, why: "No significant RAPD despite VF changes" },
+      // Chronic, stable, no pain
+      { when: ["!acute", "!painful"], points: 1, why: "Chronic, stable course" },
+      // Disc appears elevated but not true edema
+      { when: ["discEdema = false", "discPallor = false"], points: 1, why: "No true disc edema or pallor" }
+    ],
+    nextSteps: [
+      "Calcified deposits in optic nerve head",
+      "Can cause pseudopapilledema or be buried (not visible)",
+      "VF defects: arcuate, enlarged blind spot, altitudinal",
+      "B-scan ultrasound: highly reflective lesions with shadowing",
+      "OCT: signal-poor core with hyperreflective margins (EDI-OCT)",
+      "Autofluorescence: drusen autofluoresce",
+      "Usually benign; monitor VF for rare progressive loss"
+    ]
+  },
+
+  // =====================================
+  // RETINAL CONDITIONS MIMICKING OPTIC NERVE
+  // =====================================
+
+  // 48. Central/Branch retinal artery occlusion
+  // Reference: Hayreh SS. Acute retinal arterial occlusive disorders.
+  {
+    id: "retinal_artery_occlusion",
+    side: ["rapdEye", "vaReducedEye"],
+    minScore: 5,
+    criteria: [
+      { when: "hasRAPD", points: 3, why: "RAPD present" },
+      { when: "acute", points: 3, why: "Acute onset" },
+      { when: ["vf_altitudinal", "vf_laterality = mono"], points: 2, why: "Altitudinal or sectoral VF loss, monocular" },
+      // Painless
+      { when: ["!painful", "acute", "hasRAPD"], points: 1, why: "Painless (typical for CRAO)" }
+    ],
+    nextSteps: [
+      "EMERGENT: Acute painless monocular vision loss",
+      "Fundus: retinal whitening, cherry red spot (CRAO), cattle-trucking",
+      "Time-sensitive: retinal tolerance ~90-120 minutes",
+      "Acute CRAO: consider ocular massage, AC paracentesis, IOP lowering",
+      "Workup: carotid imaging, echocardiogram, ESR (GCA if >50)",
+      "GCA: must rule out if age >50 (ESR/CRP, temporal artery biopsy)",
+      "Stroke workup indicated - embolic source evaluation"
+    ]
+  },
+
+  // 49. Central/Branch retinal vein occlusion
+  // Reference: The Central Vein Occlusion Study Group.
+  {
+    id: "retinal_vein_occlusion",
+    side: ["discEdemaEye", "vaReducedEye"],
+    minScore: 5,
+    criteria: [
+      { when: ["hasRAPD", "acute"], points: 3, why: "RAPD with acute onset" },
+      { when: ["discEdema", "vf_laterality = mono"], points: 2, why: "Disc edema, monocular" },
+      { when: ["vf_symptoms", "vf_laterality = mono"], points: 2, why: "Visual symptoms, monocular" },
+      // Usually painless
+      { when: ["!painful", "acute"], points: 1, why: "Painless" }
+    ],
+    nextSteps: [
+      "Fundus: dilated tortuous veins, hemorrhages, cotton wool spots, disc edema",
+      "CRVO: all quadrants; BRVO: distribution of affected vein",
+      "Check for macular edema (OCT) - treat with anti-VEGF",
+      "RAPD in ischemic CRVO indicates poor visual prognosis",
+      "Monitor for neovascularization (NVI, NVE, NVG)",
+      "Workup: HTN, DM, glaucoma, hypercoagulable states if young",
+      "Refer retina for anti-VEGF and/or PRP if ischemic"
+    ]
+  },
+
+  // 50. Acute zonal occult outer retinopathy (AZOOR)
+  // Reference: Gass JD. Acute zonal occult outer retinopathy.
+  {
+    id: "azoor",
+    minScore: 4,
+    criteria: [
+      { when: ["vf_symptoms", "vf_laterality = mono"], points: 2, why: "Visual symptoms, monocular" },
+      // VF loss without proportionate fundus findings
+      { when: [{ any: ["vf_altitudinal", "vf_respects_horizontal"] }, "noSignificantRAPD"], points: 2, why: "VF defect without significant RAPD" },
+      // Photopsia common
+      { when: "acute", points: 1, why: "Acute/subacute onset" }
+    ],
+    nextSteps: [
+      "White dot syndrome family - photoreceptor dysfunction",
+      "Symptoms: photopsias, scotomas, visual field loss",
+      "Fundus often normal or minimal changes initially",
+      "ERG: reduced a-wave amplitude in affected zones",
+      "FAF: hyper/hypo-autofluorescence in affected areas",
+      "OCT: loss of ellipsoid zone (photoreceptor damage)",
+      "Usually stabilizes; may have recurrences"
+    ]
+  },
+
+  // =====================================
+  // ADDITIONAL NEUROLOGICAL CONDITIONS
+  // =====================================
+
+  // 51. Parinaud syndrome (dorsal midbrain syndrome)
+  // Reference: Keane JR. The pretectal syndrome.
+  // Upgaze palsy, light-near dissociation, convergence-retraction nystagmus
+  {
+    id: "parinaud_syndrome",
+    minScore: 5,
+    criteria: [
+      { when: "verticalLimitation = true", points: 3, why: "Vertical gaze limitation (upgaze palsy)" },
+      { when: "lnd", points: 4, why: "Light-near dissociation" },
+      // Pupils mid-dilated
+      { when: ["largePattern", "lnd"], points: 2, why: "Large pupils with LND (Parinaud pattern)" },
+      // Convergence-retraction nystagmus from nystagmus module
+      { when: "nystagmus_convergenceRetraction", points: 4, why: "Convergence-retraction nystagmus (pathognomonic for dorsal midbrain)" },
+      { when: "neuroSx", points: 1, why: "Neurological symptoms" }
+    ],
+    nextSteps: [
+      "Dorsal midbrain lesion at level of superior colliculus",
+      "Classic findings: upgaze palsy, LND, lid retraction (Collier sign)",
+      "Convergence-retraction nystagmus on attempted upgaze",
+      "Etiologies: pineal tumor, stroke, MS, hydrocephalus",
+      "MRI brain with attention to posterior commissure, pineal region",
+      "If hydrocephalus: may need shunting"
+    ]
+  },
+
+  // 52. Progressive supranuclear palsy (PSP)
+  // Reference: Litvan I, et al. Clinical research criteria for PSP.
+  // Vertical gaze palsy, postural instability, parkinsonism
+  {
+    id: "progressive_supranuclear_palsy",
+    minScore: 5,
+    criteria: [
+      { when: "verticalLimitation = true", points: 3, why: "Vertical gaze limitation (especially downgaze)" },
+      // No pupil involvement
+      { when: ["pupilSparing", "verticalLimitation = true"], points: 1, why: "Pupil-sparing" },
+      { when: "neuroSx", points: 2, why: "Neurological symptoms (postural instability, falls)" },
+      // Chronic, progressive
+      { when: ["!acute", "verticalLimitation = true"], points: 1, why: "Chronic progressive course" }
+    ],
+    nextSteps: [
+      "Neurodegenerative: tau protein accumulation",
+      "Vertical gaze palsy (downgaze > upgaze initially)",
+      "Square wave jerks, slowed saccades",
+      "Postural instability with backward falls",
+      "Pseudobulbar affect, dysarthria, dysphagia",
+      "MRI: hummingbird sign (midbrain atrophy), Mickey Mouse sign",
+      "Neurology referral; supportive care, fall prevention"
+    ]
+  },
+
+  // 53. Skew deviation
+  // Reference: Brandt T, Dieterich M. Skew deviation.
+  // Vertical misalignment from brainstem/cerebellar lesion
+  {
+    id: "skew_deviation",
+    minScore: 5,
+    criteria: [
+      { when: ["verticalLimitation = true", "diplopia"], points: 3, why: "Vertical diplopia with vertical deviation" },
+      // Comitant or near-comitant (unlike CN IV)
+      { when: ["comitant = true", "diplopia"], points: 2, why: "Comitant vertical deviation (unlike CN IV palsy)" },
+      { when: "neuroSx", points: 2, why: "Neurological symptoms (brainstem/cerebellar)" },
+      { when: "acute", points: 2, why: "Acute onset" }
+    ],
+    nextSteps: [
+      "Vertical misalignment from brainstem/cerebellar/vestibular lesion",
+      "Comitant (same in all gazes) - unlike CN IV palsy",
+      "Often part of ocular tilt reaction (head tilt, skew, torsion)",
+      "Differentiating from CN IV: head tilt test opposite (skew opposite to CN IV)",
+      "Associated with stroke, MS, or posterior fossa lesions",
+      "MRI brain with attention to brainstem and cerebellum"
+    ]
+  },
+
+  // 54. Ocular myasthenia (expanded scoring)
+  // This enhances the existing MG entry with more specific features
+  // Already covered in #14, but ensure comprehensive coverage
+  // 55. Chronic progressive external ophthalmoplegia (CPEO)
+  // Reference: DiMauro S, et al. Mitochondrial myopathies.
+  {
+    id: "cpeo",
+    minScore: 6,
+    criteria: [
+      { when: "ptosis", points: 3, why: "Ptosis present" },
+      { when: { any: ["diplopia", { any: ["abductionDeficit = true", "adductionDeficit = true", "verticalLimitation = true"] }] }, points: 2, why: "EOM limitation" },
+      // Bilateral, symmetric
+      { when: ["ptosis", "fatigable = false"], points: 2, why: "Non-fatigable (distinguishes from MG)" },
+      // Chronic
+      { when: ["!acute", "ptosis"], points: 2, why: "Chronic progressive course" },
+      // No pupil involvement
+      { when: ["pupilSparing", "ptosis"], points: 1, why: "Pupil-sparing" }
+    ],
+    nextSteps: [
+      "Mitochondrial myopathy affecting EOM and levator",
+      "Bilateral, symmetric ptosis and ophthalmoplegia",
+      "Slowly progressive over years; often no diplopia (symmetric)",
+      "May have orbicularis weakness, pigmentary retinopathy",
+      "Kearns-Sayre: CPEO + pigmentary retinopathy + heart block + onset <20",
+      "Genetic testing for mtDNA deletions",
+      "Cardiac evaluation important (heart block in KSS)"
+    ]
+  },
+
+  // =====================================
+  // NYSTAGMUS-BASED DIAGNOSES
+  // =====================================
+  // Reference: Leigh RJ, Zee DS. The Neurology of Eye Movements. 5th ed.
+
+  // 1. Downbeat Nystagmus
+  // Classic localization: craniocervical junction (Chiari, MS, spinocerebellar degeneration)
+  {
+    id: "downbeat_nystagmus",
+    minScore: 5,
+    criteria: [
+      { when: "nystagmus_downbeat", points: 6, why: "Downbeat nystagmus in primary position (highly localizing)" },
+      { when: ["nystagmus_waveform = vertical", "!nystagmus_downbeat", "nystagmus_fastPhase = down"], points: 4, why: "Vertical nystagmus with downward fast phase" },
+      { when: ["nystagmus_primaryPosition", "nystagmus_waveform = vertical"], points: 2, why: "Vertical nystagmus present in primary gaze" },
+      { when: "neuroSx", points: 2, why: "Other neurological symptoms" },
+      // Often worse in downgaze and lateral gaze
+      { when: "nystagmus_gazeEvoked", points: 1, why: "Gaze-evoked component" }
+    ],
+    nextSteps: [
+      "MRI brain and craniocervical junction with attention to foramen magnum",
+      "Look for: Chiari malformation, MS plaques, spinocerebellar ataxia, stroke",
+      "Check B12, anti-GAD antibodies, paraneoplastic panel if no structural cause",
+      "Consider: Lithium toxicity, anticonvulsant toxicity (phenytoin, carbamazepine)",
+      "Treatment options: 4-aminopyridine, baclofen, clonazepam"
+    ]
+  },
+
+  // 2. Upbeat Nystagmus
+  // Localizes to: pontomedullary junction, anterior vermis, medulla
+  {
+    id: "upbeat_nystagmus",
+    minScore: 5,
+    criteria: [
+      { when: "nystagmus_upbeat", points: 6, why: "Upbeat nystagmus in primary position" },
+      { when: ["nystagmus_waveform = vertical", "!nystagmus_upbeat", "nystagmus_fastPhase = up"], points: 4, why: "Vertical nystagmus with upward fast phase" },
+      { when: "acute", points: 2, why: "Acute onset (stroke, demyelination, or toxin)" },
+      { when: "neuroSx", points: 1, why: "Other neurological symptoms" }
+    ],
+    nextSteps: [
+      "MRI brain with attention to brainstem (pontomedullary junction, vermis)",
+      "Consider: Stroke, MS, Wernicke encephalopathy, brainstem encephalitis",
+      "Check thiamine level if Wernicke suspected (give thiamine empirically)",
+      "Drug screen: organophosphates, nicotine can cause upbeat nystagmus",
+      "Treatment: 4-aminopyridine, baclofen may help"
+    ]
+  },
+
+  // 3. Periodic Alternating Nystagmus (PAN)
+  // Horizontal nystagmus that reverses direction every 2-4 minutes
+  {
+    id: "periodic_alternating_nystagmus",
+    minScore: 5,
+    criteria: [
+      { when: "nystagmus_periodicAlternating", points: 7, why: "Periodic alternating nystagmus (direction reverses cyclically)" },
+      { when: ["nystagmus_waveform = horizontal", "nystagmus_directionChanging"], points: 3, why: "Horizontal direction-changing nystagmus" },
+      { when: "neuroSx", points: 1, why: "Associated neurological findings" }
+    ],
+    nextSteps: [
+      "MRI brain with attention to cerebellar nodulus and uvula",
+      "Etiologies: Chiari, MS, spinocerebellar ataxia, post-viral cerebellitis",
+      "Can be congenital or acquired",
+      "Treatment: Baclofen is often effective (GABAb agonist)",
+      "Observe for full cycle (4-8 minutes) to confirm alternation"
+    ]
+  },
+
+  // 4. Vestibular Nystagmus - Peripheral
+  // BPPV, vestibular neuritis, Meniere's disease, labyrinthitis
+  {
+    id: "vestibular_nystagmus_peripheral",
+    minScore: 4,
+    criteria: [
+      // Classic peripheral pattern: horizontal-torsional, unidirectional
+      { when: [{ any: ["nystagmus_waveform = horizontal", "nystagmus_waveform = torsional", "nystagmus_waveform = mixed"] }, "nystagmus_directionChanging = false", "nystagmus_present"], points: 3, why: "Unidirectional horizontal/torsional pattern (peripheral pattern)" },
+      { when: "nystagmus_positional", points: 3, why: "Position-dependent (BPPV pattern)" },
+      { when: "nystagmus_vertigo", points: 2, why: "Vertigo present (vestibular involvement)" },
+      { when: ["nystagmus_spontaneous", "nystagmus_primaryPosition = false"], points: 1, why: "Spontaneous but suppresses with fixation" },
+      // Peripheral: no central signs
+      { when: ["nystagmus_downbeat = false", "nystagmus_upbeat = false", "nystagmus_convergenceRetraction = false", "nystagmus_present"], points: 1, why: "No central nystagmus patterns" }
+    ],
+    nextSteps: [
+      "Dix-Hallpike maneuver for posterior canal BPPV",
+      "Supine roll test for horizontal canal BPPV",
+      "Head impulse test (HIT): positive suggests peripheral lesion",
+      "Canalith repositioning (Epley/Semont) if BPPV confirmed",
+      "Consider: Vestibular neuritis, labyrinthitis, Meniere's disease",
+      "If persistent: VNG/ENG, caloric testing, audiometry"
+    ]
+  },
+
+  // 5. Vestibular Nystagmus - Central
+  // Stroke, MS, tumor affecting vestibular nuclei or connections
+  {
+    id: "vestibular_nystagmus_central",
+    minScore: 5,
+    criteria: [
+      // Central patterns: pure vertical, direction-changing, no suppression
+      { when: ["nystagmus_waveform = vertical", "!nystagmus_downbeat", "!nystagmus_upbeat"], points: 3, why: "Pure vertical nystagmus (central pattern)" },
+      { when: ["nystagmus_directionChanging", "nystagmus_gazeEvoked"], points: 3, why: "Direction-changing with gaze (central pattern)" },
+      { when: ["nystagmus_primaryPosition", "nystagmus_positional = false"], points: 2, why: "Present in primary position without positional trigger" },
+      { when: "neuroSx", points: 2, why: "Other neurological symptoms (brainstem/cerebellar)" },
+      { when: "acute", points: 1, why: "Acute onset" },
+      // No vertigo or vertigo without suppression suggests central
+      { when: ["nystagmus_present", "nystagmus_vertigo = false"], points: 1, why: "Nystagmus without significant vertigo (central pattern)" }
+    ],
+    nextSteps: [
+      "STAT MRI brain/brainstem with DWI (rule out stroke)",
+      "HINTS exam: Head Impulse, Nystagmus, Test of Skew",
+      "If HINTS central: stroke until proven otherwise",
+      "Consider: MS, tumor, Wernicke encephalopathy",
+      "Neurology consultation recommended"
+    ]
+  },
+
+  // 6. Seesaw Nystagmus
+  // Parasellar/chiasmal lesions, septo-optic dysplasia
+  {
+    id: "seesaw_nystagmus",
+    minScore: 5,
+    criteria: [
+      { when: "nystagmus_seesaw", points: 7, why: "Seesaw nystagmus (one eye rises/intorts while other falls/extorts)" },
+      { when: "vf_bitemporal", points: 3, why: "Bitemporal visual field defect (chiasmal involvement)" },
+      { when: { any: ["nystagmus_waveform = mixed", "nystagmus_waveform = torsional"] }, points: 1, why: "Mixed/torsional component" }
+    ],
+    nextSteps: [
+      "MRI brain with attention to sella/parasellar region",
+      "Classic association: large parasellar mass compressing chiasm",
+      "Also seen: Septo-optic dysplasia, brainstem stroke",
+      "Often associated with bitemporal hemianopia",
+      "Endocrine workup if pituitary lesion suspected"
+    ]
+  },
+
+  // 7. Convergence-Retraction Nystagmus (Parinaud/Dorsal Midbrain enhancement)
+  // This enhances the existing Parinaud diagnosis with nystagmus specificity
+  {
+    id: "convergence_retraction_nystagmus",
+    minScore: 5,
+    criteria: [
+      { when: "nystagmus_convergenceRetraction", points: 6, why: "Convergence-retraction nystagmus (pathognomonic for dorsal midbrain)" },
+      { when: "verticalLimitation = true", points: 3, why: "Vertical gaze limitation (upgaze palsy)" },
+      { when: "lnd", points: 2, why: "Light-near dissociation (pretectal involvement)" },
+      { when: "neuroSx", points: 1, why: "Other neurological findings" }
+    ],
+    nextSteps: [
+      "MRI brain with attention to dorsal midbrain/pineal region",
+      "Look for: Pinealoma, tectal glioma, MS, stroke, hydrocephalus",
+      "Check for lid retraction (Collier sign), convergence spasm",
+      "If mass: neurosurgical consultation",
+      "Parinaud syndrome = upgaze palsy + convergence-retraction nystagmus + light-near dissociation"
+    ]
+  },
+
+  // 8. Dissociated Nystagmus (INO enhancement)
+  // Nystagmus greater in abducting eye - classic INO finding
+  {
+    id: "dissociated_nystagmus",
+    minScore: 5,
+    criteria: [
+      { when: "nystagmus_dissociated", points: 4, why: "Dissociated nystagmus (asymmetric between eyes)" },
+      { when: ["adductionDeficit = true", "nystagmus_dissociated"], points: 3, why: "Adduction deficit with abducting eye nystagmus (INO pattern)" },
+      { when: "nystagmus_waveform = horizontal", points: 1, why: "Horizontal waveform" },
+      { when: "neuroSx", points: 2, why: "Other neurological symptoms (MS, stroke)" }
+    ],
+    nextSteps: [
+      "MRI brain with attention to medial longitudinal fasciculus (MLF)",
+      "Young patient: MS is most common cause (often bilateral)",
+      "Older patient: Stroke is more likely (usually unilateral)",
+      "Test convergence: typically preserved in INO (helps confirm)",
+      "Check for other brainstem signs"
+    ]
+  },
+
+  // 9. Gaze-Evoked Nystagmus
+  // Present with eccentric gaze, absent in primary - cerebellar or drug-induced
+  {
+    id: "gaze_evoked_nystagmus",
+    minScore: 4,
+    criteria: [
+      { when: ["nystagmus_gazeEvoked", "nystagmus_primaryPosition = false"], points: 4, why: "Gaze-evoked nystagmus (present only in eccentric gaze)" },
+      { when: ["nystagmus_gazeEvoked", "nystagmus_directionChanging"], points: 2, why: "Direction-changing with gaze direction" },
+      { when: "nystagmus_waveform = horizontal", points: 1, why: "Horizontal waveform" },
+      // Symmetric bilateral suggests drug/toxin
+      { when: ["nystagmus_gazeEvoked", "nystagmus_dissociated = false"], points: 1, why: "Symmetric pattern" }
+    ],
+    nextSteps: [
+      "Common with sedatives, anticonvulsants, alcohol",
+      "Check drug levels: phenytoin, carbamazepine, lithium",
+      "If persistent without medication: consider cerebellar pathology",
+      "Floccular/parafloccular lesions impair gaze-holding",
+      "Usually benign if medication-related"
+    ]
+  },
+
+  // 10. Congenital/Infantile Nystagmus
+  {
+    id: "infantile_nystagmus_syndrome",
+    minScore: 5,
+    criteria: [
+      { when: ["nystagmus_type = pendular", "nystagmus_present"], points: 3, why: "Pendular waveform (common in congenital)" },
+      { when: "nystagmus_latent", points: 4, why: "Latent nystagmus (appears with monocular viewing)" },
+      { when: { any: ["nystagmus_headTilt", "nystagmus_headShaking"] }, points: 2, why: "Null point/head positioning (compensatory)" },
+      { when: ["!acute", "nystagmus_oscillopsia = false"], points: 2, why: "No oscillopsia (brain adapted to chronic nystagmus)" },
+      { when: "nystagmus_waveform = horizontal", points: 1, why: "Horizontal (most common in infantile)" }
+    ],
+    nextSteps: [
+      "Usually horizontal, may have null point",
+      "Waveform often 'accelerating slow phase' (pathognomonic)",
+      "Latent nystagmus suggests early-onset strabismus association",
+      "Rule out sensory defects: albinism, optic nerve hypoplasia, achromatopsia",
+      "No urgent workup unless new onset in adult",
+      "Treatment: Prisms, surgery to move null point, contact lenses"
+    ]
+  },
+
+  // 11. Opsoclonus
+  // Chaotic, multidirectional saccadic intrusions - paraneoplastic emergency
+  {
+    id: "opsoclonus_myoclonus",
+    minScore: 6,
+    criteria: [
+      { when: ["nystagmus_type = mixed", "nystagmus_waveform = mixed"], points: 3, why: "Chaotic/multidirectional eye movements" },
+      { when: ["nystagmus_present", "acute", "neuroSx"], points: 4, why: "Acute onset with neurological symptoms" },
+      { when: ["nystagmus_oscillopsia", "nystagmus_present"], points: 2, why: "Oscillopsia (perception of visual instability)" }
+    ],
+    nextSteps: [
+      "STAT: Paraneoplastic antibody panel (anti-Ri, anti-Yo, anti-Hu)",
+      "CT chest/abdomen/pelvis for occult malignancy",
+      "In adults: lung, breast, ovarian cancer associations",
+      "In children: neuroblastoma (check urine catecholamines)",
+      "Also consider: Post-infectious (viral), autoimmune encephalitis",
+      "Treatment: Immunotherapy (IVIG, steroids, rituximab)"
+    ]
+  },
+
+  // 12. Drug-Induced/Toxic Nystagmus
+  {
+    id: "toxic_nystagmus",
+    minScore: 4,
+    criteria: [
+      { when: ["nystagmus_gazeEvoked", "nystagmus_primaryPosition = false"], points: 3, why: "Gaze-evoked pattern (classic for toxicity)" },
+      { when: ["nystagmus_dissociated = false", "nystagmus_present"], points: 2, why: "Symmetric between eyes" },
+      { when: "nystagmus_waveform = horizontal", points: 1, why: "Horizontal waveform" },
+      { when: ["!acute", "!neuroSx", "nystagmus_present"], points: 2, why: "Isolated finding without other neurological signs" }
+    ],
+    nextSteps: [
+      "Common culprits: Phenytoin, carbamazepine, lithium, alcohol, benzodiazepines",
+      "Check drug levels and medication history",
+      "Typically bilateral, symmetric, gaze-evoked",
+      "Resolves with dose reduction or discontinuation",
+      "If no medication history: consider toxic exposure or cerebellar pathology"
+    ]
+  }
+];
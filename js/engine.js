@@ -2,20 +2,115 @@
 // Comprehensive differential engine for Neuro-Ophthalmology
 // Covers: Anisocoria, EOM/Cranial nerve palsies, Visual Field patterns, Optic Nerve assessment
 // Evidence-based scoring with clinical decision support and procedural testing recommendations
+import { DX_RULES, DX_TERMS } from "./dx-rules.js";
+import { RED_FLAGS, FLAG_FINDINGS } from "./red-flags.js";
+import { getDiagnosis } from "./dx-registry.js";
+import { citationsFor } from "./evidence.js";
+import { readAcuity } from "./acuity.js";
 
 export const CONFIG = {
   ANISO_THRESHOLD_MM: 0.5,
   // Scoring thresholds for tier classification
   STRONG_MATCH_THRESHOLD: 8,
-  MODERATE_MATCH_THRESHOLD: 5
+  MODERATE_MATCH_THRESHOLD: 5,
+  // Demographics: GCA and microvascular palsies are diseases of patients this age and older
+  OLDER_AGE_YEARS: 50,
+  // BMI at or above which obesity counts as an IIH risk factor
+  OBESITY_BMI: 30,
+  // Visual acuity, in logMAR: reduced from 20/32, severe from 20/200; a two-line difference
+  // between the eyes (or a two-line gain with pinhole) counts
+  VA_REDUCED_LOGMAR: 0.2,
+  VA_SEVERE_LOGMAR: 1.0,
+  VA_ASYMMETRY_LOGMAR: 0.2,
+  VA_PINHOLE_GAIN_LOGMAR: 0.2,
+  // Color vision, as the fraction of the test failed (0 = normal, 1 = none seen): a deficit
+  // from 10%, asymmetric when the eyes differ by a quarter
+  COLOR_DEFICIT_LOSS: 0.1,
+  COLOR_ASYMMETRY_LOSS: 0.25,
+  // Color worse than acuity: color loss exceeds acuity loss (logMAR 0 → 0, 20/200 or worse → 1)
+  // by this much in the same eye
+  COLOR_VA_DISSOCIATION: 0.3
 };
 
+// Worst-first; the severity of an eye is the first band its logMAR reaches
+const VA_SEVERITY = [
+  { label: "profound", logMAR: 1.9 },
+  { label: "severe", logMAR: 1.0 },
+  { label: "moderate", logMAR: 0.5 },
+  { label: "mild", logMAR: 0.2 },
+  { label: "normal", logMAR: -Infinity }
+];
+
+// Worst-first, by color loss
+const COLOR_SEVERITY = [
+  { label: "severe", loss: 0.7 },
+  { label: "moderate", loss: 0.35 },
+  { label: "mild", loss: 0.1 },
+  { label: "normal", loss: -Infinity }
+];
+
+const colorGradeOf = (loss) => (loss === null ? "" : COLOR_SEVERITY.find(b => loss >= b.loss).label);
+
+// HRR screening and grading result as a color loss
+const HRR_LOSS = { normal: 0, mild: 0.25, medium: 0.5, strong: 0.85 };
+
 function num(x) {
   if (x === "" || x === null || x === undefined) return null;
   const v = Number(x);
   return Number.isFinite(v) ? v : null;
 }
 
+// Signs are true (present), false (documented absent) or null (not examined)
+function sign(x) {
+  return x === true || x === false ? x : null;
+}
+
+// Present if either eye has it; absent only when both eyes were examined
+function eitherSign(a, b) {
+  if (a === true || b === true) return true;
+  return a === false && b === false ? false : null;
+}
+
+// The eye(s) a pair of per-eye findings points to: "OD", "OS", "OU" or null
+function eyeOf(od, os) {
+  if (od === true && os === true) return "OU";
+  if (od === true) return "OD";
+  return os === true ? "OS" : null;
+}
+
+// One eye's acuity: best-corrected is the better of the corrected and pinhole measurements, or
+// the uncorrected one when nothing else was measured. Unreadable entries count as unmeasured.
+function eyeAcuity(on, eye) {
+  const read = (field) => {
+    const r = readAcuity(on[`va${field}${eye}`]);
+    return r.ok ? r.logMAR : null;
+  };
+  const uncorrected = read("Uncorrected"), corrected = read("Corrected"), pinhole = read("Pinhole");
+  const measured = [corrected, pinhole].filter(v => v !== null);
+  const unaided = corrected ?? uncorrected;
+  return {
+    best: measured.length ? Math.min(...measured) : uncorrected,
+    pinholeGain: pinhole !== null && unaided !== null ? unaided - pinhole : null
+  };
+}
+
+// One eye's color vision: the worst of the tests done (Ishihara plates missed, HRR grade,
+// red desaturation), null when none was. The HRR axis is only kept for an abnormal HRR.
+function eyeColor(on, eye) {
+  const correct = num(on[`ishiharaCorrect${eye}`]);
+  const total = num(on[`ishiharaTotal${eye}`]);
+  const desaturation = num(on[`redDesaturation${eye}`]);
+  const hrr = on[`hrrGrade${eye}`] || "";
+  const losses = [];
+  if (correct !== null && total && correct <= total) losses.push(1 - correct / total);
+  if (hrr in HRR_LOSS) losses.push(HRR_LOSS[hrr]);
+  if (desaturation !== null) losses.push(desaturation / 100);
+  return {
+    loss: losses.length ? Math.round(Math.max(...losses) * 100) / 100 : null,
+    axis: hrr && hrr !== "normal" ? (on[`hrrAxis${eye}`] || "") : ""
+  };
+}
+
 function absDiff(a, b) {
   if (a === null || b === null) return null;
   return Math.abs(a - b);
@@ -35,12 +130,21 @@ function hasFullPupilDataset(session) {
   return hasLightPair(session) && hasDarkPair(session);
 }
 
+const recorded = (x) => x !== "" && x !== null && x !== undefined;
+
+// Present / absent / not examined signs: one documented absent is data too
+const EOM_SIGNS = ["diplopia", "ptosis", "fatigable", "painOnMovement", "comitant",
+  "abductionDeficit", "adductionDeficit", "verticalLimitation"];
+const NYSTAGMUS_FINDINGS = ["present", "type", "waveform", "downbeatPrimary", "upbeatPrimary",
+  "convergenceRetraction", "dissociated", "periodicAlternating", "seesaw", "gazeEvoked", "positional",
+  "oscillopsia", "vertigo"];
+const OPTIC_NERVE_SIGNS = ["discPallorOD", "discPallorOS", "discEdemaOD", "discEdemaOS",
+  "optociliaryShunts", "cupping", "hemorrhages"];
+
 // Check if EOM module has meaningful data entered
 function hasEOMData(session) {
   const e = session.eom || {};
-  return e.diplopia || e.ptosis || e.fatigable || e.painOnMovement ||
-    e.abductionDeficit === true || e.adductionDeficit === true ||
-    e.verticalLimitation === true || e.comitant !== null;
+  return EOM_SIGNS.some(field => recorded(e[field]));
 }
 
 // Check if VF module has meaningful data entered
@@ -50,24 +154,25 @@ function hasVFData(session) {
     vf.respectsVerticalMeridian !== null || vf.respectsHorizontalMeridian !== null;
 }
 
+const VA_FIELDS = ["vaUncorrectedOD", "vaCorrectedOD", "vaPinholeOD", "vaUncorrectedOS", "vaCorrectedOS", "vaPinholeOS"];
+const COLOR_FIELDS = ["ishiharaCorrect", "ishiharaTotal", "hrrGrade", "redDesaturation"]
+  .flatMap(field => [`${field}OD`, `${field}OS`]);
+
 // Check if optic nerve module has meaningful data entered
 function hasOpticNerveData(session) {
   const on = session.opticNerve || {};
-  return on.discPallorOD || on.discPallorOS || on.discEdemaOD || on.discEdemaOS ||
-    on.colorDeficitOD || on.colorDeficitOS || on.vaReducedOD || on.vaReducedOS ||
-    on.optociliaryShunts || on.cupping || on.hemorrhages;
+  return [...OPTIC_NERVE_SIGNS, ...VA_FIELDS, ...COLOR_FIELDS].some(field => recorded(on[field]));
 }
 
 // Check if nystagmus module has meaningful data entered
 function hasNystagmusData(session) {
   const n = session.nystagmus || {};
-  return n.present || n.type || n.waveform || n.downbeatPrimary ||
-    n.upbeatPrimary || n.convergenceRetraction || n.dissociated ||
-    n.periodicAlternating || n.seesaw || n.gazeEvoked || n.positional ||
-    n.oscillopsia || n.vertigo;
+  return NYSTAGMUS_FINDINGS.some(field => recorded(n[field]));
 }
 
 export function deriveFeatures(session) {
+  const d = session.demographics || {};
+  const h = session.history || {};
   const t = session.triage || {};
   const p = session.pupils || {};
   const on = session.opticNerve || {};
@@ -81,6 +186,8 @@ export function deriveFeatures(session) {
 
   const anisL = absDiff(odL, osL);
   const anisD = absDiff(odD, osD);
+  // How much the anisocoria changes between light and dark
+  const anisChange = absDiff(anisL, anisD);
 
   const Lmeets = anisL !== null && anisL >= CONFIG.ANISO_THRESHOLD_MM;
   const Dmeets = anisD !== null && anisD >= CONFIG.ANISO_THRESHOLD_MM;
@@ -99,6 +206,9 @@ export function deriveFeatures(session) {
   // Determine which eye is larger/smaller
   const largerPupilOD = odL !== null && osL !== null && odL > osL;
   const smallerPupilOD = odD !== null && osD !== null && odD < osD;
+  // The eye whose pupil is abnormal, in the pattern that dominates
+  const largePupilEye = dominance === "light" ? (odL > osL ? "OD" : "OS") : null;
+  const smallPupilEye = dominance === "dark" ? (odD < osD ? "OD" : "OS") : null;
 
   // Pupil reactivity analysis
   const odReactive = p.odLightRxn === "brisk";
@@ -109,6 +219,8 @@ export function deriveFeatures(session) {
   const osFixed = p.osLightRxn === "none";
   const anyFixedPupil = odFixed || osFixed;
   const anySluggishPupil = odSluggish || osSluggish;
+  // Light reaction of the pupil that is larger in light ("" when equal or unmeasured)
+  const largerPupilRxn = (odL === null || osL === null || odL === osL) ? "" : ((odL > osL ? p.odLightRxn : p.osLightRxn) || "");
 
   // RAPD grading (numeric for comparison)
   // Reference: Thompson HS, Corbett JJ, Cox TA. How to measure the relative afferent pupillary defect.
@@ -122,37 +234,95 @@ export function deriveFeatures(session) {
   };
   const rapdODGrade = rapdGrade(p.rapdOD);
   const rapdOSGrade = rapdGrade(p.rapdOS);
-  const hasRAPD = rapdODGrade > 0 || rapdOSGrade > 0;
+  // Either side graded "none" documents that there is no RAPD
+  const hasRAPD = (rapdODGrade > 0 || rapdOSGrade > 0) ? true : ((p.rapdOD === "none" || p.rapdOS === "none") ? false : null);
   const significantRAPD = rapdODGrade >= 2 || rapdOSGrade >= 2;
   const severeRAPD = rapdODGrade >= 3 || rapdOSGrade >= 3;
   // Which eye has the RAPD (afferent defect is on the side with RAPD)
   const rapdEye = rapdODGrade > rapdOSGrade ? "OD" : (rapdOSGrade > rapdODGrade ? "OS" : null);
 
   // Optic nerve findings
-  const discPallor = on.discPallorOD || on.discPallorOS;
-  const discPallorOD = !!on.discPallorOD;
-  const discPallorOS = !!on.discPallorOS;
-  const discEdema = on.discEdemaOD || on.discEdemaOS;
-  const discEdemaOD = !!on.discEdemaOD;
-  const discEdemaOS = !!on.discEdemaOS;
-  const colorDeficit = on.colorDeficitOD || on.colorDeficitOS;
-  const colorDeficitOD = !!on.colorDeficitOD;
-  const colorDeficitOS = !!on.colorDeficitOS;
-  const vaReduced = on.vaReducedOD || on.vaReducedOS;
-  const vaReducedOD = !!on.vaReducedOD;
-  const vaReducedOS = !!on.vaReducedOS;
-  const optociliaryShunts = !!on.optociliaryShunts;
-  const cupping = !!on.cupping;
-  const discHemorrhages = !!on.hemorrhages;
+  const discPallorOD = sign(on.discPallorOD);
+  const discPallorOS = sign(on.discPallorOS);
+  const discPallor = eitherSign(discPallorOD, discPallorOS);
+  const discEdemaOD = sign(on.discEdemaOD);
+  const discEdemaOS = sign(on.discEdemaOS);
+  const discEdema = eitherSign(discEdemaOD, discEdemaOS);
+  // Visual acuity (logMAR, null until measured)
+  const acuityOD = eyeAcuity(on, "OD");
+  const acuityOS = eyeAcuity(on, "OS");
+  const vaLogMAROD = acuityOD.best;
+  const vaLogMAROS = acuityOS.best;
+  const reducedAt = (x) => (x === null ? null : x >= CONFIG.VA_REDUCED_LOGMAR);
+  const vaReducedOD = reducedAt(vaLogMAROD);
+  const vaReducedOS = reducedAt(vaLogMAROS);
+  const vaReduced = eitherSign(vaReducedOD, vaReducedOS);
+  const measuredVA = [vaLogMAROD, vaLogMAROS].filter(x => x !== null);
+  const vaWorseLogMAR = measuredVA.length ? Math.max(...measuredVA) : null;
+  const vaAsymmetry = absDiff(vaLogMAROD, vaLogMAROS);
+  const pinholeGains = [acuityOD.pinholeGain, acuityOS.pinholeGain].filter(x => x !== null);
+  // Color vision (loss 0-1, null until tested)
+  const colorOD = eyeColor(on, "OD");
+  const colorOS = eyeColor(on, "OS");
+  const colorLossOD = colorOD.loss;
+  const colorLossOS = colorOS.loss;
+  const deficitAt = (x) => (x === null ? null : x >= CONFIG.COLOR_DEFICIT_LOSS);
+  const colorDeficitOD = deficitAt(colorLossOD);
+  const colorDeficitOS = deficitAt(colorLossOS);
+  const colorDeficit = eitherSign(colorDeficitOD, colorDeficitOS);
+  const measuredColor = [colorLossOD, colorLossOS].filter(x => x !== null);
+  const colorWorseLoss = measuredColor.length ? Math.max(...measuredColor) : null;
+  const colorAsymmetry = absDiff(colorLossOD, colorLossOS);
+  // The same red-green axis in both eyes, equally affected: the congenital pattern
+  const redGreen = (axis) => axis === "protan" || axis === "deutan";
+  const congenitalColorPattern = redGreen(colorOD.axis) && colorOD.axis === colorOS.axis
+    ? colorAsymmetry < CONFIG.COLOR_ASYMMETRY_LOSS : null;
+  // Needs both tests in the same eye; a congenital deficit says nothing about the nerve
+  const dissociatedAt = (loss, logMAR) => (loss === null || logMAR === null || congenitalColorPattern ? null :
+    loss - Math.min(Math.max(logMAR, 0) / CONFIG.VA_SEVERE_LOGMAR, 1) >= CONFIG.COLOR_VA_DISSOCIATION);
+  const colorWorseThanAcuityOD = dissociatedAt(colorLossOD, vaLogMAROD);
+  const colorWorseThanAcuityOS = dissociatedAt(colorLossOS, vaLogMAROS);
+  const optociliaryShunts = sign(on.optociliaryShunts);
+  const cupping = sign(on.cupping);
+  const discHemorrhages = sign(on.hemorrhages);
+
+  // Gaze grids are drawn as the examiner sees the patient: the right eye abducts to the left
+  const gazeOD = Array.isArray(e.gazeDeficitsOD) ? e.gazeDeficitsOD : [];
+  const gazeOS = Array.isArray(e.gazeDeficitsOS) ? e.gazeDeficitsOS : [];
 
   // Derived optic nerve patterns
   // Unilateral disc pallor with ipsilateral RAPD suggests optic neuropathy
-  const unilateralPallorWithRAPD = (discPallorOD && !discPallorOS && rapdODGrade > 0) ||
-                                   (discPallorOS && !discPallorOD && rapdOSGrade > 0);
-  // Color-VA dissociation (color worse than VA suggests optic nerve, not macular)
-  const suspectedOpticNeuropathy = hasRAPD || discPallor || colorDeficit;
+  const unilateralPallorWithRAPD = !!((discPallorOD && !discPallorOS && rapdODGrade > 0) ||
+                                      (discPallorOS && !discPallorOD && rapdOSGrade > 0));
+  // Acquired color loss, and above all color worse than acuity, points to the optic nerve
+  // rather than the macula
+  const colorWorseThanAcuity = eitherSign(colorWorseThanAcuityOD, colorWorseThanAcuityOS);
+  const suspectedOpticNeuropathy = !!(hasRAPD || discPallor || (colorDeficit && !congenitalColorPattern) ||
+    colorWorseThanAcuity);
+
+  // Demographics and history: null until recorded
+  const age = num(d.age);
+  const bmi = num(d.bmi);
+  const diabetes = sign(h.diabetes);
+  const hypertension = sign(h.hypertension);
+  // Either risk factor present; absent only when both were asked about
+  const vascularRisk = eitherSign(diabetes, hypertension);
 
   return {
+    // demographics and history
+    age,
+    sex: d.sex || "",
+    bmi,
+    olderAge: age === null ? null : age >= CONFIG.OLDER_AGE_YEARS,
+    female: d.sex ? d.sex === "female" : null,
+    obese: bmi === null ? null : bmi >= CONFIG.OBESITY_BMI,
+    diabetes,
+    hypertension,
+    vascularRisk,
+    knownMS: sign(h.multipleSclerosis),
+    malignancy: sign(h.malignancy),
+    pregnant: sign(h.pregnancy),
+
     // global triage
     acute: !!t.acuteOnset,
     painful: !!t.painful,
@@ -162,10 +332,13 @@ export function deriveFeatures(session) {
     // pupils - measurements
     anisL,
     anisD,
+    anisChange,
     dominance,
     odL, osL, odD, osD,
     largerPupilOD,
     smallerPupilOD,
+    largePupilEye,
+    smallPupilEye,
 
     // pupils - reactivity
     odReactive, osReactive,
@@ -173,14 +346,15 @@ export function deriveFeatures(session) {
     odFixed, osFixed,
     anyFixedPupil,
     anySluggishPupil,
+    largerPupilRxn,
 
     // pupils - signs
-    dilationLag: !!p.dilationLag,
-    anhidrosis: !!p.anhidrosis,
-    lnd: !!p.lightNearDissociation,
-    vermiform: !!p.vermiform,
-    anticholinergic: !!p.anticholinergicExposure,
-    sympathomimetic: !!p.sympathomimeticExposure,
+    dilationLag: sign(p.dilationLag),
+    anhidrosis: sign(p.anhidrosis),
+    lnd: sign(p.lightNearDissociation),
+    vermiform: sign(p.vermiform),
+    anticholinergic: sign(p.anticholinergicExposure),
+    sympathomimetic: sign(p.sympathomimeticExposure),
 
     // RAPD (enhanced)
     rapdOD: p.rapdOD || "",
@@ -199,27 +373,60 @@ export function deriveFeatures(session) {
     discEdema,
     discEdemaOD,
     discEdemaOS,
+    colorLossOD,
+    colorLossOS,
     colorDeficit,
     colorDeficitOD,
     colorDeficitOS,
+    colorGrade: colorGradeOf(colorWorseLoss),
+    colorGradeOD: colorGradeOf(colorLossOD),
+    colorGradeOS: colorGradeOf(colorLossOS),
+    hrrAxisOD: colorOD.axis,
+    hrrAxisOS: colorOS.axis,
+    colorAsymmetry,
+    colorAsymmetric: colorAsymmetry === null ? null : colorAsymmetry >= CONFIG.COLOR_ASYMMETRY_LOSS,
+    colorWorseThanAcuity,
+    colorWorseThanAcuityOD,
+    colorWorseThanAcuityOS,
+    congenitalColorPattern,
+    // Blue-yellow loss on HRR in either eye
+    tritanAxis: colorOD.axis || colorOS.axis ? (colorOD.axis === "tritan" || colorOS.axis === "tritan") : null,
+    vaLogMAROD,
+    vaLogMAROS,
     vaReduced,
     vaReducedOD,
     vaReducedOS,
+    vaWorseLogMAR,
+    vaSeverity: vaWorseLogMAR === null ? "" : VA_SEVERITY.find(b => vaWorseLogMAR >= b.logMAR).label,
+    vaSevere: vaWorseLogMAR === null ? null : vaWorseLogMAR >= CONFIG.VA_SEVERE_LOGMAR,
+    vaAsymmetry,
+    vaAsymmetric: vaAsymmetry === null ? null : vaAsymmetry >= CONFIG.VA_ASYMMETRY_LOGMAR,
+    // Pinhole gain points to refractive error rather than disease
+    pinholeImproves: pinholeGains.length ? pinholeGains.some(g => g >= CONFIG.VA_PINHOLE_GAIN_LOGMAR) : null,
     optociliaryShunts,
     cupping,
     discHemorrhages,
     unilateralPallorWithRAPD,
     suspectedOpticNeuropathy,
+    discPallorEye: eyeOf(discPallorOD, discPallorOS),
+    discEdemaEye: eyeOf(discEdemaOD, discEdemaOS),
+    colorDeficitEye: eyeOf(colorDeficitOD, colorDeficitOS),
+    vaReducedEye: eyeOf(vaReducedOD, vaReducedOS),
 
     // EOM
-    diplopia: !!e.diplopia,
-    ptosis: !!e.ptosis,
+    diplopia: sign(e.diplopia),
+    ptosis: sign(e.ptosis),
     comitant: e.comitant ?? null,
     abductionDeficit: e.abductionDeficit ?? null,
     adductionDeficit: e.adductionDeficit ?? null,
     verticalLimitation: e.verticalLimitation ?? null,
-    fatigable: !!e.fatigable,
-    painOnMovement: !!e.painOnMovement,
+    fatigable: sign(e.fatigable),
+    painOnMovement: sign(e.painOnMovement),
+    ptosisEye: e.ptosis === true ? (e.ptosisEye || null) : null,
+    abductionDeficitEye: eyeOf(gazeOD.includes("left"), gazeOS.includes("right")),
+    adductionDeficitEye: eyeOf(gazeOD.includes("right"), gazeOS.includes("left")),
+    // Brown syndrome: the eye that can't elevate in adduction
+    elevationInAdductionEye: eyeOf(gazeOD.includes("upright"), gazeOS.includes("upleft")),
 
     // Visual Fields
     vf_symptoms: !!vf.complaint,
@@ -236,29 +443,29 @@ export function deriveFeatures(session) {
     vf_congruity: vf.congruity || "", // "low" | "moderate" | "high" | ""
 
     // Nystagmus
-    nystagmus_present: !!n.present,
+    nystagmus_present: sign(n.present),
     nystagmus_type: n.type || "",           // "jerk", "pendular", "mixed"
     nystagmus_waveform: n.waveform || "",   // "horizontal", "vertical", "torsional", "mixed"
     nystagmus_fastPhase: n.fastPhase || "", // direction of fast phase
     nystagmus_amplitude: n.amplitude || "", // "fine", "medium", "coarse"
     nystagmus_frequency: n.frequency || "", // "low", "moderate", "high"
-    nystagmus_primaryPosition: !!n.primaryPosition,
-    nystagmus_gazeEvoked: !!n.gazeEvoked,
+    nystagmus_primaryPosition: sign(n.primaryPosition),
+    nystagmus_gazeEvoked: sign(n.gazeEvoked),
     nystagmus_gazeEvokedDirection: n.gazeEvokedDirection || "",
-    nystagmus_downbeat: !!n.downbeatPrimary,
-    nystagmus_upbeat: !!n.upbeatPrimary,
-    nystagmus_convergenceRetraction: !!n.convergenceRetraction,
-    nystagmus_seesaw: !!n.seesaw,
-    nystagmus_periodicAlternating: !!n.periodicAlternating,
-    nystagmus_dissociated: !!n.dissociated,
-    nystagmus_latent: !!n.latent,
-    nystagmus_oscillopsia: !!n.oscillopsia,
-    nystagmus_vertigo: !!n.vertigo,
-    nystagmus_headShaking: !!n.headShaking,
-    nystagmus_headTilt: !!n.headTilt,
-    nystagmus_positional: !!n.positional,
-    nystagmus_spontaneous: !!n.spontaneous,
-    nystagmus_directionChanging: !!n.directionChanging
+    nystagmus_downbeat: sign(n.downbeatPrimary),
+    nystagmus_upbeat: sign(n.upbeatPrimary),
+    nystagmus_convergenceRetraction: sign(n.convergenceRetraction),
+    nystagmus_seesaw: sign(n.seesaw),
+    nystagmus_periodicAlternating: sign(n.periodicAlternating),
+    nystagmus_dissociated: sign(n.dissociated),
+    nystagmus_latent: sign(n.latent),
+    nystagmus_oscillopsia: sign(n.oscillopsia),
+    nystagmus_vertigo: sign(n.vertigo),
+    nystagmus_headShaking: sign(n.headShaking),
+    nystagmus_headTilt: sign(n.headTilt),
+    nystagmus_positional: sign(n.positional),
+    nystagmus_spontaneous: sign(n.spontaneous),
+    nystagmus_directionChanging: sign(n.directionChanging)
   };
 }
 
@@ -452,7 +659,9 @@ export function generateTestingRecommendations(f, differential) {
   }
 
   if (f.vf_altitudinal && f.hasRAPD) {
-    addTest("ESR and CRP (STAT if age >50)", "critical",
+    // STAT once the patient is known to be in the GCA age range; priority drops when known to be younger
+    const gcaAge = f.olderAge === true ? "STAT" : (f.olderAge === false ? `age ${f.age}: GCA unlikely` : `STAT if age >${CONFIG.OLDER_AGE_YEARS}`);
+    addTest(`ESR and CRP (${gcaAge})`, f.olderAge === false ? "high" : "critical",
       "AION pattern with RAPD - must rule out giant cell arteritis urgently",
       "ESR >50 and/or CRP elevated highly suggestive. Consider empiric steroids pending biopsy if clinical suspicion high.");
 
@@ -551,2734 +760,685 @@ export function generateTestingRecommendations(f, differential) {
   return tests;
 }
 
-export function scoreDifferential(f) {
-  const dx = [];
-  const add = (name, score, why, nextSteps = [], category = "general") =>
-    dx.push({ name, score, why, nextSteps, category });
-
-  const largePattern = f.dominance === "light"; // anisocoria larger in light → large pupil abnormal
-  const smallPattern = f.dominance === "dark";  // anisocoria larger in dark → small pupil abnormal
-
-  // =====================================
-  // PUPIL-BASED DIAGNOSES
-  // =====================================
-
-  // 1. Physiologic anisocoria
-  // Reference: Loewenfeld IE. The Pupil: Anatomy, Physiology, and Clinical Applications.
-  // ~20% of population has >0.4mm anisocoria; typically stable in light/dark
-  // CRITICAL: Only diagnose when we have COMPLETE pupil data (both light AND dark)
-  // and the anisocoria is minimal and stable across lighting conditions
-  {
-    let s = 0; const why = [];
-
-    // MUST have BOTH light AND dark measurements to call physiologic anisocoria
-    // Otherwise we cannot assess stability across lighting conditions
-    const hasBothConditions = (f.anisL !== null) && (f.anisD !== null);
-
-    if (hasBothConditions) {
-      // Check for stable, minimal anisocoria: either both below threshold OR equal in both conditions
-      const bothBelowThreshold = f.anisL < CONFIG.ANISO_THRESHOLD_MM && f.anisD < CONFIG.ANISO_THRESHOLD_MM;
-      const stableAnisocoria = f.dominance === "equal" || (f.dominance === null && bothBelowThreshold);
-      // Also check that the difference between light and dark anisocoria is small (<0.3mm)
-      const anisocoriaChange = Math.abs(f.anisL - f.anisD);
-      const stableAcrossConditions = anisocoriaChange < 0.3;
-
-      if (stableAnisocoria || (bothBelowThreshold && stableAcrossConditions)) {
-        s += 3;
-        if (bothBelowThreshold) {
-          why.push(`Anisocoria <${CONFIG.ANISO_THRESHOLD_MM}mm in both light and dark`);
-        } else {
-          why.push("Anisocoria stable/equal in light vs dark");
-        }
-
-        if (stableAcrossConditions && f.anisL > 0 && f.anisD > 0) {
-          s += 2;
-          why.push(`Anisocoria change of only ${anisocoriaChange.toFixed(1)}mm between conditions (stable)`);
-        }
-
-        if (!f.acute && !f.painful && !f.neuroSx && !f.diplopia && !f.ptosis) {
-          s += 2;
-          why.push("No red flags (acute/pain/neuro/ptosis/diplopia)");
-        }
-        if (!f.anyFixedPupil && !f.anySluggishPupil) {
-          s += 1;
-          why.push("Both pupils reactive");
-        }
-        if (!f.hasRAPD) {
-          s += 1;
-          why.push("No RAPD (rules out significant afferent defect)");
-        }
-        // Additional: no sympathetic or parasympathetic signs
-        if (!f.dilationLag && !f.anhidrosis && !f.lnd && !f.vermiform) {
-          s += 1;
-          why.push("No pathologic pupil signs (dilation lag, LND, vermiform)");
-        }
-      }
-    }
-
-    if (s > 0) add("Physiologic anisocoria", s, why, [
-      "Confirm measurements in consistent lighting conditions",
-      "Review old photographs if available to confirm chronicity",
-      "Anisocoria should remain relatively constant in light vs dark",
-      "No further workup needed if stable and asymptomatic"
-    ], "pupil");
-  }
-
-  // 2. Horner syndrome (oculosympathetic paresis)
-  // Reference: Walton KA, Buono LM. Horner syndrome. Curr Opin Ophthalmol 2003;14:357-363
-  // Classic triad: miosis, ptosis (1-2mm), anhidrosis
-  // Dilation lag is pathognomonic (4-5 second delay in dark)
-  {
-    let s = 0; const why = [];
-    const nextSteps = [];
-
-    if (smallPattern) {
-      s += 5;
-      why.push("Anisocoria greater in dark (small pupil abnormal)");
-    }
-    if (f.dilationLag) {
-      s += 3;
-      why.push("Dilation lag (highly specific for Horner)");
-    }
-    if (f.ptosis) {
-      s += 2;
-      why.push("Ptosis (typically 1-2mm in Horner)");
-    }
-    if (f.anhidrosis) {
-      s += 2;
-      why.push("Anhidrosis (suggests preganglionic lesion)");
-    }
-    // Horner pupil should be reactive, no RAPD
-    if (smallPattern && !f.anyFixedPupil) {
-      s += 1;
-      why.push("Pupils reactive (expected in Horner)");
-    }
-    if (smallPattern && !f.hasRAPD) {
-      s += 1;
-      why.push("No RAPD (efferent not afferent pathway)");
-    }
-
-    if (s > 0) {
-      nextSteps.push("Pharmacologic confirmation: Apraclonidine 0.5% (reversal of anisocoria) or cocaine 4-10% (failure to dilate)");
-      if (f.acute || f.painful) {
-        nextSteps.push("URGENT: Acute painful Horner requires emergent CTA/MRA neck to rule out carotid dissection");
-      }
-      nextSteps.push("If confirmed: Hydroxyamphetamine 1% to localize (preganglionic vs postganglionic)");
-      nextSteps.push("MRI/MRA from hypothalamus to T2 for preganglionic; carotid/skull base imaging for postganglionic");
-    }
-    if (s > 0) add("Horner syndrome", s, why, nextSteps, "pupil");
-  }
-
-  // 3. Third nerve (CN III) palsy - Compressive
-  // Reference: Jacobson DM. Pupil involvement in patients with diabetes-associated oculomotor nerve palsy.
-  // Arch Ophthalmol 1998;116:723-727
-  // Pupil involvement suggests compressive etiology (PComm aneurysm until proven otherwise)
-  {
-    let s = 0; const why = [];
-    const nextSteps = [];
-
-    if (largePattern) {
-      s += 5;
-      why.push("Anisocoria greater in light (large pupil abnormal)");
-    }
-    // Fixed or poorly reactive dilated pupil
-    if (f.anyFixedPupil && largePattern) {
-      s += 2;
-      why.push("Fixed/poorly reactive dilated pupil");
-    }
-    if (f.ptosis) {
-      s += 2;
-      why.push("Ptosis (complete CN III causes severe ptosis)");
-    }
-    if (f.diplopia) {
-      s += 2;
-      why.push("Diplopia (EOM involvement)");
-    }
-    if (f.adductionDeficit === true) {
-      s += 2;
-      why.push("Adduction deficit (medial rectus involvement)");
-    }
-    if (f.verticalLimitation === true) {
-      s += 1;
-      why.push("Vertical limitation (SR/IR/IO involvement)");
-    }
-    if (f.acute) {
-      s += 2;
-      why.push("Acute onset");
-    }
-    if (f.painful) {
-      s += 2;
-      why.push("Pain/headache (concerning for aneurysm)");
-    }
-    if (f.neuroSx) {
-      s += 2;
-      why.push("Other neurological symptoms");
-    }
-
-    if (s > 0) {
-      if (f.acute || f.painful || f.neuroSx) {
-        nextSteps.push("EMERGENT: CTA or MRA head to exclude posterior communicating artery aneurysm");
-        nextSteps.push("Consider conventional angiography if CTA/MRA negative but suspicion high");
-      }
-      nextSteps.push("Complete cranial nerve exam including all EOM gazes");
-      nextSteps.push("Check for aberrant regeneration (lid-gaze dyskinesis) if chronic");
-      nextSteps.push("MRI brain with contrast if non-aneurysmal compressive lesion suspected");
-    }
-    if (s > 0) add("CN III palsy - Compressive (aneurysm concern)", s, why, nextSteps, "pupil");
-  }
-
-  // 4. Third nerve palsy - Ischemic/Microvascular
-  // Reference: Jacobson DM. Pupil involvement in patients with diabetes-associated oculomotor nerve palsy.
-  // Typically pupil-sparing (85-90%), resolves in 3-6 months
-  {
-    let s = 0; const why = [];
-    const nextSteps = [];
-
-    // Pupil-sparing pattern with EOM involvement
-    if (f.ptosis && f.diplopia && !largePattern) {
-      s += 4;
-      why.push("Ptosis + diplopia with pupil sparing");
-    }
-    if (f.adductionDeficit === true && !largePattern) {
-      s += 2;
-      why.push("Adduction deficit without pupil involvement");
-    }
-    if (f.comitant === false) {
-      s += 1;
-      why.push("Incomitant deviation");
-    }
-    // Pain can occur in ischemic CN III
-    if (f.painful && !f.neuroSx && !largePattern) {
-      s += 1;
-      why.push("Pain (can occur in ischemic CN III)");
-    }
-
-    if (s > 0) {
-      nextSteps.push("Document vascular risk factors (diabetes, hypertension, hyperlipidemia)");
-      nextSteps.push("If pupil completely spared and no other neuro signs: may observe with close follow-up");
-      nextSteps.push("Check HbA1c, fasting glucose, lipid panel, ESR/CRP if age >50");
-      nextSteps.push("If any pupil involvement or progression: imaging indicated to exclude compressive lesion");
-      nextSteps.push("Expected recovery in 3-6 months; if no improvement by 3 months, reconsider diagnosis");
-    }
-    if (s > 0) add("CN III palsy - Ischemic/Microvascular", s, why, nextSteps, "pupil");
-  }
-
-  // 5. Adie (Tonic) pupil
-  // Reference: Thompson HS. Adie's syndrome: some new observations. Trans Am Ophthalmol Soc 1977;75:587-626
-  // Denervation supersensitivity to dilute pilocarpine (0.0625-0.125%)
-  // Light-near dissociation, sectoral vermiform movements, accommodation paresis
-  {
-    let s = 0; const why = [];
-
-    if (largePattern) {
-      s += 2;
-      why.push("Large pupil pattern");
-    }
-    if (f.lnd) {
-      s += 4;
-      why.push("Light-near dissociation (pupil constricts better to near than light)");
-    }
-    if (f.vermiform) {
-      s += 3;
-      why.push("Segmental/vermiform iris movements (pathognomonic)");
-    }
-    if (f.anySluggishPupil && !f.anyFixedPupil) {
-      s += 1;
-      why.push("Sluggish but present light reaction");
-    }
-    // Typically unilateral, no pain, no ptosis
-    if (!f.painful && !f.ptosis && largePattern) {
-      s += 1;
-      why.push("Painless without ptosis (typical for Adie)");
-    }
-
-    if (s > 0) add("Adie (Tonic) pupil", s, why, [
-      "Slit lamp exam for segmental vermiform iris movements",
-      "Test accommodation: slow but tonically sustained constriction",
-      "Pharmacologic confirmation: Dilute pilocarpine 0.0625-0.125% (constriction = denervation supersensitivity)",
-      "Check deep tendon reflexes (Holmes-Adie syndrome if absent)",
-      "Reassurance: benign condition, may progress to bilateral over years"
-    ], "pupil");
-  }
-
-  // 6. Pharmacologic mydriasis
-  // Reference: Lam BL, Thompson HS. A unilateral cataract produces a relative afferent pupillary defect
-  // Common agents: tropicamide, cyclopentolate, atropine, scopolamine patches
-  {
-    let s = 0; const why = [];
-
-    if (largePattern) {
-      s += 2;
-      why.push("Large pupil pattern");
-    }
-    if (f.anticholinergic) {
-      s += 5;
-      why.push("Anticholinergic/mydriatic exposure suspected");
-    }
-    if (f.sympathomimetic) {
-      s += 3;
-      why.push("Sympathomimetic exposure suspected");
-    }
-    // Fixed, dilated pupil typical
-    if (f.anyFixedPupil && largePattern) {
-      s += 2;
-      why.push("Fixed dilated pupil");
-    }
-    // No ptosis or EOM involvement
-    if (!f.ptosis && !f.diplopia && largePattern) {
-      s += 1;
-      why.push("No ptosis or diplopia (isolated pupil finding)");
-    }
-
-    if (s > 0) add("Pharmacologic mydriasis", s, why, [
-      "Detailed medication and exposure history",
-      "Ask about: eye drops, scopolamine patches, jimsonweed, nebulizers, handling medications",
-      "Pilocarpine 1% test: pharmacologically blocked pupil will NOT constrict",
-      "If positive history and fails pilocarpine: no further workup needed",
-      "Effect typically resolves in 24-72 hours depending on agent"
-    ], "pupil");
-  }
-
-  // 7. Traumatic mydriasis / Iris sphincter damage
-  // Reference: Traumatic iritis and iris sphincter tears after blunt ocular trauma
-  {
-    let s = 0; const why = [];
-
-    if (f.trauma) {
-      s += 4;
-      why.push("History of trauma/surgery");
-    }
-    if (largePattern && f.trauma) {
-      s += 2;
-      why.push("Large pupil in setting of trauma");
-    }
-    if (f.anyFixedPupil && f.trauma) {
-      s += 2;
-      why.push("Fixed pupil post-trauma");
-    }
-
-    if (s > 0) add("Traumatic mydriasis / Iris damage", s, why, [
-      "Slit lamp examination for iris sphincter tears, iridodialysis",
-      "Check for hyphema, lens subluxation, angle recession",
-      "Gonioscopy to assess angle structures",
-      "Document baseline and follow IOP (angle recession glaucoma risk)",
-      "May be permanent if significant sphincter damage"
-    ], "pupil");
-  }
-
-  // 8. Argyll Robertson pupils
-  // Reference: Fletcher WA, Sharpe JA. Saccadic eye movement dysfunction in Alzheimer's disease.
-  // Classic: bilateral small irregular pupils, light-near dissociation, poor dilation
-  // Associated with neurosyphilis, diabetes, Parinaud syndrome
-  {
-    let s = 0; const why = [];
-
-    if (f.lnd) {
-      s += 3;
-      why.push("Light-near dissociation");
-    }
-    // Typically bilateral small pupils
-    if (f.anisL !== null && f.anisL < CONFIG.ANISO_THRESHOLD_MM) {
-      if (f.odL !== null && f.osL !== null && f.odL < 3 && f.osL < 3) {
-        s += 2;
-        why.push("Bilateral small pupils");
-      }
-    }
-    // Poor dilation in dark
-    if (f.odD !== null && f.osD !== null && f.odD < 4 && f.osD < 4) {
-      s += 1;
-      why.push("Poor dilation in dark");
-    }
-
-    if (s >= 4) add("Argyll Robertson pupils", s, why, [
-      "Characteristic: bilateral, small, irregular, light-near dissociation",
-      "Order syphilis serology (RPR/VDRL, FTA-ABS or TP-PA)",
-      "If positive: lumbar puncture for CSF VDRL",
-      "Check HbA1c (diabetic autonomic neuropathy can cause similar findings)",
-      "Consider MRI brain if dorsal midbrain lesion suspected"
-    ], "pupil");
-  }
-
-  // =====================================
-  // OPTIC NERVE / AFFERENT PATHWAY DIAGNOSES
-  // =====================================
+// =====================================
+// DIFFERENTIAL (rule evaluation)
+// =====================================
+// The diagnoses themselves live in dx-rules.js; see its header for the rule format.
+
+const CONDITION_PATTERN = /^(!?)(\w+)(?:\s*(=|!=|<=|>=|<|>)\s*(\S+))?$/;
+const compiledConditions = new Map();
+
+function ruleValue(token) {
+  if (token === "true") return true;
+  if (token === "false") return false;
+  if (token === "null") return null;
+  if (token in CONFIG) return CONFIG[token];
+  const n = Number(token);
+  return Number.isFinite(n) ? n : token;
+}
 
-  // 9. Traumatic Optic Neuropathy (TON)
-  // Reference: Steinsapir KD, Goldberg RA. Traumatic optic neuropathy. Surv Ophthalmol 1994;38:487-518
-  // RAPD + disc pallor/VA loss + trauma history
-  {
-    let s = 0; const why = [];
-    const nextSteps = [];
+function compileCondition(text) {
+  const m = CONDITION_PATTERN.exec(text.trim());
+  if (!m || (m[1] && m[3])) throw new Error(`Unreadable rule condition: "${text}"`);
+  const [, negate, name, op, raw] = m;
+  const read = (f) => (name in DX_TERMS ? testCondition(DX_TERMS[name], f) : f[name]);
+
+  if (!op) return negate ? (f) => !read(f) : (f) => !!read(f);
+  const value = ruleValue(raw);
+  switch (op) {
+    case "=": return (f) => read(f) === value;
+    case "!=": return (f) => read(f) !== value;
+  }
+  // Ordering comparisons only hold for measured (numeric) values
+  const compare = {
+    "<": (a, b) => a < b,
+    "<=": (a, b) => a <= b,
+    ">": (a, b) => a > b,
+    ">=": (a, b) => a >= b
+  }[op];
+  return (f) => {
+    const v = read(f);
+    return typeof v === "number" && compare(v, value);
+  };
+}
 
-    if (f.trauma) {
-      s += 3;
-      why.push("History of trauma");
-    }
-    if (f.hasRAPD && f.trauma) {
-      s += 4;
-      why.push("RAPD in setting of trauma (indicates optic nerve damage)");
-    }
-    if (f.discPallor && f.trauma) {
-      s += 3;
-      why.push("Disc pallor (may be delayed 4-6 weeks post-injury)");
-    }
-    if (f.colorDeficit && f.trauma) {
-      s += 2;
-      why.push("Color vision deficit");
-    }
-    if (f.vaReduced && f.trauma) {
-      s += 2;
-      why.push("Reduced visual acuity");
-    }
-    if (f.unilateralPallorWithRAPD && f.trauma) {
-      s += 2;
-      why.push("Unilateral pallor with ipsilateral RAPD (classic TON)");
-    }
+// A missing condition always holds
+export function testCondition(cond, f) {
+  if (cond === undefined) return true;
+  if (typeof cond === "string") {
+    if (!compiledConditions.has(cond)) compiledConditions.set(cond, compileCondition(cond));
+    return compiledConditions.get(cond)(f);
+  }
+  if (Array.isArray(cond)) return cond.every(c => testCondition(c, f));
+  if (cond.any) return cond.any.some(c => testCondition(c, f));
+  if ("not" in cond) return !testCondition(cond.not, f);
+  if ("atLeast" in cond) return cond.of.filter(c => testCondition(c, f)).length >= cond.atLeast;
+  throw new Error(`Unreadable rule condition: ${JSON.stringify(cond)}`);
+}
 
-    if (s > 0) {
-      nextSteps.push("Immediate: Document VA, color vision (red cap/Ishihara), RAPD grade");
-      nextSteps.push("CT orbits/optic canals: assess for fracture, hemorrhage, bone fragment");
-      nextSteps.push("Serial exams: monitor for improvement or worsening");
-      nextSteps.push("Controversial: High-dose IV methylprednisolone (CRASH trial showed harm in TBI)");
-      nextSteps.push("Optic canal decompression rarely indicated; consult neurosurgery if severe");
-      nextSteps.push("OCT RNFL at 4-6 weeks to document damage extent");
-    }
-    if (s > 0) add("Traumatic Optic Neuropathy", s, why, nextSteps, "optic");
-  }
+// "{name}" quotes a feature or CONFIG value; "{name:1}" rounds it to 1 decimal
+function fillReason(text, f) {
+  return text.replace(/\{(\w+)(?::(\d+))?\}/g, (_, name, digits) => {
+    const v = name in CONFIG ? CONFIG[name] : f[name];
+    return digits !== undefined && typeof v === "number" ? v.toFixed(Number(digits)) : String(v);
+  });
+}
 
-  // 10. Compressive Optic Neuropathy
-  // Reference: Miller NR. The clinical spectrum of optic nerve sheath meningiomas
-  // Progressive vision loss, RAPD, disc pallor/edema, optociliary shunts
-  {
-    let s = 0; const why = [];
-    const nextSteps = [];
+// What each side feature is called when findings disagree about the side
+const SIDE_FINDINGS = {
+  largePupilEye: "larger pupil in light",
+  smallPupilEye: "smaller pupil in dark",
+  ptosisEye: "ptosis",
+  rapdEye: "RAPD",
+  discPallorEye: "disc pallor",
+  discEdemaEye: "disc edema",
+  colorDeficitEye: "color deficit",
+  vaReducedEye: "reduced acuity",
+  abductionDeficitEye: "abduction deficit",
+  adductionDeficitEye: "adduction deficit",
+  elevationInAdductionEye: "limited elevation in adduction"
+};
 
-    if (f.hasRAPD && !f.trauma) {
-      s += 3;
-      why.push("RAPD present (afferent pathway dysfunction)");
-    }
-    if (f.discPallor && !f.discEdema) {
-      s += 2;
-      why.push("Disc pallor without edema (suggests chronic compression)");
-    }
-    if (f.optociliaryShunts) {
-      s += 4;
-      why.push("Optociliary shunt vessels (highly specific for chronic compression)");
-    }
-    if (f.colorDeficit) {
-      s += 2;
-      why.push("Color vision deficit");
-    }
-    if (f.vaReduced) {
-      s += 2;
-      why.push("Reduced visual acuity");
-    }
-    // Progression without pain suggests compression over inflammation
-    if (!f.painful && f.suspectedOpticNeuropathy) {
-      s += 1;
-      why.push("Painless progression (favors compressive over inflammatory)");
-    }
+const SIDE_WORDS = { OD: "Right", OS: "Left", OU: "Bilateral" };
 
-    if (s >= 5) {
-      nextSteps.push("MRI orbits with contrast (fat suppression): optic nerve sheath meningioma, glioma");
-      nextSteps.push("MRI brain: intracranial extension, other lesions");
-      nextSteps.push("Visual field testing: look for junctional scotoma if near chiasm");
-      nextSteps.push("OCT RNFL to quantify damage");
-      nextSteps.push("Neuro-ophthalmology referral for management planning");
-    }
-    if (s >= 5) add("Compressive Optic Neuropathy", s, why, nextSteps, "optic");
+// Side of a diagnosis from its rule's `side` features: every eye the findings point to, so one
+// OU finding makes it bilateral. Single-eye findings on opposite eyes leave it undetermined (null)
+// and come back as a conflict message.
+function resolveSide(names, f) {
+  const found = (names || []).filter(n => f[n]).map(n => ({ finding: SIDE_FINDINGS[n] || n, eye: f[n] }));
+  const single = new Set(found.map(x => x.eye).filter(eye => eye !== "OU"));
+  if (single.size > 1) {
+    return { side: null, conflict: `Laterality conflict: ${found.map(x => `${x.finding} ${x.eye}`).join(", ")}` };
   }
+  if (found.some(x => x.eye === "OU")) return { side: "OU", conflict: null };
+  return { side: found.length ? found[0].eye : null, conflict: null };
+}
 
-  // 11. Optic Atrophy (various etiologies)
-  // Reference: Sadun AA. Acquired mitochondrial impairment as a cause of optic nerve disease.
-  {
-    let s = 0; const why = [];
+// "Right optic neuritis", "Left CN VI (Abducens) palsy", "Right Horner syndrome". Sentence-case
+// names lose their leading capital; title case, acronyms and eponyms keep it.
+function sidedName(dx, side) {
+  if (!side) return dx.name;
+  const lower = !dx.eponym && /^[A-Z][a-z-]+\s(?![A-Z][a-z])/.test(dx.name);
+  return `${SIDE_WORDS[side]} ${lower ? dx.name[0].toLowerCase() + dx.name.slice(1) : dx.name}`;
+}
 
-    if (f.discPallor) {
-      s += 4;
-      why.push("Disc pallor (optic atrophy)");
-    }
-    if (f.hasRAPD) {
-      s += 3;
-      why.push("RAPD present");
-    }
-    if (f.colorDeficit) {
-      s += 2;
-      why.push("Color vision deficit (dyschromatopsia)");
-    }
-    if (!f.discEdema) {
-      s += 1;
-      why.push("No disc edema (established atrophy, not acute)");
-    }
-    if (!f.acute && !f.painful) {
-      s += 1;
-      why.push("Chronic, painless course");
-    }
+// { id, name, side, sideConflict, score, why, nextSteps, category } or null when the rule doesn't
+// reach its minScore. `side` is "OD", "OS", "OU" or null (undetermined), and `name` includes it.
+export function scoreRule(rule, f) {
+  const dx = getDiagnosis(rule.id);
+  if (!dx) throw new Error(`Rule for unknown diagnosis id "${rule.id}"`);
+  if (!testCondition(rule.requires, f)) return null;
+
+  let score = 0;
+  const why = [];
+  const apply = (c) => {
+    score += c.points;
+    why.push(fillReason(c.why, f));
+  };
+  rule.criteria.forEach(c => {
+    if (c.firstOf) {
+      const hit = c.firstOf.find(x => testCondition(x.when, f));
+      if (hit) apply(hit);
+    } else if (testCondition(c.when, f)) {
+      apply(c);
+    }
+  });
+  if (score < (rule.minScore ?? 1)) return null;
+
+  const nextSteps = [];
+  (rule.nextSteps || []).forEach(step => {
+    if (typeof step === "string") nextSteps.push(fillReason(step, f));
+    else if (testCondition(step.when, f)) nextSteps.push(...step.steps.map(x => fillReason(x, f)));
+  });
+
+  const { side, conflict } = resolveSide(rule.side, f);
+  return {
+    id: dx.id,
+    name: sidedName(dx, side),
+    side,
+    sideConflict: conflict,
+    score,
+    why,
+    nextSteps,
+    category: dx.category || "general"
+  };
+}
 
-    if (s >= 6) add("Optic Atrophy", s, why, [
-      "Determine pattern: diffuse vs temporal (bow-tie) vs sectoral",
-      "Temporal pallor: MS, compressive, toxic/nutritional",
-      "Bow-tie (band) atrophy: chiasmal lesion",
-      "OCT RNFL to quantify and pattern nerve fiber loss",
-      "Workup: MRI brain/orbits, consider B12, folate, copper if nutritional suspected",
-      "Family history: consider hereditary optic neuropathies (LHON, DOA)"
-    ], "optic");
-  }
+// One entry per diagnosis: the best-supported score, with the reasons and next steps of
+// every rule that matched (the best-scoring rule's first)
+function mergeByDiagnosis(entries) {
+  const byId = new Map();
+  [...entries].sort((a, b) => b.score - a.score).forEach(d => {
+    const merged = byId.get(d.id);
+    if (!merged) {
+      byId.set(d.id, { ...d, why: [...d.why], nextSteps: [...d.nextSteps] });
+      return;
+    }
+    d.why.forEach(w => { if (!merged.why.includes(w)) merged.why.push(w); });
+    d.nextSteps.forEach(n => { if (!merged.nextSteps.includes(n)) merged.nextSteps.push(n); });
+  });
+  return [...byId.values()];
+}
 
-  // =====================================
-  // EOM-BASED DIAGNOSES
-  // =====================================
+// Every diagnosis above threshold, best first by score
+function rankDiagnoses(f) {
+  const dx = mergeByDiagnosis(DX_RULES.map(rule => scoreRule(rule, f)).filter(Boolean));
+  dx.sort((a, b) => b.score - a.score);
+  return dx.filter(d => d.score > 0);
+}
 
-  // 12. CN VI (Abducens) palsy
-  // Reference: Moster ML, Savino PJ, Sergott RC. Isolated sixth-nerve palsies in younger adults.
-  // Most common isolated CN palsy; abduction deficit, esotropia worse at distance
-  {
-    let s = 0; const why = [];
-    const nextSteps = [];
+export function scoreDifferential(f) {
+  // Top matches with their references from evidence.json
+  return rankDiagnoses(f).slice(0, 12).map(d => ({ ...d, citations: citationsFor(d.id) }));
+}
 
-    if (f.diplopia && f.abductionDeficit === true) {
-      s += 4;
-      why.push("Diplopia + abduction deficit");
-    }
-    if (f.abductionDeficit === true && !f.adductionDeficit && !f.verticalLimitation) {
-      s += 2;
-      why.push("Isolated abduction deficit");
-    }
-    if (f.comitant === false) {
-      s += 1;
-      why.push("Incomitant deviation");
-    }
-    // Typically pupil sparing
-    if (!largePattern && !smallPattern && f.abductionDeficit === true) {
-      s += 1;
-      why.push("Pupil sparing (expected in CN VI)");
-    }
+// =====================================
+// RED FLAGS
+// =====================================
+// The flags themselves live in red-flags.js; see its header for the format.
+
+const ALERT_LEVELS = ["info", "warn", "danger", "critical"];
+
+// Plain findings named in a condition ("ptosis", "verticalLimitation = true") that hold, in the
+// order written. Negations and comparisons narrow a flag down but don't raise it.
+function triggeringFindings(cond, f, out = []) {
+  if (typeof cond === "string") {
+    const m = /^(\w+)(?:\s*=\s*true)?$/.exec(cond.trim());
+    if (m && testCondition(cond, f) && !out.includes(m[1])) out.push(m[1]);
+  } else if (Array.isArray(cond)) {
+    cond.forEach(c => triggeringFindings(c, f, out));
+  } else if (cond && (cond.any || cond.of)) {
+    (cond.any || cond.of).forEach(c => triggeringFindings(c, f, out));
+  }
+  return out;
+}
 
-    if (s > 0) {
-      nextSteps.push("Quantify deviation with prism cover testing in primary and lateral gazes");
-      if (f.acute) {
-        nextSteps.push("If acute: MRI brain with attention to cavernous sinus, petrous apex, skull base");
-        nextSteps.push("LP if papilledema or signs of elevated ICP");
-      }
-      nextSteps.push("Check vascular risk factors; isolated CN VI in adults >50 with diabetes/HTN may be observed");
-      nextSteps.push("If bilateral: evaluate for increased ICP, skull base pathology");
-      nextSteps.push("Expected recovery 3-6 months if microvascular");
-    }
-    if (s > 0) add("CN VI (Abducens) palsy", s, why, nextSteps, "eom");
-  }
+function flagText(text, f) {
+  const hit = Array.isArray(text) ? text.find(t => testCondition(t.when, f)) : { text };
+  return fillReason(hit.text, f);
+}
 
-  // 13. CN IV (Trochlear) palsy
-  // Reference: Brazis PW. Isolated palsies of cranial nerves III, IV, and VI.
-  // Vertical diplopia worse with downgaze, contralateral head tilt
-  {
-    let s = 0; const why = [];
-    const nextSteps = [];
+// [{ id, level, text, findings }], most severe first. Each flag is checked independently; one
+// whose `supersededBy` flag is also raised is dropped, and fallbacks only fill an empty list.
+export function evaluateRedFlags(f) {
+  const raised = RED_FLAGS.filter(flag => !flag.fallback && testCondition(flag.when, f));
+  const ids = new Set(raised.map(flag => flag.id));
+  let shown = raised.filter(flag => !(flag.supersededBy || []).some(id => ids.has(id)));
+  if (!shown.length) shown = RED_FLAGS.filter(flag => flag.fallback && testCondition(flag.when, f));
+
+  return shown
+    .map(flag => ({
+      id: flag.id,
+      level: flag.level,
+      text: flagText(flag.text, f),
+      findings: triggeringFindings(flag.when, f).map(name => FLAG_FINDINGS[name] || name)
+    }))
+    .sort((a, b) => ALERT_LEVELS.indexOf(b.level) - ALERT_LEVELS.indexOf(a.level));
+}
 
-    if (f.diplopia && f.verticalLimitation === true) {
-      s += 3;
-      why.push("Diplopia + vertical limitation");
-    }
-    if (f.verticalLimitation === true && !f.abductionDeficit && !f.adductionDeficit) {
-      s += 2;
-      why.push("Isolated vertical deficit (consider CN IV)");
-    }
-    if (f.comitant === false) {
-      s += 1;
-      why.push("Incomitant deviation");
-    }
-    // Typically pupil sparing
-    if (!largePattern && !smallPattern && f.verticalLimitation === true) {
-      s += 1;
-      why.push("Pupil sparing");
-    }
+// =====================================
+// CONSISTENCY CHECKS
+// =====================================
+// Findings that can't all be true at once, or measurements that are probably mis-entered.
+// Each warning names the session fields ("section.field") it is about, so pages can show the
+// ones in their own section.
+
+const NYSTAGMUS_DETAIL_SIGNS = ["primaryPosition", "gazeEvoked", "downbeatPrimary", "upbeatPrimary",
+  "convergenceRetraction", "seesaw", "periodicAlternating", "dissociated", "latent", "positional",
+  "spontaneous", "directionChanging"];
+
+// [{ id, message, fields }]
+export function checkConsistency(session) {
+  const d = session.demographics || {};
+  const h = session.history || {};
+  const p = session.pupils || {};
+  const e = session.eom || {};
+  const vf = session.visualFields || {};
+  const n = session.nystagmus || {};
+  const warnings = [];
+  const warn = (id, message, fields) => warnings.push({ id, message, fields });
 
-    if (s > 0) {
-      nextSteps.push("Three-step test: hypertropia worse with contralateral gaze and ipsilateral head tilt");
-      nextSteps.push("Check for head tilt in old photographs (longstanding vs acquired)");
-      nextSteps.push("Double Maddox rod test to assess torsion");
-      if (f.trauma) {
-        nextSteps.push("Trauma history: CN IV most susceptible to closed head injury");
-      }
-      nextSteps.push("MRI brain if no trauma history and no vascular risk factors");
-    }
-    if (s > 0) add("CN IV (Trochlear) palsy", s, why, nextSteps, "eom");
+  // Intake
+  if (h.pregnancy === true && d.sex === "male") {
+    warn("pregnantMale", "Pregnancy is marked for a male patient.", ["history.pregnancy", "demographics.sex"]);
   }
 
-  // 14. Myasthenia Gravis - Ocular
-  // Reference: Kupersmith MJ. Ocular myasthenia gravis: treatment and prognosis.
-  // Fatigable ptosis/diplopia, pupil always spared, Cogan lid twitch
-  {
-    let s = 0; const why = [];
-    const nextSteps = [];
-
-    if (f.fatigable) {
-      s += 5;
-      why.push("Fatigable weakness (hallmark of MG)");
-    }
-    if (f.ptosis && f.diplopia) {
-      s += 3;
-      why.push("Ptosis + diplopia combination");
-    }
-    else if (f.ptosis) {
-      s += 2;
-      why.push("Ptosis present");
-    }
-    else if (f.diplopia) {
-      s += 2;
-      why.push("Diplopia present");
-    }
-    // Pupil-sparing is mandatory for MG
-    if ((f.ptosis || f.diplopia) && !largePattern && !smallPattern) {
-      s += 2;
-      why.push("Pupil-sparing pattern (required for MG diagnosis)");
-    }
-    // No RAPD in MG
-    if (!f.hasRAPD && (f.ptosis || f.diplopia)) {
-      s += 1;
-      why.push("No RAPD (MG doesn't affect afferent pathway)");
-    }
-    // Variable/fluctuating pattern
-    if (f.comitant === true && f.diplopia) {
-      s += 1;
-      why.push("Comitant strabismus (can mimic any pattern in MG)");
-    }
-
-    if (s > 0) {
-      nextSteps.push("Sustained upgaze test: observe for ptosis worsening over 1-2 minutes");
-      nextSteps.push("Ice pack test: improvement of ptosis after 2 minutes of ice");
-      nextSteps.push("Cogan lid twitch: brief overshoot on return from downgaze");
-      nextSteps.push("Serology: Anti-AChR antibodies (positive in ~50% ocular MG)");
-      nextSteps.push("If seronegative: Anti-MuSK antibodies, repetitive nerve stimulation, single-fiber EMG");
-      nextSteps.push("CT chest to evaluate for thymoma");
-      nextSteps.push("Systemic MG develops in ~50% within 2 years; consider pyridostigmine trial");
-    }
-    if (s > 0) add("Myasthenia Gravis - Ocular", s, why, nextSteps, "eom");
-  }
+  // Pupils
+  ["od", "os"].forEach(eye => {
+    const EYE = eye.toUpperCase();
+    const light = num(p[`${eye}Light`]), dark = num(p[`${eye}Dark`]);
+    const rxn = p[`${eye}LightRxn`];
+    if (light === null || dark === null) return;
+    if (rxn === "none" && dark < light) {
+      warn(`fixedPupilSmallerInDark${EYE}`,
+        `${EYE} is recorded as non-reactive, yet measures smaller in dark (${dark} mm) than in light (${light} mm).`,
+        [`pupils.${eye}LightRxn`, `pupils.${eye}Light`, `pupils.${eye}Dark`]);
+    } else if (dark < light) {
+      warn(`smallerInDark${EYE}`,
+        `${EYE} measures smaller in dark (${dark} mm) than in light (${light} mm); were the measurements swapped?`,
+        [`pupils.${eye}Light`, `pupils.${eye}Dark`]);
+    } else if (rxn === "none" && dark - light >= 1) {
+      warn(`fixedPupilChangesSize${EYE}`,
+        `${EYE} is recorded as non-reactive, yet changes ${(dark - light).toFixed(1)} mm between light and dark.`,
+        [`pupils.${eye}LightRxn`, `pupils.${eye}Light`, `pupils.${eye}Dark`]);
+    }
+  });
+
+  // Visual acuity
+  const on = session.opticNerve || {};
+  ["OD", "OS"].forEach(eye => {
+    const reads = {};
+    ["Uncorrected", "Corrected", "Pinhole"].forEach(kind => {
+      const field = `va${kind}${eye}`;
+      const r = readAcuity(on[field]);
+      if (r.ok) reads[kind] = r.logMAR;
+      else warn(`unreadableVA${kind}${eye}`, `${kind} VA ${eye}: ${r.error}.`, [`opticNerve.${field}`]);
+    });
+    const sc = reads.Uncorrected ?? null, cc = reads.Corrected ?? null;
+    if (sc !== null && cc !== null && cc - sc >= CONFIG.VA_ASYMMETRY_LOGMAR) {
+      warn(`correctedWorseVA${eye}`, `${eye} sees worse with correction (${on[`vaCorrected${eye}`]}) than without (${on[`vaUncorrected${eye}`]}).`,
+        [`opticNerve.vaUncorrected${eye}`, `opticNerve.vaCorrected${eye}`]);
+    }
+  });
+
+  // Color vision
+  ["OD", "OS"].forEach(eye => {
+    const correct = num(on[`ishiharaCorrect${eye}`]), total = num(on[`ishiharaTotal${eye}`]);
+    if (correct !== null && total !== null && correct > total) {
+      warn(`ishiharaOverTotal${eye}`, `Ishihara ${eye}: ${correct} plates correct out of ${total}.`,
+        [`opticNerve.ishiharaCorrect${eye}`, `opticNerve.ishiharaTotal${eye}`]);
+    } else if (correct !== null && !total) {
+      warn(`ishiharaNoTotal${eye}`, `Ishihara ${eye}: ${correct} plates correct, but not out of how many; it isn't scored.`,
+        [`opticNerve.ishiharaCorrect${eye}`, `opticNerve.ishiharaTotal${eye}`]);
+    }
+    const hrr = on[`hrrGrade${eye}`], axis = on[`hrrAxis${eye}`];
+    if (axis && (!hrr || hrr === "normal")) {
+      warn(`hrrAxisWithoutDefect${eye}`, `HRR ${eye} has a ${axis} axis but ${hrr ? "a normal result" : "no result"}; the axis is ignored.`,
+        [`opticNerve.hrrGrade${eye}`, `opticNerve.hrrAxis${eye}`]);
+    }
+  });
+
+  const graded = (v) => !!v && v !== "none";
+  if (graded(p.rapdOD) && graded(p.rapdOS)) {
+    warn("rapdBothEyes",
+      `RAPD graded in both eyes (OD ${p.rapdOD}, OS ${p.rapdOS}); the defect is relative, so only one eye can have it.`,
+      ["pupils.rapdOD", "pupils.rapdOS"]);
+  }
+
+  // EOM
+  const deficits = ["abductionDeficit", "adductionDeficit", "verticalLimitation"].filter(k => e[k] === true);
+  if (e.comitant === true && deficits.length) {
+    warn("deficitButComitant",
+      "A duction deficit is marked, but the deviation is recorded as comitant; paretic and restrictive deviations are incomitant.",
+      ["eom.comitant", ...deficits.map(k => `eom.${k}`)]);
+  }
+
+  // Visual fields
+  if (vf.homonymous && vf.bitemporal) {
+    warn("homonymousAndBitemporal",
+      "Both homonymous and bitemporal are marked; a field defect is one or the other.",
+      ["visualFields.homonymous", "visualFields.bitemporal"]);
+  }
+  if ((vf.homonymous || vf.bitemporal) && vf.laterality === "mono") {
+    warn("binocularPatternMonocular",
+      `A ${vf.homonymous ? "homonymous" : "bitemporal"} defect involves both eyes, but the defect is marked monocular.`,
+      ["visualFields.laterality", vf.homonymous ? "visualFields.homonymous" : "visualFields.bitemporal"]);
+  }
+  if ((vf.homonymous || vf.bitemporal) && vf.respectsVerticalMeridian === false) {
+    warn("verticalMeridianContradiction",
+      `${vf.homonymous ? "Homonymous" : "Bitemporal"} defects respect the vertical meridian, but it is marked as not respected.`,
+      ["visualFields.respectsVerticalMeridian", vf.homonymous ? "visualFields.homonymous" : "visualFields.bitemporal"]);
+  }
+  if (vf.altitudinal && vf.respectsHorizontalMeridian === false) {
+    warn("horizontalMeridianContradiction",
+      "Altitudinal defects respect the horizontal meridian, but it is marked as not respected.",
+      ["visualFields.respectsHorizontalMeridian", "visualFields.altitudinal"]);
+  }
+
+  // Nystagmus
+  if (n.upbeatPrimary === true && n.downbeatPrimary === true) {
+    warn("upbeatAndDownbeat",
+      "Both upbeat and downbeat nystagmus are marked in primary position.",
+      ["nystagmus.upbeatPrimary", "nystagmus.downbeatPrimary"]);
+  }
+  if (n.downbeatPrimary === true && n.fastPhase === "up") {
+    warn("downbeatFastPhaseUp",
+      "Downbeat nystagmus is marked, but the fast phase is recorded as up.",
+      ["nystagmus.downbeatPrimary", "nystagmus.fastPhase"]);
+  }
+  if (n.upbeatPrimary === true && n.fastPhase === "down") {
+    warn("upbeatFastPhaseDown",
+      "Upbeat nystagmus is marked, but the fast phase is recorded as down.",
+      ["nystagmus.upbeatPrimary", "nystagmus.fastPhase"]);
+  }
+  if (n.present === false) {
+    const recorded = NYSTAGMUS_DETAIL_SIGNS.filter(k => n[k] === true);
+    if (recorded.length || n.type) {
+      warn("nystagmusAbsentWithSigns",
+        "Nystagmus is marked absent, but nystagmus characteristics are recorded.",
+        ["nystagmus.present", ...recorded.map(k => `nystagmus.${k}`), ...(n.type ? ["nystagmus.type"] : [])]);
+    }
+  }
+
+  return warnings;
+}
 
-  // 15. Internuclear ophthalmoplegia (INO)
-  // Reference: Frohman EM, et al. The medial longitudinal fasciculus in ocular motor physiology.
-  // Adduction deficit with contralateral nystagmus; MS in young, stroke in elderly
-  {
-    let s = 0; const why = [];
-    const nextSteps = [];
+// Nothing is ranked until some module has meaningful data
+function hasModuleData(session) {
+  return hasFullPupilDataset(session) || hasEOMData(session) || hasVFData(session) ||
+    hasOpticNerveData(session) || hasNystagmusData(session);
+}
 
-    if (f.adductionDeficit === true) {
-      s += 4;
-      why.push("Adduction deficit (key feature of INO)");
-    }
-    if (f.diplopia && f.adductionDeficit === true) {
-      s += 2;
-      why.push("Diplopia with adduction weakness");
-    }
-    // INO typically has preserved convergence (unlike CN III)
-    if (f.adductionDeficit === true && !f.ptosis && !largePattern) {
-      s += 2;
-      why.push("No ptosis, pupil sparing (unlike CN III)");
-    }
-    // Nystagmus findings from nystagmus module
-    if (f.nystagmus_dissociated && f.adductionDeficit === true) {
-      s += 3;
-      why.push("Dissociated nystagmus (greater in abducting eye - pathognomonic)");
-    }
-    if (f.neuroSx) {
-      s += 1;
-      why.push("Other neurological symptoms");
-    }
+// The differential compute() reports: the top of rankDiagnoses(), empty without module data
+function differentialFor(session, features) {
+  return hasModuleData(session) ? scoreDifferential(features) : [];
+}
 
-    if (s >= 4) {
-      nextSteps.push("Test convergence: typically preserved in INO (distinguishes from CN III)");
-      nextSteps.push("Observe for abducting nystagmus in contralateral eye");
-      nextSteps.push("MRI brain with attention to MLF in dorsal pons/midbrain");
-      nextSteps.push("If young patient: evaluate for multiple sclerosis (LP, additional MRI)");
-      nextSteps.push("If elderly: consider brainstem stroke");
-      nextSteps.push("If bilateral (WEBINO): consider MS, stroke, Wernicke encephalopathy");
-    }
-    if (s >= 4) add("Internuclear Ophthalmoplegia (INO)", s, why, nextSteps, "eom");
-  }
+export function compute(session) {
+  const features = deriveFeatures(session);
 
-  // 16. Thyroid Eye Disease (Graves' ophthalmopathy)
-  // Reference: Bartley GB, Gorman CA. Diagnostic criteria for Graves' ophthalmopathy.
-  // Restrictive myopathy, inferior > medial > superior > lateral rectus involvement
-  {
-    let s = 0; const why = [];
-    const nextSteps = [];
-
-    // Vertical limitation common (IR restriction → limited upgaze)
-    if (f.verticalLimitation === true) {
-      s += 2;
-      why.push("Vertical limitation (common in TED: IR restriction)");
-    }
-    if (f.diplopia) {
-      s += 2;
-      why.push("Diplopia (restrictive strabismus)");
-    }
-    if (f.painOnMovement) {
-      s += 1;
-      why.push("Pain on movement (active inflammation)");
-    }
-    // Typically comitant in gaze opposite to restriction
-    // Lid retraction common but not captured in current model
-
-    if (s >= 3) {
-      nextSteps.push("Examine for lid retraction, lid lag, proptosis, chemosis");
-      nextSteps.push("Check thyroid function tests (TSH, free T4, T3)");
-      nextSteps.push("TSH receptor antibodies (TRAb) if clinical suspicion high");
-      nextSteps.push("CT orbits (no contrast): enlarged EOMs with tendon sparing");
-      nextSteps.push("Clinical Activity Score to assess inflammatory phase");
-      nextSteps.push("Refer to oculoplastics/neuro-ophthalmology for management");
-    }
-    if (s >= 3) add("Thyroid Eye Disease", s, why, nextSteps, "eom");
-  }
+  // Determine if we have enough data to show differentials
+  const pupilReady = hasFullPupilDataset(session);
+  const eomReady = hasEOMData(session);
+  const vfReady = hasVFData(session);
+  const opticNerveReady = hasOpticNerveData(session);
 
-  // 17. Orbital inflammatory disease / Idiopathic orbital inflammation
-  // Reference: Rootman J, Nugent R. The classification and management of acute orbital pseudotumors.
-  {
-    let s = 0; const why = [];
-    const nextSteps = [];
+  const differential = differentialFor(session, features);
 
-    if (f.painOnMovement) {
-      s += 4;
-      why.push("Pain on eye movement");
-    }
-    if (f.diplopia && f.painOnMovement) {
-      s += 2;
-      why.push("Diplopia + pain combination");
-    }
-    if (f.painful) {
-      s += 2;
-      why.push("Orbital/periocular pain");
-    }
-    if (f.acute) {
-      s += 1;
-      why.push("Acute onset");
-    }
+  // Generate testing recommendations based on features and differential
+  const testingRecommendations = generateTestingRecommendations(features, differential);
 
-    if (s > 0) {
-      nextSteps.push("Examine for proptosis, chemosis, lid edema, conjunctival injection");
-      nextSteps.push("CT orbits with contrast: diffuse or localized inflammation");
-      nextSteps.push("MRI orbits with fat suppression for soft tissue detail");
-      nextSteps.push("Labs: CBC, ESR, CRP, ANA, ANCA, ACE level");
-      nextSteps.push("Consider biopsy if atypical features or poor response to steroids");
-      nextSteps.push("Trial of systemic corticosteroids often diagnostic and therapeutic");
-    }
-    if (s > 0) add("Orbital inflammatory disease", s, why, nextSteps, "eom");
-  }
+  // Every red flag the findings raise, most severe first; the banner is the most severe one
+  const alerts = evaluateRedFlags(features);
+  const urgency = alerts.length ? { level: alerts[0].level, text: alerts[0].text } : {
+    level: "none",
+    text: (pupilReady || eomReady || vfReady || opticNerveReady)
+      ? "Enter findings to build a live differential."
+      : "Enter clinical findings in any module to generate differential diagnoses."
+  };
 
-  // 18. Cavernous sinus syndrome
-  // Reference: Kline LB, Hoyt WF. The Tolosa-Hunt syndrome.
-  // Multiple CN involvement (III, IV, V1, V2, VI), pupil may be involved
-  {
-    let s = 0; const why = [];
-    const nextSteps = [];
-
-    // Multiple cranial nerve involvement
-    let cnCount = 0;
-    if (f.abductionDeficit === true) cnCount++;
-    if (f.adductionDeficit === true || f.verticalLimitation === true) cnCount++;
-    if (f.ptosis) cnCount++;
-
-    if (cnCount >= 2) {
-      s += 4;
-      why.push("Multiple cranial nerve involvement");
-    }
-    if (f.painful) {
-      s += 2;
-      why.push("Painful ophthalmoplegia");
-    }
-    if (largePattern || smallPattern) {
-      s += 1;
-      why.push("Pupil involvement (sympathetic or parasympathetic)");
-    }
-    if (f.neuroSx) {
-      s += 1;
-      why.push("Other neurological symptoms");
-    }
+  return { features, differential, urgency, alerts, testingRecommendations, consistency: checkConsistency(session) };
+}
 
-    if (s >= 4) {
-      nextSteps.push("MRI brain with contrast, thin cuts through cavernous sinus");
-      nextSteps.push("MRA/CTA to evaluate carotid and cavernous sinus");
-      nextSteps.push("Consider: tumor, infection, thrombosis, CCF, Tolosa-Hunt syndrome");
-      nextSteps.push("If Tolosa-Hunt suspected: dramatic response to steroids expected");
-      nextSteps.push("Check V1/V2 sensation (forehead, cheek numbness)");
-    }
-    if (s >= 4) add("Cavernous sinus syndrome", s, why, nextSteps, "eom");
+// =====================================
+// NEXT BEST QUESTION
+// =====================================
+// Re-runs compute() with each possible answer to every finding not yet examined and ranks
+// the findings by how much their answers would shift support between the leading diagnoses.
+
+// How many of the top diagnoses have their standing compared
+const NEXT_QUESTION_DEPTH = 5;
+
+// Signs and history recorded as present / absent / not examined
+const EXAMINABLE_SIGNS = {
+  history: {
+    diabetes: "Diabetes",
+    hypertension: "Hypertension",
+    multipleSclerosis: "Known multiple sclerosis",
+    malignancy: "History of malignancy",
+    pregnancy: "Pregnancy"
+  },
+  pupils: {
+    dilationLag: "Dilation lag",
+    anhidrosis: "Anhidrosis",
+    lightNearDissociation: "Light-near dissociation",
+    vermiform: "Vermiform iris movements",
+    anticholinergicExposure: "Anticholinergic exposure",
+    sympathomimeticExposure: "Sympathomimetic exposure"
+  },
+  opticNerve: {
+    discPallorOD: "Disc pallor OD",
+    discPallorOS: "Disc pallor OS",
+    discEdemaOD: "Disc edema OD",
+    discEdemaOS: "Disc edema OS",
+    optociliaryShunts: "Optociliary shunts",
+    cupping: "Disc cupping",
+    hemorrhages: "Disc hemorrhages"
+  },
+  eom: {
+    diplopia: "Diplopia",
+    ptosis: "Ptosis",
+    abductionDeficit: "Abduction deficit",
+    adductionDeficit: "Adduction deficit",
+    verticalLimitation: "Vertical limitation",
+    fatigable: "Fatigability",
+    painOnMovement: "Pain on eye movement"
+  },
+  nystagmus: {
+    present: "Nystagmus"
   }
+};
 
-  // =====================================
-  // VISUAL FIELD-BASED DIAGNOSES
-  // =====================================
-
-  // Reliability penalty
-  const relPenalty = (f.vf_reliability === "poor") ? -2 : 0;
-  const relNote = (f.vf_reliability === "poor") ? "Poor reliability reduces confidence" : null;
-
-  // 19. Chiasmal compression (pituitary adenoma, craniopharyngioma, meningioma)
-  // Reference: Foroozan R. Chiasmal syndromes. Curr Opin Ophthalmol 2003;14:325-331
-  // Classic bitemporal hemianopia respecting vertical meridian
-  {
-    let s = 0; const why = [];
+// Characteristics of a nystagmus that has been seen
+const NYSTAGMUS_SIGNS = {
+  primaryPosition: "Nystagmus in primary position",
+  gazeEvoked: "Gaze-evoked nystagmus",
+  downbeatPrimary: "Downbeat nystagmus",
+  upbeatPrimary: "Upbeat nystagmus",
+  convergenceRetraction: "Convergence-retraction nystagmus",
+  seesaw: "Seesaw nystagmus",
+  periodicAlternating: "Periodic alternating nystagmus",
+  dissociated: "Dissociated nystagmus",
+  latent: "Latent nystagmus",
+  oscillopsia: "Oscillopsia",
+  vertigo: "Vertigo",
+  headShaking: "Head shaking",
+  headTilt: "Head tilt",
+  positional: "Positional nystagmus",
+  spontaneous: "Spontaneous nystagmus",
+  directionChanging: "Direction-changing nystagmus"
+};
 
-    if (f.vf_bitemporal) {
-      s += 7;
-      why.push("Bitemporal field pattern (classic chiasmal sign)");
-    }
-    if (f.vf_respects_vertical) {
-      s += 2;
-      why.push("Respects vertical meridian");
-    }
-    if (f.vf_laterality === "binocular") {
-      s += 1;
-      why.push("Binocular involvement");
-    }
-    if (f.vf_new_defect) {
-      s += 1;
-      why.push("New defect vs baseline");
-    }
-    if (relPenalty) { s += relPenalty; if (relNote) why.push(relNote); }
-
-    if (s > 0) add("Chiasmal compression", s, why, [
-      "MRI pituitary/sella with and without contrast (dedicated protocol)",
-      "Pituitary hormone panel: prolactin, TSH, free T4, ACTH, cortisol, IGF-1, LH, FSH",
-      "Formal visual field testing with reliable indices",
-      "OCT RNFL to assess optic nerve damage",
-      "Refer to neuro-ophthalmology and neurosurgery/endocrinology as appropriate"
-    ], "vf");
-  }
+// { label, answers: [{ label, set: { "section.field": value } }] }; a question is open while
+// every field its answers set is unrecorded
+function examinableQuestions(session) {
+  const questions = [];
+  const addSigns = (section, labels) => Object.entries(labels).forEach(([field, label]) => {
+    const path = `${section}.${field}`;
+    if (path === "history.pregnancy" && (session.demographics || {}).sex === "male") return;
+    questions.push({
+      label,
+      answers: [
+        { label: "Present", set: { [path]: true } },
+        { label: "Absent", set: { [path]: false } }
+      ]
+    });
+  });
+
+  Object.entries(EXAMINABLE_SIGNS).forEach(([section, labels]) => addSigns(section, labels));
+  if ((session.nystagmus || {}).present === true) addSigns("nystagmus", NYSTAGMUS_SIGNS);
+
+  // Acuity is only worth asking for in an eye with none recorded
+  const on = session.opticNerve || {};
+  ["OD", "OS"].forEach(eye => {
+    if (VA_FIELDS.some(field => field.endsWith(eye) && on[field])) return;
+    questions.push({
+      label: `Visual acuity ${eye}`,
+      answers: [
+        { label: "20/20", set: { [`opticNerve.vaCorrected${eye}`]: "20/20" } },
+        { label: "20/200", set: { [`opticNerve.vaCorrected${eye}`]: "20/200" } }
+      ]
+    });
+  });
+  // Likewise color vision; red desaturation is the quickest test to ask for
+  ["OD", "OS"].forEach(eye => {
+    if (COLOR_FIELDS.some(field => field.endsWith(eye) && recorded(on[field]))) return;
+    questions.push({
+      label: `Color vision ${eye}`,
+      answers: [
+        { label: "Normal", set: { [`opticNerve.redDesaturation${eye}`]: 0 } },
+        { label: "50% desaturated", set: { [`opticNerve.redDesaturation${eye}`]: 50 } }
+      ]
+    });
+  });
+
+  ["od", "os"].forEach(eye => {
+    const path = `pupils.${eye}LightRxn`;
+    questions.push({
+      label: `Light reaction ${eye.toUpperCase()}`,
+      answers: ["brisk", "sluggish", "none"].map(v => ({ label: v[0].toUpperCase() + v.slice(1), set: { [path]: v } }))
+    });
+  });
+  questions.push({
+    label: "RAPD",
+    answers: [
+      { label: "None", set: { "pupils.rapdOD": "none", "pupils.rapdOS": "none" } },
+      { label: "OD", set: { "pupils.rapdOD": "2+" } },
+      { label: "OS", set: { "pupils.rapdOS": "2+" } }
+    ]
+  });
+
+  const unrecorded = (path) => {
+    const [section, field] = path.split(".");
+    const v = (session[section] || {})[field];
+    return v === null || v === undefined || v === "";
+  };
+  return questions.filter(q => q.answers.every(a => Object.keys(a.set).every(unrecorded)));
+}
 
-  // 20. Retrochiasmal lesion - Optic tract
-  // Reference: Newman SA, Miller NR. Optic tract syndrome.
-  // Incongruent homonymous hemianopia, contralateral RAPD, bow-tie atrophy
-  {
-    let s = 0; const why = [];
-    const nextSteps = [];
+function withAnswer(session, set) {
+  const s = structuredClone(session);
+  Object.entries(set).forEach(([path, value]) => {
+    const [section, field] = path.split(".");
+    s[section] = { ...(s[section] || {}), [field]: value };
+  });
+  return s;
+}
 
-    if (f.vf_homonymous) {
-      s += 5;
-      why.push("Homonymous pattern");
-    }
-    if (f.vf_congruity === "low") {
-      s += 3;
-      why.push("Low congruity (suggests optic tract)");
-    }
-    if (f.vf_respects_vertical) {
-      s += 2;
-      why.push("Respects vertical meridian");
-    }
-    // RAPD in optic tract lesion is contralateral to the side of the lesion
-    if (f.hasRAPD && f.vf_homonymous) {
-      s += 3;
-      why.push("RAPD present (optic tract lesions produce contralateral RAPD - key distinguishing feature)");
-    }
-    if (relPenalty) { s += relPenalty; if (relNote) why.push(relNote); }
-
-    if (s > 0) {
-      nextSteps.push("MRI brain with attention to optic tract");
-      nextSteps.push("Look for bow-tie (band) atrophy on OCT/fundoscopy");
-      if (f.acute) {
-        nextSteps.push("If acute: consider stroke protocol");
-      }
-      nextSteps.push("Common etiologies: tumor, stroke, demyelination, trauma");
-    }
-    if (s > 0) add("Optic tract lesion", s, why, nextSteps, "vf");
-  }
+// How far an answer moves support at the top of the differential: the total variation distance
+// between the shares of the summed score held before and after by every diagnosis in either
+// top list, so one the answer brings to the top counts too. 0 leaves the standing unchanged.
+function supportShift(before, after) {
+  const top = [...before.slice(0, NEXT_QUESTION_DEPTH), ...after.slice(0, NEXT_QUESTION_DEPTH)];
+  const ids = [...new Set(top.map(d => d.id))];
+  const shares = (dx) => {
+    const values = ids.map(id => {
+      const match = dx.find(x => x.id === id);
+      return match ? Math.max(match.score, 0) : 0;
+    });
+    const total = values.reduce((sum, v) => sum + v, 0);
+    return values.map(v => (total ? v / total : 0));
+  };
+  const a = shares(before), b = shares(after);
+  return a.reduce((sum, v, i) => sum + Math.abs(v - b[i]), 0) / 2;
+}
 
-  // 21. Retrochiasmal lesion - Lateral geniculate nucleus (LGN)
-  // Reference: Luco C, et al. Visual field defects from lesions of the lateral geniculate body.
-  // Specific patterns: horizontal sectoranopia, wedge-shaped defects
-  {
-    let s = 0; const why = [];
+// One line on what an answer would do to the top of the differential
+function describeEffect(before, after) {
+  const leader = before[0];
+  const newLeader = after[0];
+  if (!newLeader) return "No diagnosis left above threshold";
+  if (newLeader.id !== leader.id) {
+    const oldRank = after.findIndex(d => d.id === leader.id) + 1;
+    return `${newLeader.name} moves to #1; ${leader.name} ${oldRank ? `falls to #${oldRank}` : "drops out"}`;
+  }
+
+  const beforeRanks = new Map(before.map((d, i) => [d.id, i + 1]));
+  const moved = after.slice(0, NEXT_QUESTION_DEPTH)
+    .map((d, i) => ({ d, from: beforeRanks.get(d.id), to: i + 1 }))
+    .find(m => m.from !== m.to);
+  if (moved) return `${leader.name} stays #1; ${moved.d.name} ${moved.from ? `#${moved.from} → #${moved.to}` : `enters at #${moved.to}`}`;
+
+  const change = newLeader.score - leader.score;
+  if (!change) return "No change to the top of the differential";
+  return `${leader.name} stays #1, ${change > 0 ? "strengthened" : "weakened"}`;
+}
 
-    if (f.vf_homonymous) {
-      s += 4;
-      why.push("Homonymous pattern");
-    }
-    // LGN lesions can produce horizontal sectoranopia (wedge patterns)
-    if (f.vf_respects_horizontal && f.vf_homonymous) {
-      s += 3;
-      why.push("Respects horizontal (suggests LGN sectoranopia)");
-    }
-    if (f.vf_congruity === "moderate") {
-      s += 1;
-      why.push("Moderate congruity");
-    }
-    if (relPenalty) { s += relPenalty; if (relNote) why.push(relNote); }
-
-    if (s >= 5) add("Lateral geniculate nucleus (LGN) lesion", s, why, [
-      "MRI brain with attention to thalamus/LGN",
-      "Dual blood supply (anterior/posterior choroidal): can produce sector defects",
-      "Consider stroke, tumor, demyelination",
-      "Pattern: homonymous horizontal sectoranopia (wedge-shaped) is characteristic"
-    ], "vf");
-  }
+// Open questions ranked by the mean support shift over their answers (every answer taken as
+// equally likely): [{ label, expectedShift, answers: [{ label, shift, leader, effect }] }].
+// Questions that wouldn't move the top of the differential are left out.
+export function nextBestQuestions(session, { limit = 5 } = {}) {
+  const before = compute(session).differential;
+  if (!before.length) return [];
+
+  return examinableQuestions(session)
+    .map(q => {
+      const answers = q.answers.map(a => {
+        const after = compute(withAnswer(session, a.set)).differential;
+        return {
+          label: a.label,
+          shift: supportShift(before, after),
+          leader: after[0] ? { id: after[0].id, name: after[0].name } : null,
+          effect: describeEffect(before, after)
+        };
+      });
+      const expectedShift = answers.reduce((sum, a) => sum + a.shift, 0) / answers.length;
+      return { label: q.label, expectedShift, answers };
+    })
+    .filter(q => q.expectedShift > 0)
+    .sort((a, b) => b.expectedShift - a.expectedShift)
+    .slice(0, limit);
+}
 
-  // 22. Retrochiasmal lesion - Optic radiations (temporal and parietal)
-  // Reference: Zhang X, et al. Visual field defects of optic radiation lesions.
-  // Temporal radiations: superior quadrantanopia ("pie in the sky")
-  // Parietal radiations: inferior quadrantanopia
-  {
-    let s = 0; const why = [];
-    const nextSteps = [];
-
-    if (f.vf_homonymous) {
-      s += 5;
-      why.push("Homonymous pattern");
-    }
-    if (f.vf_respects_vertical) {
-      s += 2;
-      why.push("Respects vertical meridian");
-    }
-    if (f.vf_congruity === "moderate" || f.vf_congruity === "low") {
-      s += 2;
-      why.push(`${f.vf_congruity === "low" ? "Lower" : "Moderate"} congruity (anterior radiations)`);
-    }
-    // No RAPD in retrochiasmal lesions (beyond optic tract)
-    if (!f.hasRAPD && f.vf_homonymous) {
-      s += 1;
-      why.push("No RAPD (lesion is retrochiasmal)");
-    }
-    if (relPenalty) { s += relPenalty; if (relNote) why.push(relNote); }
-
-    if (s > 0) {
-      nextSteps.push("MRI brain with attention to temporal/parietal lobes");
-      if (f.acute) {
-        nextSteps.push("If acute: stroke protocol, check last known well time");
-      }
-      nextSteps.push("Superior quadrantanopia: temporal lobe (Meyer's loop)");
-      nextSteps.push("Inferior quadrantanopia: parietal lobe");
-      nextSteps.push("Common etiologies: stroke (MCA territory), tumor, demyelination");
-    }
-    if (s > 0) add("Optic radiation lesion", s, why, nextSteps, "vf");
-  }
+// =====================================
+// COUNTERFACTUALS ("what would change this")
+// =====================================
+// Changes one recorded finding at a time and re-scores the differential, to show which
+// single findings a diagnosis's rank hinges on.
+
+const TRIAGE_FLAGS = {
+  acuteOnset: "Acute onset",
+  painful: "Painful",
+  neuroSx: "Neurologic symptoms",
+  trauma: "Trauma"
+};
 
-  // 23. Occipital cortex lesion
-  // Reference: Gray LG, et al. Visual field defects after cerebral hemispherectomy.
-  // High congruity, macular sparing possible (dual blood supply)
-  {
-    let s = 0; const why = [];
-    const nextSteps = [];
+const VISUAL_FIELD_FLAGS = {
+  newDefect: "New field defect",
+  homonymous: "Homonymous defect",
+  bitemporal: "Bitemporal defect",
+  altitudinal: "Altitudinal defect",
+  centralScotoma: "Central scotoma"
+};
 
-    if (f.vf_homonymous) {
-      s += 5;
-      why.push("Homonymous pattern");
-    }
-    if (f.vf_congruity === "high") {
-      s += 3;
-      why.push("High congruity (characteristic of occipital cortex)");
-    }
-    if (f.vf_respects_vertical) {
-      s += 2;
-      why.push("Respects vertical meridian");
-    }
-    // No RAPD in occipital lesions
-    if (!f.hasRAPD && f.vf_homonymous) {
-      s += 1;
-      why.push("No RAPD (retrochiasmal lesion)");
-    }
-    if (relPenalty) { s += relPenalty; if (relNote) why.push(relNote); }
-
-    if (s > 0) {
-      if (f.acute) {
-        nextSteps.push("URGENT: Stroke protocol - posterior circulation (PCA territory)");
-        nextSteps.push("Check last known well time for thrombolysis/thrombectomy window");
-      }
-      nextSteps.push("MRI brain (DWI sequence if acute) with attention to occipital lobes");
-      nextSteps.push("Macular sparing may occur (dual blood supply from MCA/PCA)");
-      nextSteps.push("Complete homonymous hemianopia with macular sparing: occipital pole");
-    }
-    if (s > 0) add("Occipital cortex lesion", s, why, nextSteps, "vf");
-  }
+// Every single-finding change from the current session: [{ label, set: { "section.field": value } }]
+function singleFindingChanges(session) {
+  const changes = [];
+  const current = (path) => {
+    const [section, field] = path.split(".");
+    return (session[section] || {})[field];
+  };
+  const add = (path, label, options) => options.forEach(([value, valueLabel]) => {
+    if (current(path) !== value) changes.push({ label: `${label}: ${valueLabel}`, set: { [path]: value } });
+  });
+
+  Object.entries(TRIAGE_FLAGS).forEach(([field, label]) => add(`triage.${field}`, label, [[true, "yes"], [false, "no"]]));
+  Object.entries({ ...EXAMINABLE_SIGNS, nystagmus: { ...EXAMINABLE_SIGNS.nystagmus, ...NYSTAGMUS_SIGNS } })
+    .forEach(([section, labels]) => Object.entries(labels).forEach(([field, label]) => {
+      add(`${section}.${field}`, label, [[true, "present"], [false, "absent"]]);
+    }));
+  add("eom.comitant", "Comitant deviation", [[true, "yes"], [false, "no"]]);
+  ["od", "os"].forEach(eye => {
+    const EYE = eye.toUpperCase();
+    add(`pupils.${eye}LightRxn`, `Light reaction ${EYE}`, [["brisk", "brisk"], ["sluggish", "sluggish"], ["none", "none"]]);
+    add(`pupils.rapd${EYE}`, `RAPD ${EYE}`, [["none", "none"], ["2+", "2+"]]);
+    add(`opticNerve.vaCorrected${EYE}`, `Corrected VA ${EYE}`, [["20/20", "20/20"], ["20/200", "20/200"]]);
+    add(`opticNerve.redDesaturation${EYE}`, `Red desaturation ${EYE}`, [[0, "none"], [50, "50%"]]);
+  });
+  Object.entries(VISUAL_FIELD_FLAGS).forEach(([field, label]) => add(`visualFields.${field}`, label, [[true, "yes"], [false, "no"]]));
+  return changes;
+}
 
-  // 24. Anterior Ischemic Optic Neuropathy (AION) - Arteritic (GCA)
-  // Reference: Hayreh SS. Ischemic optic neuropathies. Prog Retin Eye Res 2009;28:34-62
-  // Altitudinal defect, pallid disc edema, elevated ESR/CRP, jaw claudication
-  {
-    let s = 0; const why = [];
-    const nextSteps = [];
-
-    if (f.vf_altitudinal && f.vf_respects_horizontal) {
-      s += 6;
-      why.push("Altitudinal defect respecting horizontal meridian (classic AION)");
-    } else if (f.vf_altitudinal) {
-      s += 4;
-      why.push("Altitudinal pattern");
-    }
-    if (f.vf_laterality === "mono") {
-      s += 2;
-      why.push("Monocular (unilateral optic nerve)");
-    }
-    if (f.hasRAPD) {
-      s += 3;
-      why.push("RAPD present (key finding in optic neuropathy)");
-    }
-    if (f.discEdema) {
-      s += 2;
-      why.push("Disc edema present");
-    }
-    if (f.painful) {
-      s += 1;
-      why.push("Headache/pain (consider GCA)");
-    }
-    if (f.acute) {
-      s += 1;
-      why.push("Acute onset");
-    }
-    if (relPenalty) { s += relPenalty; if (relNote) why.push(relNote); }
-
-    if (s > 0) {
-      nextSteps.push("URGENT if age >50: ESR and CRP immediately (GCA screening)");
-      nextSteps.push("Examine optic disc: pallid edema (arteritic) vs hyperemic edema (non-arteritic)");
-      nextSteps.push("Ask about jaw claudication, scalp tenderness, polymyalgia symptoms");
-      nextSteps.push("If GCA suspected: start high-dose IV methylprednisolone pending temporal artery biopsy");
-      nextSteps.push("Temporal artery biopsy within 2 weeks (steroids don't mask pathology)");
-      nextSteps.push("Assess fellow eye risk: very high in untreated GCA");
-    }
-    if (s > 0) add("Anterior Ischemic Optic Neuropathy (AION)", s, why, nextSteps, "vf");
-  }
-
-  // 25. Non-arteritic AION (NAION)
-  // Reference: Hayreh SS. Non-arteritic anterior ischemic optic neuropathy.
-  // Similar VF pattern but younger patients, disc at risk, no GCA symptoms
-  {
-    let s = 0; const why = [];
-
-    if (f.vf_altitudinal) {
-      s += 4;
-      why.push("Altitudinal pattern");
-    }
-    if (f.vf_laterality === "mono") {
-      s += 1;
-      why.push("Monocular");
-    }
-    if (f.hasRAPD) {
-      s += 3;
-      why.push("RAPD present");
-    }
-    // If no pain and not elderly, more likely NAION
-    if (!f.painful && f.vf_altitudinal) {
-      s += 1;
-      why.push("Painless (typical for NAION)");
-    }
-    if (relPenalty) { s += relPenalty; if (relNote) why.push(relNote); }
-
-    if (s >= 5) add("Non-arteritic AION (NAION)", s, why, [
-      "Examine disc: hyperemic edema, small cup ('disc at risk')",
-      "ESR/CRP to exclude GCA (mandatory if age >50)",
-      "Assess vascular risk factors: HTN, DM, hyperlipidemia, sleep apnea",
-      "No proven treatment; optimize vascular risk factors",
-      "Fellow eye risk ~15% over 5 years",
-      "Avoid nocturnal hypotension, consider sleep study"
-    ], "vf");
-  }
-
-  // 26. Optic neuritis
-  // Reference: Optic Neuritis Treatment Trial (ONTT). Arch Ophthalmol 1991.
-  // Central/cecocentral scotoma, pain on eye movement, RAPD, young adults
-  {
-    let s = 0; const why = [];
-    const nextSteps = [];
-
-    if (f.vf_central_scotoma) {
-      s += 5;
-      why.push("Central scotoma");
-    }
-    if (f.painOnMovement) {
-      s += 4;
-      why.push("Pain on eye movement (90% of optic neuritis)");
-    }
-    if (f.hasRAPD) {
-      s += 3;
-      why.push("RAPD present (hallmark of unilateral optic neuropathy)");
-    }
-    if (f.colorDeficit) {
-      s += 2;
-      why.push("Color vision deficit (often disproportionate to VA)");
-    }
-    if (f.vf_laterality === "mono") {
-      s += 1;
-      why.push("Monocular (typically unilateral)");
-    }
-    if (f.vf_new_defect) {
-      s += 1;
-      why.push("New defect");
-    }
-    if (f.acute) {
-      s += 1;
-      why.push("Acute/subacute onset");
-    }
-    if (relPenalty) { s += relPenalty; if (relNote) why.push(relNote); }
-
-    if (s > 0) {
-      nextSteps.push("Check visual acuity, color vision (red cap desaturation, Ishihara), RAPD grade");
-      nextSteps.push("MRI brain and orbits with contrast (fat suppression for orbits)");
-      nextSteps.push("Disc may be normal (retrobulbar) or swollen (papillitis)");
-      nextSteps.push("If MRI shows demyelinating lesions: discuss MS risk and treatment");
-      nextSteps.push("ONTT: IV steroids speed recovery but don't change final outcome");
-      nextSteps.push("Consider NMO-IgG (aquaporin-4), MOG antibodies if atypical features");
-    }
-    if (s > 0) add("Optic neuritis", s, why, nextSteps, "vf");
-  }
-
-  // 27. Macular disease (AMD, macular hole, CSR)
-  // Reference: Distinguishing macular from optic nerve disease
-  // Central scotoma without RAPD (unless severe), metamorphopsia
-  {
-    let s = 0; const why = [];
-
-    if (f.vf_central_scotoma) {
-      s += 4;
-      why.push("Central scotoma");
-    }
-    if (f.vf_laterality === "mono") {
-      s += 1;
-      why.push("Monocular");
-    }
-    // No RAPD or minimal RAPD suggests macular rather than optic nerve
-    if (f.vf_central_scotoma && !f.significantRAPD) {
-      s += 3;
-      why.push("No significant RAPD (strongly favors macular over optic nerve)");
-    }
-    // No pain
-    if (!f.painOnMovement && f.vf_central_scotoma) {
-      s += 1;
-      why.push("Painless");
-    }
-    // No color deficit disproportionate to VA
-    if (!f.colorDeficit && f.vf_central_scotoma) {
-      s += 1;
-      why.push("No color deficit (favors macular)");
-    }
-    if (relPenalty) { s += relPenalty; if (relNote) why.push(relNote); }
-
-    if (s >= 5) add("Macular disease", s, why, [
-      "Dilated fundus exam with attention to macula",
-      "OCT macula: assess for AMD, macular hole, epiretinal membrane, CME",
-      "Amsler grid: metamorphopsia suggests macular pathology",
-      "Check for distortion, not just scotoma",
-      "If RAPD present: consider combined or optic nerve pathology"
-    ], "vf");
-  }
-
-  // 28. Glaucomatous optic neuropathy
-  // Reference: Foster PJ, et al. The definition and classification of glaucoma.
-  // Arcuate, nasal step, paracentral scotomas respecting horizontal
-  {
-    let s = 0; const why = [];
-
-    // Arcuate defects and nasal steps respect horizontal meridian
-    if (f.vf_respects_horizontal && f.vf_laterality === "mono") {
-      s += 3;
-      why.push("Respects horizontal meridian (nerve fiber layer pattern)");
-    }
-    if (f.vf_altitudinal && f.vf_laterality === "mono") {
-      s += 2;
-      why.push("Altitudinal/arcuate pattern");
-    }
-    if (f.cupping) {
-      s += 3;
-      why.push("Optic disc cupping noted");
-    }
-    // Usually no RAPD unless very asymmetric
-    if (!f.acute && !f.painful) {
-      s += 1;
-      why.push("Chronic, painless");
-    }
-    if (relPenalty) { s += relPenalty; if (relNote) why.push(relNote); }
-
-    if (s >= 4) add("Glaucomatous optic neuropathy", s, why, [
-      "Check IOP, gonioscopy, optic nerve head evaluation",
-      "OCT RNFL for structural correlation with VF defect",
-      "Typical patterns: arcuate scotoma, nasal step, paracentral scotomas",
-      "Progressive: compare to prior fields",
-      "If diagnosis confirmed: IOP-lowering treatment"
-    ], "vf");
-  }
-
-  // 29. Functional (non-organic) visual field loss
-  // Reference: Bruce BB, Newman NJ. Functional visual loss.
-  // Tubular fields, spiral pattern, inconsistent responses
-  {
-    let s = 0; const why = [];
-
-    if (f.vf_reliability === "poor") {
-      s += 2;
-      why.push("Poor reliability");
-    }
-    // No anatomic pattern
-    if (!f.vf_homonymous && !f.vf_bitemporal && !f.vf_altitudinal &&
-        !f.vf_respects_vertical && !f.vf_respects_horizontal && f.vf_symptoms) {
-      s += 2;
-      why.push("No clear anatomic pattern");
-    }
-    if (f.vf_symptoms && !f.hasRAPD && !f.painOnMovement) {
-      s += 1;
-      why.push("Visual complaints without objective findings");
-    }
-
-    if (s >= 4) add("Functional visual field loss (consider)", s, why, [
-      "Look for tubular fields (don't expand with distance)",
-      "Spiral or star pattern on kinetic perimetry",
-      "Inconsistency between VF and mobility/behavior",
-      "Normal pupils, normal fundus",
-      "This is a diagnosis of exclusion - rule out organic causes first",
-      "Approach with empathy; may coexist with real pathology"
-    ], "vf");
-  }
-
-  // =====================================
-  // COMBINED/OVERLAPPING PATTERNS
-  // =====================================
-
-  // 30. Miller Fisher syndrome
-  // Reference: Fisher M. An unusual variant of acute idiopathic polyneuritis.
-  // Triad: ophthalmoplegia, ataxia, areflexia; anti-GQ1b antibodies
-  {
-    let s = 0; const why = [];
-
-    if (f.diplopia) {
-      s += 2;
-      why.push("Diplopia/ophthalmoplegia");
-    }
-    // Multiple EOM involvement
-    if ((f.abductionDeficit === true ? 1 : 0) +
-        (f.adductionDeficit === true ? 1 : 0) +
-        (f.verticalLimitation === true ? 1 : 0) >= 2) {
-      s += 2;
-      why.push("Multiple EOM involvement");
-    }
-    if (f.ptosis) {
-      s += 1;
-      why.push("Ptosis");
-    }
-    // Pupil involvement can occur
-    if (largePattern || smallPattern) {
-      s += 1;
-      why.push("Pupil abnormality (can occur in MFS)");
-    }
-    if (f.neuroSx) {
-      s += 2;
-      why.push("Other neurological symptoms (ataxia?)");
-    }
-
-    if (s >= 5) add("Miller Fisher syndrome", s, why, [
-      "Clinical triad: ophthalmoplegia, ataxia, areflexia",
-      "Check deep tendon reflexes (typically absent)",
-      "Anti-GQ1b antibodies (positive in >90%)",
-      "Often preceded by respiratory/GI infection",
-      "LP: albuminocytologic dissociation",
-      "Usually self-limited; IVIG may speed recovery"
-    ], "neuro");
-  }
-
-  // 31. Wernicke encephalopathy
-  // Reference: Sechi G, Serra A. Wernicke's encephalopathy: new clinical settings and recent advances.
-  // Triad: ophthalmoplegia (CN VI, gaze palsy), confusion, ataxia
-  {
-    let s = 0; const why = [];
-
-    if (f.abductionDeficit === true) {
-      s += 2;
-      why.push("Abduction deficit (CN VI involvement common)");
-    }
-    if (f.diplopia) {
-      s += 1;
-      why.push("Diplopia");
-    }
-    // Nystagmus and gaze palsies common
-    if (f.neuroSx) {
-      s += 3;
-      why.push("Neurological symptoms (confusion, ataxia)");
-    }
-    // Often pupil-sparing
-    if (!largePattern && !smallPattern && f.abductionDeficit === true) {
-      s += 1;
-      why.push("Pupil-sparing");
-    }
-
-    if (s >= 5) add("Wernicke encephalopathy", s, why, [
-      "Classic triad: ophthalmoplegia, confusion, ataxia (complete triad in <20%)",
-      "Risk factors: alcoholism, malnutrition, bariatric surgery, hyperemesis",
-      "URGENT: Thiamine 500mg IV TID before glucose administration",
-      "MRI: T2/FLAIR hyperintensity in mammillary bodies, periaqueductal gray",
-      "Prevent Korsakoff syndrome with prompt treatment"
-    ], "neuro");
-  }
-
-  // =====================================
-  // ORBITAL AND THYROID CONDITIONS
-  // =====================================
-
-  // 32. Thyroid Eye Disease (Graves' ophthalmopathy)
-  // Reference: Bartalena L, et al. Consensus statement of the European Group on Graves' orbitopathy (EUGOGO).
-  // Restrictive myopathy, proptosis, lid retraction, exposure keratopathy
-  {
-    let s = 0; const why = [];
-
-    if (f.diplopia) {
-      s += 2;
-      why.push("Diplopia present");
-    }
-    // Restrictive pattern - typically affects IR first (limitation of upgaze)
-    if (f.verticalLimitation === true) {
-      s += 3;
-      why.push("Vertical limitation (IR restriction causes upgaze limitation)");
-    }
-    // Comitant or near-comitant (restrictive, not neurogenic)
-    if (f.comitant === true) {
-      s += 2;
-      why.push("Comitant deviation (suggests restrictive rather than neurogenic)");
-    }
-    if (f.painOnMovement) {
-      s += 2;
-      why.push("Pain on eye movement (active inflammatory phase)");
-    }
-    // Pupil-sparing
-    if (!largePattern && !smallPattern && f.diplopia) {
-      s += 1;
-      why.push("Pupil-sparing");
-    }
-    // Ptosis is unusual (lid retraction more common, but can have pseudo-ptosis)
-    if (f.ptosis) {
-      s -= 1;
-      why.push("Note: Ptosis unusual in TED (lid retraction typical)");
-    }
-
-    if (s >= 4) add("Thyroid Eye Disease (Graves')", s, why, [
-      "Exam: proptosis (Hertel), lid retraction, lagophthalmos, conjunctival injection",
-      "Check thyroid function: TSH, free T4, T3, TSH receptor antibodies",
-      "CT orbits: enlarged extraocular muscles with tendon sparing",
-      "Pattern: IR > MR > SR > LR (mnemonic: I'M SLow)",
-      "Active vs inactive: CAS (Clinical Activity Score)",
-      "Mild: lubricants, selenium; Moderate-severe: IV steroids, orbital radiation, surgery"
-    ], "eom");
-  }
-
-  // 33. Orbital inflammatory disease (Idiopathic orbital inflammation / Orbital pseudotumor)
-  // Reference: Yuen SJ, Rubin PA. Idiopathic orbital inflammation.
-  // Painful ophthalmoplegia, proptosis, chemosis
-  {
-    let s = 0; const why = [];
-
-    if (f.painOnMovement) {
-      s += 4;
-      why.push("Pain on eye movement (hallmark of orbital inflammation)");
-    }
-    if (f.painful) {
-      s += 2;
-      why.push("Pain/headache present");
-    }
-    if (f.diplopia) {
-      s += 2;
-      why.push("Diplopia (myositis component)");
-    }
-    if (f.acute) {
-      s += 1;
-      why.push("Acute onset");
-    }
-    // Can affect any EOM
-    if ((f.abductionDeficit === true ? 1 : 0) +
-        (f.adductionDeficit === true ? 1 : 0) +
-        (f.verticalLimitation === true ? 1 : 0) >= 1) {
-      s += 1;
-      why.push("EOM limitation present");
-    }
-
-    if (s >= 5) add("Orbital inflammatory disease (pseudotumor)", s, why, [
-      "Exam: proptosis, chemosis, injection, restricted motility, pain",
-      "CT/MRI orbits with contrast: enhancing mass, may involve any orbital structure",
-      "Subtypes: myositis, dacryoadenitis, diffuse, apical",
-      "Dramatic response to corticosteroids (diagnostic and therapeutic)",
-      "If poor steroid response: biopsy to exclude lymphoma, IgG4-related disease",
-      "Rule out: thyroid eye disease, lymphoma, sarcoidosis, granulomatosis"
-    ], "eom");
-  }
-
-  // 34. Cavernous sinus syndrome
-  // Reference: Keane JR. Cavernous sinus syndrome.
-  // Multiple cranial neuropathies (III, IV, VI, V1, V2), may have Horner
-  {
-    let s = 0; const why = [];
-
-    // Multiple CN involvement
-    const cnCount = (largePattern ? 1 : 0) + (f.ptosis ? 1 : 0) +
-      (f.abductionDeficit === true ? 1 : 0) +
-      (f.adductionDeficit === true ? 1 : 0) +
-      (f.verticalLimitation === true ? 1 : 0);
-    if (cnCount >= 2) {
-      s += 4;
-      why.push("Multiple cranial nerve involvement");
-    }
-    if (f.diplopia && f.ptosis) {
-      s += 2;
-      why.push("Diplopia + ptosis");
-    }
-    if (f.painful) {
-      s += 2;
-      why.push("Pain (V1/V2 involvement or mass effect)");
-    }
-    // Horner can occur (sympathetic fibers travel through cavernous sinus)
-    if (smallPattern) {
-      s += 2;
-      why.push("Small pupil pattern (sympathetic involvement in cavernous sinus)");
-    }
-    if (f.acute) {
-      s += 1;
-      why.push("Acute onset");
-    }
-
-    if (s >= 5) add("Cavernous sinus syndrome", s, why, [
-      "Structures in cavernous sinus: CN III, IV, VI, V1, V2, sympathetics, ICA",
-      "MRI brain with attention to cavernous sinus, fat-saturated T1 with contrast",
-      "Etiologies: tumor (meningioma, pituitary), infection, CCF, thrombosis, Tolosa-Hunt",
-      "Check for proptosis, conjunctival injection (CCF), facial sensory loss (V1/V2)",
-      "If infectious: emergent - can spread from sinusitis",
-      "Tolosa-Hunt: painful ophthalmoplegia, responds to steroids"
-    ], "neuro");
-  }
-
-  // 35. Orbital apex syndrome
-  // Reference: Yeh S, Foroozan R. Orbital apex syndrome.
-  // Cavernous sinus findings PLUS optic neuropathy
-  {
-    let s = 0; const why = [];
-
-    // Optic nerve involvement differentiates from pure cavernous sinus
-    if (f.hasRAPD) {
-      s += 4;
-      why.push("RAPD (optic nerve involvement - key feature)");
-    }
-    if (f.discPallor || f.discEdema) {
-      s += 2;
-      why.push("Disc changes (pallor or edema)");
-    }
-    if (f.colorDeficit || f.vaReduced) {
-      s += 2;
-      why.push("Visual function affected (color/VA)");
-    }
-    // Plus cavernous sinus features
-    if (f.diplopia) {
-      s += 2;
-      why.push("Diplopia (EOM involvement)");
-    }
-    if (f.painful) {
-      s += 2;
-      why.push("Pain");
-    }
-    if (f.ptosis) {
-      s += 1;
-      why.push("Ptosis");
-    }
-
-    if (s >= 6) add("Orbital apex syndrome", s, why, [
-      "Orbital apex = cavernous sinus syndrome + optic neuropathy",
-      "CN II, III, IV, VI, V1 all affected",
-      "MRI orbits and brain with contrast, fat suppression",
-      "Etiologies: tumor, infection (mucormycosis in diabetics), inflammation",
-      "If diabetic with sinusitis: consider mucormycosis (EMERGENT)",
-      "Visual prognosis depends on prompt treatment"
-    ], "neuro");
-  }
-
-  // =====================================
-  // ADDITIONAL PUPIL CONDITIONS
-  // =====================================
-
-  // 36. Episodic unilateral mydriasis (benign)
-  // Reference: Jacobson DM. Benign episodic unilateral mydriasis.
-  // Intermittent dilated pupil, often with headache, no other deficits
-  {
-    let s = 0; const why = [];
-
-    if (largePattern) {
-      s += 2;
-      why.push("Large pupil pattern");
-    }
-    // Typically reactive (unlike CN III or pharmacologic)
-    if (!f.anyFixedPupil && largePattern) {
-      s += 2;
-      why.push("Pupil still reactive (distinguishes from fixed pathology)");
-    }
-    // No EOM involvement
-    if (!f.diplopia && !f.ptosis && largePattern) {
-      s += 3;
-      why.push("No diplopia or ptosis (isolated pupil finding)");
-    }
-    // May have headache
-    if (f.painful && largePattern && !f.ptosis && !f.diplopia) {
-      s += 1;
-      why.push("Headache present (common association)");
-    }
-    // No neuro symptoms
-    if (!f.neuroSx && largePattern) {
-      s += 1;
-      why.push("No neurological symptoms");
-    }
-
-    if (s >= 6) add("Benign episodic unilateral mydriasis", s, why, [
-      "Intermittent episodes of unilateral pupil dilation",
-      "Pupil typically reactive during episodes",
-      "Associated with migraine in many cases",
-      "No ptosis, no diplopia, no other neurological signs",
-      "Diagnosis of exclusion - rule out CN III pathology first",
-      "Reassurance appropriate if workup negative"
-    ], "pupil");
-  }
-
-  // 37. Tadpole pupil
-  // Reference: Thompson HS, Zackon DH, Czarnecki JS. Tadpole-shaped pupils.
-  // Segmental iris dilator spasm, association with Horner
-  {
-    let s = 0; const why = [];
-
-    if (smallPattern || f.dilationLag) {
-      s += 3;
-      why.push("Small pupil pattern or dilation lag (associated Horner)");
-    }
-    // Typically intermittent
-    if (!f.acute && (smallPattern || f.dilationLag)) {
-      s += 1;
-      why.push("Chronic/intermittent pattern");
-    }
-
-    if (s >= 3) add("Tadpole pupil (consider)", s, why, [
-      "Segmental iris dilator muscle spasm causing peaked pupil",
-      "Often associated with underlying Horner syndrome",
-      "Transient distortion of pupil shape",
-      "Check for signs of Horner: ptosis, anhidrosis, dilation lag",
-      "If Horner confirmed: standard Horner workup indicated"
-    ], "pupil");
-  }
-
-  // =====================================
-  // ADDITIONAL EOM/MOTILITY CONDITIONS
-  // =====================================
-
-  // 38. Internuclear ophthalmoplegia (INO)
-  // Reference: Keane JR. Internuclear ophthalmoplegia.
-  // Adduction deficit with contralateral abducting nystagmus
-  {
-    let s = 0; const why = [];
-
-    if (f.adductionDeficit === true) {
-      s += 5;
-      why.push("Adduction deficit (hallmark of INO)");
-    }
-    if (f.diplopia && f.adductionDeficit === true) {
-      s += 2;
-      why.push("Diplopia with adduction deficit");
-    }
-    // Ptosis absent
-    if (!f.ptosis && f.adductionDeficit === true) {
-      s += 2;
-      why.push("No ptosis (distinguishes from CN III)");
-    }
-    // Pupil-sparing
-    if (!largePattern && !smallPattern && f.adductionDeficit === true) {
-      s += 2;
-      why.push("Pupil-sparing (distinguishes from CN III)");
-    }
-    // Incomitant
-    if (f.comitant === false && f.adductionDeficit === true) {
-      s += 1;
-      why.push("Incomitant deviation");
-    }
-
-    if (s >= 6) add("Internuclear ophthalmoplegia (INO)", s, why, [
-      "Lesion in MLF (medial longitudinal fasciculus)",
-      "Test convergence: typically preserved in INO (distinguishes from CN III)",
-      "Look for contralateral abducting nystagmus",
-      "Young patient: multiple sclerosis (bilateral INO common)",
-      "Older patient: stroke (usually unilateral)",
-      "MRI brain with attention to brainstem/MLF"
-    ], "eom");
-  }
-
-  // 39. Duane retraction syndrome (Type I)
-  // Reference: DeRespinis PA, et al. Duane's retraction syndrome.
-  // Congenital, limited abduction, globe retraction on adduction
-  {
-    let s = 0; const why = [];
-
-    if (f.abductionDeficit === true) {
-      s += 4;
-      why.push("Abduction deficit");
-    }
-    // Usually not acute
-    if (!f.acute && f.abductionDeficit === true) {
-      s += 2;
-      why.push("Non-acute presentation (congenital)");
-    }
-    // No pain
-    if (!f.painful && f.abductionDeficit === true) {
-      s += 1;
-      why.push("Painless");
-    }
-    // Pupil-sparing
-    if (!largePattern && !smallPattern && f.abductionDeficit === true) {
-      s += 1;
-      why.push("Pupil-sparing");
-    }
-    // No diplopia in primary (often)
-    if (!f.diplopia && f.abductionDeficit === true) {
-      s += 1;
-      why.push("No diplopia in primary gaze");
-    }
-    // Incomitant deviation typical
-    if (f.comitant === false && f.abductionDeficit === true) {
-      s += 1;
-      why.push("Incomitant deviation");
-    }
-
-    if (s >= 6) add("Duane retraction syndrome Type I", s, why, [
-      "Congenital CN VI aplasia with aberrant CN III innervation to LR",
-      "Type I: limited abduction (most common)",
-      "Globe retraction and palpebral fissure narrowing on adduction",
-      "Usually unilateral (left > right), female predominance",
-      "Face turn toward affected side to maintain binocularity",
-      "No treatment needed if aligned in primary; surgery for large deviation"
-    ], "eom");
-  }
-
-  // 40. Duane retraction syndrome (Type II)
-  // Reference: DeRespinis PA, et al. Duane's retraction syndrome.
-  // Congenital, limited adduction, globe retraction on adduction
-  {
-    let s = 0; const why = [];
-
-    if (f.adductionDeficit === true) {
-      s += 4;
-      why.push("Adduction deficit");
-    }
-    // Usually not acute
-    if (!f.acute && f.adductionDeficit === true) {
-      s += 2;
-      why.push("Non-acute presentation (congenital)");
-    }
-    // No pain
-    if (!f.painful && f.adductionDeficit === true) {
-      s += 1;
-      why.push("Painless");
-    }
-    // Pupil-sparing
-    if (!largePattern && !smallPattern && f.adductionDeficit === true) {
-      s += 1;
-      why.push("Pupil-sparing");
-    }
-    // No diplopia in primary (often)
-    if (!f.diplopia && f.adductionDeficit === true) {
-      s += 1;
-      why.push("No diplopia in primary gaze");
-    }
-    // Incomitant deviation typical
-    if (f.comitant === false && f.adductionDeficit === true) {
-      s += 1;
-      why.push("Incomitant deviation");
-    }
-
-    if (s >= 6) add("Duane retraction syndrome Type II", s, why, [
-      "Congenital misinnervation of LR by CN III",
-      "Type II: limited adduction (less common)",
-      "Globe retraction and palpebral fissure narrowing on adduction",
-      "Often esotropia in primary with paradoxical upshoot/downshoot",
-      "Usually unilateral; face turn to maintain binocularity",
-      "Surgery for significant primary position deviation"
-    ], "eom");
-  }
-
-  // 41. Brown syndrome
-  // Reference: Wright KW. Brown's syndrome: diagnosis and management.
-  // Limited elevation in adduction
-  {
-    let s = 0; const why = [];
-
-    if (f.verticalLimitation === true) {
-      s += 3;
-      why.push("Vertical limitation");
-    }
-    // Usually painless (unless inflammatory)
-    if (!f.painful && f.verticalLimitation === true) {
-      s += 1;
-      why.push("Painless (congenital type)");
-    }
-    if (f.painOnMovement && f.verticalLimitation === true) {
-      s += 2;
-      why.push("Pain on movement (acquired/inflammatory type)");
-    }
-    // No ptosis, pupil-sparing
-    if (!f.ptosis && f.verticalLimitation === true) {
-      s += 1;
-      why.push("No ptosis");
-    }
-
-    if (s >= 4) add("Brown syndrome (consider)", s, why, [
-      "Restricted SO tendon: limited elevation in adduction",
-      "Positive forced duction test",
-      "Congenital: usually stable, observe if small",
-      "Acquired: RA, trauma, sinus surgery, inflammation around trochlea",
-      "Inflammatory: may respond to steroids or NSAIDs",
-      "Surgery if significant hypotropia in primary gaze"
-    ], "eom");
-  }
-
-  // 42. Ocular neuromyotonia
-  // Reference: Yee RD, et al. Ocular neuromyotonia.
-  // Episodic sustained EOM contraction, often after radiation
-  {
-    let s = 0; const why = [];
-
-    if (f.diplopia) {
-      s += 2;
-      why.push("Diplopia present");
-    }
-    // Episodic/intermittent pattern suggested by non-constant symptoms
-    if ((f.abductionDeficit === true || f.adductionDeficit === true || f.verticalLimitation === true)) {
-      s += 2;
-      why.push("EOM deficit present");
-    }
-    // No pain typically
-    if (!f.painful && f.diplopia) {
-      s += 1;
-      why.push("Painless");
-    }
-
-    if (s >= 4) add("Ocular neuromyotonia (consider)", s, why, [
-      "Episodic sustained contraction of EOM (spasm)",
-      "Often history of parasellar radiation or skull base surgery",
-      "Triggered by sustained gaze in direction of action of affected muscle",
-      "Lasts seconds to minutes",
-      "Treatment: carbamazepine or other membrane stabilizers",
-      "MRI to evaluate prior treatment site"
-    ], "eom");
-  }
-
-  // =====================================
-  // ADDITIONAL OPTIC NERVE CONDITIONS
-  // =====================================
-
-  // 43. Papilledema (increased ICP)
-  // Reference: Friedman DI, et al. Revised diagnostic criteria for pseudotumor cerebri syndrome.
-  // Bilateral disc edema from elevated ICP
-  {
-    let s = 0; const why = [];
-
-    if (f.discEdema) {
-      s += 4;
-      why.push("Disc edema present");
-    }
-    // Usually bilateral
-    if (f.discEdemaOD && f.discEdemaOS) {
-      s += 2;
-      why.push("Bilateral disc edema");
-    }
-    // No RAPD initially (both eyes affected equally)
-    if (!f.hasRAPD && f.discEdema) {
-      s += 2;
-      why.push("No RAPD (symmetric involvement)");
-    }
-    // Headache common
-    if (f.painful && f.discEdema) {
-      s += 2;
-      why.push("Headache present");
-    }
-    // Transient visual obscurations (VF symptoms)
-    if (f.vf_symptoms && f.discEdema) {
-      s += 1;
-      why.push("Visual symptoms");
-    }
-
-    if (s >= 5) add("Papilledema (elevated ICP)", s, why, [
-      "Bilateral disc edema from increased intracranial pressure",
-      "MRI brain + MRV to rule out mass, venous sinus thrombosis",
-      "LP with opening pressure (after imaging rules out mass)",
-      "IIH criteria: elevated OP >25cm H2O, normal CSF, no other cause",
-      "IIH risk factors: obesity, young woman, vitamin A, tetracyclines",
-      "Monitor visual fields - can cause progressive optic neuropathy",
-      "Treatment: weight loss, acetazolamide, topiramate; shunt/ONSF if severe"
-    ], "optic");
-  }
-
-  // 43. Anterior ischemic optic neuropathy - Non-arteritic (NAION) - already exists but enhance
-  // 44. Leber hereditary optic neuropathy (LHON)
-  // Reference: Yu-Wai-Man P, et al. Leber hereditary optic neuropathy.
-  // Maternal inheritance, sequential bilateral painless vision loss, young males
-  {
-    let s = 0; const why = [];
-
-    if (f.hasRAPD) {
-      s += 2;
-      why.push("RAPD present");
-    }
-    if (f.vf_central_scotoma) {
-      s += 3;
-      why.push("Central scotoma");
-    }
-    if (f.discEdema && !f.painful) {
-      s += 2;
-      why.push("Disc edema/hyperemia without pain");
-    }
-    if (f.colorDeficit) {
-      s += 2;
-      why.push("Color vision deficit");
-    }
-    // Painless
-    if (!f.painful && (f.hasRAPD || f.vf_central_scotoma || f.colorDeficit)) {
-      s += 1;
-      why.push("Painless (typical for LHON)");
-    }
-
-    if (s >= 5) add("Leber hereditary optic neuropathy (LHON)", s, why, [
-      "Mitochondrial DNA mutations (most common: 11778, 3460, 14484)",
-      "Typical: young male with painless sequential vision loss",
-      "Exam: circumpapillary telangiectatic vessels, pseudoedema",
-      "No disc leakage on FA (distinguishes from true papillitis)",
-      "Maternal inheritance pattern - ask family history",
-      "Genetic testing for mtDNA mutations",
-      "Idebenone may help if started early; avoid smoking, alcohol"
-    ], "optic");
-  }
-
-  // 45. Dominant optic atrophy (DOA / Kjer type)
-  // Reference: Votruba M, et al. Clinical features of autosomal dominant optic atrophy.
-  {
-    let s = 0; const why = [];
-
-    if (f.discPallor) {
-      s += 3;
-      why.push("Disc pallor (optic atrophy)");
-    }
-    if (f.colorDeficit) {
-      s += 2;
-      why.push("Color vision deficit (blue-yellow axis typically)");
-    }
-    if (f.vf_central_scotoma) {
-      s += 2;
-      why.push("Central/cecocentral scotoma");
-    }
-    // Bilateral, symmetric
-    if (f.discPallorOD && f.discPallorOS) {
-      s += 2;
-      why.push("Bilateral optic atrophy");
-    }
-    // Chronic, painless
-    if (!f.acute && !f.painful && f.discPallor) {
-      s += 1;
-      why.push("Chronic, painless course");
-    }
-
-    if (s >= 5) add("Dominant optic atrophy (DOA)", s, why, [
-      "OPA1 gene mutation (autosomal dominant)",
-      "Onset typically in first decade, slowly progressive",
-      "Temporal disc pallor, reduced VA (often 20/40-20/200)",
-      "Blue-yellow color defects more than red-green",
-      "Central or cecocentral scotomas",
-      "Family history of vision loss (autosomal dominant)",
-      "Genetic testing for OPA1 mutations",
-      "No proven treatment; low vision rehabilitation"
-    ], "optic");
-  }
-
-  // 46. Toxic/Nutritional optic neuropathy
-  // Reference: Sharma P, Sharma R. Toxic optic neuropathy.
-  {
-    let s = 0; const why = [];
-
-    if (f.vf_central_scotoma) {
-      s += 3;
-      why.push("Central/cecocentral scotoma");
-    }
-    if (f.colorDeficit) {
-      s += 2;
-      why.push("Color vision deficit");
-    }
-    if (f.discPallor) {
-      s += 2;
-      why.push("Disc pallor");
-    }
-    // Bilateral, symmetric
-    if ((f.colorDeficitOD && f.colorDeficitOS) || (f.discPallorOD && f.discPallorOS)) {
-      s += 2;
-      why.push("Bilateral, symmetric involvement");
-    }
-    // Painless, subacute
-    if (!f.painful) {
-      s += 1;
-      why.push("Painless");
-    }
-
-    if (s >= 5) add("Toxic/Nutritional optic neuropathy", s, why, [
-      "Common toxins: ethambutol, methanol, ethylene glycol, linezolid",
-      "Nutritional: B12, folate, thiamine, copper deficiency",
-      "Tobacco-alcohol amblyopia (B12/folate related)",
-      "Labs: B12, folate, MMA, homocysteine, CBC, copper, zinc",
-      "Cecocentral scotoma typical (involves fixation and blind spot)",
-      "Stop offending agent; replete deficiencies",
-      "Recovery depends on duration and severity"
-    ], "optic");
-  }
-
-  // 47. Optic disc drusen
-  // Reference: Auw-Haedrich C, et al. Optic disk drusen.
-  {
-    let s = 0; const why = [];
-
-    // VF defects without other concerning features
-    if ((f.vf_altitudinal || f.vf_respects_horizontal) && !f.hasRAPD) {
-      s += 3;
-      why.push("Arcuate/altitudinal VF defect without RAPD");
-    }
-    // No RAPD despite VF loss (or minimal)
-    if (!f.significantRAPD && (f.vf_altitudinal || f.vf_symptoms)) {
-      s += 2;
-      why.push("No significant RAPD despite VF changes");
-    }
-    // Chronic, stable, no pain
-    if (!f.acute && !f.painful) {
-      s += 1;
-      why.push("Chronic, stable course");
-    }
-    // Disc appears elevated but not true edema
-    if (!f.discEdema && !f.discPallor) {
-      s += 1;
-      why.push("No true disc edema or pallor");
-    }
-
-    if (s >= 4) add("Optic disc drusen", s, why, [
-      "Calcified deposits in optic nerve head",
-      "Can cause pseudopapilledema or be buried (not visible)",
-      "VF defects: arcuate, enlarged blind spot, altitudinal",
-      "B-scan ultrasound: highly reflective lesions with shadowing",
-      "OCT: signal-poor core with hyperreflective margins (EDI-OCT)",
-      "Autofluorescence: drusen autofluoresce",
-      "Usually benign; monitor VF for rare progressive loss"
-    ], "optic");
-  }
-
-  // =====================================
-  // RETINAL CONDITIONS MIMICKING OPTIC NERVE
-  // =====================================
-
-  // 48. Central/Branch retinal artery occlusion
-  // Reference: Hayreh SS. Acute retinal arterial occlusive disorders.
-  {
-    let s = 0; const why = [];
-
-    if (f.hasRAPD) {
-      s += 3;
-      why.push("RAPD present");
-    }
-    if (f.acute) {
-      s += 3;
-      why.push("Acute onset");
-    }
-    if (f.vf_altitudinal && f.vf_laterality === "mono") {
-      s += 2;
-      why.push("Altitudinal or sectoral VF loss, monocular");
-    }
-    // Painless
-    if (!f.painful && f.acute && f.hasRAPD) {
-      s += 1;
-      why.push("Painless (typical for CRAO)");
-    }
-
-    if (s >= 5) add("Retinal artery occlusion (CRAO/BRAO)", s, why, [
-      "EMERGENT: Acute painless monocular vision loss",
-      "Fundus: retinal whitening, cherry red spot (CRAO), cattle-trucking",
-      "Time-sensitive: retinal tolerance ~90-120 minutes",
-      "Acute CRAO: consider ocular massage, AC paracentesis, IOP lowering",
-      "Workup: carotid imaging, echocardiogram, ESR (GCA if >50)",
-      "GCA: must rule out if age >50 (ESR/CRP, temporal artery biopsy)",
-      "Stroke workup indicated - embolic source evaluation"
-    ], "vf");
-  }
-
-  // 49. Central/Branch retinal vein occlusion
-  // Reference: The Central Vein Occlusion Study Group.
-  {
-    let s = 0; const why = [];
-
-    if (f.hasRAPD && f.acute) {
-      s += 3;
-      why.push("RAPD with acute onset");
-    }
-    if (f.discEdema && f.vf_laterality === "mono") {
-      s += 2;
-      why.push("Disc edema, monocular");
-    }
-    if (f.vf_symptoms && f.vf_laterality === "mono") {
-      s += 2;
-      why.push("Visual symptoms, monocular");
-    }
-    // Usually painless
-    if (!f.painful && f.acute) {
-      s += 1;
-      why.push("Painless");
-    }
-
-    if (s >= 5) add("Retinal vein occlusion (CRVO/BRVO)", s, why, [
-      "Fundus: dilated tortuous veins, hemorrhages, cotton wool spots, disc edema",
-      "CRVO: all quadrants; BRVO: distribution of affected vein",
-      "Check for macular edema (OCT) - treat with anti-VEGF",
-      "RAPD in ischemic CRVO indicates poor visual prognosis",
-      "Monitor for neovascularization (NVI, NVE, NVG)",
-      "Workup: HTN, DM, glaucoma, hypercoagulable states if young",
-      "Refer retina for anti-VEGF and/or PRP if ischemic"
-    ], "vf");
-  }
-
-  // 50. Acute zonal occult outer retinopathy (AZOOR)
-  // Reference: Gass JD. Acute zonal occult outer retinopathy.
-  {
-    let s = 0; const why = [];
-
-    if (f.vf_symptoms && f.vf_laterality === "mono") {
-      s += 2;
-      why.push("Visual symptoms, monocular");
-    }
-    // VF loss without proportionate fundus findings
-    if ((f.vf_altitudinal || f.vf_respects_horizontal) && !f.hasRAPD) {
-      s += 2;
-      why.push("VF defect without significant RAPD");
-    }
-    // Photopsia common
-    if (f.acute) {
-      s += 1;
-      why.push("Acute/subacute onset");
-    }
-
-    if (s >= 4) add("AZOOR (Acute zonal occult outer retinopathy)", s, why, [
-      "White dot syndrome family - photoreceptor dysfunction",
-      "Symptoms: photopsias, scotomas, visual field loss",
-      "Fundus often normal or minimal changes initially",
-      "ERG: reduced a-wave amplitude in affected zones",
-      "FAF: hyper/hypo-autofluorescence in affected areas",
-      "OCT: loss of ellipsoid zone (photoreceptor damage)",
-      "Usually stabilizes; may have recurrences"
-    ], "vf");
-  }
-
-  // =====================================
-  // ADDITIONAL NEUROLOGICAL CONDITIONS
-  // =====================================
-
-  // 51. Parinaud syndrome (dorsal midbrain syndrome)
-  // Reference: Keane JR. The pretectal syndrome.
-  // Upgaze palsy, light-near dissociation, convergence-retraction nystagmus
-  {
-    let s = 0; const why = [];
-
-    if (f.verticalLimitation === true) {
-      s += 3;
-      why.push("Vertical gaze limitation (upgaze palsy)");
-    }
-    if (f.lnd) {
-      s += 4;
-      why.push("Light-near dissociation");
-    }
-    // Pupils mid-dilated
-    if (largePattern && f.lnd) {
-      s += 2;
-      why.push("Large pupils with LND (Parinaud pattern)");
-    }
-    // Convergence-retraction nystagmus from nystagmus module
-    if (f.nystagmus_convergenceRetraction) {
-      s += 4;
-      why.push("Convergence-retraction nystagmus (pathognomonic for dorsal midbrain)");
-    }
-    if (f.neuroSx) {
-      s += 1;
-      why.push("Neurological symptoms");
-    }
-
-    if (s >= 5) add("Parinaud syndrome (dorsal midbrain)", s, why, [
-      "Dorsal midbrain lesion at level of superior colliculus",
-      "Classic findings: upgaze palsy, LND, lid retraction (Collier sign)",
-      "Convergence-retraction nystagmus on attempted upgaze",
-      "Etiologies: pineal tumor, stroke, MS, hydrocephalus",
-      "MRI brain with attention to posterior commissure, pineal region",
-      "If hydrocephalus: may need shunting"
-    ], "neuro");
-  }
-
-  // 52. Progressive supranuclear palsy (PSP)
-  // Reference: Litvan I, et al. Clinical research criteria for PSP.
-  // Vertical gaze palsy, postural instability, parkinsonism
-  {
-    let s = 0; const why = [];
-
-    if (f.verticalLimitation === true) {
-      s += 3;
-      why.push("Vertical gaze limitation (especially downgaze)");
-    }
-    // No pupil involvement
-    if (!largePattern && !smallPattern && f.verticalLimitation === true) {
-      s += 1;
-      why.push("Pupil-sparing");
-    }
-    if (f.neuroSx) {
-      s += 2;
-      why.push("Neurological symptoms (postural instability, falls)");
-    }
-    // Chronic, progressive
-    if (!f.acute && f.verticalLimitation === true) {
-      s += 1;
-      why.push("Chronic progressive course");
-    }
-
-    if (s >= 5) add("Progressive supranuclear palsy (PSP)", s, why, [
-      "Neurodegenerative: tau protein accumulation",
-      "Vertical gaze palsy (downgaze > upgaze initially)",
-      "Square wave jerks, slowed saccades",
-      "Postural instability with backward falls",
-      "Pseudobulbar affect, dysarthria, dysphagia",
-      "MRI: hummingbird sign (midbrain atrophy), Mickey Mouse sign",
-      "Neurology referral; supportive care, fall prevention"
-    ], "neuro");
-  }
-
-  // 53. Skew deviation
-  // Reference: Brandt T, Dieterich M. Skew deviation.
-  // Vertical misalignment from brainstem/cerebellar lesion
-  {
-    let s = 0; const why = [];
-
-    if (f.verticalLimitation === true && f.diplopia) {
-      s += 3;
-      why.push("Vertical diplopia with vertical deviation");
-    }
-    // Comitant or near-comitant (unlike CN IV)
-    if (f.comitant === true && f.diplopia) {
-      s += 2;
-      why.push("Comitant vertical deviation (unlike CN IV palsy)");
-    }
-    if (f.neuroSx) {
-      s += 2;
-      why.push("Neurological symptoms (brainstem/cerebellar)");
-    }
-    if (f.acute) {
-      s += 2;
-      why.push("Acute onset");
-    }
-
-    if (s >= 5) add("Skew deviation", s, why, [
-      "Vertical misalignment from brainstem/cerebellar/vestibular lesion",
-      "Comitant (same in all gazes) - unlike CN IV palsy",
-      "Often part of ocular tilt reaction (head tilt, skew, torsion)",
-      "Differentiating from CN IV: head tilt test opposite (skew opposite to CN IV)",
-      "Associated with stroke, MS, or posterior fossa lesions",
-      "MRI brain with attention to brainstem and cerebellum"
-    ], "neuro");
-  }
-
-  // 54. Ocular myasthenia (expanded scoring)
-  // This enhances the existing MG entry with more specific features
-  // Already covered in #14, but ensure comprehensive coverage
-
-  // 55. Chronic progressive external ophthalmoplegia (CPEO)
-  // Reference: DiMauro S, et al. Mitochondrial myopathies.
-  {
-    let s = 0; const why = [];
-
-    if (f.ptosis) {
-      s += 3;
-      why.push("Ptosis present");
-    }
-    if (f.diplopia || (f.abductionDeficit === true || f.adductionDeficit === true || f.verticalLimitation === true)) {
-      s += 2;
-      why.push("EOM limitation");
-    }
-    // Bilateral, symmetric
-    if (f.ptosis && !f.fatigable) {
-      s += 2;
-      why.push("Non-fatigable (distinguishes from MG)");
-    }
-    // Chronic
-    if (!f.acute && f.ptosis) {
-      s += 2;
-      why.push("Chronic progressive course");
-    }
-    // No pupil involvement
-    if (!largePattern && !smallPattern && f.ptosis) {
-      s += 1;
-      why.push("Pupil-sparing");
-    }
-
-    if (s >= 6) add("Chronic progressive external ophthalmoplegia (CPEO)", s, why, [
-      "Mitochondrial myopathy affecting EOM and levator",
-      "Bilateral, symmetric ptosis and ophthalmoplegia",
-      "Slowly progressive over years; often no diplopia (symmetric)",
-      "May have orbicularis weakness, pigmentary retinopathy",
-      "Kearns-Sayre: CPEO + pigmentary retinopathy + heart block + onset <20",
-      "Genetic testing for mtDNA deletions",
-      "Cardiac evaluation important (heart block in KSS)"
-    ], "eom");
-  }
-
-  // =====================================
-  // NYSTAGMUS-BASED DIAGNOSES
-  // =====================================
-  // Reference: Leigh RJ, Zee DS. The Neurology of Eye Movements. 5th ed.
-
-  // 1. Downbeat Nystagmus
-  // Classic localization: craniocervical junction (Chiari, MS, spinocerebellar degeneration)
-  {
-    let s = 0; const why = [];
-    const nextSteps = [];
-
-    if (f.nystagmus_downbeat) {
-      s += 6;
-      why.push("Downbeat nystagmus in primary position (highly localizing)");
-    }
-    if (f.nystagmus_waveform === "vertical" && !f.nystagmus_downbeat && f.nystagmus_fastPhase === "down") {
-      s += 4;
-      why.push("Vertical nystagmus with downward fast phase");
-    }
-    if (f.nystagmus_primaryPosition && f.nystagmus_waveform === "vertical") {
-      s += 2;
-      why.push("Vertical nystagmus present in primary gaze");
-    }
-    if (f.neuroSx) {
-      s += 2;
-      why.push("Other neurological symptoms");
-    }
-    // Often worse in downgaze and lateral gaze
-    if (f.nystagmus_gazeEvoked) {
-      s += 1;
-      why.push("Gaze-evoked component");
-    }
-
-    if (s >= 5) {
-      nextSteps.push("MRI brain and craniocervical junction with attention to foramen magnum");
-      nextSteps.push("Look for: Chiari malformation, MS plaques, spinocerebellar ataxia, stroke");
-      nextSteps.push("Check B12, anti-GAD antibodies, paraneoplastic panel if no structural cause");
-      nextSteps.push("Consider: Lithium toxicity, anticonvulsant toxicity (phenytoin, carbamazepine)");
-      nextSteps.push("Treatment options: 4-aminopyridine, baclofen, clonazepam");
-      add("Downbeat nystagmus", s, why, nextSteps, "nystagmus");
-    }
-  }
-
-  // 2. Upbeat Nystagmus
-  // Localizes to: pontomedullary junction, anterior vermis, medulla
-  {
-    let s = 0; const why = [];
-    const nextSteps = [];
-
-    if (f.nystagmus_upbeat) {
-      s += 6;
-      why.push("Upbeat nystagmus in primary position");
-    }
-    if (f.nystagmus_waveform === "vertical" && !f.nystagmus_upbeat && f.nystagmus_fastPhase === "up") {
-      s += 4;
-      why.push("Vertical nystagmus with upward fast phase");
-    }
-    if (f.acute) {
-      s += 2;
-      why.push("Acute onset (stroke, demyelination, or toxin)");
-    }
-    if (f.neuroSx) {
-      s += 1;
-      why.push("Other neurological symptoms");
-    }
-
-    if (s >= 5) {
-      nextSteps.push("MRI brain with attention to brainstem (pontomedullary junction, vermis)");
-      nextSteps.push("Consider: Stroke, MS, Wernicke encephalopathy, brainstem encephalitis");
-      nextSteps.push("Check thiamine level if Wernicke suspected (give thiamine empirically)");
-      nextSteps.push("Drug screen: organophosphates, nicotine can cause upbeat nystagmus");
-      nextSteps.push("Treatment: 4-aminopyridine, baclofen may help");
-      add("Upbeat nystagmus", s, why, nextSteps, "nystagmus");
-    }
-  }
-
-  // 3. Periodic Alternating Nystagmus (PAN)
-  // Horizontal nystagmus that reverses direction every 2-4 minutes
-  {
-    let s = 0; const why = [];
-
-    if (f.nystagmus_periodicAlternating) {
-      s += 7;
-      why.push("Periodic alternating nystagmus (direction reverses cyclically)");
-    }
-    if (f.nystagmus_waveform === "horizontal" && f.nystagmus_directionChanging) {
-      s += 3;
-      why.push("Horizontal direction-changing nystagmus");
-    }
-    if (f.neuroSx) {
-      s += 1;
-      why.push("Associated neurological findings");
-    }
-
-    if (s >= 5) add("Periodic alternating nystagmus (PAN)", s, why, [
-      "MRI brain with attention to cerebellar nodulus and uvula",
-      "Etiologies: Chiari, MS, spinocerebellar ataxia, post-viral cerebellitis",
-      "Can be congenital or acquired",
-      "Treatment: Baclofen is often effective (GABAb agonist)",
-      "Observe for full cycle (4-8 minutes) to confirm alternation"
-    ], "nystagmus");
-  }
-
-  // 4. Vestibular Nystagmus - Peripheral
-  // BPPV, vestibular neuritis, Meniere's disease, labyrinthitis
-  {
-    let s = 0; const why = [];
-    const nextSteps = [];
-
-    // Classic peripheral pattern: horizontal-torsional, unidirectional
-    if (f.nystagmus_waveform === "horizontal" || f.nystagmus_waveform === "torsional" || f.nystagmus_waveform === "mixed") {
-      if (!f.nystagmus_directionChanging && f.nystagmus_present) {
-        s += 3;
-        why.push("Unidirectional horizontal/torsional pattern (peripheral pattern)");
-      }
-    }
-    if (f.nystagmus_positional) {
-      s += 3;
-      why.push("Position-dependent (BPPV pattern)");
-    }
-    if (f.nystagmus_vertigo) {
-      s += 2;
-      why.push("Vertigo present (vestibular involvement)");
-    }
-    if (f.nystagmus_spontaneous && !f.nystagmus_primaryPosition) {
-      s += 1;
-      why.push("Spontaneous but suppresses with fixation");
-    }
-    // Peripheral: no central signs
-    if (!f.nystagmus_downbeat && !f.nystagmus_upbeat && !f.nystagmus_convergenceRetraction && f.nystagmus_present) {
-      s += 1;
-      why.push("No central nystagmus patterns");
-    }
-
-    if (s >= 4) {
-      nextSteps.push("Dix-Hallpike maneuver for posterior canal BPPV");
-      nextSteps.push("Supine roll test for horizontal canal BPPV");
-      nextSteps.push("Head impulse test (HIT): positive suggests peripheral lesion");
-      nextSteps.push("Canalith repositioning (Epley/Semont) if BPPV confirmed");
-      nextSteps.push("Consider: Vestibular neuritis, labyrinthitis, Meniere's disease");
-      nextSteps.push("If persistent: VNG/ENG, caloric testing, audiometry");
-      add("Vestibular nystagmus - Peripheral", s, why, nextSteps, "nystagmus");
-    }
-  }
-
-  // 5. Vestibular Nystagmus - Central
-  // Stroke, MS, tumor affecting vestibular nuclei or connections
-  {
-    let s = 0; const why = [];
-    const nextSteps = [];
-
-    // Central patterns: pure vertical, direction-changing, no suppression
-    if (f.nystagmus_waveform === "vertical" && !f.nystagmus_downbeat && !f.nystagmus_upbeat) {
-      s += 3;
-      why.push("Pure vertical nystagmus (central pattern)");
-    }
-    if (f.nystagmus_directionChanging && f.nystagmus_gazeEvoked) {
-      s += 3;
-      why.push("Direction-changing with gaze (central pattern)");
-    }
-    if (f.nystagmus_primaryPosition && !f.nystagmus_positional) {
-      s += 2;
-      why.push("Present in primary position without positional trigger");
-    }
-    if (f.neuroSx) {
-      s += 2;
-      why.push("Other neurological symptoms (brainstem/cerebellar)");
-    }
-    if (f.acute) {
-      s += 1;
-      why.push("Acute onset");
-    }
-    // No vertigo or vertigo without suppression suggests central
-    if (f.nystagmus_present && !f.nystagmus_vertigo) {
-      s += 1;
-      why.push("Nystagmus without significant vertigo (central pattern)");
-    }
-
-    if (s >= 5) {
-      nextSteps.push("STAT MRI brain/brainstem with DWI (rule out stroke)");
-      nextSteps.push("HINTS exam: Head Impulse, Nystagmus, Test of Skew");
-      nextSteps.push("If HINTS central: stroke until proven otherwise");
-      nextSteps.push("Consider: MS, tumor, Wernicke encephalopathy");
-      nextSteps.push("Neurology consultation recommended");
-      add("Vestibular nystagmus - Central", s, why, nextSteps, "neuro");
-    }
-  }
-
-  // 6. Seesaw Nystagmus
-  // Parasellar/chiasmal lesions, septo-optic dysplasia
-  {
-    let s = 0; const why = [];
-
-    if (f.nystagmus_seesaw) {
-      s += 7;
-      why.push("Seesaw nystagmus (one eye rises/intorts while other falls/extorts)");
-    }
-    if (f.vf_bitemporal) {
-      s += 3;
-      why.push("Bitemporal visual field defect (chiasmal involvement)");
-    }
-    if (f.nystagmus_waveform === "mixed" || f.nystagmus_waveform === "torsional") {
-      s += 1;
-      why.push("Mixed/torsional component");
-    }
-
-    if (s >= 5) add("Seesaw nystagmus", s, why, [
-      "MRI brain with attention to sella/parasellar region",
-      "Classic association: large parasellar mass compressing chiasm",
-      "Also seen: Septo-optic dysplasia, brainstem stroke",
-      "Often associated with bitemporal hemianopia",
-      "Endocrine workup if pituitary lesion suspected"
-    ], "nystagmus");
-  }
-
-  // 7. Convergence-Retraction Nystagmus (Parinaud/Dorsal Midbrain enhancement)
-  // This enhances the existing Parinaud diagnosis with nystagmus specificity
-  {
-    let s = 0; const why = [];
-    const nextSteps = [];
-
-    if (f.nystagmus_convergenceRetraction) {
-      s += 6;
-      why.push("Convergence-retraction nystagmus (pathognomonic for dorsal midbrain)");
-    }
-    if (f.verticalLimitation === true) {
-      s += 3;
-      why.push("Vertical gaze limitation (upgaze palsy)");
-    }
-    if (f.lnd) {
-      s += 2;
-      why.push("Light-near dissociation (pretectal involvement)");
-    }
-    if (f.neuroSx) {
-      s += 1;
-      why.push("Other neurological findings");
-    }
-
-    if (s >= 5) {
-      nextSteps.push("MRI brain with attention to dorsal midbrain/pineal region");
-      nextSteps.push("Look for: Pinealoma, tectal glioma, MS, stroke, hydrocephalus");
-      nextSteps.push("Check for lid retraction (Collier sign), convergence spasm");
-      nextSteps.push("If mass: neurosurgical consultation");
-      nextSteps.push("Parinaud syndrome = upgaze palsy + convergence-retraction nystagmus + light-near dissociation");
-      add("Convergence-retraction nystagmus (Parinaud syndrome)", s, why, nextSteps, "nystagmus");
-    }
-  }
-
-  // 8. Dissociated Nystagmus (INO enhancement)
-  // Nystagmus greater in abducting eye - classic INO finding
-  {
-    let s = 0; const why = [];
-
-    if (f.nystagmus_dissociated) {
-      s += 4;
-      why.push("Dissociated nystagmus (asymmetric between eyes)");
-    }
-    if (f.adductionDeficit === true && f.nystagmus_dissociated) {
-      s += 3;
-      why.push("Adduction deficit with abducting eye nystagmus (INO pattern)");
-    }
-    if (f.nystagmus_waveform === "horizontal") {
-      s += 1;
-      why.push("Horizontal waveform");
-    }
-    if (f.neuroSx) {
-      s += 2;
-      why.push("Other neurological symptoms (MS, stroke)");
-    }
-
-    if (s >= 5) add("Dissociated nystagmus (INO pattern)", s, why, [
-      "MRI brain with attention to medial longitudinal fasciculus (MLF)",
-      "Young patient: MS is most common cause (often bilateral)",
-      "Older patient: Stroke is more likely (usually unilateral)",
-      "Test convergence: typically preserved in INO (helps confirm)",
-      "Check for other brainstem signs"
-    ], "nystagmus");
-  }
-
-  // 9. Gaze-Evoked Nystagmus
-  // Present with eccentric gaze, absent in primary - cerebellar or drug-induced
-  {
-    let s = 0; const why = [];
-
-    if (f.nystagmus_gazeEvoked && !f.nystagmus_primaryPosition) {
-      s += 4;
-      why.push("Gaze-evoked nystagmus (present only in eccentric gaze)");
-    }
-    if (f.nystagmus_gazeEvoked && f.nystagmus_directionChanging) {
-      s += 2;
-      why.push("Direction-changing with gaze direction");
-    }
-    if (f.nystagmus_waveform === "horizontal") {
-      s += 1;
-      why.push("Horizontal waveform");
-    }
-    // Symmetric bilateral suggests drug/toxin
-    if (f.nystagmus_gazeEvoked && !f.nystagmus_dissociated) {
-      s += 1;
-      why.push("Symmetric pattern");
-    }
-
-    if (s >= 4) add("Gaze-evoked nystagmus", s, why, [
-      "Common with sedatives, anticonvulsants, alcohol",
-      "Check drug levels: phenytoin, carbamazepine, lithium",
-      "If persistent without medication: consider cerebellar pathology",
-      "Floccular/parafloccular lesions impair gaze-holding",
-      "Usually benign if medication-related"
-    ], "nystagmus");
-  }
-
-  // 10. Congenital/Infantile Nystagmus
-  {
-    let s = 0; const why = [];
-
-    if (f.nystagmus_type === "pendular" && f.nystagmus_present) {
-      s += 3;
-      why.push("Pendular waveform (common in congenital)");
-    }
-    if (f.nystagmus_latent) {
-      s += 4;
-      why.push("Latent nystagmus (appears with monocular viewing)");
-    }
-    if (f.nystagmus_headTilt || f.nystagmus_headShaking) {
-      s += 2;
-      why.push("Null point/head positioning (compensatory)");
-    }
-    if (!f.acute && !f.nystagmus_oscillopsia) {
-      s += 2;
-      why.push("No oscillopsia (brain adapted to chronic nystagmus)");
-    }
-    if (f.nystagmus_waveform === "horizontal") {
-      s += 1;
-      why.push("Horizontal (most common in infantile)");
-    }
-
-    if (s >= 5) add("Congenital/Infantile nystagmus syndrome", s, why, [
-      "Usually horizontal, may have null point",
-      "Waveform often 'accelerating slow phase' (pathognomonic)",
-      "Latent nystagmus suggests early-onset strabismus association",
-      "Rule out sensory defects: albinism, optic nerve hypoplasia, achromatopsia",
-      "No urgent workup unless new onset in adult",
-      "Treatment: Prisms, surgery to move null point, contact lenses"
-    ], "nystagmus");
-  }
-
-  // 11. Opsoclonus
-  // Chaotic, multidirectional saccadic intrusions - paraneoplastic emergency
-  {
-    let s = 0; const why = [];
-    const nextSteps = [];
-
-    if (f.nystagmus_type === "mixed" && f.nystagmus_waveform === "mixed") {
-      s += 3;
-      why.push("Chaotic/multidirectional eye movements");
-    }
-    if (f.nystagmus_present && f.acute && f.neuroSx) {
-      s += 4;
-      why.push("Acute onset with neurological symptoms");
-    }
-    if (f.nystagmus_oscillopsia && f.nystagmus_present) {
-      s += 2;
-      why.push("Oscillopsia (perception of visual instability)");
-    }
-
-    if (s >= 6) {
-      nextSteps.push("STAT: Paraneoplastic antibody panel (anti-Ri, anti-Yo, anti-Hu)");
-      nextSteps.push("CT chest/abdomen/pelvis for occult malignancy");
-      nextSteps.push("In adults: lung, breast, ovarian cancer associations");
-      nextSteps.push("In children: neuroblastoma (check urine catecholamines)");
-      nextSteps.push("Also consider: Post-infectious (viral), autoimmune encephalitis");
-      nextSteps.push("Treatment: Immunotherapy (IVIG, steroids, rituximab)");
-      add("Opsoclonus-myoclonus syndrome", s, why, nextSteps, "neuro");
-    }
-  }
-
-  // 12. Drug-Induced/Toxic Nystagmus
-  {
-    let s = 0; const why = [];
-
-    if (f.nystagmus_gazeEvoked && !f.nystagmus_primaryPosition) {
-      s += 3;
-      why.push("Gaze-evoked pattern (classic for toxicity)");
-    }
-    if (!f.nystagmus_dissociated && f.nystagmus_present) {
-      s += 2;
-      why.push("Symmetric between eyes");
-    }
-    if (f.nystagmus_waveform === "horizontal") {
-      s += 1;
-      why.push("Horizontal waveform");
-    }
-    if (!f.acute && !f.neuroSx && f.nystagmus_present) {
-      s += 2;
-      why.push("Isolated finding without other neurological signs");
-    }
-
-    if (s >= 4) add("Drug-induced/Toxic nystagmus", s, why, [
-      "Common culprits: Phenytoin, carbamazepine, lithium, alcohol, benzodiazepines",
-      "Check drug levels and medication history",
-      "Typically bilateral, symmetric, gaze-evoked",
-      "Resolves with dose reduction or discontinuation",
-      "If no medication history: consider toxic exposure or cerebellar pathology"
-    ], "nystagmus");
-  }
-
-  // Sort by score descending, return top matches
-  dx.sort((a, b) => b.score - a.score);
-  return dx.filter(d => d.score > 0).slice(0, 12);
-}
-
-export function compute(session) {
-  const features = deriveFeatures(session);
-
-  // Determine if we have enough data to show differentials
-  const pupilReady = hasFullPupilDataset(session);
-  const eomReady = hasEOMData(session);
-  const vfReady = hasVFData(session);
-  const opticNerveReady = hasOpticNerveData(session);
-  const nystagmusReady = hasNystagmusData(session);
-
-  // Compute differential if any module has meaningful data
-  const differential = (pupilReady || eomReady || vfReady || opticNerveReady || nystagmusReady) ? scoreDifferential(features) : [];
-
-  // Generate testing recommendations based on features and differential
-  const testingRecommendations = generateTestingRecommendations(features, differential);
-
-  // Unified global urgency banner
-  let urgency = {
-    level: "none",
-    text: "Enter findings to build a live differential."
+// For one diagnosis: its current rank (null when below threshold) and the single-finding changes
+// that would make it #1 (`toFirst`), take #1 from it (`offFirst`, with the new leader) or drop it
+// below threshold (`removed`). Ranks are those of compute().differential, continued past its
+// top 12 through every diagnosis above threshold. Each change: { label, set, rank, leader }.
+export function counterfactuals(session, dxId) {
+  const differential = (s) => (hasModuleData(s) ? rankDiagnoses(deriveFeatures(s)) : []);
+  const rankOf = (dx) => {
+    const i = dx.findIndex(d => d.id === dxId);
+    return i < 0 ? null : i + 1;
   };
-
-  if (!pupilReady && !eomReady && !vfReady && !opticNerveReady) {
-    urgency = {
-      level: "none",
-      text: "Enter clinical findings in any module to generate differential diagnoses."
-    };
-  }
-
-  // Urgency hierarchy: critical > danger > warn > info > none
-
-  // CRITICAL: Immediate life/vision threatening conditions
-  // 1. Compressive CN III (PComm aneurysm)
-  if (features.dominance === "light" && features.ptosis &&
-    (features.acute || features.painful) && (features.diplopia || features.neuroSx)) {
-    urgency = {
-      level: "critical",
-      text: "CRITICAL: Pattern strongly suggests compressive CN III palsy. EMERGENT CTA/MRA head required to exclude posterior communicating artery aneurysm."
-    };
-  }
-  // 2. Acute painful Horner (carotid dissection)
-  else if (features.dominance === "dark" && (features.acute && features.painful) &&
-    (features.dilationLag || features.ptosis || features.anhidrosis)) {
-    urgency = {
-      level: "critical",
-      text: "CRITICAL: Acute painful Horner syndrome. EMERGENT carotid imaging (CTA/MRA neck) required to exclude carotid artery dissection."
-    };
-  }
-  // 3. Giant cell arteritis (AION pattern + elderly + symptoms)
-  else if (features.vf_altitudinal && features.hasRAPD && features.painful && features.acute) {
-    urgency = {
-      level: "critical",
-      text: "CRITICAL: Acute painful AION with RAPD. If age >50, start empiric high-dose steroids and obtain STAT ESR/CRP. GCA can cause bilateral blindness within days."
-    };
-  }
-  // 4. Traumatic optic neuropathy
-  else if (features.trauma && features.hasRAPD && (features.discPallor || features.colorDeficit || features.vaReduced)) {
-    urgency = {
-      level: "critical",
-      text: "CRITICAL: Traumatic optic neuropathy suspected. Document baseline VA, color vision, RAPD. Consider CT orbits/optic canals. Serial monitoring essential."
-    };
-  }
-
-  // DANGER: High concern, urgent workup needed
-  else if (features.dominance === "light" && (features.ptosis || features.diplopia) &&
-    (features.acute || features.painful || features.neuroSx)) {
-    urgency = {
-      level: "danger",
-      text: "High concern: Large pupil pattern with acute/painful presentation + ptosis/diplopia. Consider compressive CN III - imaging indicated."
-    };
-  }
-  else if (features.vf_homonymous && features.acute) {
-    urgency = {
-      level: "danger",
-      text: "URGENT: Acute homonymous visual field defect suggests stroke. Activate stroke protocol, establish last known well time."
-    };
-  }
-  else if (features.hasRAPD && features.discPallor && !features.trauma) {
-    urgency = {
-      level: "danger",
-      text: "RAPD with disc pallor indicates optic nerve damage. MRI brain/orbits recommended to evaluate for compressive or inflammatory etiology."
-    };
-  }
-
-  // WARN: Elevated concern
-  else if (features.dominance === "dark" && (features.dilationLag || features.ptosis || features.anhidrosis) &&
-    (features.acute || features.painful || features.neuroSx)) {
-    urgency = {
-      level: "warn",
-      text: "Elevated concern: Small pupil pattern with sympathetic signs in acute/painful setting. Consider Horner syndrome workup including vascular imaging."
-    };
-  }
-  else if (features.fatigable && (features.ptosis || features.diplopia)) {
-    urgency = {
-      level: "warn",
-      text: "Fatigable weakness pattern raises concern for myasthenia gravis. Recommend serology and consider pyridostigmine trial."
-    };
-  }
-  else if (features.hasRAPD && !features.discPallor && !features.discEdema) {
-    urgency = {
-      level: "warn",
-      text: "RAPD detected without visible disc changes. Consider retrobulbar optic neuropathy, optic tract lesion, or asymmetric retinal disease. Color vision and VF testing recommended."
-    };
-  }
-  // Acute vertical nystagmus - posterior fossa concern
-  else if ((features.nystagmus_downbeat || features.nystagmus_upbeat) && features.acute) {
-    urgency = {
-      level: "warn",
-      text: "Acute vertical nystagmus (downbeat/upbeat) may indicate posterior fossa pathology. MRI brain/craniocervical junction recommended."
-    };
-  }
-  // Central vestibular pattern - stroke concern
-  else if (features.nystagmus_directionChanging && features.acute && features.neuroSx) {
-    urgency = {
-      level: "warn",
-      text: "Direction-changing nystagmus with acute neurological symptoms suggests central vestibular lesion. Consider stroke - HINTS exam and MRI recommended."
-    };
-  }
-
-  // INFO: Notable findings
-  else if (features.nystagmus_convergenceRetraction && features.verticalLimitation === true) {
-    urgency = {
-      level: "info",
-      text: "Convergence-retraction nystagmus with vertical gaze limitation: Parinaud syndrome pattern. MRI midbrain/pineal region recommended."
-    };
-  }
-  else if (features.nystagmus_seesaw && features.vf_bitemporal) {
-    urgency = {
-      level: "info",
-      text: "Seesaw nystagmus with bitemporal field defect suggests parasellar lesion. MRI sella/pituitary with contrast recommended."
-    };
-  }
-  else if (features.vf_bitemporal && features.vf_reliability !== "poor") {
-    urgency = {
-      level: "info",
-      text: "Bitemporal visual field pattern suggests chiasmal pathology. MRI pituitary/sella with contrast recommended."
-    };
-  }
-  else if (features.vf_central_scotoma && features.painOnMovement) {
-    urgency = {
-      level: "info",
-      text: "Central scotoma with pain on eye movement suggests optic neuritis. MRI brain/orbits with contrast recommended."
-    };
-  }
-  else if (features.colorDeficit && features.hasRAPD) {
-    urgency = {
-      level: "info",
-      text: "Color deficit with RAPD suggests optic neuropathy. Recommend formal VF testing and OCT RNFL."
-    };
-  }
-  else if (features.acute || features.painful || features.neuroSx) {
-    urgency = {
-      level: "info",
-      text: "Acute/painful/neurological context noted. Continue entering findings to refine localization."
-    };
-  }
-
-  return { features, differential, urgency, testingRecommendations };
+  const rank = rankOf(differential(session));
+  const result = { id: dxId, rank, toFirst: [], offFirst: [], removed: [] };
+
+  singleFindingChanges(session).forEach(change => {
+    const after = differential(withAnswer(session, change.set));
+    const newRank = rankOf(after);
+    const entry = { ...change, rank: newRank, leader: after[0] ? { id: after[0].id, name: after[0].name } : null };
+    if (rank !== 1 && newRank === 1) result.toFirst.push(entry);
+    if (rank === 1 && newRank !== 1 && newRank !== null) result.offFirst.push(entry);
+    if (rank !== null && newRank === null) result.removed.push(entry);
+  });
+  return result;
 }
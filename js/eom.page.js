@@ -2,6 +2,7 @@
 import { sessionStore } from "./common.js";
 import { initSidebar } from "./sidebar.js";
 import { compute } from "./engine.js";
+import { bindTriState, setTriState } from "./tri-state.js";
 
 const $ = (id) => document.getElementById(id);
 
@@ -73,10 +74,12 @@ function eomLocalizationHint(f, e) {
   return "Enter EOM findings to generate localization guidance.";
 }
 
-function eomQualityHint(e) {
+function eomQualityHint(e, warnings) {
   const hasDeficit = e.abductionDeficit || e.adductionDeficit || e.verticalLimitation;
   const hasComitance = e.comitant !== null && e.comitant !== undefined;
 
+  // Contradictory EOM findings come first
+  if (warnings.length) return warnings.map(w => w.message).join(" ");
   if (!e.diplopia && !e.ptosis && !hasDeficit && !e.fatigable && !e.painOnMovement) {
     return "No EOM symptoms or signs entered yet.";
   }
@@ -142,69 +145,86 @@ function applyPreset(presetType) {
   switch (presetType) {
     case "cn6":
       // CN VI pattern: abduction deficit with diplopia
-      sessionStore.set("eom.diplopia", true);
-      sessionStore.set("eom.abductionDeficit", true);
-      sessionStore.set("eom.comitant", false);
+      sessionStore.setMany({
+        "eom.diplopia": true,
+        "eom.abductionDeficit": true,
+        "eom.comitant": false
+      });
       break;
 
     case "cn4":
       // CN IV pattern: vertical limitation
-      sessionStore.set("eom.diplopia", true);
-      sessionStore.set("eom.verticalLimitation", true);
-      sessionStore.set("eom.comitant", false);
+      sessionStore.setMany({
+        "eom.diplopia": true,
+        "eom.verticalLimitation": true,
+        "eom.comitant": false
+      });
       break;
 
     case "mg":
       // MG pattern: fatigable ptosis/diplopia, pupil-sparing
-      sessionStore.set("eom.diplopia", true);
-      sessionStore.set("eom.ptosis", true);
-      sessionStore.set("eom.fatigable", true);
+      sessionStore.setMany({
+        "eom.diplopia": true,
+        "eom.ptosis": true,
+        "eom.fatigable": true
+      });
       break;
 
     case "ino":
       // INO pattern: adduction deficit without ptosis/pupil
-      sessionStore.set("eom.diplopia", true);
-      sessionStore.set("eom.adductionDeficit", true);
-      sessionStore.set("eom.comitant", false);
+      sessionStore.setMany({
+        "eom.diplopia": true,
+        "eom.adductionDeficit": true,
+        "eom.comitant": false
+      });
       break;
 
     case "ted":
       // Thyroid Eye Disease: restrictive strabismus, typically IR involvement
-      sessionStore.set("eom.diplopia", true);
-      sessionStore.set("eom.verticalLimitation", true);
-      sessionStore.set("eom.comitant", false);
-      sessionStore.set("eom.painOnMovement", true);
-      sessionStore.set("triage.acuteOnset", false);
-      sessionStore.set("eom.notes", "Restrictive pattern - suspect TED. Check for lid retraction, proptosis.");
+      sessionStore.setMany({
+        "eom.diplopia": true,
+        "eom.verticalLimitation": true,
+        "eom.comitant": false,
+        "eom.painOnMovement": true,
+        "triage.acuteOnset": false,
+        "eom.notes": "Restrictive pattern - suspect TED. Check for lid retraction, proptosis."
+      });
       break;
 
     case "skew":
       // Skew deviation: vertical misalignment, comitant, brainstem/cerebellar
-      sessionStore.set("eom.diplopia", true);
-      sessionStore.set("eom.verticalLimitation", true);
-      sessionStore.set("eom.comitant", true); // Key feature - comitant unlike CN IV
-      sessionStore.set("triage.neuroSx", true);
-      sessionStore.set("eom.notes", "Comitant vertical deviation - skew pattern. Check for head tilt, ocular torsion.");
+      sessionStore.setMany({
+        "eom.diplopia": true,
+        "eom.verticalLimitation": true,
+        "eom.comitant": true, // Key feature - comitant unlike CN IV
+        "triage.neuroSx": true,
+        "eom.notes": "Comitant vertical deviation - skew pattern. Check for head tilt, ocular torsion."
+      });
       break;
 
     case "cpeo":
       // CPEO: bilateral symmetric ptosis and ophthalmoplegia, gradual onset
-      sessionStore.set("eom.ptosis", true);
-      sessionStore.set("eom.diplopia", true);
-      sessionStore.set("eom.verticalLimitation", true);
-      sessionStore.set("eom.abductionDeficit", true);
-      sessionStore.set("eom.adductionDeficit", true);
-      sessionStore.set("eom.comitant", true);
-      sessionStore.set("eom.notes", "Bilateral symmetric - suspect CPEO/mitochondrial. Check for orbicularis weakness.");
+      sessionStore.setMany({
+        "eom.ptosis": true,
+        "eom.ptosisEye": "OU",
+        "eom.diplopia": true,
+        "eom.verticalLimitation": true,
+        "eom.abductionDeficit": true,
+        "eom.adductionDeficit": true,
+        "eom.comitant": true,
+        "eom.notes": "Bilateral symmetric - suspect CPEO/mitochondrial. Check for orbicularis weakness."
+      });
       break;
 
     case "parinaud":
       // Parinaud/Dorsal midbrain: upgaze palsy, light-near dissociation
-      sessionStore.set("eom.diplopia", false); // Often no diplopia, just gaze limitation
-      sessionStore.set("eom.verticalLimitation", true);
-      sessionStore.set("pupils.lightNearDissociation", true);
-      sessionStore.set("triage.neuroSx", true);
-      sessionStore.set("eom.notes", "Upgaze palsy with convergence-retraction nystagmus pattern - Parinaud syndrome.");
+      sessionStore.setMany({
+        "eom.diplopia": false, // Often no diplopia, just gaze limitation
+        "eom.verticalLimitation": true,
+        "pupils.lightNearDissociation": true,
+        "triage.neuroSx": true,
+        "eom.notes": "Upgaze palsy with convergence-retraction nystagmus pattern - Parinaud syndrome."
+      });
       break;
   }
 }
@@ -215,15 +235,11 @@ function updateGazeGrids(session) {
   const gridOD = $("eomGridOD");
   const gridOS = $("eomGridOS");
 
-  // Load saved deficits from session
-  if (e.gazeDeficitsOD) {
-    gazeDeficitsOD.clear();
-    e.gazeDeficitsOD.forEach(g => gazeDeficitsOD.add(g));
-  }
-  if (e.gazeDeficitsOS) {
-    gazeDeficitsOS.clear();
-    e.gazeDeficitsOS.forEach(g => gazeDeficitsOS.add(g));
-  }
+  // Load saved deficits from session (cleared when switching to a patient without any)
+  gazeDeficitsOD.clear();
+  (e.gazeDeficitsOD || []).forEach(g => gazeDeficitsOD.add(g));
+  gazeDeficitsOS.clear();
+  (e.gazeDeficitsOS || []).forEach(g => gazeDeficitsOS.add(g));
 
   // Update OD grid
   if (gridOD) {
@@ -260,11 +276,13 @@ function updateSummaryFlagsFromGrids() {
     gazeDeficitsOD.has(g) || gazeDeficitsOS.has(g)
   );
 
-  // Sync summary flags to grid state so removing deficits clears the flags
+  // Sync summary flags to grid state so removing deficits clears the flags;
+  // a flag documented absent stays absent while the grid shows nothing there
   const current = sessionStore.getSession().eom || {};
-  const nextAbduction = hasAbductionDeficit ? true : null;
-  const nextAdduction = hasAdductionDeficit ? true : null;
-  const nextVertical = hasVerticalLimitation ? true : null;
+  const fromGrid = (found, was) => found ? true : (was === false ? false : null);
+  const nextAbduction = fromGrid(hasAbductionDeficit, current.abductionDeficit);
+  const nextAdduction = fromGrid(hasAdductionDeficit, current.adductionDeficit);
+  const nextVertical = fromGrid(hasVerticalLimitation, current.verticalLimitation);
 
   if (current.abductionDeficit !== nextAbduction) {
     sessionStore.set("eom.abductionDeficit", nextAbduction);
@@ -278,18 +296,19 @@ function updateSummaryFlagsFromGrids() {
 }
 
 function syncFromSession(session) {
-  $("diplopia").checked = !!session.eom.diplopia;
-  $("ptosis").checked = !!session.eom.ptosis;
-  $("fatigable").checked = !!session.eom.fatigable;
-  $("painOnMovement").checked = !!session.eom.painOnMovement;
+  setTriState($("diplopia"), session.eom.diplopia);
+  setTriState($("ptosis"), session.eom.ptosis);
+  setTriState($("fatigable"), session.eom.fatigable);
+  setTriState($("painOnMovement"), session.eom.painOnMovement);
 
-  $("abductionDeficit").checked = session.eom.abductionDeficit === true;
-  $("adductionDeficit").checked = session.eom.adductionDeficit === true;
-  $("verticalLimitation").checked = session.eom.verticalLimitation === true;
+  setTriState($("abductionDeficit"), session.eom.abductionDeficit);
+  setTriState($("adductionDeficit"), session.eom.adductionDeficit);
+  setTriState($("verticalLimitation"), session.eom.verticalLimitation);
 
   $("comitant").value =
     session.eom.comitant === true ? "true" :
     session.eom.comitant === false ? "false" : "";
+  $("ptosisEye").value = session.eom.ptosisEye || "";
 
   $("eomNotes").value = session.eom.notes || "";
 
@@ -303,7 +322,7 @@ function syncFromSession(session) {
   const nextEl = $("eomNext");
 
   if (locEl) locEl.textContent = eomLocalizationHint(f, e);
-  if (qualEl) qualEl.textContent = eomQualityHint(e);
+  if (qualEl) qualEl.textContent = eomQualityHint(e, out.consistency.filter(w => w.fields.some(k => k.startsWith("eom."))));
   if (nextEl) nextEl.textContent = eomNextDiscriminatorHint(f, e);
 
   // Update gaze grids for both eyes
@@ -335,16 +354,17 @@ function bind() {
   // Initialize tabs
   initTabs();
 
-  $("diplopia").addEventListener("change", e => sessionStore.set("eom.diplopia", e.target.checked));
-  $("ptosis").addEventListener("change", e => sessionStore.set("eom.ptosis", e.target.checked));
-  $("fatigable").addEventListener("change", e => sessionStore.set("eom.fatigable", e.target.checked));
-  $("painOnMovement").addEventListener("change", e => sessionStore.set("eom.painOnMovement", e.target.checked));
+  bindTriState($("diplopia"), v => sessionStore.set("eom.diplopia", v));
+  bindTriState($("ptosis"), v => sessionStore.set("eom.ptosis", v));
+  bindTriState($("fatigable"), v => sessionStore.set("eom.fatigable", v));
+  bindTriState($("painOnMovement"), v => sessionStore.set("eom.painOnMovement", v));
 
-  $("abductionDeficit").addEventListener("change", e => sessionStore.set("eom.abductionDeficit", e.target.checked ? true : null));
-  $("adductionDeficit").addEventListener("change", e => sessionStore.set("eom.adductionDeficit", e.target.checked ? true : null));
-  $("verticalLimitation").addEventListener("change", e => sessionStore.set("eom.verticalLimitation", e.target.checked ? true : null));
+  bindTriState($("abductionDeficit"), v => sessionStore.set("eom.abductionDeficit", v));
+  bindTriState($("adductionDeficit"), v => sessionStore.set("eom.adductionDeficit", v));
+  bindTriState($("verticalLimitation"), v => sessionStore.set("eom.verticalLimitation", v));
 
   $("comitant").addEventListener("change", e => sessionStore.set("eom.comitant", boolOrNullFromSelect(e.target.value)));
+  $("ptosisEye").addEventListener("change", e => sessionStore.set("eom.ptosisEye", e.target.value));
   $("eomNotes").addEventListener("input", e => sessionStore.set("eom.notes", e.target.value));
 
   // Quick presets
@@ -373,11 +393,11 @@ function bind() {
         gazeDeficitsOD.add(gaze);
       }
 
-      // Save to session
-      sessionStore.set("eom.gazeDeficitsOD", Array.from(gazeDeficitsOD));
-
-      // Auto-update summary flags
-      updateSummaryFlagsFromGrids();
+      // Save to session and auto-update summary flags in one change
+      sessionStore.batch(() => {
+        sessionStore.set("eom.gazeDeficitsOD", Array.from(gazeDeficitsOD));
+        updateSummaryFlagsFromGrids();
+      });
       updateGazeGrids(sessionStore.getSession());
     });
   }
@@ -398,11 +418,11 @@ function bind() {
         gazeDeficitsOS.add(gaze);
       }
 
-      // Save to session
-      sessionStore.set("eom.gazeDeficitsOS", Array.from(gazeDeficitsOS));
-
-      // Auto-update summary flags
-      updateSummaryFlagsFromGrids();
+      // Save to session and auto-update summary flags in one change
+      sessionStore.batch(() => {
+        sessionStore.set("eom.gazeDeficitsOS", Array.from(gazeDeficitsOS));
+        updateSummaryFlagsFromGrids();
+      });
       updateGazeGrids(sessionStore.getSession());
     });
   }
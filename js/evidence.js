@@ -0,0 +1,105 @@
+// js/evidence.js
+// Citations from evidence.json, looked up by diagnosis id. The file's `dx` map is keyed by
+// DIAGNOSES id; keys written under a diagnosis name or alias resolve through the registry.
+import { diagnosisId } from "./dx-registry.js";
+
+const EVIDENCE_URL = new URL("../evidence.json", import.meta.url);
+
+// Graded after the Oxford CEBM levels; 1 is the strongest
+export const EVIDENCE_LEVELS = [
+  { level: 1, label: "1 - Systematic review / meta-analysis" },
+  { level: 2, label: "2 - Randomized trial or inception cohort" },
+  { level: 3, label: "3 - Non-randomized controlled or cohort study" },
+  { level: 4, label: "4 - Case series or case-control study" },
+  { level: 5, label: "5 - Expert opinion or mechanism-based reasoning" }
+];
+
+const CITATION_ID_PATTERN = /^[a-z0-9_]+$/;
+const PMID_PATTERN = /^\d{1,9}$/;
+const DOI_PATTERN = /^10\.\d{4,9}\/\S+$/;
+
+// Nothing waits for evidence.json: until it arrives diagnoses have no citations, and pages
+// re-render once whenEvidenceLoaded() resolves. Without the file the differential works;
+// it just can't cite references.
+let evidence = { citations: [], dx: {} };
+let citationsById = new Map();
+let citationIdsByDx = new Map();
+let loading = null;
+
+// Keys that aren't a known diagnosis are left out; the evidence page lists them
+function indexEvidence(data) {
+  evidence = data;
+  citationsById = new Map((data.citations || []).map(c => [c.id, c]));
+  citationIdsByDx = new Map();
+  Object.entries(data.dx || {}).forEach(([key, entry]) => {
+    const id = diagnosisId(key);
+    if (!id) return;
+    const ids = citationIdsByDx.get(id) || [];
+    (entry.citationIds || []).forEach(cid => { if (!ids.includes(cid)) ids.push(cid); });
+    citationIdsByDx.set(id, ids);
+  });
+}
+
+// Starts loading evidence.json on first call; resolves when it has loaded or failed
+export function whenEvidenceLoaded() {
+  if (!loading) {
+    loading = fetch(EVIDENCE_URL)
+      .then(res => (res.ok ? res.json() : null))
+      .then(data => { if (data) indexEvidence(data); })
+      .catch(() => {});
+  }
+  return loading;
+}
+
+// The evidence.json the app loaded (empty until whenEvidenceLoaded() resolves), as a copy to edit
+export function getEvidence() {
+  return JSON.parse(JSON.stringify(evidence));
+}
+
+// Citation objects for a diagnosis, in the order evidence.json lists them; ids that
+// don't match a citation are skipped
+export function citationsFor(dxId) {
+  return (citationIdsByDx.get(dxId) || [])
+    .map(cid => citationsById.get(cid))
+    .filter(Boolean)
+    .map(c => ({ ...c }));
+}
+
+// Accepts a bare DOI or a doi.org link
+export function normalizeDoi(doi) {
+  return String(doi || "").trim().replace(/^(https?:\/\/(dx\.)?doi\.org\/|doi:\s*)/i, "");
+}
+
+export function pubmedUrl(pmid) {
+  return pmid ? `https://pubmed.ncbi.nlm.nih.gov/${encodeURIComponent(String(pmid).trim())}/` : "";
+}
+
+export function doiUrl(doi) {
+  return doi ? `https://doi.org/${normalizeDoi(doi)}` : "";
+}
+
+// Problems with a single citation's fields as [{ field, message }]; uniqueness and
+// diagnosis links are checked by the caller, which sees the whole file.
+// PMID/DOI formats are only checked when `checkIdentifiers` is set.
+export function citationProblems(c, { checkIdentifiers = true } = {}) {
+  const problems = [];
+  const add = (field, message) => problems.push({ field, message });
+
+  if (!c.id) add("id", "ID is required.");
+  else if (!CITATION_ID_PATTERN.test(c.id)) add("id", "ID may only use lowercase letters, digits and underscores.");
+  if (!String(c.title || "").trim()) add("title", "Title is required.");
+
+  if (c.year !== undefined && c.year !== null && c.year !== "") {
+    const maxYear = new Date().getFullYear() + 1;
+    if (!Number.isInteger(c.year) || c.year < 1800 || c.year > maxYear) add("year", `Year must be between 1800 and ${maxYear}.`);
+  }
+  if (c.level !== undefined && c.level !== null && !EVIDENCE_LEVELS.some(l => l.level === c.level)) {
+    add("level", "Evidence level must be 1-5.");
+  }
+
+  if (checkIdentifiers) {
+    if (c.pmid && !PMID_PATTERN.test(String(c.pmid).trim())) add("pmid", "PMID should be digits only (e.g. 31234567).");
+    if (c.doi && !DOI_PATTERN.test(normalizeDoi(c.doi))) add("doi", "DOI should look like 10.1234/abc.123.");
+  }
+  return problems;
+}
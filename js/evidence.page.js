@@ -0,0 +1,328 @@
+// js/evidence.page.js
+import { sessionStore, escapeHtml } from "./common.js";
+import { initSidebar } from "./sidebar.js";
+import { DIAGNOSES, diagnosisId } from "./dx-registry.js";
+import { EVIDENCE_LEVELS, getEvidence, citationProblems, whenEvidenceLoaded } from "./evidence.js";
+import { todayISODate } from "./visits.js";
+
+const $ = (id) => document.getElementById(id);
+
+const CITATION_FIELDS = ["id", "title", "journal", "year", "type", "level", "pmid", "doi", "summary"];
+
+// While editing, each citation carries the diagnosis ids it supports (`dx`); evidence.json
+// keeps those links in its own dx → citationIds map, rebuilt on export.
+// { meta, citations: [{ ...fields, dx: [ids] }] }
+let state = null;
+// Links in the loaded file that couldn't be carried over
+let loadNotes = [];
+
+// =====================================
+// FILE <-> EDITING STATE
+// =====================================
+
+function blankCitation() {
+  return { id: "", title: "", journal: "", year: null, type: "", level: null, pmid: "", doi: "", summary: "", dx: [] };
+}
+
+function fromEvidenceFile(data) {
+  const notes = [];
+  const citations = (data.citations || []).map(c => ({ ...blankCitation(), ...c, dx: [] }));
+
+  Object.entries(data.dx || {}).forEach(([key, entry]) => {
+    const dxId = diagnosisId(key);
+    if (!dxId) {
+      notes.push(`"${key}" is not a known diagnosis; its links were dropped.`);
+      return;
+    }
+    (entry.citationIds || []).forEach(cid => {
+      const targets = citations.filter(c => c.id === cid);
+      if (!targets.length) notes.push(`${DIAGNOSES[dxId].name} cited "${cid}", which has no citation entry; the link was dropped.`);
+      targets.forEach(c => { if (!c.dx.includes(dxId)) c.dx.push(dxId); });
+    });
+  });
+  return { state: { meta: { ...(data.meta || {}) }, citations }, notes };
+}
+
+function toEvidenceFile(s) {
+  const citations = s.citations.map(({ dx, ...c }) => {
+    const out = { ...c, title: c.title.trim() };
+    // Only graded citations carry a level
+    if (out.level === null) delete out.level;
+    return out;
+  });
+
+  // Diagnoses in registry order, each with the citations linked to it
+  const dx = {};
+  Object.keys(DIAGNOSES).forEach(dxId => {
+    const ids = s.citations.filter(c => c.dx.includes(dxId)).map(c => c.id);
+    if (ids.length) dx[dxId] = { citationIds: ids };
+  });
+
+  return { meta: { ...s.meta, updated: todayISODate() }, citations, dx };
+}
+
+function loadState() {
+  const draft = sessionStore.getEvidenceDraft();
+  if (draft && Array.isArray(draft.citations)) {
+    state = draft;
+    loadNotes = [];
+    return;
+  }
+  ({ state, notes: loadNotes } = fromEvidenceFile(getEvidence()));
+}
+
+function saveDraft() {
+  sessionStore.setEvidenceDraft(state);
+  renderStatus();
+}
+
+// =====================================
+// VALIDATION
+// =====================================
+
+// Map of citation index → [{ field, message }]
+function validate() {
+  const checkIdentifiers = $("evCheckIds").checked;
+  const counts = new Map();
+  state.citations.forEach(c => { if (c.id) counts.set(c.id, (counts.get(c.id) || 0) + 1); });
+
+  const problems = new Map();
+  state.citations.forEach((c, i) => {
+    const list = citationProblems(c, { checkIdentifiers });
+    if (c.id && counts.get(c.id) > 1) list.push({ field: "id", message: `ID "${c.id}" is used by more than one citation.` });
+    c.dx.filter(dxId => !DIAGNOSES[dxId]).forEach(dxId => list.push({ field: "dx", message: `Unknown diagnosis id "${dxId}".` }));
+    if (list.length) problems.set(i, list);
+  });
+  return problems;
+}
+
+function renderValidation() {
+  const problems = validate();
+  document.querySelectorAll(".ev-citation").forEach(card => {
+    const list = problems.get(Number(card.dataset.index)) || [];
+    card.querySelectorAll("[data-field]").forEach(input => {
+      input.setAttribute("aria-invalid", String(list.some(p => p.field === input.dataset.field)));
+    });
+    card.querySelector(".ev-problems").innerHTML = list.map(p => `<li>${escapeHtml(p.message)}</li>`).join("");
+  });
+
+  const total = [...problems.values()].reduce((n, list) => n + list.length, 0);
+  const summary = $("evValidation");
+  summary.hidden = !total;
+  summary.textContent = total
+    ? `${total} problem${total === 1 ? "" : "s"} in ${problems.size} citation${problems.size === 1 ? "" : "s"}; fix them before exporting.`
+    : "";
+  $("evExport").disabled = total > 0;
+  return total;
+}
+
+// =====================================
+// RENDERING
+// =====================================
+
+function diagnosisOptions(linked) {
+  return Object.entries(DIAGNOSES)
+    .filter(([dxId]) => !linked.includes(dxId))
+    .sort((a, b) => a[1].name.localeCompare(b[1].name))
+    .map(([dxId, dx]) => `<option value="${dxId}">${escapeHtml(dx.name)}</option>`)
+    .join("");
+}
+
+function citationCard(c, i) {
+  const text = (field, label, placeholder = "") => `
+    <label>${label}
+      <input type="text" data-field="${field}" value="${escapeHtml(c[field] ?? "")}" placeholder="${placeholder}">
+    </label>`;
+  const levels = EVIDENCE_LEVELS.map(l => `<option value="${l.level}"${c.level === l.level ? " selected" : ""}>${escapeHtml(l.label)}</option>`).join("");
+  const chips = c.dx.map(dxId => `
+    <span class="ev-chip">${escapeHtml(DIAGNOSES[dxId] ? DIAGNOSES[dxId].name : dxId)}
+      <button class="ghost" data-unlink="${escapeHtml(dxId)}" title="Remove this link" aria-label="Unlink">×</button>
+    </span>`).join("");
+
+  return `
+    <article class="ev-citation" data-index="${i}">
+      <div class="ev-head">
+        <strong class="ev-title">${escapeHtml(c.title || "New citation")}</strong>
+        <button class="ghost" data-remove>Remove</button>
+      </div>
+      <div class="ev-grid">
+        ${text("id", "ID", "e.g. horner_apraclonidine_review_2019")}
+        ${text("title", "Title")}
+        ${text("journal", "Journal")}
+        <label>Year
+          <input type="number" data-field="year" min="1800" step="1" value="${c.year ?? ""}">
+        </label>
+        <label>Type
+          <input type="text" data-field="type" list="evTypes" value="${escapeHtml(c.type || "")}">
+        </label>
+        <label>Evidence level
+          <select data-field="level"><option value="">Not graded</option>${levels}</select>
+        </label>
+        ${text("pmid", "PMID", "e.g. 31234567")}
+        ${text("doi", "DOI", "e.g. 10.1016/j.ophtha.2019.01.001")}
+        <label class="ev-wide">Summary
+          <textarea data-field="summary" rows="2">${escapeHtml(c.summary || "")}</textarea>
+        </label>
+      </div>
+      <div class="ev-links">
+        <span class="small">Supports:</span>
+        ${chips || `<span class="small">no diagnoses yet</span>`}
+        <select data-link aria-label="Link a diagnosis">
+          <option value="">Link a diagnosis…</option>
+          ${diagnosisOptions(c.dx)}
+        </select>
+      </div>
+      <ul class="ev-problems"></ul>
+    </article>`;
+}
+
+function renderCitations() {
+  $("evCitations").innerHTML = state.citations.length
+    ? state.citations.map(citationCard).join("")
+    : `<div class="small">No citations yet. Add one above.</div>`;
+  renderValidation();
+  renderUncited();
+}
+
+function renderUncited() {
+  const uncited = Object.entries(DIAGNOSES)
+    .filter(([dxId]) => !state.citations.some(c => c.dx.includes(dxId)))
+    .sort((a, b) => a[1].name.localeCompare(b[1].name));
+
+  $("evUncitedCount").textContent = `${uncited.length} of ${Object.keys(DIAGNOSES).length}`;
+  $("evUncited").innerHTML = uncited.length
+    ? `<ul>${uncited.map(([dxId, dx]) => `<li>${escapeHtml(dx.name)} <span class="small">(${dxId})</span></li>`).join("")}</ul>`
+    : `<div class="small">Every diagnosis has at least one citation.</div>`;
+}
+
+function renderStatus() {
+  const draft = sessionStore.getEvidenceDraft();
+  const count = state.citations.length;
+  $("evStatus").textContent = draft
+    ? `Editing a draft with ${count} citation${count === 1 ? "" : "s"}. The differential keeps citing the loaded evidence.json until the exported file replaces it.`
+    : `Showing evidence.json as loaded (${count} citation${count === 1 ? "" : "s"}). Edits are kept as a draft in this browser until you export.`;
+  $("evDiscard").disabled = !draft;
+
+  const notes = $("evLoadNotes");
+  notes.hidden = !loadNotes.length;
+  notes.innerHTML = loadNotes.length ? `<ul>${loadNotes.map(n => `<li>${escapeHtml(n)}</li>`).join("")}</ul>` : "";
+}
+
+function render() {
+  renderStatus();
+  renderCitations();
+}
+
+// =====================================
+// EXPORT
+// =====================================
+
+function downloadEvidence() {
+  const blob = new Blob([JSON.stringify(toEvidenceFile(state), null, 2) + "\n"], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = "evidence.json";
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
+
+// =====================================
+// EVENTS
+// =====================================
+
+function readField(input) {
+  const { field } = input.dataset;
+  if (field === "year") {
+    const n = input.valueAsNumber;
+    return Number.isFinite(n) ? n : null;
+  }
+  if (field === "level") return input.value ? Number(input.value) : null;
+  return input.value;
+}
+
+function bind() {
+  $("evAdd").addEventListener("click", () => {
+    state.citations.push(blankCitation());
+    saveDraft();
+    renderCitations();
+    const cards = document.querySelectorAll(".ev-citation");
+    cards[cards.length - 1].querySelector('[data-field="id"]').focus();
+  });
+
+  $("evCheckIds").addEventListener("change", renderValidation);
+
+  $("evExport").addEventListener("click", () => {
+    if (renderValidation()) return;
+    downloadEvidence();
+  });
+
+  $("evDiscard").addEventListener("click", () => {
+    if (!window.confirm("Discard the draft and go back to the loaded evidence.json?")) return;
+    sessionStore.clearEvidenceDraft();
+    loadState();
+    render();
+  });
+
+  const list = $("evCitations");
+  const citationOf = (el) => {
+    const card = el.closest(".ev-citation");
+    return card ? { card, c: state.citations[Number(card.dataset.index)] } : {};
+  };
+
+  // Typing only revalidates; re-rendering would take the focus away
+  list.addEventListener("input", e => {
+    const { card, c } = citationOf(e.target);
+    const { field } = e.target.dataset;
+    if (!c || !CITATION_FIELDS.includes(field)) return;
+    c[field] = readField(e.target);
+    if (field === "title") card.querySelector(".ev-title").textContent = c.title || "New citation";
+    saveDraft();
+    renderValidation();
+  });
+
+  list.addEventListener("change", e => {
+    if (!("link" in e.target.dataset) || !e.target.value) return;
+    const { c } = citationOf(e.target);
+    if (c && !c.dx.includes(e.target.value)) c.dx.push(e.target.value);
+    saveDraft();
+    renderCitations();
+  });
+
+  list.addEventListener("click", e => {
+    const button = e.target.closest("button");
+    if (!button) return;
+    const { card, c } = citationOf(button);
+    if (!c) return;
+
+    if ("remove" in button.dataset) {
+      if (!window.confirm(`Remove "${c.title || c.id || "this citation"}"?`)) return;
+      state.citations.splice(Number(card.dataset.index), 1);
+    } else if (button.dataset.unlink) {
+      c.dx = c.dx.filter(dxId => dxId !== button.dataset.unlink);
+    } else {
+      return;
+    }
+    saveDraft();
+    renderCitations();
+  });
+
+  // Locking hides the draft along with everything else stored; unlocking brings it back
+  window.addEventListener("session:lock", () => {
+    loadState();
+    render();
+  });
+}
+
+async function init() {
+  initSidebar("./evidence.html");
+  // This page edits evidence.json itself, so it waits for the file
+  await whenEvidenceLoaded();
+  loadState();
+  bind();
+  render();
+}
+
+init();
@@ -0,0 +1,74 @@
+// js/intake.page.js
+import { sessionStore } from "./common.js";
+import { initSidebar } from "./sidebar.js";
+import { compute } from "./engine.js";
+import { bindTriState, setTriState } from "./tri-state.js";
+
+const $ = (id) => document.getElementById(id);
+
+// Checkbox id → history field
+const HISTORY_INPUTS = {
+  inDiabetes: "diabetes",
+  inHypertension: "hypertension",
+  inMultipleSclerosis: "multipleSclerosis",
+  inMalignancy: "malignancy",
+  inPregnancy: "pregnancy"
+};
+
+function toNumOrNull(v) {
+  if (v === "" || v === null || v === undefined) return null;
+  const normalized = String(v).trim().replace(",", ".");
+  if (!normalized) return null;
+  const n = Number(normalized);
+  return Number.isFinite(n) ? n : null;
+}
+
+// What the recorded intake does to the differential; contradictions come first
+function intakeHint(f, warnings) {
+  const notes = warnings.map(w => w.message);
+  if (f.olderAge === true) {
+    notes.push(`Age ${f.age}: giant cell arteritis and microvascular cranial nerve palsies are in range.`);
+  } else if (f.olderAge === false) {
+    notes.push(`Age ${f.age}: giant cell arteritis and microvascular palsies are unlikely, so a CN III palsy or optic neuropathy needs another explanation.`);
+  }
+  if (f.obese) notes.push(`BMI ${f.bmi}: obesity raises IIH when the discs are swollen.`);
+  if (f.vascularRisk) notes.push("Vascular risk factors favor microvascular palsies, NAION and stroke.");
+  if (f.knownMS) notes.push("Known MS raises optic neuritis and INO.");
+  if (f.malignancy) notes.push("Malignancy raises compressive and infiltrative lesions.");
+  if (f.pregnant) notes.push("Pregnancy raises IIH and venous sinus thrombosis; consider pituitary apoplexy with a field defect.");
+  return notes.length ? notes.join(" ") : "Enter age, sex, BMI and history to weight the differential.";
+}
+
+function syncFromSession(session) {
+  const d = session.demographics;
+
+  // Don't rewrite a number while it is being typed
+  if (document.activeElement !== $("inAge")) $("inAge").value = d.age ?? "";
+  if (document.activeElement !== $("inBmi")) $("inBmi").value = d.bmi ?? "";
+  $("inSex").value = d.sex || "";
+
+  Object.entries(HISTORY_INPUTS).forEach(([id, field]) => setTriState($(id), session.history[field]));
+
+  const out = compute(session);
+  const warnings = out.consistency.filter(w => w.fields.some(k => k.startsWith("demographics.") || k.startsWith("history.")));
+  $("inSummary").textContent = intakeHint(out.features, warnings);
+}
+
+function bind() {
+  $("inAge").addEventListener("input", e => sessionStore.set("demographics.age", toNumOrNull(e.target.value)));
+  $("inBmi").addEventListener("input", e => sessionStore.set("demographics.bmi", toNumOrNull(e.target.value)));
+  $("inSex").addEventListener("change", e => sessionStore.set("demographics.sex", e.target.value));
+
+  Object.entries(HISTORY_INPUTS).forEach(([id, field]) => {
+    bindTriState($(id), v => sessionStore.set(`history.${field}`, v));
+  });
+}
+
+function init() {
+  initSidebar("./intake.html");
+  bind();
+  syncFromSession(sessionStore.getSession());
+  sessionStore.subscribe((s) => syncFromSession(s));
+}
+
+init();
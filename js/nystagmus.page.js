@@ -2,6 +2,7 @@
 import { sessionStore } from "./common.js";
 import { initSidebar } from "./sidebar.js";
 import { compute } from "./engine.js";
+import { bindTriState, setTriState } from "./tri-state.js";
 
 const $ = (id) => document.getElementById(id);
 
@@ -69,6 +70,16 @@ function nystagmusLocalizationHint(f, n) {
   return "Enter nystagmus findings to generate localization guidance.";
 }
 
+function nystagmusQualityHint(n, warnings) {
+  // Contradictory nystagmus findings come first
+  if (warnings.length) return warnings.map(w => w.message).join(" ");
+  if (n.present === true && !n.type) {
+    return "Nystagmus marked present. Record the type (jerk or pendular) and, for jerk nystagmus, the fast-phase direction.";
+  }
+  if (n.present === null) return "Record whether nystagmus is present before adding characteristics.";
+  return "Nystagmus findings are consistent.";
+}
+
 function nystagmusNextStepHint(f, n) {
   // Critical urgency patterns
   if (f.nystagmus_downbeat && f.acute) {
@@ -190,126 +201,150 @@ function associatedSignsInterpretation(n) {
 function applyPreset(presetType) {
   switch (presetType) {
     case "downbeat":
-      sessionStore.set("nystagmus.present", true);
-      sessionStore.set("nystagmus.type", "jerk");
-      sessionStore.set("nystagmus.waveform", "vertical");
-      sessionStore.set("nystagmus.fastPhase", "down");
-      sessionStore.set("nystagmus.primaryPosition", true);
-      sessionStore.set("nystagmus.downbeatPrimary", true);
-      sessionStore.set("nystagmus.oscillopsia", true);
+      sessionStore.setMany({
+        "nystagmus.present": true,
+        "nystagmus.type": "jerk",
+        "nystagmus.waveform": "vertical",
+        "nystagmus.fastPhase": "down",
+        "nystagmus.primaryPosition": true,
+        "nystagmus.downbeatPrimary": true,
+        "nystagmus.oscillopsia": true
+      });
       break;
 
     case "upbeat":
-      sessionStore.set("nystagmus.present", true);
-      sessionStore.set("nystagmus.type", "jerk");
-      sessionStore.set("nystagmus.waveform", "vertical");
-      sessionStore.set("nystagmus.fastPhase", "up");
-      sessionStore.set("nystagmus.primaryPosition", true);
-      sessionStore.set("nystagmus.upbeatPrimary", true);
-      sessionStore.set("nystagmus.oscillopsia", true);
-      sessionStore.set("triage.acuteOnset", true);
+      sessionStore.setMany({
+        "nystagmus.present": true,
+        "nystagmus.type": "jerk",
+        "nystagmus.waveform": "vertical",
+        "nystagmus.fastPhase": "up",
+        "nystagmus.primaryPosition": true,
+        "nystagmus.upbeatPrimary": true,
+        "nystagmus.oscillopsia": true,
+        "triage.acuteOnset": true
+      });
       break;
 
     case "parinaud":
-      sessionStore.set("nystagmus.present", true);
-      sessionStore.set("nystagmus.type", "jerk");
-      sessionStore.set("nystagmus.waveform", "mixed");
-      sessionStore.set("nystagmus.convergenceRetraction", true);
-      sessionStore.set("nystagmus.primaryPosition", true);
-      sessionStore.set("eom.verticalLimitation", true);
-      sessionStore.set("pupils.lightNearDissociation", true);
-      sessionStore.set("triage.neuroSx", true);
+      sessionStore.setMany({
+        "nystagmus.present": true,
+        "nystagmus.type": "jerk",
+        "nystagmus.waveform": "mixed",
+        "nystagmus.convergenceRetraction": true,
+        "nystagmus.primaryPosition": true,
+        "eom.verticalLimitation": true,
+        "pupils.lightNearDissociation": true,
+        "triage.neuroSx": true
+      });
       break;
 
     case "seesaw":
-      sessionStore.set("nystagmus.present", true);
-      sessionStore.set("nystagmus.type", "pendular");
-      sessionStore.set("nystagmus.waveform", "mixed");
-      sessionStore.set("nystagmus.seesaw", true);
-      sessionStore.set("nystagmus.primaryPosition", true);
-      sessionStore.set("visualFields.bitemporal", true);
+      sessionStore.setMany({
+        "nystagmus.present": true,
+        "nystagmus.type": "pendular",
+        "nystagmus.waveform": "mixed",
+        "nystagmus.seesaw": true,
+        "nystagmus.primaryPosition": true,
+        "visualFields.bitemporal": true
+      });
       break;
 
     case "bppv":
-      sessionStore.set("nystagmus.present", true);
-      sessionStore.set("nystagmus.type", "jerk");
-      sessionStore.set("nystagmus.waveform", "mixed"); // torsional-vertical
-      sessionStore.set("nystagmus.positional", true);
-      sessionStore.set("nystagmus.vertigo", true);
-      sessionStore.set("nystagmus.amplitude", "medium");
+      sessionStore.setMany({
+        "nystagmus.present": true,
+        "nystagmus.type": "jerk",
+        "nystagmus.waveform": "mixed", // torsional-vertical
+        "nystagmus.positional": true,
+        "nystagmus.vertigo": true,
+        "nystagmus.amplitude": "medium"
+      });
       break;
 
     case "vestibularNeuritis":
-      sessionStore.set("nystagmus.present", true);
-      sessionStore.set("nystagmus.type", "jerk");
-      sessionStore.set("nystagmus.waveform", "horizontal");
-      sessionStore.set("nystagmus.fastPhase", "right"); // away from lesion
-      sessionStore.set("nystagmus.primaryPosition", true);
-      sessionStore.set("nystagmus.spontaneous", true);
-      sessionStore.set("nystagmus.vertigo", true);
-      sessionStore.set("nystagmus.oscillopsia", true);
-      sessionStore.set("triage.acuteOnset", true);
+      sessionStore.setMany({
+        "nystagmus.present": true,
+        "nystagmus.type": "jerk",
+        "nystagmus.waveform": "horizontal",
+        "nystagmus.fastPhase": "right", // away from lesion
+        "nystagmus.primaryPosition": true,
+        "nystagmus.spontaneous": true,
+        "nystagmus.vertigo": true,
+        "nystagmus.oscillopsia": true,
+        "triage.acuteOnset": true
+      });
       break;
 
     case "centralVestibular":
-      sessionStore.set("nystagmus.present", true);
-      sessionStore.set("nystagmus.type", "jerk");
-      sessionStore.set("nystagmus.waveform", "vertical");
-      sessionStore.set("nystagmus.primaryPosition", true);
-      sessionStore.set("nystagmus.directionChanging", true);
-      sessionStore.set("nystagmus.gazeEvoked", true);
-      sessionStore.set("triage.neuroSx", true);
-      sessionStore.set("triage.acuteOnset", true);
+      sessionStore.setMany({
+        "nystagmus.present": true,
+        "nystagmus.type": "jerk",
+        "nystagmus.waveform": "vertical",
+        "nystagmus.primaryPosition": true,
+        "nystagmus.directionChanging": true,
+        "nystagmus.gazeEvoked": true,
+        "triage.neuroSx": true,
+        "triage.acuteOnset": true
+      });
       break;
 
     case "pan":
-      sessionStore.set("nystagmus.present", true);
-      sessionStore.set("nystagmus.type", "jerk");
-      sessionStore.set("nystagmus.waveform", "horizontal");
-      sessionStore.set("nystagmus.periodicAlternating", true);
-      sessionStore.set("nystagmus.primaryPosition", true);
-      sessionStore.set("nystagmus.directionChanging", true);
+      sessionStore.setMany({
+        "nystagmus.present": true,
+        "nystagmus.type": "jerk",
+        "nystagmus.waveform": "horizontal",
+        "nystagmus.periodicAlternating": true,
+        "nystagmus.primaryPosition": true,
+        "nystagmus.directionChanging": true
+      });
       break;
 
     case "ino":
-      sessionStore.set("nystagmus.present", true);
-      sessionStore.set("nystagmus.type", "jerk");
-      sessionStore.set("nystagmus.waveform", "horizontal");
-      sessionStore.set("nystagmus.dissociated", true);
-      sessionStore.set("eom.adductionDeficit", true);
-      sessionStore.set("eom.diplopia", true);
-      sessionStore.set("triage.neuroSx", true);
+      sessionStore.setMany({
+        "nystagmus.present": true,
+        "nystagmus.type": "jerk",
+        "nystagmus.waveform": "horizontal",
+        "nystagmus.dissociated": true,
+        "eom.adductionDeficit": true,
+        "eom.diplopia": true,
+        "triage.neuroSx": true
+      });
       break;
 
     case "gazeEvoked":
-      sessionStore.set("nystagmus.present", true);
-      sessionStore.set("nystagmus.type", "jerk");
-      sessionStore.set("nystagmus.waveform", "horizontal");
-      sessionStore.set("nystagmus.gazeEvoked", true);
-      sessionStore.set("nystagmus.gazeEvokedDirection", "all");
-      sessionStore.set("nystagmus.directionChanging", true);
-      sessionStore.set("nystagmus.amplitude", "fine");
+      sessionStore.setMany({
+        "nystagmus.present": true,
+        "nystagmus.type": "jerk",
+        "nystagmus.waveform": "horizontal",
+        "nystagmus.gazeEvoked": true,
+        "nystagmus.gazeEvokedDirection": "all",
+        "nystagmus.directionChanging": true,
+        "nystagmus.amplitude": "fine"
+      });
       break;
 
     case "congenital":
-      sessionStore.set("nystagmus.present", true);
-      sessionStore.set("nystagmus.type", "pendular");
-      sessionStore.set("nystagmus.waveform", "horizontal");
-      sessionStore.set("nystagmus.primaryPosition", true);
-      sessionStore.set("nystagmus.latent", true);
-      sessionStore.set("nystagmus.headTilt", true);
-      // No oscillopsia in congenital
-      sessionStore.set("nystagmus.oscillopsia", false);
+      sessionStore.setMany({
+        "nystagmus.present": true,
+        "nystagmus.type": "pendular",
+        "nystagmus.waveform": "horizontal",
+        "nystagmus.primaryPosition": true,
+        "nystagmus.latent": true,
+        "nystagmus.headTilt": true,
+        // No oscillopsia in congenital
+        "nystagmus.oscillopsia": false
+      });
       break;
 
     case "opsoclonus":
-      sessionStore.set("nystagmus.present", true);
-      sessionStore.set("nystagmus.type", "mixed");
-      sessionStore.set("nystagmus.waveform", "mixed");
-      sessionStore.set("nystagmus.primaryPosition", true);
-      sessionStore.set("nystagmus.oscillopsia", true);
-      sessionStore.set("triage.acuteOnset", true);
-      sessionStore.set("triage.neuroSx", true);
+      sessionStore.setMany({
+        "nystagmus.present": true,
+        "nystagmus.type": "mixed",
+        "nystagmus.waveform": "mixed",
+        "nystagmus.primaryPosition": true,
+        "nystagmus.oscillopsia": true,
+        "triage.acuteOnset": true,
+        "triage.neuroSx": true
+      });
       break;
   }
 }
@@ -466,6 +501,20 @@ function setChecked(id, value) {
   if (el) el.checked = !!value;
 }
 
+// Signs are present / absent / not examined
+function setSign(id, value) {
+  const el = $(id);
+  if (el) setTriState(el, value);
+}
+
+function bindSign(id, path, after) {
+  const el = $(id);
+  if (el) bindTriState(el, v => {
+    sessionStore.set(path, v);
+    if (after) after(v);
+  });
+}
+
 // Helper to safely set value property
 function setValue(id, value) {
   const el = $(id);
@@ -483,7 +532,7 @@ function syncFromSession(session) {
   setChecked("trauma", t.trauma);
 
   // Nystagmus characteristics
-  setChecked("nystagmusPresent", n.present);
+  setSign("nystagmusPresent", n.present);
   setValue("nystagmusType", n.type);
   setValue("nystagmusWaveform", n.waveform);
   setValue("fastPhase", n.fastPhase);
@@ -499,27 +548,27 @@ function syncFromSession(session) {
   });
 
   // Gaze patterns
-  setChecked("primaryPosition", n.primaryPosition);
-  setChecked("gazeEvoked", n.gazeEvoked);
+  setSign("primaryPosition", n.primaryPosition);
+  setSign("gazeEvoked", n.gazeEvoked);
   setValue("gazeEvokedDirection", n.gazeEvokedDirection);
-  setChecked("downbeatPrimary", n.downbeatPrimary);
-  setChecked("upbeatPrimary", n.upbeatPrimary);
+  setSign("downbeatPrimary", n.downbeatPrimary);
+  setSign("upbeatPrimary", n.upbeatPrimary);
 
   // Special patterns
-  setChecked("convergenceRetraction", n.convergenceRetraction);
-  setChecked("seesaw", n.seesaw);
-  setChecked("periodicAlternating", n.periodicAlternating);
-  setChecked("dissociated", n.dissociated);
-  setChecked("latent", n.latent);
-  setChecked("directionChanging", n.directionChanging);
+  setSign("convergenceRetraction", n.convergenceRetraction);
+  setSign("seesaw", n.seesaw);
+  setSign("periodicAlternating", n.periodicAlternating);
+  setSign("dissociated", n.dissociated);
+  setSign("latent", n.latent);
+  setSign("directionChanging", n.directionChanging);
 
   // Associated signs
-  setChecked("oscillopsia", n.oscillopsia);
-  setChecked("vertigo", n.vertigo);
-  setChecked("headShaking", n.headShaking);
-  setChecked("headTilt", n.headTilt);
-  setChecked("positional", n.positional);
-  setChecked("spontaneous", n.spontaneous);
+  setSign("oscillopsia", n.oscillopsia);
+  setSign("vertigo", n.vertigo);
+  setSign("headShaking", n.headShaking);
+  setSign("headTilt", n.headTilt);
+  setSign("positional", n.positional);
+  setSign("spontaneous", n.spontaneous);
 
   // Notes
   setValue("nystagmusNotes", n.notes);
@@ -539,11 +588,13 @@ function syncFromSession(session) {
 
   const locEl = $("nysLocalize");
   const nextEl = $("nysNext");
+  const qualEl = $("nysQuality");
   const gazeEl = $("gazeInterpretation");
   const assocEl = $("associatedInterpretation");
 
   if (locEl) locEl.textContent = nystagmusLocalizationHint(f, n);
   if (nextEl) nextEl.textContent = nystagmusNextStepHint(f, n);
+  if (qualEl) qualEl.textContent = nystagmusQualityHint(n, out.consistency.filter(w => w.fields.some(k => k.startsWith("nystagmus."))));
   if (gazeEl) gazeEl.textContent = gazePatternInterpretation(n);
   if (assocEl) assocEl.textContent = associatedSignsInterpretation(n);
 
@@ -592,7 +643,7 @@ function bind() {
   on("trauma", "change", e => sessionStore.set("triage.trauma", e.target.checked));
 
   // Nystagmus present
-  on("nystagmusPresent", "change", e => sessionStore.set("nystagmus.present", e.target.checked));
+  bindSign("nystagmusPresent", "nystagmus.present");
 
   // Characteristics
   on("nystagmusType", "change", e => sessionStore.set("nystagmus.type", e.target.value));
@@ -618,31 +669,30 @@ function bind() {
   });
 
   // Gaze patterns
-  on("primaryPosition", "change", e => sessionStore.set("nystagmus.primaryPosition", e.target.checked));
-  on("gazeEvoked", "change", e => {
-    sessionStore.set("nystagmus.gazeEvoked", e.target.checked);
+  bindSign("primaryPosition", "nystagmus.primaryPosition");
+  bindSign("gazeEvoked", "nystagmus.gazeEvoked", v => {
     const group = $("gazeEvokedDirectionGroup");
-    if (group) group.style.display = e.target.checked ? "block" : "none";
+    if (group) group.style.display = v ? "block" : "none";
   });
   on("gazeEvokedDirection", "change", e => sessionStore.set("nystagmus.gazeEvokedDirection", e.target.value));
-  on("downbeatPrimary", "change", e => sessionStore.set("nystagmus.downbeatPrimary", e.target.checked));
-  on("upbeatPrimary", "change", e => sessionStore.set("nystagmus.upbeatPrimary", e.target.checked));
+  bindSign("downbeatPrimary", "nystagmus.downbeatPrimary");
+  bindSign("upbeatPrimary", "nystagmus.upbeatPrimary");
 
   // Special patterns
-  on("convergenceRetraction", "change", e => sessionStore.set("nystagmus.convergenceRetraction", e.target.checked));
-  on("seesaw", "change", e => sessionStore.set("nystagmus.seesaw", e.target.checked));
-  on("periodicAlternating", "change", e => sessionStore.set("nystagmus.periodicAlternating", e.target.checked));
-  on("dissociated", "change", e => sessionStore.set("nystagmus.dissociated", e.target.checked));
-  on("latent", "change", e => sessionStore.set("nystagmus.latent", e.target.checked));
-  on("directionChanging", "change", e => sessionStore.set("nystagmus.directionChanging", e.target.checked));
+  bindSign("convergenceRetraction", "nystagmus.convergenceRetraction");
+  bindSign("seesaw", "nystagmus.seesaw");
+  bindSign("periodicAlternating", "nystagmus.periodicAlternating");
+  bindSign("dissociated", "nystagmus.dissociated");
+  bindSign("latent", "nystagmus.latent");
+  bindSign("directionChanging", "nystagmus.directionChanging");
 
   // Associated signs
-  on("oscillopsia", "change", e => sessionStore.set("nystagmus.oscillopsia", e.target.checked));
-  on("vertigo", "change", e => sessionStore.set("nystagmus.vertigo", e.target.checked));
-  on("headShaking", "change", e => sessionStore.set("nystagmus.headShaking", e.target.checked));
-  on("headTilt", "change", e => sessionStore.set("nystagmus.headTilt", e.target.checked));
-  on("positional", "change", e => sessionStore.set("nystagmus.positional", e.target.checked));
-  on("spontaneous", "change", e => sessionStore.set("nystagmus.spontaneous", e.target.checked));
+  bindSign("oscillopsia", "nystagmus.oscillopsia");
+  bindSign("vertigo", "nystagmus.vertigo");
+  bindSign("headShaking", "nystagmus.headShaking");
+  bindSign("headTilt", "nystagmus.headTilt");
+  bindSign("positional", "nystagmus.positional");
+  bindSign("spontaneous", "nystagmus.spontaneous");
 
   // Notes
   on("nystagmusNotes", "input", e => sessionStore.set("nystagmus.notes", e.target.value));
@@ -0,0 +1,190 @@
+// js/red-flags.js
+// Urgency alerts as data. Every red flag below is checked on its own by engine.js
+// (evaluateRedFlags), so one patient can raise several at once; the sidebar lists them
+// most severe first. Conditions use the same syntax as dx-rules.js.
+//
+// Flag fields:
+//   id              stable; acknowledged/dismissed alerts are stored in the session by id
+//   level           "critical" | "danger" | "warn" | "info"
+//   when            condition that raises the flag. The plain findings it names that hold
+//                   ("ptosis", "verticalLimitation = true") are reported as its triggers
+//   text            rationale and action. A list of { when, text } uses the first entry that
+//                   matches; an entry without `when` always matches. "{age}" quotes a feature
+//                   or CONFIG value, as in rule reasons
+//   supersededBy    ids of flags that say the same thing more urgently; when one of them is
+//                   raised this one is left out
+//   fallback        only raised when no other flag is
+
+// How a finding reads in the list of triggers; names not listed are shown as-is
+export const FLAG_FINDINGS = {
+  largePattern: "Anisocoria greater in light",
+  smallPattern: "Anisocoria greater in dark",
+  ptosis: "Ptosis",
+  diplopia: "Diplopia",
+  acute: "Acute onset",
+  painful: "Pain",
+  neuroSx: "Neurological symptoms",
+  trauma: "Trauma",
+  dilationLag: "Dilation lag",
+  anhidrosis: "Anhidrosis",
+  hasRAPD: "RAPD",
+  discPallor: "Disc pallor",
+  colorDeficit: "Color deficit",
+  acquiredColorDeficit: "Color deficit",
+  vaReduced: "Reduced acuity",
+  fatigable: "Fatigable weakness",
+  verticalLimitation: "Vertical gaze limitation",
+  painOnMovement: "Pain on eye movement",
+  vf_altitudinal: "Altitudinal field defect",
+  vf_homonymous: "Homonymous field defect",
+  vf_bitemporal: "Bitemporal field defect",
+  vf_central_scotoma: "Central scotoma",
+  nystagmus_downbeat: "Downbeat nystagmus",
+  nystagmus_upbeat: "Upbeat nystagmus",
+  nystagmus_directionChanging: "Direction-changing nystagmus",
+  nystagmus_convergenceRetraction: "Convergence-retraction nystagmus",
+  nystagmus_seesaw: "Seesaw nystagmus"
+};
+
+const SYMPATHETIC_SIGNS = { any: ["dilationLag", "ptosis", "anhidrosis"] };
+const ACUTE_CONTEXT = { any: ["acute", "painful", "neuroSx"] };
+
+export const RED_FLAGS = [
+  // =====================================
+  // CRITICAL: immediate life/vision threatening conditions
+  // =====================================
+
+  // PComm aneurysm until proven otherwise
+  {
+    id: "compressive_cn3",
+    level: "critical",
+    when: ["largePattern", "ptosis", { any: ["acute", "painful"] }, { any: ["diplopia", "neuroSx"] }],
+    text: "CRITICAL: Pattern strongly suggests compressive CN III palsy. EMERGENT CTA/MRA head required to exclude posterior communicating artery aneurysm."
+  },
+  // Carotid dissection
+  {
+    id: "painful_horner",
+    level: "critical",
+    when: ["smallPattern", "acute", "painful", SYMPATHETIC_SIGNS],
+    text: "CRITICAL: Acute painful Horner syndrome. EMERGENT carotid imaging (CTA/MRA neck) required to exclude carotid artery dissection."
+  },
+  // Giant cell arteritis
+  {
+    id: "giant_cell_arteritis",
+    level: "critical",
+    when: ["vf_altitudinal", "hasRAPD", "painful", "acute"],
+    text: [
+      { when: "olderAge", text: "CRITICAL: Acute painful AION with RAPD at age {age}. Start empiric high-dose steroids and obtain STAT ESR/CRP. GCA can cause bilateral blindness within days." },
+      { text: "CRITICAL: Acute painful AION with RAPD. If age >{OLDER_AGE_YEARS}, start empiric high-dose steroids and obtain STAT ESR/CRP. GCA can cause bilateral blindness within days." }
+    ]
+  },
+  {
+    id: "traumatic_optic_neuropathy",
+    level: "critical",
+    when: ["trauma", "hasRAPD", { any: ["discPallor", "acquiredColorDeficit", "vaReduced"] }],
+    text: "CRITICAL: Traumatic optic neuropathy suspected. Document baseline VA, color vision, RAPD. Consider CT orbits/optic canals. Serial monitoring essential."
+  },
+
+  // =====================================
+  // DANGER: high concern, urgent workup needed
+  // =====================================
+  {
+    id: "large_pupil_acute",
+    level: "danger",
+    when: ["largePattern", { any: ["ptosis", "diplopia"] }, ACUTE_CONTEXT],
+    supersededBy: ["compressive_cn3"],
+    text: "High concern: Large pupil pattern with acute/painful presentation + ptosis/diplopia. Consider compressive CN III - imaging indicated."
+  },
+  {
+    id: "acute_homonymous",
+    level: "danger",
+    when: ["vf_homonymous", "acute"],
+    text: "URGENT: Acute homonymous visual field defect suggests stroke. Activate stroke protocol, establish last known well time."
+  },
+  {
+    id: "rapd_disc_pallor",
+    level: "danger",
+    when: ["hasRAPD", "discPallor", "!trauma"],
+    text: "RAPD with disc pallor indicates optic nerve damage. MRI brain/orbits recommended to evaluate for compressive or inflammatory etiology."
+  },
+
+  // =====================================
+  // WARN: elevated concern
+  // =====================================
+  {
+    id: "small_pupil_acute",
+    level: "warn",
+    when: ["smallPattern", SYMPATHETIC_SIGNS, ACUTE_CONTEXT],
+    supersededBy: ["painful_horner"],
+    text: "Elevated concern: Small pupil pattern with sympathetic signs in acute/painful setting. Consider Horner syndrome workup including vascular imaging."
+  },
+  {
+    id: "fatigable_weakness",
+    level: "warn",
+    when: ["fatigable", { any: ["ptosis", "diplopia"] }],
+    text: "Fatigable weakness pattern raises concern for myasthenia gravis. Recommend serology and consider pyridostigmine trial."
+  },
+  {
+    id: "rapd_normal_disc",
+    level: "warn",
+    when: ["hasRAPD", "!discPallor", "!discEdema"],
+    text: "RAPD detected without visible disc changes. Consider retrobulbar optic neuropathy, optic tract lesion, or asymmetric retinal disease. Color vision and VF testing recommended."
+  },
+  // Posterior fossa concern
+  {
+    id: "acute_vertical_nystagmus",
+    level: "warn",
+    when: [{ any: ["nystagmus_downbeat", "nystagmus_upbeat"] }, "acute"],
+    text: "Acute vertical nystagmus (downbeat/upbeat) may indicate posterior fossa pathology. MRI brain/craniocervical junction recommended."
+  },
+  // Central vestibular pattern - stroke concern
+  {
+    id: "central_vestibular",
+    level: "warn",
+    when: ["nystagmus_directionChanging", "acute", "neuroSx"],
+    text: "Direction-changing nystagmus with acute neurological symptoms suggests central vestibular lesion. Consider stroke - HINTS exam and MRI recommended."
+  },
+
+  // =====================================
+  // INFO: notable findings
+  // =====================================
+  {
+    id: "parinaud_pattern",
+    level: "info",
+    when: ["nystagmus_convergenceRetraction", "verticalLimitation = true"],
+    text: "Convergence-retraction nystagmus with vertical gaze limitation: Parinaud syndrome pattern. MRI midbrain/pineal region recommended."
+  },
+  {
+    id: "seesaw_parasellar",
+    level: "info",
+    when: ["nystagmus_seesaw", "vf_bitemporal"],
+    text: "Seesaw nystagmus with bitemporal field defect suggests parasellar lesion. MRI sella/pituitary with contrast recommended."
+  },
+  {
+    id: "bitemporal_field",
+    level: "info",
+    when: ["vf_bitemporal", "vf_reliability != poor"],
+    supersededBy: ["seesaw_parasellar"],
+    text: "Bitemporal visual field pattern suggests chiasmal pathology. MRI pituitary/sella with contrast recommended."
+  },
+  {
+    id: "optic_neuritis_pattern",
+    level: "info",
+    when: ["vf_central_scotoma", "painOnMovement"],
+    text: "Central scotoma with pain on eye movement suggests optic neuritis. MRI brain/orbits with contrast recommended."
+  },
+  {
+    id: "color_deficit_rapd",
+    level: "info",
+    when: ["acquiredColorDeficit", "hasRAPD"],
+    supersededBy: ["traumatic_optic_neuropathy", "rapd_disc_pallor"],
+    text: "Color deficit with RAPD suggests optic neuropathy. Recommend formal VF testing and OCT RNFL."
+  },
+  {
+    id: "acute_context",
+    level: "info",
+    when: ACUTE_CONTEXT,
+    fallback: true,
+    text: "Acute/painful/neurological context noted. Continue entering findings to refine localization."
+  }
+];
@@ -1,9 +1,20 @@
 // js/sidebar.js
-import { sessionStore } from "./common.js";
-import { compute, CONFIG } from "./engine.js";
+import { sessionStore, escapeHtml } from "./common.js";
+import { compute, nextBestQuestions, counterfactuals, CONFIG } from "./engine.js";
+import { DIAGNOSES } from "./dx-registry.js";
+import { fieldLabel } from "./visits.js";
+import { downloadCaseFile, parseCaseFile } from "./case-file.js";
+import { pubmedUrl, doiUrl, whenEvidenceLoaded } from "./evidence.js";
 
 const $ = (id) => document.getElementById(id);
 
+// Idle time before an encrypted session locks itself
+const AUTO_LOCK_MINUTES = 10;
+const MIN_PASSPHRASE_LENGTH = 8;
+
+// Diagnosis picked in the "What would change this?" card
+let whatIfDx = "";
+
 function fmtMm(x) {
   if (x === null || x === undefined) return "—";
   return `${Number(x).toFixed(1)} mm`;
@@ -15,10 +26,51 @@ function getScoreTier(score) {
   return { label: "Less likely", tier: "low" };
 }
 
-function setCallout(level, text) {
-  const el = $("sbUrgency");
-  el.dataset.level = level;
-  el.textContent = text;
+// Every raised red flag, most severe first. Acknowledged alerts stay listed but muted;
+// dismissed ones are hidden until restored.
+function renderAlerts(session, alerts, urgency) {
+  const wrap = $("sbUrgency");
+  if (!alerts.length) {
+    wrap.innerHTML = `<div class="callout" data-level="none">${escapeHtml(urgency.text)}</div>`;
+    return;
+  }
+
+  const { acknowledged, dismissed } = session.alerts;
+  const shown = alerts.filter(a => !dismissed.includes(a.id));
+  const hidden = alerts.length - shown.length;
+  wrap.innerHTML = shown.map(a => {
+    const acked = acknowledged.includes(a.id);
+    return `
+      <div class="callout alertItem" data-level="${a.level}"${acked ? " data-acknowledged" : ""}>
+        <div>${escapeHtml(a.text)}</div>
+        ${a.findings.length ? `<div class="alertFindings">Triggered by: ${a.findings.map(escapeHtml).join(" • ")}</div>` : ""}
+        <div class="btnRow btnRow--compact">
+          ${acked
+            ? `<span class="alertAcked">Acknowledged</span>`
+            : `<button class="ghost" data-alert-ack="${escapeHtml(a.id)}">Acknowledge</button>`}
+          <button class="ghost" data-alert-dismiss="${escapeHtml(a.id)}">Dismiss</button>
+        </div>
+      </div>`;
+  }).join("") + (hidden
+    ? `<div class="alertHidden small">${hidden} dismissed alert${hidden === 1 ? "" : "s"} hidden
+        <button class="ghost" data-alert-restore>Show</button></div>`
+    : "");
+}
+
+function bindAlerts() {
+  $("sbUrgency").addEventListener("click", e => {
+    const session = sessionStore.getSession();
+    const { acknowledged, dismissed } = session.alerts;
+    const ack = e.target.closest("[data-alert-ack]");
+    const dismiss = e.target.closest("[data-alert-dismiss]");
+    if (ack) sessionStore.set("alerts.acknowledged", [...acknowledged, ack.dataset.alertAck]);
+    else if (dismiss) sessionStore.set("alerts.dismissed", [...dismissed, dismiss.dataset.alertDismiss]);
+    else if (e.target.closest("[data-alert-restore]")) {
+      // Bring back the alerts raised now; dismissals of others stay for when they return
+      const raised = compute(session).alerts.map(a => a.id);
+      sessionStore.set("alerts.dismissed", dismissed.filter(id => !raised.includes(id)));
+    }
+  });
 }
 
 function getCategoryBadge(category) {
@@ -33,8 +85,24 @@ function getCategoryBadge(category) {
   return badges[category] || '';
 }
 
+function renderCitation(c) {
+  const source = [c.journal, c.year].filter(Boolean).map(escapeHtml).join(", ");
+  const links = [
+    c.pmid ? `<a href="${escapeHtml(pubmedUrl(c.pmid))}" target="_blank" rel="noopener noreferrer">PMID ${escapeHtml(c.pmid)}</a>` : "",
+    c.doi ? `<a href="${escapeHtml(doiUrl(c.doi))}" target="_blank" rel="noopener noreferrer">DOI ${escapeHtml(c.doi)}</a>` : ""
+  ].filter(Boolean).join(" • ");
+  return `
+    <li>
+      <div class="dxRefTitle">${escapeHtml(c.title)}</div>
+      ${source ? `<div class="dxRefSource">${source}</div>` : ""}
+      ${links ? `<div class="dxRefLinks">${links}</div>` : ""}
+    </li>`;
+}
+
 function renderDx(differential) {
   const wrap = $("sbDx");
+  // The list is rebuilt on every change; keep open reference lists open
+  const openRefs = new Set([...wrap.querySelectorAll(".dxRefs[open]")].map(el => el.dataset.dx));
   wrap.innerHTML = "";
 
   if (!differential.length) {
@@ -56,20 +124,157 @@ function renderDx(differential) {
       ? `<div class="dxNextSteps"><div class="dxNextStepsLabel">Next steps:</div><ul>${d.nextSteps.map(x => `<li>${x}</li>`).join("")}</ul></div>`
       : "";
 
+    const refs = (d.citations && d.citations.length)
+      ? `<details class="dxRefs" data-dx="${escapeHtml(d.id)}"${openRefs.has(d.id) ? " open" : ""}>
+          <summary>References (${d.citations.length})</summary>
+          <ul>${d.citations.map(renderCitation).join("")}</ul>
+        </details>`
+      : "";
+
+    // Findings point at opposite eyes, so the name carries no side
+    const sideConflict = d.sideConflict
+      ? `<div class="dxSideConflict">${escapeHtml(d.sideConflict)}</div>`
+      : "";
+
     const el = document.createElement("div");
     el.className = `dxItem dxItem--${tier.tier}`;
     el.innerHTML = `
       <div class="dxTop">
-        <div class="dxName">${idx + 1}. ${d.name}${categoryBadge}</div>
+        <div class="dxName" data-dx="${escapeHtml(d.id)}" title="What would change this?">${idx + 1}. ${d.name}${categoryBadge}</div>
         <div class="dxScore" data-tier="${tier.tier}">${tier.label}</div>
       </div>
+      ${sideConflict}
       ${why}
       ${nextSteps}
+      ${refs}
     `;
     wrap.appendChild(el);
   });
 }
 
+// Unexamined findings whose answers would most reshuffle the top of the differential
+function renderNextQuestions(session, differential) {
+  const wrap = $("sbNext");
+  if (!wrap) return;
+
+  if (!differential.length) {
+    wrap.innerHTML = `<div class="small">Enter findings to see which examination would help most.</div>`;
+    return;
+  }
+  const questions = nextBestQuestions(session);
+  if (!questions.length) {
+    wrap.innerHTML = `<div class="small">No unexamined finding would change the top of the differential.</div>`;
+    return;
+  }
+
+  wrap.innerHTML = `<ol class="nextList">${questions.map(q => `
+    <li class="nextItem">
+      <div class="nextLabel">${escapeHtml(q.label)}</div>
+      <ul class="nextAnswers">${q.answers.map(a => `
+        <li><span class="nextAnswer">${escapeHtml(a.label)}:</span> ${escapeHtml(a.effect)}</li>`).join("")}
+      </ul>
+    </li>`).join("")}
+  </ol>`;
+}
+
+// The examine-next list and the what-if explorer re-score the session many times over, so they
+// wait for typing to pause and are skipped when only unscored fields (notes, alerts,
+// timestamps) changed
+const EXPLORE_DEBOUNCE_MS = 300;
+let exploreTimer = null;
+let exploredFindings = "";
+
+function scoredFindings(session) {
+  const { meta, alerts, ...sections } = session;
+  return JSON.stringify(sections, (key, value) => (key === "notes" ? undefined : value));
+}
+
+function renderExplorations(session, differential) {
+  exploredFindings = scoredFindings(session);
+  renderNextQuestions(session, differential);
+  renderWhatIf(session, differential);
+}
+
+function scheduleExplorations(session, differential) {
+  clearTimeout(exploreTimer);
+  exploreTimer = setTimeout(() => {
+    if (scoredFindings(session) !== exploredFindings) renderExplorations(session, differential);
+  }, EXPLORE_DEBOUNCE_MS);
+}
+
+function renderWhatIfOptions(differential) {
+  const sel = $("sbWhatIfDx");
+  const listed = differential.map(d => d.id);
+  const others = Object.entries(DIAGNOSES)
+    .filter(([id]) => !listed.includes(id))
+    .sort((a, b) => a[1].name.localeCompare(b[1].name));
+  sel.innerHTML = `
+    <option value="">Pick a diagnosis…</option>
+    ${listed.length ? `<optgroup label="In the differential">${differential.map((d, i) => `<option value="${escapeHtml(d.id)}">${i + 1}. ${escapeHtml(d.name)}</option>`).join("")}</optgroup>` : ""}
+    <optgroup label="Other diagnoses">${others.map(([id, dx]) => `<option value="${id}">${escapeHtml(dx.name)}</option>`).join("")}</optgroup>`;
+  sel.value = whatIfDx;
+}
+
+// Single-finding changes that would move the picked diagnosis to or from #1, or out of the list
+function renderWhatIf(session, differential) {
+  const wrap = $("sbWhatIf");
+  if (!wrap) return;
+  renderWhatIfOptions(differential);
+
+  if (!whatIfDx) {
+    wrap.innerHTML = `<div class="small">Pick a diagnosis, or click one in the differential, to see which single findings its rank hinges on.</div>`;
+    return;
+  }
+
+  const { rank, toFirst, offFirst, removed } = counterfactuals(session, whatIfDx);
+  const name = DIAGNOSES[whatIfDx].name;
+  const group = (title, changes, detail) => changes.length
+    ? `<div class="whatIfGroup">
+        <div class="whatIfTitle">${title}</div>
+        <ul>${changes.map(c => `<li>${escapeHtml(c.label)}${detail ? ` <span class="small">(${escapeHtml(detail(c))})</span>` : ""}</li>`).join("")}</ul>
+      </div>`
+    : "";
+
+  const groups = [
+    group(`${escapeHtml(name)} would rank first if:`, toFirst),
+    group(`${escapeHtml(name)} would lose first place if:`, offFirst, c => `${c.leader.name} leads; this falls to #${c.rank}`),
+    group(`${escapeHtml(name)} would drop out if:`, removed)
+  ].join("");
+
+  wrap.innerHTML = `
+    <div class="small">${rank ? `Currently ranked #${rank}.` : "Below threshold."}</div>
+    ${groups || `<div class="small">No single finding change moves it ${rank === 1 ? "off first place" : "to first place"}${rank ? " or out of the list" : ""}.</div>`}`;
+}
+
+function bindWhatIf() {
+  const sel = $("sbWhatIfDx");
+  if (!sel) return;
+  const show = (dxId) => {
+    whatIfDx = dxId;
+    const session = sessionStore.getSession();
+    renderWhatIf(session, compute(session).differential);
+  };
+  sel.addEventListener("change", () => show(sel.value));
+  $("sbDx").addEventListener("click", e => {
+    const name = e.target.closest(".dxName");
+    if (name) show(name.dataset.dx);
+  });
+}
+
+// Contradictory or implausible findings, with the fields involved
+function renderConsistency(warnings) {
+  const wrap = $("sbConsistency");
+  if (!wrap) return;
+  wrap.innerHTML = warnings.length
+    ? `<ul class="consistencyList">${warnings.map(w => `
+        <li>
+          <div>${escapeHtml(w.message)}</div>
+          <div class="small">${w.fields.map(fieldLabel).map(escapeHtml).join(" • ")}</div>
+        </li>`).join("")}
+      </ul>`
+    : `<div class="small">No contradictions in the recorded findings.</div>`;
+}
+
 function getPriorityIcon(priority) {
   switch (priority) {
     case "critical": return "🔴";
@@ -152,11 +357,360 @@ function renderTestingRecommendations(tests) {
   });
 }
 
+function renderPatients(session) {
+  const sel = $("sbPatient");
+  if (!sel) return;
+
+  sel.innerHTML = "";
+  sessionStore.listPatients().forEach(pt => {
+    const opt = document.createElement("option");
+    opt.value = pt.id;
+    opt.textContent = pt.label || "Untitled";
+    sel.appendChild(opt);
+  });
+  sel.value = session.meta.patientId;
+}
+
+function bindPatientSwitcher() {
+  const sel = $("sbPatient");
+  if (!sel) return;
+
+  sel.addEventListener("change", e => sessionStore.switchPatient(e.target.value));
+
+  $("sbNewPatient").addEventListener("click", () => {
+    const label = window.prompt("New patient label:", "");
+    if (label === null) return;
+    sessionStore.createPatient(label);
+  });
+
+  $("sbRenamePatient").addEventListener("click", () => {
+    const session = sessionStore.getSession();
+    const label = window.prompt("Rename patient:", session.meta.activePatientLabel);
+    if (label === null) return;
+    sessionStore.renamePatient(session.meta.patientId, label);
+  });
+
+  $("sbDuplicatePatient").addEventListener("click", () => {
+    sessionStore.duplicatePatient(sessionStore.getActivePatientId());
+  });
+
+  $("sbDeletePatient").addEventListener("click", () => {
+    const session = sessionStore.getSession();
+    if (!window.confirm(`Delete "${session.meta.activePatientLabel}" and all of its findings?`)) return;
+    sessionStore.deletePatient(session.meta.patientId);
+  });
+}
+
+function renderHistoryButtons() {
+  const undo = $("sbUndo");
+  const redo = $("sbRedo");
+  if (undo) undo.disabled = !sessionStore.canUndo();
+  if (redo) redo.disabled = !sessionStore.canRedo();
+}
+
+function bindHistory() {
+  const undo = $("sbUndo");
+  const redo = $("sbRedo");
+  if (undo) undo.addEventListener("click", () => sessionStore.undo());
+  if (redo) redo.addEventListener("click", () => sessionStore.redo());
+
+  document.addEventListener("keydown", e => {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    const key = e.key.toLowerCase();
+    if (key !== "z" && key !== "y") return;
+
+    // Text fields keep the browser's own undo for in-progress typing
+    const t = e.target;
+    if (t && (t.tagName === "TEXTAREA" || t.isContentEditable ||
+      (t.tagName === "INPUT" && !["checkbox", "radio", "button"].includes(t.type)))) return;
+
+    e.preventDefault();
+    if (key === "y" || e.shiftKey) sessionStore.redo();
+    else sessionStore.undo();
+  });
+}
+
+// Shows the last value SessionStore rejected; cleared by this tab's next accepted write.
+// A batch reports its rejections after its own session:written, so they stay shown.
+export function bindValidation() {
+  const el = $("sbValidation");
+  if (!el) return;
+
+  window.addEventListener("session:invalid", e => {
+    el.textContent = `Not saved: ${e.detail.error}`;
+    el.hidden = false;
+  });
+  window.addEventListener("session:written", () => {
+    el.hidden = true;
+    el.textContent = "";
+  });
+}
+
+function bindCaseFile() {
+  const exportBtn = $("sbExportCase");
+  const fileInput = $("sbImportFile");
+  const panel = $("sbImportPanel");
+  const summary = $("sbImportSummary");
+  if (!exportBtn || !fileInput || !panel) return;
+
+  let pending = null;
+
+  function showPanel(level, html, canApply) {
+    panel.dataset.level = level;
+    summary.innerHTML = html;
+    $("sbImportMerge").hidden = !canApply;
+    $("sbImportReplace").hidden = !canApply;
+    panel.hidden = false;
+  }
+
+  function closePanel() {
+    pending = null;
+    panel.hidden = true;
+    summary.innerHTML = "";
+    fileInput.value = "";
+  }
+
+  function apply(mode) {
+    if (!pending) return;
+    sessionStore.importSession(pending.session, mode);
+    closePanel();
+  }
+
+  exportBtn.addEventListener("click", () => downloadCaseFile(sessionStore.getSession()));
+  $("sbImportCase").addEventListener("click", () => fileInput.click());
+
+  fileInput.addEventListener("change", async () => {
+    const file = fileInput.files[0];
+    if (!file) return;
+
+    const result = parseCaseFile(await file.text());
+    if (!result.ok) {
+      pending = null;
+      showPanel("danger", `Could not import ${escapeHtml(file.name)}:<ul>${result.errors.map(x => `<li>${escapeHtml(x)}</li>`).join("")}</ul>`, false);
+      return;
+    }
+
+    pending = result;
+    const exported = result.exportedAt ? ` (exported ${new Date(result.exportedAt).toLocaleString()})` : "";
+    const warnings = result.warnings.length
+      ? `<ul>${result.warnings.map(x => `<li>${escapeHtml(x)}</li>`).join("")}</ul>`
+      : "";
+    const active = sessionStore.getSession().meta.activePatientLabel;
+    showPanel(
+      result.warnings.length ? "warn" : "info",
+      `Import <strong>${escapeHtml(result.label)}</strong>${exported} into <strong>${escapeHtml(active)}</strong>?${warnings}`,
+      true
+    );
+  });
+
+  $("sbImportMerge").addEventListener("click", () => apply("merge"));
+  $("sbImportReplace").addEventListener("click", () => apply("replace"));
+  $("sbImportCancel").addEventListener("click", closePanel);
+}
+
+// Storage write failures (e.g. quota exceeded) stay visible until a write succeeds
+function bindStorageStatus() {
+  const el = $("sbStorage");
+  if (!el) return;
+
+  const render = (status) => {
+    el.textContent = status.ok ? "" : status.message;
+    el.hidden = status.ok;
+  };
+  render(sessionStore.getStorageStatus());
+  window.addEventListener("storage:status", e => render(e.detail));
+}
+
+// =====================================
+// LOCK SCREEN
+// =====================================
+
+const LOCK_MODES = {
+  unlock: {
+    title: "Session locked",
+    text: "Patient data in this browser is encrypted. Enter the passphrase to continue.",
+    submit: "Unlock",
+    confirm: false,
+    cancel: false
+  },
+  enable: {
+    title: "Encrypt stored data",
+    text: "Sessions, history and visits will be encrypted in this browser with a key derived from this passphrase. " +
+      "Data cannot be recovered if the passphrase is lost.",
+    submit: "Encrypt",
+    confirm: true,
+    cancel: true
+  },
+  disable: {
+    title: "Remove encryption",
+    text: "Stored data will be decrypted and saved unencrypted in this browser.",
+    submit: "Remove encryption",
+    confirm: false,
+    cancel: true
+  }
+};
+
+// The overlay is the same on every page, so it is built here rather than in each HTML file
+function buildLockScreen() {
+  const el = document.createElement("div");
+  el.className = "lock-screen";
+  el.hidden = true;
+  el.innerHTML = `
+    <form class="card lock-card" id="lockForm">
+      <h2 id="lockTitle"></h2>
+      <div class="small" id="lockText"></div>
+      <label>Passphrase
+        <input type="password" id="lockPassphrase" autocomplete="current-password">
+      </label>
+      <label id="lockConfirmRow">Confirm passphrase
+        <input type="password" id="lockConfirm" autocomplete="new-password">
+      </label>
+      <div class="callout" id="lockError" data-level="danger" role="alert" hidden></div>
+      <div class="btnRow">
+        <button class="primary" type="submit" id="lockSubmit"></button>
+        <button class="ghost" type="button" id="lockCancel">Cancel</button>
+      </div>
+    </form>
+  `;
+  document.body.appendChild(el);
+  return el;
+}
+
+function bindEncryption() {
+  const screen = buildLockScreen();
+  const shell = document.querySelector(".shell");
+  const passphrase = $("lockPassphrase");
+  const confirm = $("lockConfirm");
+  const error = $("lockError");
+  const submit = $("lockSubmit");
+  let mode = null;
+
+  function showError(text) {
+    error.textContent = text;
+    error.hidden = !text;
+  }
+
+  function open(next) {
+    const m = LOCK_MODES[next];
+    mode = next;
+    $("lockTitle").textContent = m.title;
+    $("lockText").textContent = m.text;
+    submit.textContent = m.submit;
+    $("lockConfirmRow").hidden = !m.confirm;
+    $("lockCancel").hidden = !m.cancel;
+    passphrase.autocomplete = m.confirm ? "new-password" : "current-password";
+    passphrase.value = "";
+    confirm.value = "";
+    showError("");
+    screen.hidden = false;
+    if (shell) shell.inert = true;
+    passphrase.focus();
+  }
+
+  function close() {
+    mode = null;
+    passphrase.value = "";
+    confirm.value = "";
+    screen.hidden = true;
+    if (shell) shell.inert = false;
+  }
+
+  function renderButtons() {
+    const lockBtn = $("sbLock");
+    const encBtn = $("sbEncryption");
+    if (lockBtn) lockBtn.hidden = !sessionStore.isEncrypted();
+    if (encBtn) encBtn.textContent = sessionStore.isEncrypted() ? "Remove encryption" : "Encrypt data";
+  }
+
+  $("lockForm").addEventListener("submit", async e => {
+    e.preventDefault();
+    const value = passphrase.value;
+    if (mode === "enable") {
+      if (value.length < MIN_PASSPHRASE_LENGTH) {
+        showError(`Use at least ${MIN_PASSPHRASE_LENGTH} characters.`);
+        return;
+      }
+      if (value !== confirm.value) {
+        showError("Passphrases do not match.");
+        return;
+      }
+    }
+
+    // Key derivation takes a moment; don't let a second submit start another
+    submit.disabled = true;
+    showError("");
+    try {
+      if (mode === "enable") {
+        await sessionStore.enableEncryption(value);
+        close();
+      } else if (await (mode === "unlock" ? sessionStore.unlock(value) : sessionStore.disableEncryption(value))) {
+        close();
+      } else {
+        showError("Incorrect passphrase.");
+        passphrase.select();
+      }
+    } catch (err) {
+      showError(`Could not update encryption: ${err && err.message ? err.message : err}`);
+    } finally {
+      submit.disabled = false;
+    }
+  });
+
+  $("lockCancel").addEventListener("click", close);
+
+  const lockBtn = $("sbLock");
+  const encBtn = $("sbEncryption");
+  if (lockBtn) lockBtn.addEventListener("click", () => sessionStore.lock());
+  if (encBtn) encBtn.addEventListener("click", () => open(sessionStore.isEncrypted() ? "disable" : "enable"));
+
+  window.addEventListener("session:lock", e => {
+    renderButtons();
+    if (e.detail.locked) open("unlock");
+    else if (mode === "unlock") close();
+  });
+
+  renderButtons();
+  if (sessionStore.isLocked()) open("unlock");
+}
+
+// Locks an encrypted session after AUTO_LOCK_MINUTES without input in this tab
+function bindAutoLock() {
+  let timer = null;
+  const arm = () => {
+    clearTimeout(timer);
+    if (!sessionStore.isEncrypted() || sessionStore.isLocked()) return;
+    timer = setTimeout(() => sessionStore.lock(), AUTO_LOCK_MINUTES * 60 * 1000);
+  };
+
+  ["pointerdown", "keydown", "wheel", "touchstart"].forEach(type => {
+    document.addEventListener(type, arm, { passive: true });
+  });
+  window.addEventListener("session:lock", arm);
+  arm();
+}
+
 function renderMeta(session, features) {
-  const sbPatient = $("sbPatient");
   const sbUpdated = $("sbUpdated");
-  if (sbPatient) sbPatient.textContent = session.meta.activePatientLabel || "Untitled";
-  if (sbUpdated) sbUpdated.textContent = `Updated: ${new Date(session.meta.updatedAt).toLocaleString()}`;
+  renderPatients(session);
+  renderHistoryButtons();
+  if (sbUpdated) {
+    sbUpdated.textContent = `Updated: ${new Date(session.meta.updatedAt).toLocaleString()}`;
+
+    // What loading the session couldn't carry over: a newer schema, fields this schema
+    // doesn't know, and fields whose stored values failed validation
+    const report = sessionStore.getLoadReport();
+    const notes = report ? [
+      report.fromVersion > report.toVersion ? `saved by a newer version (schema ${report.fromVersion})` : "",
+      report.unknown.length ? `${report.unknown.length} unrecognized field(s) ignored` : "",
+      report.invalid.length ? `${report.invalid.length} invalid field(s) reset` : ""
+    ].filter(Boolean) : [];
+    if (notes.length) {
+      sbUpdated.textContent += ` · ${notes.join(" · ")}`;
+      sbUpdated.title = [...report.unknown, ...report.invalid].join(", ");
+    } else {
+      sbUpdated.removeAttribute("title");
+    }
+  }
 
   // Pupil pattern elements (may not exist on all pages)
   const sbAnisL = $("sbAnisL");
@@ -196,20 +750,50 @@ export function initSidebar(activePageHref) {
   // Reset button
   $("sbReset").addEventListener("click", () => sessionStore.reset());
 
+  // Undo / redo
+  bindHistory();
+
+  // Rejected field values and storage failures
+  bindValidation();
+  bindStorageStatus();
+
+  // Case file export / import
+  bindCaseFile();
+
+  // Patient list
+  bindPatientSwitcher();
+
+  // Acknowledge / dismiss urgency alerts
+  bindAlerts();
+
+  // Counterfactuals for a picked diagnosis
+  bindWhatIf();
+
+  // Encryption at rest: lock screen, lock button, idle lock
+  bindEncryption();
+  bindAutoLock();
+
   // Initial render
   const session = sessionStore.getSession();
-  const { features, differential, urgency, testingRecommendations } = compute(session);
+  const { features, differential, urgency, alerts, testingRecommendations, consistency } = compute(session);
   renderMeta(session, features);
-  setCallout(urgency.level, urgency.text);
+  renderAlerts(session, alerts, urgency);
+  renderConsistency(consistency);
   renderDx(differential);
+  renderExplorations(session, differential);
   renderTestingRecommendations(testingRecommendations);
 
+  // References arrive after the first render
+  whenEvidenceLoaded().then(() => renderDx(compute(sessionStore.getSession()).differential));
+
   // Subscribe to updates from any module
   sessionStore.subscribe((s) => {
     const out = compute(s);
     renderMeta(s, out.features);
-    setCallout(out.urgency.level, out.urgency.text);
+    renderAlerts(s, out.alerts, out.urgency);
+    renderConsistency(out.consistency);
     renderDx(out.differential);
+    scheduleExplorations(s, out.differential);
     renderTestingRecommendations(out.testingRecommendations);
   });
 }
@@ -0,0 +1,527 @@
+// js/storage.js
+// Storage layer under SessionStore. SessionStore reads and writes a synchronous
+// in-memory cache; the cache flushes changed keys to a backend adapter (IndexedDB,
+// or localStorage where IndexedDB is unavailable) after a short debounce, and
+// reports write failures such as an exhausted quota instead of throwing mid-edit.
+// With encryption enabled, values are sealed with AES-GCM on their way to the
+// backend and the cache stays empty until the passphrase unlocks it.
+
+const KEY_PREFIX = "neuro_ophtho_";
+const WRITE_DEBOUNCE_MS = 400;
+const IDB_NAME = "neuro_ophtho";
+const IDB_STORE = "kv";
+const IDB_OPEN_TIMEOUT_MS = 3000;
+const CHANNEL_NAME = "neuro_ophtho_storage";
+// Each backend records when it last wrote each key, { [key]: ms }, so leftovers from a
+// localStorage fallback can be reconciled with IndexedDB by which write is newer
+const WRITTEN_KEY = `${KEY_PREFIX}written_v1`;
+
+// Encryption settings live unencrypted under their own key: { salt, iterations, verifier }
+export const CRYPTO_KEY = `${KEY_PREFIX}crypto_v1`;
+const PBKDF2_ITERATIONS = 600000;
+const VERIFIER_TEXT = "neuro-ophtho-assistant";
+
+function isQuotaError(err) {
+  return !!err && (
+    err.name === "QuotaExceededError" ||
+    err.name === "NS_ERROR_DOM_QUOTA_REACHED" ||
+    err.code === 22 || err.code === 1014
+  );
+}
+
+// =====================================
+// ENCRYPTION
+// =====================================
+
+function bytesToBase64(bytes) {
+  let bin = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(bin);
+}
+
+function base64ToBytes(b64) {
+  return Uint8Array.from(atob(b64), c => c.charCodeAt(0));
+}
+
+async function deriveKey(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey(
+    "raw", new TextEncoder().encode(passphrase), "PBKDF2", false, ["deriveKey"]
+  );
+  return crypto.subtle.deriveKey(
+    { name: "PBKDF2", salt, iterations, hash: "SHA-256" },
+    material,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"]
+  );
+}
+
+// Sealed values are JSON: { enc: 1, iv, ct } with base64 fields
+async function seal(key, plaintext) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const ct = await crypto.subtle.encrypt({ name: "AES-GCM", iv }, key, new TextEncoder().encode(plaintext));
+  return JSON.stringify({ enc: 1, iv: bytesToBase64(iv), ct: bytesToBase64(new Uint8Array(ct)) });
+}
+
+async function unseal(key, sealed) {
+  const { iv, ct } = JSON.parse(sealed);
+  const pt = await crypto.subtle.decrypt({ name: "AES-GCM", iv: base64ToBytes(iv) }, key, base64ToBytes(ct));
+  return new TextDecoder().decode(pt);
+}
+
+function parseCryptoSettings(raw) {
+  try {
+    const settings = JSON.parse(raw || "null");
+    return settings && settings.salt && settings.verifier ? settings : null;
+  } catch {
+    return null;
+  }
+}
+
+// Resolves to the key, or null when the passphrase doesn't match the verifier
+async function keyFromPassphrase(settings, passphrase) {
+  const key = await deriveKey(passphrase, base64ToBytes(settings.salt), settings.iterations);
+  try {
+    return (await unseal(key, settings.verifier)) === VERIFIER_TEXT ? key : null;
+  } catch {
+    return null;
+  }
+}
+
+// =====================================
+// ADAPTERS
+// =====================================
+// An adapter loads every app key as a Map and applies batches of
+// [key, value] changes, where a null value deletes the key.
+
+function parseWriteTimes(raw) {
+  try {
+    const times = JSON.parse(raw || "null");
+    return times && typeof times === "object" ? times : {};
+  } catch {
+    return {};
+  }
+}
+
+// Deletions are stamped too, so a newer delete beats an older value elsewhere
+function stampWrites(raw, keys) {
+  const times = parseWriteTimes(raw);
+  const now = Date.now();
+  keys.forEach(key => { times[key] = now; });
+  return JSON.stringify(times);
+}
+
+class LocalStorageAdapter {
+  constructor() {
+    this.name = "localStorage";
+  }
+
+  async loadAll() {
+    const entries = new Map();
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i);
+      if (key && key.startsWith(KEY_PREFIX) && key !== WRITTEN_KEY) entries.set(key, localStorage.getItem(key));
+    }
+    return entries;
+  }
+
+  async loadWriteTimes() {
+    return parseWriteTimes(localStorage.getItem(WRITTEN_KEY));
+  }
+
+  async writeMany(changes) {
+    const written = [];
+    try {
+      changes.forEach(([key, value]) => {
+        if (value === null) localStorage.removeItem(key);
+        else localStorage.setItem(key, value);
+        written.push(key);
+      });
+    } finally {
+      // Stamp what did land, even when the quota stopped the batch part way
+      if (written.length) localStorage.setItem(WRITTEN_KEY, stampWrites(localStorage.getItem(WRITTEN_KEY), written));
+    }
+  }
+
+  async clear() {
+    const entries = await this.loadAll();
+    entries.forEach((_, key) => localStorage.removeItem(key));
+    localStorage.removeItem(WRITTEN_KEY);
+  }
+}
+
+function requestToPromise(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+class IndexedDBAdapter {
+  constructor(db) {
+    this.name = "IndexedDB";
+    this._db = db;
+  }
+
+  // Once the caller has fallen back to localStorage, a database that opens late is
+  // closed so it can't hold up another tab's upgrade
+  static open() {
+    return new Promise((resolve, reject) => {
+      let settled = false;
+      const fail = (err) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        reject(err);
+      };
+      const timer = setTimeout(() => fail(new Error("IndexedDB open timed out")), IDB_OPEN_TIMEOUT_MS);
+      const req = indexedDB.open(IDB_NAME, 1);
+      req.onupgradeneeded = () => req.result.createObjectStore(IDB_STORE);
+      req.onsuccess = () => {
+        if (settled) {
+          req.result.close();
+          return;
+        }
+        settled = true;
+        clearTimeout(timer);
+        resolve(new IndexedDBAdapter(req.result));
+      };
+      req.onerror = () => fail(req.error);
+      req.onblocked = () => fail(new Error("IndexedDB open blocked by another tab"));
+    });
+  }
+
+  async loadAll() {
+    const store = this._db.transaction(IDB_STORE, "readonly").objectStore(IDB_STORE);
+    const [keys, values] = await Promise.all([
+      requestToPromise(store.getAllKeys()),
+      requestToPromise(store.getAll())
+    ]);
+    const entries = new Map(keys.map((key, i) => [key, values[i]]));
+    entries.delete(WRITTEN_KEY);
+    return entries;
+  }
+
+  async loadWriteTimes() {
+    const store = this._db.transaction(IDB_STORE, "readonly").objectStore(IDB_STORE);
+    return parseWriteTimes(await requestToPromise(store.get(WRITTEN_KEY)));
+  }
+
+  writeMany(changes) {
+    return new Promise((resolve, reject) => {
+      const tx = this._db.transaction(IDB_STORE, "readwrite");
+      const store = tx.objectStore(IDB_STORE);
+      changes.forEach(([key, value]) => {
+        if (value === null) store.delete(key);
+        else store.put(value, key);
+      });
+      // Same transaction, so the stamps commit or abort with the values
+      const times = store.get(WRITTEN_KEY);
+      times.onsuccess = () => store.put(stampWrites(times.result, changes.map(([key]) => key)), WRITTEN_KEY);
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error("IndexedDB write aborted"));
+    });
+  }
+}
+
+// =====================================
+// CACHED STORAGE
+// =====================================
+
+class CachedStorage {
+  constructor(adapter, entries) {
+    this.adapter = adapter;
+    this._crypto = parseCryptoSettings(entries.get(CRYPTO_KEY));
+    this._key = null;
+    entries.delete(CRYPTO_KEY);
+    // Encrypted data isn't readable until unlock() re-reads it with the key
+    this._cache = this._crypto ? new Map() : entries;
+    this._dirty = new Set();
+    // Unsaved writes caught by another tab turning encryption on, kept until unlock() can seal them
+    this._held = new Map();
+    this._timer = null;
+    this._flushing = null;
+    this._status = { ok: true, adapter: adapter.name, quota: false, message: "" };
+    this._listeners = new Set();
+
+    // Other tabs share the backend but not this cache, so every write is
+    // announced immediately rather than after the debounced flush
+    this._channel = typeof BroadcastChannel === "function" ? new BroadcastChannel(CHANNEL_NAME) : null;
+    if (this._channel) {
+      this._channel.addEventListener("message", e => this._applyRemote(e.data.key, e.data.value));
+    } else if (adapter instanceof LocalStorageAdapter) {
+      window.addEventListener("storage", async e => {
+        if (!e.key || !e.key.startsWith(KEY_PREFIX) || e.key === WRITTEN_KEY) return;
+        if (e.key === CRYPTO_KEY || !this._key || e.newValue === null) {
+          this._applyRemote(e.key, e.newValue);
+          return;
+        }
+        try {
+          this._applyRemote(e.key, await unseal(this._key, e.newValue));
+        } catch {
+          // Written under a different key; picked up on the next unlock
+        }
+      });
+    }
+
+    // Don't lose the last debounce window when the page goes away
+    window.addEventListener("pagehide", () => this.flush());
+    document.addEventListener("visibilitychange", () => {
+      if (document.visibilityState === "hidden") this.flush();
+    });
+  }
+
+  getItem(key) {
+    return this._cache.has(key) ? this._cache.get(key) : null;
+  }
+
+  // Writes while locked are dropped; SessionStore doesn't write in that state
+  setItem(key, value) {
+    if (this.isLocked()) return;
+    const str = String(value);
+    if (this._cache.get(key) === str) return;
+    this._cache.set(key, str);
+    this._changed(key, str);
+  }
+
+  removeItem(key) {
+    if (this.isLocked() || !this._cache.has(key)) return;
+    this._cache.delete(key);
+    this._changed(key, null);
+  }
+
+  // fn(key) runs when another tab changes a key
+  onRemoteChange(fn) {
+    this._listeners.add(fn);
+    return () => this._listeners.delete(fn);
+  }
+
+  status() {
+    return { ...this._status };
+  }
+
+  isEncrypted() {
+    return !!this._crypto;
+  }
+
+  isLocked() {
+    return !!this._crypto && !this._key;
+  }
+
+  // Resolves to false when the passphrase is wrong
+  async unlock(passphrase) {
+    if (!this._crypto) return true;
+    const key = await keyFromPassphrase(this._crypto, passphrase);
+    if (!key) return false;
+
+    // Re-read the backend: other tabs may have written since this one loaded
+    const entries = await this.adapter.loadAll();
+    entries.delete(CRYPTO_KEY);
+    const cache = new Map();
+    const unreadable = [];
+    await Promise.all([...entries].map(async ([k, sealed]) => {
+      try {
+        cache.set(k, await unseal(key, sealed));
+      } catch {
+        unreadable.push(k);
+      }
+    }));
+    this._cache = cache;
+    this._key = key;
+    this._restore(this._held);
+    this._held = new Map();
+    if (unreadable.length) {
+      this._setStatus({
+        ok: false,
+        quota: false,
+        message: `Could not decrypt ${unreadable.length} saved item${unreadable.length === 1 ? "" : "s"}; ${unreadable.length === 1 ? "it was" : "they were"} left out of the session.`
+      });
+    }
+    return true;
+  }
+
+  // Persists pending writes, then drops the key and every decrypted value
+  async lock() {
+    if (!this._crypto || !this._key) return;
+    await this.flush();
+    this._key = null;
+    this._cache = new Map();
+    this._dirty.clear();
+  }
+
+  async enableEncryption(passphrase) {
+    if (this._crypto) throw new Error("Encryption is already enabled.");
+    await this.flush();
+
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+    const settings = {
+      salt: bytesToBase64(salt),
+      iterations: PBKDF2_ITERATIONS,
+      verifier: await seal(key, VERIFIER_TEXT)
+    };
+    const sealed = await Promise.all([...this._cache].map(async ([k, v]) => [k, await seal(key, v)]));
+    const raw = JSON.stringify(settings);
+    await this.adapter.writeMany([...sealed, [CRYPTO_KEY, raw]]);
+
+    this._crypto = settings;
+    this._key = key;
+    if (this._channel) this._channel.postMessage({ key: CRYPTO_KEY, value: raw });
+  }
+
+  // Rewrites everything in plaintext; resolves to false when the passphrase is wrong
+  async disableEncryption(passphrase) {
+    if (!this._crypto) return true;
+    if (this.isLocked()) {
+      if (!(await this.unlock(passphrase))) return false;
+    } else {
+      if (!(await keyFromPassphrase(this._crypto, passphrase))) return false;
+      await this.flush();
+    }
+
+    await this.adapter.writeMany([...this._cache, [CRYPTO_KEY, null]]);
+    this._crypto = null;
+    this._key = null;
+    if (this._channel) this._channel.postMessage({ key: CRYPTO_KEY, value: null });
+    return true;
+  }
+
+  _changed(key, value) {
+    this._dirty.add(key);
+    if (this._channel) this._channel.postMessage({ key, value });
+    this._scheduleFlush();
+  }
+
+  _applyRemote(key, value) {
+    if (key === CRYPTO_KEY) {
+      this._onRemoteCrypto(value);
+      return;
+    }
+    if (this.isLocked()) return;
+    if (value === null) this._cache.delete(key);
+    else this._cache.set(key, value);
+    // The other tab owns persisting its own write
+    this._dirty.delete(key);
+    this._listeners.forEach(fn => fn(key));
+  }
+
+  // Another tab turned encryption on (this tab locks) or off (this tab reloads plaintext).
+  // Writes still waiting for the debounce are carried over: written in plaintext once
+  // encryption is off, or held until unlock() when it is on, as they can't be sealed without the key.
+  async _onRemoteCrypto(raw) {
+    clearTimeout(this._timer);
+    this._timer = null;
+    if (this._flushing) await this._flushing;
+    const pending = new Map([...this._dirty].map(k => [k, this.getItem(k)]));
+    this._dirty.clear();
+
+    this._crypto = parseCryptoSettings(raw);
+    this._key = null;
+    if (this._crypto) {
+      this._cache = new Map();
+      pending.forEach((value, k) => this._held.set(k, value));
+    } else {
+      const entries = await this.adapter.loadAll();
+      entries.delete(CRYPTO_KEY);
+      this._cache = entries;
+      this._restore(pending);
+    }
+    this._listeners.forEach(fn => fn(CRYPTO_KEY));
+  }
+
+  // Puts carried-over writes back in the cache and schedules them
+  _restore(pending) {
+    pending.forEach((value, key) => {
+      if (value === null) this._cache.delete(key);
+      else this._cache.set(key, value);
+      this._dirty.add(key);
+    });
+    if (pending.size) this._scheduleFlush();
+  }
+
+  _scheduleFlush() {
+    clearTimeout(this._timer);
+    this._timer = setTimeout(() => this.flush(), WRITE_DEBOUNCE_MS);
+  }
+
+  // Writes every dirty key; keys that fail stay dirty and are retried on the next change
+  async flush() {
+    clearTimeout(this._timer);
+    this._timer = null;
+    if (this._flushing) await this._flushing;
+    if (!this._dirty.size) return;
+
+    const keys = [...this._dirty];
+    this._dirty.clear();
+    const cryptoKey = this._key;
+    const sealIfNeeded = (value) => (value === null || !cryptoKey) ? value : seal(cryptoKey, value);
+
+    this._flushing = Promise.all(keys.map(async k => [k, await sealIfNeeded(this.getItem(k))]))
+      .then(changes => this.adapter.writeMany(changes))
+      .then(() => this._setStatus({ ok: true, quota: false, message: "" }))
+      .catch(err => {
+        keys.forEach(key => this._dirty.add(key));
+        const quota = isQuotaError(err);
+        this._setStatus({
+          ok: false,
+          quota,
+          message: quota
+            ? `Browser storage is full (${this.adapter.name}); recent changes are kept in this tab only. Export cases or delete old patients/visits to free space.`
+            : `Could not save to ${this.adapter.name}: ${err && err.message ? err.message : err}`
+        });
+      })
+      .finally(() => { this._flushing = null; });
+    await this._flushing;
+  }
+
+  _setStatus(next) {
+    const changed = next.ok !== this._status.ok || next.message !== this._status.message;
+    this._status = { ...this._status, ...next };
+    if (!changed) return;
+    window.dispatchEvent(new CustomEvent("storage:status", { detail: this.status() }));
+  }
+}
+
+// Whatever is left in localStorage (the data from before IndexedDB was first used, or
+// writes from a session that fell back) is merged into IndexedDB key by key, keeping
+// whichever side wrote last; unstamped data counts as oldest, with localStorage winning ties.
+async function reconcileLocal(idb, local) {
+  const [entries, idbTimes, leftovers, localTimes] = await Promise.all([
+    idb.loadAll(), idb.loadWriteTimes(), local.loadAll(), local.loadWriteTimes()
+  ]);
+  const keys = new Set([...leftovers.keys(), ...Object.keys(localTimes)]);
+  if (!keys.size) return entries;
+
+  const changes = [];
+  keys.forEach(key => {
+    const value = leftovers.has(key) ? leftovers.get(key) : null;
+    const newer = (localTimes[key] || 0) >= (idbTimes[key] || 0);
+    if (!newer || value === (entries.has(key) ? entries.get(key) : null)) return;
+    changes.push([key, value]);
+    if (value === null) entries.delete(key);
+    else entries.set(key, value);
+  });
+  if (changes.length) await idb.writeMany(changes);
+  await local.clear();
+  return entries;
+}
+
+// Picks IndexedDB when it opens, otherwise localStorage. Each time IndexedDB is
+// picked, localStorage leftovers are reconciled into it and cleared.
+export async function openStorage() {
+  const local = new LocalStorageAdapter();
+
+  if (typeof indexedDB !== "undefined") {
+    try {
+      const idb = await IndexedDBAdapter.open();
+      return new CachedStorage(idb, await reconcileLocal(idb, local));
+    } catch {
+      // Private browsing or a blocked upgrade: fall back to localStorage
+    }
+  }
+
+  return new CachedStorage(local, await local.loadAll());
+}
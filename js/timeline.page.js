@@ -0,0 +1,245 @@
+// js/timeline.page.js
+import { sessionStore, escapeHtml } from "./common.js";
+import { initSidebar } from "./sidebar.js";
+import {
+  snapshotVisit, buildTimeline, todayISODate, urgencySeverity,
+  diffSnapshots, describeDxChange, diffSummaryText, fmtValue
+} from "./visits.js";
+
+const $ = (id) => document.getElementById(id);
+
+function fmtDate(iso) {
+  // Visit dates are calendar dates; parse as local so they don't shift by timezone
+  const [y, m, d] = String(iso).split("-").map(Number);
+  if (!y || !m || !d) return iso || "—";
+  return new Date(y, m - 1, d).toLocaleDateString();
+}
+
+function changedClass(values, i) {
+  return i > 0 && values[i] !== values[i - 1] ? " tl-changed" : "";
+}
+
+function rankCell(ranks, i) {
+  const rank = ranks[i];
+  const prev = i > 0 ? ranks[i - 1] : undefined;
+  let trend = "";
+  if (i > 0 && rank !== prev) {
+    if (prev === null) trend = "new";
+    else if (rank === null) trend = "dropped";
+    else trend = rank < prev ? "up" : "down";
+  }
+  const arrow = { up: " ▲", down: " ▼", new: " ●", dropped: "" }[trend] || "";
+  return `<td class="tl-rank${changedClass(ranks, i)}" data-trend="${trend}">${rank === null ? "—" : `#${rank}`}${arrow}</td>`;
+}
+
+function urgencyCell(urgency, i) {
+  const u = urgency[i];
+  let trend = "";
+  if (i > 0) {
+    const diff = urgencySeverity(u.level) - urgencySeverity(urgency[i - 1].level);
+    trend = diff > 0 ? "worse" : diff < 0 ? "better" : "";
+  }
+  return `<td class="tl-urgency" data-level="${u.level}" data-trend="${trend}" title="${escapeHtml(u.text)}">${u.level === "none" ? "—" : u.level}</td>`;
+}
+
+function renderTimeline() {
+  const wrap = $("tlTimeline");
+  const visits = sessionStore.listVisits();
+
+  if (!visits.length) {
+    wrap.innerHTML = `<div class="callout" data-level="info">No visits recorded for this patient yet. Enter findings in any module, then record a visit above.</div>`;
+    return;
+  }
+
+  const t = buildTimeline(visits);
+  const header = t.visits.map(v => `
+    <th>
+      <div class="tl-date">${escapeHtml(fmtDate(v.date))}</div>
+      ${v.note ? `<div class="tl-visitNote">${escapeHtml(v.note)}</div>` : ""}
+      <div class="btnRow btnRow--compact">
+        <button class="ghost" data-load="${v.id}" title="Replace the current findings with this visit">Load</button>
+        <button class="ghost" data-delete="${v.id}">Delete</button>
+      </div>
+    </th>`).join("");
+
+  const findingRows = t.findings.map(row => `
+    <tr>
+      <th scope="row">${row.label}</th>
+      ${row.values.map((x, i) => `<td class="${changedClass(row.values, i).trim()}">${escapeHtml(x)}</td>`).join("")}
+    </tr>`).join("");
+
+  const urgencyRow = `
+    <tr>
+      <th scope="row">Urgency</th>
+      ${t.urgency.map((_, i) => urgencyCell(t.urgency, i)).join("")}
+    </tr>`;
+
+  const dxRows = t.dx.length
+    ? t.dx.map(d => `
+    <tr>
+      <th scope="row">${escapeHtml(d.name)}</th>
+      ${d.ranks.map((_, i) => rankCell(d.ranks, i)).join("")}
+    </tr>`).join("")
+    : `<tr><th scope="row" class="small">No scored differentials</th>${t.visits.map(() => "<td>—</td>").join("")}</tr>`;
+
+  wrap.innerHTML = `
+    <div class="tl-scroll">
+      <table class="tl-table">
+        <thead><tr><th></th>${header}</tr></thead>
+        <tbody>
+          <tr class="tl-section"><th colspan="${t.visits.length + 1}">Findings</th></tr>
+          ${findingRows}
+          ${urgencyRow}
+          <tr class="tl-section"><th colspan="${t.visits.length + 1}">Differential rank</th></tr>
+          ${dxRows}
+        </tbody>
+      </table>
+    </div>
+  `;
+}
+
+// =====================================
+// COMPARE
+// =====================================
+
+const CURRENT = "current";
+
+function visitLabel(v) {
+  return v.note ? `${fmtDate(v.date)} — ${v.note}` : fmtDate(v.date);
+}
+
+function compareOptions(visits) {
+  return [
+    ...visits.map(v => ({ value: v.id, label: visitLabel(v) })),
+    { value: CURRENT, label: "Current findings" }
+  ];
+}
+
+function fillSelect(sel, options, fallback) {
+  const previous = sel.value;
+  sel.innerHTML = options.map(o => `<option value="${o.value}">${escapeHtml(o.label)}</option>`).join("");
+  sel.value = options.some(o => o.value === previous) ? previous : fallback;
+}
+
+function resolveSnapshot(value) {
+  if (value === CURRENT) return { label: "current findings", snapshot: snapshotVisit(sessionStore.getSession()) };
+  const visit = sessionStore.getVisit(value);
+  return visit ? { label: fmtDate(visit.date), snapshot: visit } : null;
+}
+
+function currentDiff() {
+  const from = resolveSnapshot($("tlCompareFrom").value);
+  const to = resolveSnapshot($("tlCompareTo").value);
+  if (!from || !to) return null;
+  return { from, to, diff: diffSnapshots(from.snapshot, to.snapshot) };
+}
+
+function renderCompare() {
+  const visits = sessionStore.listVisits();
+  const wrap = $("tlDiff");
+  const options = compareOptions(visits);
+  fillSelect($("tlCompareFrom"), options, visits.length ? visits[visits.length - 1].id : CURRENT);
+  fillSelect($("tlCompareTo"), options, CURRENT);
+  $("tlCopyDiff").disabled = !visits.length;
+
+  if (!visits.length) {
+    wrap.innerHTML = `<div class="small">Record at least one visit to compare against.</div>`;
+    return;
+  }
+
+  const result = currentDiff();
+  if (!result) {
+    wrap.innerHTML = "";
+    return;
+  }
+  const { fields, dx } = result.diff;
+
+  const fieldList = fields.length
+    ? `<ul>${fields.map(f => `
+        <li>${escapeHtml(f.label)}: <span class="tl-from">${escapeHtml(fmtValue(f.before))}</span> → <strong>${escapeHtml(fmtValue(f.after))}</strong></li>`).join("")}
+      </ul>`
+    : `<div class="small">No findings changed.</div>`;
+
+  const dxList = dx.length
+    ? `<ul>${dx.map(d => `
+        <li class="tl-diffDx" data-change="${d.change}">
+          <span class="tl-dxLine">${escapeHtml(describeDxChange(d))}</span>
+          ${(d.addedWhy.length || d.removedWhy.length) ? `<ul class="tl-why">
+            ${d.addedWhy.map(w => `<li data-kind="added">+ ${escapeHtml(w)}</li>`).join("")}
+            ${d.removedWhy.map(w => `<li data-kind="removed">− ${escapeHtml(w)}</li>`).join("")}
+          </ul>` : ""}
+        </li>`).join("")}
+      </ul>`
+    : `<div class="small">Differential unchanged.</div>`;
+
+  wrap.innerHTML = `
+    <div class="tl-diff">
+      <div>
+        <h3>Findings</h3>
+        ${fieldList}
+      </div>
+      <div>
+        <h3>Differential</h3>
+        ${dxList}
+      </div>
+    </div>
+  `;
+}
+
+function bind() {
+  $("tlDate").value = todayISODate();
+
+  $("tlRecord").addEventListener("click", () => {
+    const visit = snapshotVisit(sessionStore.getSession(), {
+      date: $("tlDate").value || todayISODate(),
+      note: $("tlNote").value
+    });
+    sessionStore.addVisit(visit);
+    $("tlNote").value = "";
+  });
+
+  $("tlCompareFrom").addEventListener("change", renderCompare);
+  $("tlCompareTo").addEventListener("change", renderCompare);
+  $("tlCopyDiff").addEventListener("click", async () => {
+    const result = currentDiff();
+    if (!result) return;
+    const btn = $("tlCopyDiff");
+    try {
+      await navigator.clipboard.writeText(diffSummaryText(result.diff, result.from.label, result.to.label));
+      btn.textContent = "Copied";
+    } catch {
+      btn.textContent = "Copy failed";
+    }
+    setTimeout(() => { btn.textContent = "Copy summary"; }, 1500);
+  });
+
+  // Visit buttons are re-rendered with the table, so delegate from the wrapper
+  $("tlTimeline").addEventListener("click", e => {
+    const loadId = e.target.dataset.load;
+    const deleteId = e.target.dataset.delete;
+
+    if (loadId) {
+      const visit = sessionStore.getVisit(loadId);
+      if (visit) sessionStore.importSession(visit.session, "replace");
+    }
+    if (deleteId) {
+      const visit = sessionStore.getVisit(deleteId);
+      if (visit && window.confirm(`Delete the visit from ${fmtDate(visit.date)}?`)) sessionStore.deleteVisit(deleteId);
+    }
+  });
+}
+
+function syncFromSession(session) {
+  $("tlPatient").textContent = session.meta.activePatientLabel;
+  renderTimeline();
+  renderCompare();
+}
+
+function init() {
+  initSidebar("./timeline.html");
+  bind();
+  syncFromSession(sessionStore.getSession());
+  sessionStore.subscribe((s) => syncFromSession(s));
+}
+
+init();
@@ -0,0 +1,52 @@
+// js/tri-state.js
+// Checkboxes for signs that can be present (true), documented absent (false) or not
+// examined (null). Clicking cycles not examined → present → absent → not examined; the
+// unchecked box is shown indeterminate until the sign has been looked for.
+
+const NEXT_STATE = new Map([[null, true], [true, false], [false, null]]);
+const STATE_NAMES = new Map([[true, "present"], [false, "absent"], [null, "unexamined"]]);
+const STATE_TITLES = {
+  present: "Present (click to mark absent)",
+  absent: "Documented absent (click to clear)",
+  unexamined: "Not examined (click to mark present)"
+};
+
+function asTriState(value) {
+  return value === true || value === false ? value : null;
+}
+
+export function getTriState(input) {
+  return { present: true, absent: false }[input.dataset.tri] ?? null;
+}
+
+export function setTriState(input, value) {
+  const state = STATE_NAMES.get(asTriState(value));
+  input.checked = state === "present";
+  input.indeterminate = state === "unexamined";
+  input.dataset.tri = state;
+
+  const label = input.closest("label");
+  if (label) {
+    label.dataset.tri = state;
+    label.title = STATE_TITLES[state];
+  }
+}
+
+// `onChange` receives the new value (true, false or null)
+export function bindTriState(input, onChange) {
+  const label = input.closest("label");
+  if (label && !label.querySelector(".tri-tag")) {
+    const tag = document.createElement("span");
+    tag.className = "tri-tag";
+    tag.textContent = "absent";
+    label.appendChild(tag);
+  }
+  if (!input.dataset.tri) setTriState(input, null);
+
+  // The browser has already toggled `checked`; replace that with the next state in the cycle
+  input.addEventListener("change", () => {
+    const next = NEXT_STATE.get(getTriState(input));
+    setTriState(input, next);
+    onChange(next);
+  });
+}
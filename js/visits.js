@@ -0,0 +1,213 @@
+// js/visits.js
+// Visit snapshots and the timeline built from them
+import { compute } from "./engine.js";
+import { diagnosisId, getDiagnosis } from "./dx-registry.js";
+
+// How many top-ranked diagnoses per visit make it into the timeline
+const TIMELINE_DX_DEPTH = 5;
+
+const URGENCY_ORDER = ["none", "info", "warn", "danger", "critical"];
+
+export function todayISODate() {
+  const d = new Date();
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+// Freezes the session and the engine's reading of it under a visit date
+export function snapshotVisit(session, { date = todayISODate(), note = "" } = {}) {
+  const { features, differential, urgency, alerts, testingRecommendations } = compute(session);
+  return {
+    date,
+    note: String(note || "").trim(),
+    session,
+    engine: { features, differential, urgency, alerts, testingRecommendations }
+  };
+}
+
+// Snapshots saved before diagnoses had ids carry only names; the registry's aliases map
+// those (and duplicate entries since merged) onto the same diagnosis
+function dxKey(d) {
+  return d.id || diagnosisId(d.name) || d.name;
+}
+
+function dxLabel(key, fallback) {
+  const dx = getDiagnosis(key);
+  return dx ? dx.name : fallback;
+}
+
+function fmtMm(x) {
+  return (x === null || x === undefined) ? "—" : `${Number(x).toFixed(1)} mm`;
+}
+
+// Rows of per-visit values, oldest visit first:
+// { visits, findings: [{ label, values }], urgency: [{ level, text }], dx: [{ name, category, ranks }] }
+export function buildTimeline(visits) {
+  const findings = [
+    { label: "Anisocoria (light)", get: v => fmtMm(v.engine.features.anisL) },
+    { label: "Anisocoria (dark)", get: v => fmtMm(v.engine.features.anisD) },
+    { label: "RAPD OD", get: v => v.session.pupils.rapdOD || "—" },
+    { label: "RAPD OS", get: v => v.session.pupils.rapdOS || "—" }
+  ].map(row => ({ label: row.label, values: visits.map(row.get) }));
+
+  // Visits recorded before alerts were listed carry only the banner
+  const urgency = visits.map(v => ({
+    level: v.engine.urgency.level,
+    text: v.engine.alerts && v.engine.alerts.length
+      ? v.engine.alerts.map(a => a.text).join("\n")
+      : v.engine.urgency.text
+  }));
+
+  // Every diagnosis that reached the top ranks at any visit, with its rank at each
+  const dxByKey = new Map();
+  visits.forEach(v => {
+    v.engine.differential.slice(0, TIMELINE_DX_DEPTH).forEach(d => {
+      const key = dxKey(d);
+      if (!dxByKey.has(key)) dxByKey.set(key, { id: key, name: dxLabel(key, d.name), category: d.category });
+    });
+  });
+  const dx = [...dxByKey.values()].map(d => ({
+    ...d,
+    ranks: visits.map(v => {
+      const idx = v.engine.differential.findIndex(x => dxKey(x) === d.id);
+      return idx === -1 ? null : idx + 1;
+    })
+  }));
+
+  // Order by the latest visit's rank, unranked last
+  const last = visits.length - 1;
+  dx.sort((a, b) => (a.ranks[last] ?? Infinity) - (b.ranks[last] ?? Infinity));
+
+  return { visits, findings, urgency, dx };
+}
+
+export function urgencySeverity(level) {
+  return URGENCY_ORDER.indexOf(level);
+}
+
+// =====================================
+// VISIT DIFF
+// =====================================
+
+const SECTION_LABELS = {
+  demographics: "Demographics",
+  history: "History",
+  triage: "Triage",
+  pupils: "Pupils",
+  opticNerve: "Optic nerve",
+  eom: "EOM",
+  visualFields: "Visual fields",
+  nystagmus: "Nystagmus"
+};
+
+const ACRONYMS = { rapd: "RAPD", od: "OD", os: "OS", va: "VA", sx: "Sx", rxn: "reaction", bmi: "BMI" };
+
+// "rapdOD" -> "RAPD OD", "abductionDeficit" -> "abduction deficit"
+function humanizeField(field) {
+  return field
+    .replace(/([a-z])([A-Z])/g, "$1 $2")
+    .replace(/([A-Z]+)([A-Z][a-z])/g, "$1 $2")
+    .split(" ")
+    .map(w => ACRONYMS[w.toLowerCase()] || w.toLowerCase())
+    .join(" ");
+}
+
+export function fieldLabel(path) {
+  const [section, field] = path.split(".");
+  return `${SECTION_LABELS[section] || section}: ${humanizeField(field)}`;
+}
+
+export function fmtValue(v) {
+  if (v === null || v === undefined || v === "") return "—";
+  if (Array.isArray(v)) return v.length ? v.join(", ") : "none";
+  return String(v);
+}
+
+// Field-by-field and differential changes between two snapshots ({ session, engine }).
+// Returns { fields: [{ path, label, before, after }], dx: [{ id, name, category, beforeRank,
+// afterRank, change, addedWhy, removedWhy }] } where change is new/dropped/up/down/same.
+export function diffSnapshots(before, after) {
+  const fields = [];
+  Object.keys(SECTION_LABELS).forEach(section => {
+    const a = before.session[section] || {};
+    const b = after.session[section] || {};
+    new Set([...Object.keys(a), ...Object.keys(b)]).forEach(field => {
+      if (JSON.stringify(a[field]) === JSON.stringify(b[field])) return;
+      const path = `${section}.${field}`;
+      fields.push({ path, label: fieldLabel(path), before: a[field], after: b[field] });
+    });
+  });
+
+  // Keyed by diagnosis; an older snapshot listing one diagnosis twice keeps its best rank
+  const rankOf = (differential) => {
+    const ranks = new Map();
+    differential.forEach((d, i) => {
+      const key = dxKey(d);
+      if (!ranks.has(key)) ranks.set(key, { rank: i + 1, d });
+    });
+    return ranks;
+  };
+  const beforeDx = rankOf(before.engine.differential);
+  const afterDx = rankOf(after.engine.differential);
+
+  const dx = [];
+  new Set([...beforeDx.keys(), ...afterDx.keys()]).forEach(key => {
+    const was = beforeDx.get(key);
+    const now = afterDx.get(key);
+    const wasWhy = was ? was.d.why || [] : [];
+    const nowWhy = now ? now.d.why || [] : [];
+    const addedWhy = nowWhy.filter(w => !wasWhy.includes(w));
+    const removedWhy = wasWhy.filter(w => !nowWhy.includes(w));
+
+    let change = "same";
+    if (!was) change = "new";
+    else if (!now) change = "dropped";
+    else if (now.rank < was.rank) change = "up";
+    else if (now.rank > was.rank) change = "down";
+    if (change === "same" && !addedWhy.length && !removedWhy.length) return;
+
+    dx.push({
+      id: key,
+      name: dxLabel(key, (now || was).d.name),
+      category: (now || was).d.category,
+      beforeRank: was ? was.rank : null,
+      afterRank: now ? now.rank : null,
+      change,
+      addedWhy,
+      removedWhy
+    });
+  });
+  dx.sort((x, y) => (x.afterRank ?? Infinity) - (y.afterRank ?? Infinity) || (x.beforeRank ?? Infinity) - (y.beforeRank ?? Infinity));
+
+  return { fields, dx };
+}
+
+export function describeDxChange(d) {
+  switch (d.change) {
+    case "new": return `${d.name} entered the differential at #${d.afterRank}`;
+    case "dropped": return `${d.name} left the differential (was #${d.beforeRank})`;
+    case "up": return `${d.name} rose from #${d.beforeRank} to #${d.afterRank}`;
+    case "down": return `${d.name} dropped from #${d.beforeRank} to #${d.afterRank}`;
+    default: return `${d.name} unchanged at #${d.afterRank}`;
+  }
+}
+
+// Plain-text summary for pasting into a follow-up note
+export function diffSummaryText(diff, beforeLabel, afterLabel) {
+  const lines = [`Changes ${beforeLabel} → ${afterLabel}`];
+
+  if (diff.fields.length) {
+    lines.push("", "Findings:");
+    diff.fields.forEach(f => lines.push(`- ${f.label}: ${fmtValue(f.before)} → ${fmtValue(f.after)}`));
+  }
+  if (diff.dx.length) {
+    lines.push("", "Differential:");
+    diff.dx.forEach(d => {
+      lines.push(`- ${describeDxChange(d)}`);
+      d.addedWhy.forEach(w => lines.push(`    + ${w}`));
+      d.removedWhy.forEach(w => lines.push(`    − ${w}`));
+    });
+  }
+  if (!diff.fields.length && !diff.dx.length) lines.push("", "No changes.");
+  return lines.join("\n");
+}
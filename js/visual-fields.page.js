@@ -36,7 +36,7 @@ function syncFromSession(session) {
     const f = out.features;
 
     $("vfLocalize").textContent = localizeHint(f);
-    $("vfQuality").textContent = qualityHint(vf);
+    $("vfQuality").textContent = qualityHint(vf, out.consistency.filter(w => w.fields.some(k => k.startsWith("visualFields."))));
     $("vfNext").textContent = nextDiscriminatorHint(f);
 }
 
@@ -53,7 +53,9 @@ function localizeHint(f) {
     return "Add pattern flags (vertical/homonymous/bitemporal/altitudinal/central) to generate stronger localization.";
 }
 
-function qualityHint(vf) {
+function qualityHint(vf, warnings) {
+    // Contradictory field findings come first
+    if (warnings.length) return warnings.map(w => w.message).join(" ");
     if (vf.reliability === "poor") return "Poor reliability: re-test / confirm with repeat strategy before hard localization.";
     if (vf.reliability === "borderline") return "Borderline reliability: interpret with caution; correlate with structure and symptoms.";
     if (vf.reliability === "good") return "Good reliability: pattern-based localization is more trustworthy.";
@@ -73,60 +75,69 @@ function applyPreset(presetType) {
     switch (presetType) {
         case "bitemporal":
             // Chiasmal lesion pattern
-            sessionStore.set("visualFields.testType", "HVF_24-2");
-            sessionStore.set("visualFields.reliability", "good");
-            sessionStore.set("visualFields.newDefect", true);
-            sessionStore.set("visualFields.complaint", true);
-            sessionStore.set("visualFields.laterality", "binocular");
-            sessionStore.set("visualFields.respectsVerticalMeridian", true);
-            sessionStore.set("visualFields.bitemporal", true);
-            sessionStore.set("visualFields.homonymous", false);
+            sessionStore.setMany({
+              "visualFields.testType": "HVF_24-2",
+              "visualFields.reliability": "good",
+              "visualFields.newDefect": true,
+              "visualFields.complaint": true,
+              "visualFields.laterality": "binocular",
+              "visualFields.respectsVerticalMeridian": true,
+              "visualFields.bitemporal": true,
+              "visualFields.homonymous": false
+            });
             break;
 
         case "homonymous":
             // Retrochiasmal lesion pattern (stroke, tumor)
-            sessionStore.set("visualFields.testType", "HVF_24-2");
-            sessionStore.set("visualFields.reliability", "good");
-            sessionStore.set("visualFields.newDefect", true);
-            sessionStore.set("visualFields.complaint", true);
-            sessionStore.set("visualFields.laterality", "binocular");
-            sessionStore.set("visualFields.respectsVerticalMeridian", true);
-            sessionStore.set("visualFields.homonymous", true);
-            sessionStore.set("visualFields.bitemporal", false);
-            sessionStore.set("visualFields.congruity", "moderate");
+            sessionStore.setMany({
+              "visualFields.testType": "HVF_24-2",
+              "visualFields.reliability": "good",
+              "visualFields.newDefect": true,
+              "visualFields.complaint": true,
+              "visualFields.laterality": "binocular",
+              "visualFields.respectsVerticalMeridian": true,
+              "visualFields.homonymous": true,
+              "visualFields.bitemporal": false,
+              "visualFields.congruity": "moderate"
+            });
             break;
 
         case "altitudinal":
             // AION / Optic nerve pattern
-            sessionStore.set("visualFields.testType", "HVF_24-2");
-            sessionStore.set("visualFields.reliability", "good");
-            sessionStore.set("visualFields.newDefect", true);
-            sessionStore.set("visualFields.complaint", true);
-            sessionStore.set("visualFields.laterality", "mono");
-            sessionStore.set("visualFields.respectsHorizontalMeridian", true);
-            sessionStore.set("visualFields.altitudinal", true);
-            sessionStore.set("visualFields.homonymous", false);
-            sessionStore.set("visualFields.bitemporal", false);
-            // Also set optic nerve findings for AION
-            sessionStore.set("opticNerve.discEdemaOD", true);
-            sessionStore.set("pupils.rapdOD", "2+");
+            sessionStore.setMany({
+              "visualFields.testType": "HVF_24-2",
+              "visualFields.reliability": "good",
+              "visualFields.newDefect": true,
+              "visualFields.complaint": true,
+              "visualFields.laterality": "mono",
+              "visualFields.respectsHorizontalMeridian": true,
+              "visualFields.altitudinal": true,
+              "visualFields.homonymous": false,
+              "visualFields.bitemporal": false,
+              // Also set optic nerve findings for AION
+              "opticNerve.discEdemaOD": true,
+              "pupils.rapdOD": "2+"
+            });
             break;
 
         case "central":
             // Optic neuritis / macular pattern
-            sessionStore.set("visualFields.testType", "HVF_10-2");
-            sessionStore.set("visualFields.reliability", "good");
-            sessionStore.set("visualFields.newDefect", true);
-            sessionStore.set("visualFields.complaint", true);
-            sessionStore.set("visualFields.laterality", "mono");
-            sessionStore.set("visualFields.centralScotoma", true);
-            sessionStore.set("visualFields.homonymous", false);
-            sessionStore.set("visualFields.bitemporal", false);
-            // Also set optic nerve findings for optic neuritis
-            sessionStore.set("opticNerve.colorDeficitOD", true);
-            sessionStore.set("opticNerve.vaReducedOD", true);
-            sessionStore.set("pupils.rapdOD", "2+");
-            sessionStore.set("eom.painOnMovement", true);
+            sessionStore.setMany({
+              "visualFields.testType": "HVF_10-2",
+              "visualFields.reliability": "good",
+              "visualFields.newDefect": true,
+              "visualFields.complaint": true,
+              "visualFields.laterality": "mono",
+              "visualFields.centralScotoma": true,
+              "visualFields.homonymous": false,
+              "visualFields.bitemporal": false,
+              // Also set optic nerve findings for optic neuritis
+              "opticNerve.ishiharaCorrectOD": 3,
+              "opticNerve.ishiharaTotalOD": 14,
+              "opticNerve.vaCorrectedOD": "20/40",
+              "pupils.rapdOD": "2+",
+              "eom.painOnMovement": true
+            });
             break;
     }
 }
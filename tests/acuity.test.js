@@ -0,0 +1,55 @@
+// tests/acuity.test.js
+// Bedside acuity notations read as logMAR.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readAcuity, snellenFor } from "../js/acuity.js";
+import { compute } from "../js/engine.js";
+
+const logMAR = (value) => readAcuity(value).logMAR;
+
+test("Snellen in feet or meters, with letters past or missed", () => {
+  assert.equal(logMAR("20/20"), 0);
+  assert.equal(logMAR("20/200"), 1);
+  assert.equal(logMAR("6/12"), 0.3);
+  assert.equal(logMAR(" 20 / 40 "), 0.3);
+  assert.equal(logMAR("20/40-2"), 0.34);
+  assert.equal(logMAR("20/40+1"), 0.28);
+});
+
+test("decimal, ETDRS letters and off-chart vision", () => {
+  assert.equal(logMAR("0.5"), 0.3);
+  assert.equal(logMAR("0.25"), 0.6);
+  assert.equal(logMAR("85 L"), 0);
+  assert.equal(logMAR("ETDRS 35"), 1);
+  assert.equal(logMAR("CF"), 1.9);
+  assert.equal(logMAR("counting fingers at 3 ft"), 1.9);
+  assert.equal(logMAR("HM"), 2.3);
+  assert.equal(logMAR("LP"), 2.7);
+  assert.equal(logMAR("NLP"), 3.0);
+  assert.equal(logMAR(""), null);
+});
+
+test("unreadable values are rejected with a reason", () => {
+  assert.deepEqual(readAcuity("20/0"), { ok: false, error: "\"20/0\" has a zero in it" });
+  assert.match(readAcuity("120 L").error, /more than the chart has/);
+  assert.match(readAcuity("3.5").error, /outside 0-2.0/);
+  assert.match(readAcuity("60").error, /ambiguous; write ETDRS letters as "60 L"/);
+  assert.match(readAcuity("blurry").error, /is not Snellen/);
+});
+
+test("logMAR reads back as the nearest Snellen line", () => {
+  assert.equal(snellenFor(0.3), "20/40");
+  assert.equal(snellenFor(1), "20/200");
+  assert.equal(snellenFor(2.3), "HM");
+  assert.equal(snellenFor(null), "—");
+});
+
+test("the better of corrected and pinhole acuity is scored, and a pinhole gain is noted", () => {
+  const { features } = compute({
+    opticNerve: { vaCorrectedOD: "20/200", vaPinholeOD: "20/40", vaCorrectedOS: "20/20" }
+  });
+  assert.equal(features.vaLogMAROD, 0.3);
+  assert.equal(features.vaAsymmetry, 0.3);
+  assert.equal(features.pinholeImproves, true);
+  assert.equal(features.vaSevere, false);
+});
@@ -0,0 +1,86 @@
+// tests/browser.js
+// Just enough of a browser for the storage layer and SessionStore to run in node. Unless a
+// test passes a MemoryIndexedDB, there is no IndexedDB and storage falls back to localStorage.
+
+export class MemoryStorage {
+  constructor() { this._items = new Map(); }
+  get length() { return this._items.size; }
+  key(i) { return [...this._items.keys()][i] ?? null; }
+  getItem(key) { return this._items.has(key) ? this._items.get(key) : null; }
+  setItem(key, value) { this._items.set(key, String(value)); }
+  removeItem(key) { this._items.delete(key); }
+}
+
+// One object store's worth of IndexedDB: requests succeed on a microtask and a transaction
+// completes once its last request has. `openDelayMs` holds back the open, as a slow disk
+// or an upgrade blocked by another tab would; `closed` counts databases closed by the app.
+export class MemoryIndexedDB {
+  constructor({ openDelayMs = 0 } = {}) {
+    this.openDelayMs = openDelayMs;
+    this.closed = 0;
+    this._stores = new Map();
+  }
+
+  open() {
+    const req = {};
+    setTimeout(() => {
+      const upgrade = !this._stores.size;
+      req.result = this._database();
+      if (upgrade) req.onupgradeneeded?.();
+      req.onsuccess?.();
+    }, this.openDelayMs);
+    return req;
+  }
+
+  _database() {
+    const idb = this;
+    return {
+      createObjectStore(name) { idb._stores.set(name, new Map()); },
+      close() { idb.closed++; },
+      transaction(name) { return idb._transaction(idb._stores.get(name)); }
+    };
+  }
+
+  _transaction(items) {
+    let pending = 0;
+    const tx = {};
+    const request = (run) => {
+      const req = {};
+      pending++;
+      queueMicrotask(() => {
+        req.result = run();
+        req.onsuccess?.();
+        if (--pending === 0) queueMicrotask(() => { if (pending === 0) tx.oncomplete?.(); });
+      });
+      return req;
+    };
+    tx.objectStore = () => ({
+      get: key => request(() => items.get(key)),
+      getAll: () => request(() => [...items.values()]),
+      getAllKeys: () => request(() => [...items.keys()]),
+      put: (value, key) => request(() => { items.set(key, value); }),
+      delete: key => request(() => { items.delete(key); })
+    });
+    return tx;
+  }
+}
+
+// Node's channels deliver between instances in one process, which stands in for two tabs.
+// Unref'd so an open channel doesn't keep the test process alive.
+const NodeBroadcastChannel = globalThis.BroadcastChannel;
+class TestBroadcastChannel extends NodeBroadcastChannel {
+  constructor(name) {
+    super(name);
+    this.unref();
+  }
+}
+
+// A fresh window and localStorage; call again to start over. With `channels`, tabs talk over
+// BroadcastChannel instead of "storage" events; `indexedDB` is a MemoryIndexedDB to open.
+export function installBrowser({ channels = false, indexedDB } = {}) {
+  globalThis.window = new EventTarget();
+  globalThis.document = Object.assign(new EventTarget(), { visibilityState: "visible" });
+  globalThis.BroadcastChannel = channels ? TestBroadcastChannel : undefined;
+  globalThis.localStorage = new MemoryStorage();
+  globalThis.indexedDB = indexedDB;
+}
@@ -0,0 +1,44 @@
+// tests/case-file.test.js
+// Case file export and import.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { installBrowser } from "./browser.js";
+
+installBrowser();
+const { sessionStore, SCHEMA_VERSION } = await import("../js/common.js");
+const { buildCaseFile, parseCaseFile, CASE_FORMAT } = await import("../js/case-file.js");
+
+test("an exported case imports back to the same session", () => {
+  sessionStore.setMany({ "meta.activePatientLabel": "Case 12", "pupils.odLight": 4, "pupils.osLight": 3 });
+  const session = sessionStore.getSession();
+
+  const result = parseCaseFile(JSON.stringify(buildCaseFile(session)));
+  assert.equal(result.ok, true);
+  assert.deepEqual(result.session, session);
+  assert.equal(result.label, "Case 12");
+  assert.deepEqual(result.warnings, []);
+});
+
+test("a file that isn't a case is refused with the reasons", () => {
+  assert.deepEqual(parseCaseFile("{").errors, ["File is not valid JSON."]);
+  assert.deepEqual(parseCaseFile(JSON.stringify({ format: "other", formatVersion: 99 })).errors, [
+    `Not a case file (expected format "${CASE_FORMAT}").`,
+    "Case file version 99 is newer than this app supports.",
+    "Case file has no session."
+  ]);
+});
+
+test("an imported session is migrated and its problems listed as warnings", () => {
+  const file = {
+    format: CASE_FORMAT,
+    formatVersion: 1,
+    session: { meta: { schemaVersion: SCHEMA_VERSION }, pupils: { odLight: "wide" }, extra: true }
+  };
+  const result = parseCaseFile(JSON.stringify(file));
+  assert.equal(result.ok, true);
+  assert.equal(result.session.pupils.odLight, null);
+  assert.deepEqual(result.warnings, [
+    "Ignored unrecognized fields: extra",
+    "Cleared invalid values: pupils.odLight"
+  ]);
+});
@@ -0,0 +1,216 @@
+// tests/common.test.js
+// SessionStore and the session schema: migrations on load and validation on write.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { installBrowser } from "./browser.js";
+
+// A session saved before versioning, left where the single-session build kept it
+const V1_SESSION = {
+  meta: { activePatientLabel: "Legacy" },
+  pupils: { odLight: 4, dilationLag: false, anhidrosis: true },
+  eom: { ptosis: false, fatigable: true },
+  opticNerve: { vaReducedOD: true, colorDeficitOS: true, notes: "Seen in clinic" },
+  retired: { field: 1 }
+};
+
+installBrowser();
+localStorage.setItem("neuro_ophtho_session_v1", JSON.stringify(V1_SESSION));
+const { sessionStore, migrateSession, SCHEMA_VERSION } = await import("../js/common.js");
+
+test("a version 1 session runs the whole migration chain", () => {
+  const { session, fromVersion, unknown, invalid } = migrateSession(V1_SESSION);
+  assert.equal(fromVersion, 1);
+  assert.equal(session.meta.schemaVersion, SCHEMA_VERSION);
+  assert.deepEqual(unknown, ["retired"]);
+  assert.deepEqual(invalid, []);
+
+  // 2: gaze grids declared
+  assert.deepEqual(session.eom.gazeDeficitsOD, []);
+  // 3: an unticked sign was never documented absent; a ticked one stays present
+  assert.equal(session.pupils.dilationLag, null);
+  assert.equal(session.eom.ptosis, null);
+  assert.equal(session.pupils.anhidrosis, true);
+  assert.equal(session.eom.fatigable, true);
+  // 4 to 6: new sections and fields come from the defaults
+  assert.equal(session.demographics.age, null);
+  assert.equal(session.eom.ptosisEye, "");
+  assert.deepEqual(session.alerts, { acknowledged: [], dismissed: [] });
+  // 7 and 8: the old acuity and color signs move to the notes
+  assert.equal(session.opticNerve.notes, "Seen in clinic\n" +
+    "VA reduced OD (recorded before acuity entry; re-measure)\n" +
+    "Color deficit OS (recorded before color testing entry; re-test)");
+  assert.ok(!("vaReducedOD" in session.opticNerve));
+  assert.ok(!("colorDeficitOS" in session.opticNerve));
+});
+
+test("a stored value that fails validation is reset and reported", () => {
+  const stored = { meta: { schemaVersion: SCHEMA_VERSION }, pupils: { odLight: 40, odLightRxn: "fast" } };
+  const { session, invalid } = migrateSession(stored);
+  assert.deepEqual(invalid, ["pupils.odLight", "pupils.odLightRxn"]);
+  assert.equal(session.pupils.odLight, null);
+  assert.equal(session.pupils.odLightRxn, "");
+});
+
+test("a session from a newer build is reported, not downgraded", () => {
+  const { session, fromVersion } = migrateSession({ meta: { schemaVersion: SCHEMA_VERSION + 1 }, pupils: { odLight: 4 } });
+  assert.equal(fromVersion, SCHEMA_VERSION + 1);
+  assert.equal(session.pupils.odLight, 4);
+});
+
+test("the store adopts and migrates a legacy session on load", () => {
+  const session = sessionStore.getSession();
+  assert.equal(session.meta.activePatientLabel, "Legacy");
+  assert.equal(session.meta.schemaVersion, SCHEMA_VERSION);
+  assert.equal(session.pupils.odLight, 4);
+  assert.deepEqual(sessionStore.getLoadReport(), {
+    fromVersion: 1, toVersion: SCHEMA_VERSION, unknown: ["retired"], invalid: []
+  });
+});
+
+// session:invalid details raised while fn runs
+function rejections(fn) {
+  const seen = [];
+  const onInvalid = e => seen.push(e.detail);
+  window.addEventListener("session:invalid", onInvalid);
+  try { fn(); } finally { window.removeEventListener("session:invalid", onInvalid); }
+  return seen;
+}
+
+test("writes are coerced to the schema's types", () => {
+  assert.equal(sessionStore.set("pupils.osLight", "3,5"), true);
+  assert.equal(sessionStore.getSession().pupils.osLight, 3.5);
+  assert.equal(sessionStore.set("eom.diplopia", "false"), true);
+  assert.equal(sessionStore.getSession().eom.diplopia, false);
+  assert.equal(sessionStore.set("eom.diplopia", ""), true);
+  assert.equal(sessionStore.getSession().eom.diplopia, null);
+});
+
+test("an invalid write is rejected, reported and leaves the session unchanged", () => {
+  const before = sessionStore.getSession();
+  const seen = rejections(() => {
+    assert.equal(sessionStore.set("pupils.odLight", 40), false);
+    assert.equal(sessionStore.set("pupils.odLightRxn", "fast"), false);
+    assert.equal(sessionStore.set("pupils.pupilColor", "blue"), false);
+  });
+  assert.deepEqual(seen.map(x => x.error), [
+    "pupils.odLight: 40 mm is above the maximum of 10 mm",
+    "pupils.odLightRxn: \"fast\" is not one of brisk, sluggish, none",
+    "pupils.pupilColor is not a session field"
+  ]);
+  assert.deepEqual(sessionStore.getSession().pupils, before.pupils);
+});
+
+test("setMany applies the valid entries and skips the rest", () => {
+  const seen = rejections(() => {
+    assert.equal(sessionStore.setMany({ "pupils.odDark": 6, "pupils.osDark": "wide" }), false);
+  });
+  assert.deepEqual(seen.map(x => x.path), ["pupils.osDark"]);
+  const { pupils } = sessionStore.getSession();
+  assert.equal(pupils.odDark, 6);
+  assert.equal(pupils.osDark, null);
+});
+
+test("each patient keeps its own findings", () => {
+  const first = sessionStore.createPatient("First");
+  sessionStore.set("pupils.odLight", 5);
+  const second = sessionStore.createPatient("Second");
+  assert.equal(sessionStore.getSession().pupils.odLight, null);
+
+  assert.equal(sessionStore.switchPatient(first), true);
+  assert.equal(sessionStore.getSession().pupils.odLight, 5);
+  assert.equal(sessionStore.getSession().meta.activePatientLabel, "First");
+
+  const copy = sessionStore.duplicatePatient(first);
+  assert.equal(sessionStore.getActivePatientId(), copy);
+  assert.equal(sessionStore.getSession().pupils.odLight, 5);
+  assert.equal(sessionStore.getSession().meta.activePatientLabel, "First (copy)");
+
+  sessionStore.deletePatient(copy);
+  sessionStore.deletePatient(second);
+  assert.equal(sessionStore.getActivePatientId(), sessionStore.listPatients()[0].id);
+  assert.ok(!sessionStore.listPatients().some(pt => pt.id === copy || pt.id === second));
+});
+
+test("deleting the last patient leaves a blank one", () => {
+  sessionStore.listPatients().forEach(pt => sessionStore.deletePatient(pt.id));
+  const patients = sessionStore.listPatients();
+  assert.equal(patients.length, 1);
+  assert.equal(sessionStore.getSession().pupils.odLight, null);
+});
+
+test("a batch saves and notifies once", () => {
+  sessionStore.createPatient("Batch");
+  let notified = 0;
+  const unsubscribe = sessionStore.subscribe(() => notified++);
+  sessionStore.batch(store => {
+    store.set("pupils.odLight", 4);
+    store.set("pupils.osLight", 3);
+  });
+  unsubscribe();
+  assert.equal(notified, 1);
+  assert.equal(sessionStore.getSession().pupils.osLight, 3);
+});
+
+test("a batch that throws rolls back every write in it", () => {
+  const before = sessionStore.getSession();
+  let notified = 0;
+  const unsubscribe = sessionStore.subscribe(() => notified++);
+  assert.throws(() => sessionStore.batch(store => {
+    store.set("pupils.odDark", 6);
+    throw new Error("preset failed");
+  }), /preset failed/);
+  unsubscribe();
+  assert.equal(notified, 0);
+  assert.deepEqual(sessionStore.getSession(), before);
+});
+
+test("undo and redo step through writes, a batch and a reset", () => {
+  const id = sessionStore.createPatient("Undo");
+  assert.equal(sessionStore.canUndo(), false);
+  sessionStore.set("pupils.odLight", 4);
+  sessionStore.setMany({ "pupils.osLight": 3, "pupils.odDark": 6 });
+  sessionStore.reset();
+  assert.equal(sessionStore.getSession().pupils.odLight, null);
+
+  sessionStore.undo();
+  assert.equal(sessionStore.getSession().pupils.odDark, 6);
+  sessionStore.undo();
+  const { pupils } = sessionStore.getSession();
+  assert.deepEqual([pupils.odLight, pupils.osLight, pupils.odDark], [4, null, null]);
+
+  sessionStore.redo();
+  assert.equal(sessionStore.getSession().pupils.osLight, 3);
+  assert.equal(sessionStore.canRedo(), true);
+
+  // A new write drops the redo stack
+  sessionStore.set("pupils.osDark", 5);
+  assert.equal(sessionStore.canRedo(), false);
+
+  // History is kept per patient across switching away and back
+  sessionStore.createPatient("Other");
+  assert.equal(sessionStore.canUndo(), false);
+  sessionStore.switchPatient(id);
+  assert.equal(sessionStore.undo(), true);
+  assert.equal(sessionStore.getSession().pupils.osDark, null);
+});
+
+test("visits are kept per patient, oldest first, and upgraded as they are read", () => {
+  sessionStore.createPatient("Visits");
+  const later = sessionStore.addVisit({ date: "2026-03-01", session: sessionStore.getSession() });
+  const earlier = sessionStore.addVisit({ date: "2026-01-01", session: { meta: { schemaVersion: 1 }, eom: { ptosis: false } } });
+  assert.deepEqual(sessionStore.listVisits().map(v => v.id), [earlier, later]);
+  // Saved under schema 1, where an unticked box meant "not examined"
+  assert.equal(sessionStore.getVisit(earlier).session.eom.ptosis, null);
+
+  sessionStore.createPatient("No visits");
+  assert.deepEqual(sessionStore.listVisits(), []);
+});
+
+test("deleting a visit removes only that visit", () => {
+  sessionStore.createPatient("Visits");
+  const first = sessionStore.addVisit({ date: "2026-01-01", session: sessionStore.getSession() });
+  const second = sessionStore.addVisit({ date: "2026-02-01", session: sessionStore.getSession() });
+  assert.equal(sessionStore.deleteVisit(first), true);
+  assert.equal(sessionStore.deleteVisit(first), false);
+  assert.deepEqual(sessionStore.listVisits().map(v => v.id), [second]);
+});
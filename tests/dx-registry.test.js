@@ -0,0 +1,40 @@
+// tests/dx-registry.test.js
+// The diagnosis registry and the merging of rules that support the same diagnosis.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DIAGNOSES, diagnosisId, getDiagnosis } from "../js/dx-registry.js";
+import { DX_RULES } from "../js/dx-rules.js";
+import { compute, scoreRule } from "../js/engine.js";
+
+test("ids, current names and old names all resolve to the same diagnosis", () => {
+  assert.equal(diagnosisId("horner_syndrome"), "horner_syndrome");
+  assert.equal(diagnosisId("  HORNER   syndrome "), "horner_syndrome");
+  assert.equal(diagnosisId("Horner syndrome (small pupil abnormal)"), "horner_syndrome");
+  assert.equal(diagnosisId("Not a diagnosis"), null);
+  assert.equal(getDiagnosis("not_a_diagnosis"), null);
+});
+
+test("getDiagnosis returns a copy", () => {
+  getDiagnosis("horner_syndrome").aliases.push("changed");
+  assert.ok(!getDiagnosis("horner_syndrome").aliases.includes("changed"));
+});
+
+test("every rule supports a registered diagnosis", () => {
+  DX_RULES.forEach(rule => assert.ok(DIAGNOSES[rule.id], rule.id));
+});
+
+test("two rules for one diagnosis give one entry with the better score and both rules' reasons", () => {
+  const session = {
+    eom: { comitant: true, diplopia: true, verticalLimitation: true, painOnMovement: true }
+  };
+  const { features, differential } = compute(session);
+  const scores = DX_RULES.filter(rule => rule.id === "thyroid_eye_disease")
+    .map(rule => scoreRule(rule, features)).filter(Boolean).map(entry => entry.score);
+  assert.equal(scores.length, 2);
+
+  const ted = differential.filter(d => d.id === "thyroid_eye_disease");
+  assert.equal(ted.length, 1);
+  assert.equal(ted[0].score, Math.max(...scores));
+  assert.equal(ted[0].why[0], "Diplopia present");
+  assert.ok(ted[0].why.includes("Vertical limitation (common in TED: IR restriction)"));
+});
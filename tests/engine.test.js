@@ -0,0 +1,201 @@
+// tests/engine.test.js
+// Engine behavior that is easy to break without noticing in the UI. Run with: node --test tests/
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { compute, scoreRule, nextBestQuestions, counterfactuals, checkConsistency, evaluateRedFlags } from "../js/engine.js";
+import { DX_RULES } from "../js/dx-rules.js";
+
+// Acute onset with a documented incomitant deviation: compressive CN III leads on 2 points
+const ACUTE_INCOMITANT = {
+  triage: { acuteOnset: true },
+  pupils: {},
+  eom: { comitant: false },
+  visualFields: { respectsVerticalMeridian: null, respectsHorizontalMeridian: null },
+  opticNerve: {},
+  nystagmus: {}
+};
+
+test("next questions include a finding that would change the leader", () => {
+  assert.equal(compute(ACUTE_INCOMITANT).differential[0].id, "cn3_palsy_compressive");
+  const questions = nextBestQuestions(ACUTE_INCOMITANT, { limit: 1000 });
+
+  const fatigability = questions.find(q => q.label === "Fatigability");
+  assert.ok(fatigability, "Fatigability is listed");
+  const present = fatigability.answers.find(a => a.label === "Present");
+  assert.equal(present.leader.id, "ocular_myasthenia");
+  assert.ok(present.shift > 0);
+
+  const discEdema = questions.find(q => q.label === "Disc edema OD");
+  assert.ok(discEdema, "Disc edema OD is listed");
+  assert.notEqual(discEdema.answers.find(a => a.label === "Present").leader.id, "cn3_palsy_compressive");
+});
+
+test("every answer that changes the leader moves support", () => {
+  const leader = compute(ACUTE_INCOMITANT).differential[0].id;
+  nextBestQuestions(ACUTE_INCOMITANT, { limit: 1000 }).forEach(q => q.answers.forEach(a => {
+    if (a.leader && a.leader.id !== leader) assert.ok(a.shift > 0, `${q.label}: ${a.label}`);
+  }));
+});
+
+test("counterfactual ranks match the differential", () => {
+  const differential = compute(ACUTE_INCOMITANT).differential;
+  differential.forEach((d, i) => assert.equal(counterfactuals(ACUTE_INCOMITANT, d.id).rank, i + 1));
+  assert.equal(counterfactuals(ACUTE_INCOMITANT, "physiologic_anisocoria").rank, null);
+
+  // Without module data there is no differential to rank in
+  const triageOnly = { ...ACUTE_INCOMITANT, eom: { comitant: null } };
+  assert.deepEqual(compute(triageOnly).differential, []);
+  assert.equal(counterfactuals(triageOnly, "cn3_palsy_compressive").rank, null);
+});
+
+// Enough findings for more diagnoses above threshold than the differential lists
+const CROWDED = {
+  triage: { acuteOnset: true, painful: true, neuroSx: true },
+  pupils: { odLight: 5, osLight: 3, odDark: 6, osDark: 5.5, odLightRxn: "sluggish", osLightRxn: "brisk", rapdOD: "2+" },
+  eom: { comitant: false, diplopia: true, ptosis: true, ptosisEye: "OD", adductionDeficit: true, verticalLimitation: true, painOnMovement: true },
+  visualFields: { respectsVerticalMeridian: null, respectsHorizontalMeridian: null, centralScotoma: true, laterality: "mono" },
+  opticNerve: { discEdemaOD: true, vaCorrectedOD: "20/200", vaCorrectedOS: "20/20" },
+  nystagmus: {}
+};
+
+test("a diagnosis pushed past the top 12 is still ranked, not removed", () => {
+  const differential = compute(CROWDED).differential;
+  assert.equal(differential.length, 12);
+  assert.equal(differential[11].id, "papilledema");
+
+  // Light-near dissociation adds diagnoses above papilledema without lowering its score
+  const lnd = { ...CROWDED, pupils: { ...CROWDED.pupils, lightNearDissociation: true } };
+  assert.ok(!compute(lnd).differential.some(d => d.id === "papilledema"));
+  assert.ok(counterfactuals(lnd, "papilledema").rank > 12);
+  assert.ok(!counterfactuals(CROWDED, "papilledema").removed.some(c => c.label === "Light-near dissociation: present"));
+});
+
+test("a module with only documented absences counts against diagnoses", () => {
+  const painfulAcute = {
+    triage: { acuteOnset: true, painful: true }, pupils: {}, eom: { comitant: null },
+    visualFields: { respectsVerticalMeridian: null, respectsHorizontalMeridian: null }, opticNerve: {}, nystagmus: {}
+  };
+  const withEOM = (eom) => compute({ ...painfulAcute, eom: { comitant: null, ...eom } }).differential;
+  const score = (differential, id) => (differential.find(d => d.id === id) || { score: 0 }).score;
+
+  // Nothing examined: no differential yet
+  assert.deepEqual(compute(painfulAcute).differential, []);
+  // Only absences recorded, in either module, is enough to rank
+  assert.ok(compute({ ...painfulAcute, nystagmus: { present: false } }).differential.length > 0);
+
+  const fatigueAbsent = withEOM({ fatigable: false });
+  assert.equal(score(fatigueAbsent, "optic_neuritis"), 1);
+  const painAbsentToo = withEOM({ fatigable: false, painOnMovement: false });
+  assert.ok(!painAbsentToo.some(d => d.id === "optic_neuritis"), "no pain on eye movement drops optic neuritis");
+});
+
+test("contradictory findings are flagged with the fields they involve", () => {
+  const warnings = checkConsistency({
+    pupils: { odLight: 4, odDark: 3, odLightRxn: "none", osLight: 4, osDark: 3, rapdOD: "1+", rapdOS: "2+" },
+    visualFields: { homonymous: true, bitemporal: true },
+    nystagmus: { upbeatPrimary: true, downbeatPrimary: true }
+  });
+  assert.deepEqual(warnings.map(w => w.id), [
+    "fixedPupilSmallerInDarkOD", "smallerInDarkOS", "rapdBothEyes", "homonymousAndBitemporal", "upbeatAndDownbeat"
+  ]);
+  assert.deepEqual(warnings[1].fields, ["pupils.osLight", "pupils.osDark"]);
+  assert.equal(warnings[1].message, "OS measures smaller in dark (3 mm) than in light (4 mm); were the measurements swapped?");
+});
+
+test("consistent findings raise no warnings", () => {
+  assert.deepEqual(checkConsistency(ACUTE_INCOMITANT), []);
+  assert.deepEqual(checkConsistency({
+    pupils: { odLight: 3, odDark: 6, odLightRxn: "brisk", rapdOD: "1+", rapdOS: "none" },
+    nystagmus: { present: false }
+  }), []);
+});
+
+test("age moves arteritic AION only once it is recorded", () => {
+  const aion = {
+    triage: { acuteOnset: true, painful: true },
+    pupils: { odLight: 3, osLight: 3, odDark: 6, osDark: 6, rapdOD: "2+" },
+    eom: { comitant: null },
+    visualFields: { altitudinal: true, laterality: "mono", respectsVerticalMeridian: null, respectsHorizontalMeridian: true },
+    opticNerve: {},
+    nystagmus: {}
+  };
+  const atAge = (age) => {
+    const { features, differential } = compute({ ...aion, demographics: { age } });
+    return { olderAge: features.olderAge, score: differential.find(d => d.id === "arteritic_aion").score };
+  };
+  const unknown = atAge(null), older = atAge(72), younger = atAge(35);
+  assert.equal(unknown.olderAge, null);
+  assert.equal(older.olderAge, true);
+  assert.equal(younger.olderAge, false);
+  assert.equal(older.score, unknown.score + 2);
+  assert.equal(younger.score, unknown.score - 3);
+});
+
+test("the Horner preset is a left Horner syndrome with no laterality conflict", () => {
+  const horner = {
+    pupils: { odLight: 3.5, osLight: 2.5, odDark: 6.0, osDark: 4.0, odLightRxn: "brisk", osLightRxn: "brisk", dilationLag: true },
+    eom: { comitant: null, ptosis: true, ptosisEye: "OS" }
+  };
+  const differential = compute(horner).differential;
+  assert.equal(differential[0].name, "Left Horner syndrome");
+  differential.forEach(d => assert.equal(d.sideConflict, null, d.name));
+});
+
+test("a congenital red-green deficit is not color loss out of proportion to acuity", () => {
+  const deutan = {
+    pupils: {},
+    eom: { comitant: null },
+    opticNerve: { hrrGradeOD: "strong", hrrAxisOD: "deutan", hrrGradeOS: "strong", hrrAxisOS: "deutan",
+      vaCorrectedOD: "20/20", vaCorrectedOS: "20/20" }
+  };
+  const { features, differential } = compute(deutan);
+  assert.equal(features.congenitalColorPattern, true);
+  assert.notEqual(features.colorWorseThanAcuity, true);
+  assert.equal(features.suspectedOpticNeuropathy, false);
+  assert.ok(!differential.some(d => d.id === "optic_neuritis"), "optic neuritis is not in the differential");
+});
+
+test("a congenital red-green deficit adds nothing to toxic/nutritional optic neuropathy", () => {
+  const rule = DX_RULES.find(r => r.id === "toxic_nutritional_optic_neuropathy");
+  const toxic = (opticNerve) => scoreRule(rule, compute({
+    pupils: {}, eom: { comitant: null }, visualFields: { centralScotoma: true }, opticNerve
+  }).features);
+  const baseline = toxic({ discPallorOD: true });
+  assert.ok(baseline, "scotoma and pallor reach the threshold");
+  ["protan", "deutan"].forEach(axis => {
+    const congenital = toxic({ discPallorOD: true,
+      hrrGradeOD: "strong", hrrAxisOD: axis, hrrGradeOS: "strong", hrrAxisOS: axis });
+    assert.equal(congenital.score, baseline.score, axis);
+    assert.deepEqual(congenital.why, baseline.why, axis);
+  });
+});
+
+test("a congenital red-green deficit with an RAPD raises no color deficit flag", () => {
+  const alerts = (opticNerve) => compute({
+    pupils: { odLight: 3, osLight: 3, odDark: 6, osDark: 6, rapdOD: "1+" }, eom: { comitant: null }, opticNerve
+  }).alerts.map(a => a.id);
+  assert.ok(!alerts({ hrrGradeOD: "strong", hrrAxisOD: "deutan", hrrGradeOS: "strong", hrrAxisOS: "deutan" })
+    .includes("color_deficit_rapd"));
+  // The same defect in one eye only is acquired
+  assert.ok(alerts({ hrrGradeOD: "strong", hrrAxisOD: "deutan", hrrGradeOS: "normal" }).includes("color_deficit_rapd"));
+});
+
+test("red flags are raised independently and listed most severe first", () => {
+  const flags = evaluateRedFlags({ fatigable: true, ptosis: true, vf_homonymous: true, acute: true });
+  assert.deepEqual(flags.map(f => [f.id, f.level]), [["acute_homonymous", "danger"], ["fatigable_weakness", "warn"]]);
+  assert.deepEqual(flags[1].findings, ["Fatigable weakness", "Ptosis"]);
+});
+
+test("a flag gives way to the more specific flag that supersedes it", () => {
+  const ids = (f) => evaluateRedFlags(f).map(flag => flag.id);
+  const largePupil = { dominance: "light", ptosis: true, neuroSx: true };
+  // Without acute onset or pain, compressive CN III isn't raised and the broader flag shows
+  assert.deepEqual(ids(largePupil), ["large_pupil_acute"]);
+  assert.deepEqual(ids({ ...largePupil, acute: true }), ["compressive_cn3"]);
+});
+
+test("the fallback flag shows only when nothing else is raised", () => {
+  assert.deepEqual(evaluateRedFlags({ acute: true }).map(f => f.id), ["acute_context"]);
+  assert.deepEqual(evaluateRedFlags({ acute: true, fatigable: true, diplopia: true }).map(f => f.id), ["fatigable_weakness"]);
+  assert.deepEqual(evaluateRedFlags({}), []);
+});
@@ -0,0 +1,44 @@
+// tests/evidence.test.js
+// Loading evidence.json, and the citation checks used by the evidence page.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFile } from "node:fs/promises";
+import { citationProblems, normalizeDoi, doiUrl, pubmedUrl, whenEvidenceLoaded, citationsFor } from "../js/evidence.js";
+import { compute } from "../js/engine.js";
+
+const fields = (c, options) => citationProblems(c, options).map(p => p.field);
+
+test("a complete citation has no problems", () => {
+  assert.deepEqual(citationProblems({ id: "example_2020", title: "Example", year: 2020, level: 2, pmid: "31234567", doi: "10.1234/abc.123" }), []);
+});
+
+test("missing and malformed fields are reported by field", () => {
+  assert.deepEqual(fields({ title: " " }), ["id", "title"]);
+  assert.deepEqual(fields({ id: "Bad-Id", title: "T", year: 1700, level: 6 }), ["id", "year", "level"]);
+  assert.deepEqual(fields({ id: "x", title: "T", pmid: "PMID 123", doi: "doi.org/abc" }), ["pmid", "doi"]);
+  assert.deepEqual(fields({ id: "x", title: "T", pmid: "PMID 123", doi: "doi.org/abc" }, { checkIdentifiers: false }), []);
+});
+
+test("DOIs are accepted bare or as links", () => {
+  assert.equal(normalizeDoi("https://doi.org/10.1000/xyz"), "10.1000/xyz");
+  assert.equal(normalizeDoi("doi: 10.1000/xyz"), "10.1000/xyz");
+  assert.deepEqual(fields({ id: "x", title: "T", doi: "https://dx.doi.org/10.1000/xyz" }), []);
+  assert.equal(doiUrl("doi:10.1000/xyz"), "https://doi.org/10.1000/xyz");
+  assert.equal(pubmedUrl(" 123 "), "https://pubmed.ncbi.nlm.nih.gov/123/");
+  assert.equal(pubmedUrl(""), "");
+});
+
+test("citations arrive with evidence.json and every shipped one passes the checks", async () => {
+  // Served from disk instead of over http
+  globalThis.fetch = async (url) => ({ ok: true, json: async () => JSON.parse(await readFile(url, "utf8")) });
+  const horner = { pupils: { odLight: 3.5, osLight: 2.5, odDark: 6.0, osDark: 4.0 }, eom: { comitant: null } };
+  assert.deepEqual(citationsFor("horner_syndrome"), []);
+
+  await whenEvidenceLoaded();
+  const cited = citationsFor("horner_syndrome");
+  assert.ok(cited.length > 0);
+  assert.deepEqual(compute(horner).differential.find(d => d.id === "horner_syndrome").citations, cited);
+
+  const data = JSON.parse(await readFile(new URL("../evidence.json", import.meta.url), "utf8"));
+  data.citations.forEach(c => assert.deepEqual(citationProblems(c), [], c.id));
+});
@@ -0,0 +1,74 @@
+// tests/rules.test.js
+// The rule condition language of dx-rules.js and the evaluator that scores a rule.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { testCondition, scoreRule } from "../js/engine.js";
+import { DX_RULES } from "../js/dx-rules.js";
+
+test("plain, negated and compared conditions", () => {
+  const f = { ptosis: true, diplopia: false, fatigable: null, anisL: 0.3, dominance: "light" };
+  assert.equal(testCondition("ptosis", f), true);
+  assert.equal(testCondition("!diplopia", f), true);
+  assert.equal(testCondition("!fatigable", f), true);
+  // Only a documented absence is "= false"
+  assert.equal(testCondition("diplopia = false", f), true);
+  assert.equal(testCondition("fatigable = false", f), false);
+  assert.equal(testCondition("dominance = light", f), true);
+  assert.equal(testCondition("anisL < ANISO_THRESHOLD_MM", f), true);
+  // Ordering comparisons fail when the value wasn't measured
+  assert.equal(testCondition("anisD < ANISO_THRESHOLD_MM", f), false);
+});
+
+test("all of, any of, not and at least", () => {
+  const f = { a: true, b: false, c: true };
+  assert.equal(testCondition(["a", "c"], f), true);
+  assert.equal(testCondition(["a", "b"], f), false);
+  assert.equal(testCondition({ any: ["b", "c"] }, f), true);
+  assert.equal(testCondition({ not: "b" }, f), true);
+  assert.equal(testCondition({ atLeast: 2, of: ["a", "b", "c"] }, f), true);
+  assert.equal(testCondition({ atLeast: 3, of: ["a", "b", "c"] }, f), false);
+  assert.equal(testCondition(undefined, f), true);
+});
+
+test("named terms expand to their conditions", () => {
+  assert.equal(testCondition("largePattern", { dominance: "light" }), true);
+  assert.equal(testCondition("anisBothMeasured", { anisL: 0.2, anisD: null }), false);
+});
+
+test("an unreadable condition is an error, not a silent miss", () => {
+  assert.throws(() => testCondition("!ptosis = true", {}), /Unreadable rule condition/);
+  assert.throws(() => testCondition({ some: [] }, {}), /Unreadable rule condition/);
+});
+
+test("a rule scores its matching criteria, only the first of a firstOf, and fills its reasons", () => {
+  const rule = {
+    id: "horner_syndrome",
+    minScore: 3,
+    criteria: [
+      { firstOf: [{ when: "a", points: 2, why: "A" }, { points: 1, why: "fallback" }] },
+      { when: "b", points: 2, why: "B at {anisD:1} mm" },
+      { when: "c", points: 5, why: "C" }
+    ],
+    nextSteps: ["Always", { when: "c", steps: ["Only with C"] }]
+  };
+  const entry = scoreRule(rule, { a: true, b: true, c: false, anisD: 1.25 });
+  assert.equal(entry.score, 4);
+  assert.deepEqual(entry.why, ["A", "B at 1.3 mm"]);
+  assert.deepEqual(entry.nextSteps, ["Always"]);
+  assert.equal(scoreRule(rule, { a: false, b: false, c: false }), null);
+});
+
+test("every shipped rule condition is readable", () => {
+  // Each string on its own, since lists and "any" stop at the first that decides them
+  const readAll = (cond) => {
+    if (typeof cond === "string") testCondition(cond, {});
+    else if (Array.isArray(cond)) cond.forEach(readAll);
+    else if (cond) [cond.any, cond.of, cond.not].filter(Boolean).forEach(readAll);
+  };
+  const readCriterion = (c) => (c.firstOf ? c.firstOf.forEach(readCriterion) : readAll(c.when));
+  DX_RULES.forEach(rule => {
+    readAll(rule.requires);
+    rule.criteria.forEach(readCriterion);
+    (rule.nextSteps || []).forEach(step => readAll(step.when));
+  });
+});
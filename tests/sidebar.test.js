@@ -0,0 +1,45 @@
+// tests/sidebar.test.js
+// The sidebar's "Not saved" message for values SessionStore rejected.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { installBrowser } from "./browser.js";
+
+installBrowser({ channels: true });
+const message = { hidden: true, textContent: "" };
+document.getElementById = id => (id === "sbValidation" ? message : null);
+
+const { sessionStore, SESSION_KEY } = await import("../js/common.js");
+const { bindValidation } = await import("../js/sidebar.js");
+bindValidation();
+
+test("a rejected value is shown until the next accepted write", () => {
+  sessionStore.set("pupils.odLight", 40);
+  assert.equal(message.hidden, false);
+  assert.match(message.textContent, /^Not saved: pupils\.odLight/);
+
+  sessionStore.set("pupils.odLight", 4);
+  assert.equal(message.hidden, true);
+  assert.equal(message.textContent, "");
+});
+
+test("a setMany mixing valid and invalid values still shows the rejection", () => {
+  assert.equal(sessionStore.setMany({ "pupils.odDark": 6, "pupils.osDark": "wide" }), false);
+  assert.equal(sessionStore.getSession().pupils.odDark, 6);
+  assert.equal(message.hidden, false);
+  assert.match(message.textContent, /^Not saved: pupils\.osDark/);
+});
+
+test("another tab's change leaves the message shown", async () => {
+  sessionStore.set("pupils.osLight", "wide");
+  const channel = new BroadcastChannel(SESSION_KEY);
+  channel.postMessage({
+    patientId: sessionStore.getActivePatientId(),
+    ops: [{ path: "pupils.osLight", value: 5, at: Date.now() + 60000, tab: "tab_other" }]
+  });
+  await new Promise(resolve => setTimeout(resolve, 50));
+  channel.close();
+
+  assert.equal(sessionStore.getSession().pupils.osLight, 5);
+  assert.equal(message.hidden, false);
+  assert.match(message.textContent, /^Not saved: pupils\.osLight/);
+});
@@ -0,0 +1,164 @@
+// tests/storage.test.js
+// The cached storage layer over localStorage (and IndexedDB where a test installs one),
+// driven the way SessionStore and other tabs use it.
+import { test, beforeEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { installBrowser, MemoryIndexedDB } from "./browser.js";
+import { openStorage, CRYPTO_KEY } from "../js/storage.js";
+
+const KEY = "neuro_ophtho_test";
+
+// A fresh window per test keeps earlier tests' storages from hearing this one's events
+beforeEach(installBrowser);
+
+// What another tab's write looks like to this one
+function remoteWrite(key, value) {
+  if (value === null) localStorage.removeItem(key);
+  else localStorage.setItem(key, value);
+  window.dispatchEvent(Object.assign(new Event("storage"), { key, newValue: value }));
+}
+
+// Lets the async handler of a remote change finish
+const settle = () => new Promise(resolve => setTimeout(resolve, 0));
+
+test("writes reach the backend on flush, not before", async () => {
+  const storage = await openStorage();
+  storage.setItem(KEY, "a");
+  assert.equal(storage.getItem(KEY), "a");
+  assert.equal(localStorage.getItem(KEY), null);
+  await storage.flush();
+  assert.equal(localStorage.getItem(KEY), "a");
+});
+
+test("a full backend is reported and the write retried once there is room", async () => {
+  const storage = await openStorage();
+  const setItem = localStorage.setItem;
+  localStorage.setItem = () => { throw Object.assign(new Error("full"), { name: "QuotaExceededError" }); };
+  storage.setItem(KEY, "a");
+  await storage.flush();
+  assert.equal(storage.status().ok, false);
+  assert.equal(storage.status().quota, true);
+
+  localStorage.setItem = setItem;
+  storage.setItem(`${KEY}_2`, "b");
+  await storage.flush();
+  assert.equal(storage.status().ok, true);
+  assert.equal(localStorage.getItem(KEY), "a");
+});
+
+test("encrypted values are sealed at rest and read back after unlock", async () => {
+  const storage = await openStorage();
+  storage.setItem(KEY, "secret");
+  await storage.enableEncryption("correct horse");
+  assert.ok(!localStorage.getItem(KEY).includes("secret"));
+
+  await storage.lock();
+  assert.equal(storage.getItem(KEY), null);
+  assert.equal(await storage.unlock("wrong"), false);
+  assert.equal(await storage.unlock("correct horse"), true);
+  assert.equal(storage.getItem(KEY), "secret");
+});
+
+test("an unsaved write survives another tab turning encryption off", async () => {
+  const storage = await openStorage();
+  await storage.enableEncryption("correct horse");
+  storage.setItem(KEY, "edited here");
+
+  // The other tab rewrites everything in plaintext before this tab's debounce fires
+  localStorage.setItem(KEY, "older");
+  remoteWrite(CRYPTO_KEY, null);
+  await settle();
+  await storage.flush();
+
+  assert.equal(storage.getItem(KEY), "edited here");
+  assert.equal(localStorage.getItem(KEY), "edited here");
+});
+
+test("an unsaved write survives another tab turning encryption on", async () => {
+  const storage = await openStorage();
+  storage.setItem(KEY, "edited here");
+
+  const other = await openStorage();
+  await other.enableEncryption("correct horse");
+  remoteWrite(CRYPTO_KEY, localStorage.getItem(CRYPTO_KEY));
+  await settle();
+  assert.ok(storage.isLocked());
+
+  assert.equal(await storage.unlock("correct horse"), true);
+  assert.equal(storage.getItem(KEY), "edited here");
+  await storage.flush();
+  assert.ok(!localStorage.getItem(KEY).includes("edited here"));
+
+  const reader = await openStorage();
+  await reader.unlock("correct horse");
+  assert.equal(reader.getItem(KEY), "edited here");
+});
+
+test("a value that fails to decrypt is reported through storage:status", async () => {
+  const storage = await openStorage();
+  storage.setItem(KEY, "secret");
+  await storage.enableEncryption("correct horse");
+  await storage.lock();
+  localStorage.setItem(KEY, JSON.stringify({ enc: 1, iv: "AAAAAAAAAAAAAAAA", ct: "AAAA" }));
+
+  const statuses = [];
+  const onStatus = e => statuses.push(e.detail);
+  window.addEventListener("storage:status", onStatus);
+  await storage.unlock("correct horse");
+  window.removeEventListener("storage:status", onStatus);
+
+  assert.equal(storage.getItem(KEY), null);
+  assert.equal(statuses.length, 1);
+  assert.equal(statuses[0].ok, false);
+  assert.match(statuses[0].message, /Could not decrypt 1 saved item/);
+});
+
+test("an IndexedDB that opens after the fallback to localStorage is closed", async () => {
+  mock.timers.enable({ apis: ["setTimeout"] });
+  try {
+    const idb = new MemoryIndexedDB({ openDelayMs: 10000 });
+    installBrowser({ indexedDB: idb });
+    const opening = openStorage();
+    mock.timers.tick(3000);
+    const storage = await opening;
+    assert.equal(storage.status().adapter, "localStorage");
+
+    mock.timers.tick(7000);
+    assert.equal(idb.closed, 1);
+  } finally {
+    mock.timers.reset();
+  }
+});
+
+test("localStorage leftovers are reconciled into IndexedDB by whichever write is newer", async () => {
+  const idb = new MemoryIndexedDB();
+  const later = () => new Promise(resolve => setTimeout(resolve, 5));
+  installBrowser({ indexedDB: idb });
+  const first = await openStorage();
+  assert.equal(first.status().adapter, "IndexedDB");
+  first.setItem(KEY, "idb");
+  first.setItem(`${KEY}_2`, "idb");
+  first.setItem(`${KEY}_3`, "idb");
+  await first.flush();
+  await later();
+
+  // A session that fell back to localStorage
+  globalThis.indexedDB = undefined;
+  const fallback = await openStorage();
+  fallback.setItem(KEY, "local");
+  fallback.setItem(`${KEY}_2`, "local");
+  fallback.setItem(`${KEY}_3`, "local");
+  fallback.removeItem(`${KEY}_3`);
+  await fallback.flush();
+  await later();
+
+  globalThis.indexedDB = idb;
+  first.setItem(KEY, "idb, later");
+  await first.flush();
+
+  const reopened = await openStorage();
+  assert.equal(reopened.getItem(KEY), "idb, later");
+  assert.equal(reopened.getItem(`${KEY}_2`), "local");
+  assert.equal(reopened.getItem(`${KEY}_3`), null);
+  assert.equal(localStorage.length, 0);
+});
@@ -0,0 +1,70 @@
+// tests/sync.test.js
+// Cross-tab sync of the active session: another tab's writes arrive as ops on the channel
+// and resolve last-writer-wins per field.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { installBrowser } from "./browser.js";
+
+installBrowser({ channels: true });
+const { sessionStore, SESSION_KEY } = await import("../js/common.js");
+
+// The other tab
+const channel = new BroadcastChannel(SESSION_KEY);
+
+// The other tab's storage layer, which announces its raw writes separately from the ops
+const storageChannel = new BroadcastChannel("neuro_ophtho_storage");
+
+async function fromOtherTab(...ops) {
+  const patientId = sessionStore.getActivePatientId();
+  channel.postMessage({ patientId, ops: ops.map(op => ({ tab: "tab_other", ...op })) });
+  await new Promise(resolve => setTimeout(resolve, 50));
+}
+
+test("another tab's newer write is applied", async () => {
+  sessionStore.createPatient("Sync");
+  await fromOtherTab({ path: "pupils.odLight", value: 6, at: Date.now() + 60000 });
+  assert.equal(sessionStore.getSession().pupils.odLight, 6);
+});
+
+test("another tab's older write to a field edited here is ignored", async () => {
+  sessionStore.createPatient("Sync");
+  sessionStore.set("pupils.osLight", 3);
+  await fromOtherTab({ path: "pupils.osLight", value: 7, at: Date.now() - 60000 });
+  assert.equal(sessionStore.getSession().pupils.osLight, 3);
+});
+
+test("another tab's section reset keeps newer edits made here", async () => {
+  sessionStore.createPatient("Sync");
+  await fromOtherTab({ path: "pupils.odLight", value: 6, at: 1000 });
+  sessionStore.set("pupils.osLight", 3);
+
+  const blank = { ...sessionStore.getSession().pupils, odLight: null, osLight: null };
+  await fromOtherTab({ path: "pupils", value: blank, at: 2000 });
+  const { pupils } = sessionStore.getSession();
+  assert.equal(pupils.odLight, null);
+  assert.equal(pupils.osLight, 3);
+});
+
+test("writes for another patient are ignored", async () => {
+  sessionStore.createPatient("Sync");
+  channel.postMessage({ patientId: "someone_else", ops: [{ path: "pupils.odLight", value: 6, at: Date.now() + 60000, tab: "tab_other" }] });
+  await new Promise(resolve => setTimeout(resolve, 50));
+  assert.equal(sessionStore.getSession().pupils.odLight, null);
+});
+
+test("another tab's saved session doesn't replace the merged one saved here", async () => {
+  sessionStore.createPatient("Sync");
+  const key = `${SESSION_KEY}:${sessionStore.getActivePatientId()}`;
+  const theirs = JSON.parse(JSON.stringify(sessionStore.getSession()));
+  sessionStore.set("pupils.osLight", 3);
+
+  theirs.pupils.odLight = 6;
+  await fromOtherTab({ path: "pupils.odLight", value: 6, at: Date.now() + 60000 });
+  storageChannel.postMessage({ key, value: JSON.stringify(theirs) });
+  // Past the storage layer's write debounce
+  await new Promise(resolve => setTimeout(resolve, 600));
+
+  const saved = JSON.parse(localStorage.getItem(key)).pupils;
+  assert.equal(saved.odLight, 6);
+  assert.equal(saved.osLight, 3);
+});
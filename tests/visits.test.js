@@ -0,0 +1,65 @@
+// tests/visits.test.js
+// Visit snapshots, the timeline across them and the comparison of two visits.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { snapshotVisit, buildTimeline, diffSnapshots, diffSummaryText } from "../js/visits.js";
+
+// Left Horner syndrome at the first visit; the anisocoria has resolved by the second
+const HORNER = {
+  pupils: { odLight: 3.5, osLight: 2.5, odDark: 6.0, osDark: 4.0, odLightRxn: "brisk", osLightRxn: "brisk", dilationLag: true, rapdOD: "", rapdOS: "" },
+  eom: { comitant: null, ptosis: true, ptosisEye: "OS" }
+};
+const RESOLVED = {
+  pupils: { ...HORNER.pupils, osLight: 3.5, osDark: 6.0, dilationLag: false },
+  eom: { comitant: null, ptosis: false }
+};
+
+test("the timeline lists each visit's findings and diagnosis ranks, oldest first", () => {
+  const visits = [snapshotVisit(HORNER, { date: "2026-01-05" }), snapshotVisit(RESOLVED, { date: "2026-02-05", note: " follow-up " })];
+  assert.equal(visits[1].note, "follow-up");
+
+  const timeline = buildTimeline(visits);
+  assert.deepEqual(timeline.findings.find(row => row.label === "Anisocoria (dark)").values, ["2.0 mm", "0.0 mm"]);
+
+  const horner = timeline.dx.find(d => d.id === "horner_syndrome");
+  assert.equal(horner.ranks[0], 1);
+  assert.equal(horner.ranks[1], null);
+  // Ordered by the latest visit's rank, unranked last
+  assert.equal(timeline.dx[timeline.dx.length - 1].ranks[1], null);
+  assert.equal(timeline.dx[0].ranks[1], 1);
+});
+
+test("snapshots saved before diagnoses had ids line up with current ones by name", () => {
+  const visit = snapshotVisit(HORNER, { date: "2026-01-05" });
+  const legacy = { ...visit, engine: { ...visit.engine, differential: visit.engine.differential.map(({ id, ...d }) => ({ ...d, name: "Horner Syndrome" })).slice(0, 1) } };
+  const timeline = buildTimeline([legacy, visit]);
+  const horner = timeline.dx.filter(d => d.id === "horner_syndrome");
+  assert.equal(horner.length, 1);
+  assert.deepEqual(horner[0].ranks, [1, 1]);
+});
+
+test("comparing two visits lists the changed findings and how the differential moved", () => {
+  const diff = diffSnapshots(snapshotVisit(HORNER), snapshotVisit(RESOLVED));
+  assert.deepEqual(diff.fields.map(f => [f.label, f.before, f.after]), [
+    ["Pupils: OS light", 2.5, 3.5],
+    ["Pupils: OS dark", 4, 6],
+    ["Pupils: dilation lag", true, false],
+    ["EOM: ptosis", true, false],
+    ["EOM: ptosis eye", "OS", undefined]
+  ]);
+  const horner = diff.dx.find(d => d.id === "horner_syndrome");
+  assert.equal(horner.change, "dropped");
+  assert.equal(horner.beforeRank, 1);
+  assert.ok(horner.removedWhy.includes("Dilation lag (highly specific for Horner)"));
+
+  const summary = diffSummaryText(diff, "5 Jan", "5 Feb");
+  assert.match(summary, /^Changes 5 Jan → 5 Feb/);
+  assert.match(summary, /- Pupils: dilation lag: true → false/);
+  assert.match(summary, /- Horner syndrome left the differential \(was #1\)/);
+});
+
+test("two identical visits compare as no changes", () => {
+  const diff = diffSnapshots(snapshotVisit(HORNER), snapshotVisit(HORNER));
+  assert.deepEqual(diff, { fields: [], dx: [] });
+  assert.match(diffSummaryText(diff, "a", "b"), /No changes\.$/);
+});